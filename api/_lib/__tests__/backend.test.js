@@ -1,4 +1,7 @@
 import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createHmac } from 'node:crypto';
 
 // The token module reads config at call time, so the secret must exist before
 // the modules are imported.
@@ -9,6 +12,9 @@ beforeAll(() => {
 const loadTokens = () => import('../tokens.js');
 const loadCompose = () => import('../compose.js');
 const loadMessenger = () => import('../messenger.js');
+const loadTrail = () => import('../trail.js');
+const loadEscalation = () => import('../escalation.js');
+const loadSeries = () => import('../series.js');
 
 describe('tokens', () => {
     it('issues ids with enough entropy to be unguessable', async () => {
@@ -49,6 +55,21 @@ describe('tokens', () => {
         expect(await verifyToken(undefined, 'token')).toBe(false);
     });
 
+    it('issues a different acknowledgement token for each contact', async () => {
+        const { createId, signId, signAck, verifyAck } = await loadTokens();
+        const id = createId();
+        const first = await signAck(id, 0);
+
+        expect(first).toMatch(/^[0-9a-f]{32}$/);
+        expect(await signAck(id, 1)).not.toBe(first);
+        expect(await verifyAck(id, 0, first)).toBe(true);
+        expect(await verifyAck(id, 1, first)).toBe(false);
+        expect(await verifyAck(id, NaN, first)).toBe(false);
+
+        // A contact's link must never double as the owner's cancel token.
+        expect((await signId(id)).startsWith(first)).toBe(false);
+    });
+
     it('compares in constant time regardless of where strings differ', async () => {
         const { constantTimeEqual } = await loadTokens();
         expect(constantTimeEqual('abcd', 'abcd')).toBe(true);
@@ -124,6 +145,225 @@ describe('message composition', () => {
         const { buildSpokenMessage } = await loadCompose();
         expect(buildSpokenMessage({ ...record, userName: '' })).toContain('Someone');
     });
+
+    it('reports the latest trail fix and its age rather than the starting point', async () => {
+        // Contacts searching where the walk began is the failure this fixes.
+        const { buildTextMessage } = await loadCompose();
+        const sentAt = Date.UTC(2026, 6, 27, 18, 31);
+        const text = buildTextMessage(
+            {
+                ...record,
+                trail: [
+                    { lat: 11.01, lng: 76.96, accuracy: 20, at: sentAt - 12 * 60_000 },
+                    { lat: 11.02, lng: 76.97, accuracy: 8, at: sentAt - 4 * 60_000 },
+                ],
+            },
+            { now: sentAt },
+        );
+
+        expect(text).toContain('Last known location: https://www.google.com/maps?q=11.02,76.97');
+        expect(text).toContain('taken 4 min before this message');
+        expect(text).toContain('accurate to about 8 m');
+        expect(text).toContain('12 min before: https://www.google.com/maps?q=11.01,76.96');
+        expect(text).not.toContain('maps?q=10.9894,76.9598');
+    });
+
+    it('keeps the breadcrumb short', async () => {
+        const { buildTextMessage } = await loadCompose();
+        const sentAt = Date.UTC(2026, 6, 27, 18, 31);
+        const trail = Array.from({ length: 8 }, (_, i) => ({
+            lat: 11 + i / 100,
+            lng: 77,
+            accuracy: 10,
+            at: sentAt - (8 - i) * 60_000,
+        }));
+        const text = buildTextMessage({ ...record, trail }, { now: sentAt });
+
+        expect(text.match(/maps\?q=/g)).toHaveLength(4);
+    });
+
+    it('says a duress cancel was forced, and warns contacts to be careful calling', async () => {
+        // The person's phone showed an ordinary cancel; a careless call could
+        // give that away.
+        const { buildTextMessage, buildSpokenMessage } = await loadCompose();
+        const text = buildTextMessage({ ...record, duress: true });
+        const spoken = buildSpokenMessage({ ...record, duress: true });
+
+        expect(text).toMatch(/cancelled their check-in under duress/);
+        expect(text).toMatch(/careful what you say/);
+        expect(text).not.toMatch(/did not check in/);
+        expect(spoken).toMatch(/making them do it/);
+        expect(spoken).toMatch(/careful/);
+    });
+});
+
+describe('escalation ladder', () => {
+    const contacts = [
+        { name: 'Asha', phone: '+911111111111', tier: 1 },
+        { name: 'Ravi', phone: '+912222222222', tier: 2 },
+        { name: 'Meena', phone: '+913333333333', tier: 3 },
+    ];
+
+    it('re-alerts earlier tiers while widening the circle', async () => {
+        const { contactsForRound } = await loadEscalation();
+        expect(contactsForRound(contacts, 1).map((c) => c.name)).toEqual(['Asha']);
+        expect(contactsForRound(contacts, 2).map((c) => c.name)).toEqual(['Asha', 'Ravi']);
+        expect(contactsForRound(contacts, 3)).toHaveLength(3);
+    });
+
+    it('puts a contact with no usable tier in the first round', async () => {
+        // Reached early is a small problem; never reached is not.
+        const { parseTier } = await loadEscalation();
+        expect(parseTier(undefined)).toBe(1);
+        expect(parseTier('2')).toBe(2);
+        expect(parseTier(9)).toBe(1);
+        expect(parseTier(1.5)).toBe(1);
+    });
+
+    it('does not spend the first round ringing nobody', async () => {
+        const { normaliseTiers } = await loadEscalation();
+        const shifted = normaliseTiers([{ tier: 2 }, { tier: 3 }]);
+        expect(shifted.map((c) => c.tier)).toEqual([1, 2]);
+    });
+
+    it('stops climbing once anyone acknowledges', async () => {
+        const { nextRound } = await loadEscalation();
+        expect(nextRound({}, 1)).toBe(2);
+        expect(nextRound({ acknowledgements: [{ contact: 'Asha' }] }, 1)).toBeNull();
+    });
+
+    it('stops after the last tier', async () => {
+        const { nextRound, MAX_TIER } = await loadEscalation();
+        expect(nextRound({}, MAX_TIER)).toBeNull();
+    });
+
+    it('treats a record fired before rounds existed as having sent round one', async () => {
+        const { hasDispatchedRound } = await loadEscalation();
+        expect(hasDispatchedRound({ status: 'fired' }, 1)).toBe(true);
+        expect(hasDispatchedRound({ status: 'fired' }, 2)).toBe(false);
+        expect(hasDispatchedRound({ status: 'fired', rounds: [{ round: 1 }, { round: 2 }] }, 2)).toBe(true);
+        expect(hasDispatchedRound({ status: 'active' }, 1)).toBe(false);
+    });
+
+    it('gives each contact a link to acknowledge', async () => {
+        const { buildTextMessage } = await loadCompose();
+        const text = buildTextMessage(
+            { userName: 'Priya', expiresAt: Date.now(), location: null },
+            { ackUrl: 'https://example.test/api/checkin/ack?id=a&c=0&t=b' },
+        );
+        expect(text).toContain('tap to let them know: https://example.test/api/checkin/ack?id=a&c=0&t=b');
+    });
+
+    it('says a later round is a repeat', async () => {
+        const { buildTextMessage, buildSpokenMessage } = await loadCompose();
+        const record = { userName: 'Priya', expiresAt: Date.now(), location: null };
+        expect(buildTextMessage({ ...record, round: 2 })).toMatch(/repeat alert/i);
+        expect(buildSpokenMessage({ ...record, round: 2 })).toMatch(/repeat alert/i);
+        expect(buildTextMessage(record)).not.toMatch(/repeat/i);
+    });
+});
+
+describe('recurring plans', () => {
+    const weekdays = { days: [1, 2, 3, 4, 5], start: '22:00', end: '22:40', timeZone: 'UTC' };
+
+    it('accepts a plan and tidies its days', async () => {
+        const { parsePlan } = await loadSeries();
+        const result = parsePlan({ ...weekdays, days: [5, 1, 3, 1] });
+        expect(result).toEqual({ ok: true, plan: { ...weekdays, days: [1, 3, 5] } });
+    });
+
+    it('refuses a plan it could misread', async () => {
+        const { parsePlan } = await loadSeries();
+        expect(parsePlan({ ...weekdays, days: [] }).ok).toBe(false);
+        expect(parsePlan({ ...weekdays, days: [7] }).ok).toBe(false);
+        expect(parsePlan({ ...weekdays, start: '10pm' }).ok).toBe(false);
+        expect(parsePlan({ ...weekdays, end: '24:00' }).ok).toBe(false);
+        expect(parsePlan({ ...weekdays, timeZone: 'Mars/Olympus' }).ok).toBe(false);
+        expect(parsePlan({ ...weekdays, end: '22:00' }).ok).toBe(false);
+        expect(parsePlan(null).ok).toBe(false);
+    });
+
+    it('finds the next window, skipping days not in the plan', async () => {
+        const { nextWindow } = await loadSeries();
+        // Friday 23:00, after that night's window: next is Monday.
+        const window = nextWindow(weekdays, Date.UTC(2026, 9, 23, 23, 0));
+        expect(window).toEqual({
+            startsAt: Date.UTC(2026, 9, 26, 22, 0),
+            endsAt: Date.UTC(2026, 9, 26, 22, 40),
+        });
+    });
+
+    it('returns the window that is open, and the one after from its end', async () => {
+        const { nextWindow } = await loadSeries();
+        const open = nextWindow(weekdays, Date.UTC(2026, 9, 19, 22, 10));
+        expect(open.startsAt).toBe(Date.UTC(2026, 9, 19, 22, 0));
+        expect(nextWindow(weekdays, open.endsAt).startsAt).toBe(Date.UTC(2026, 9, 20, 22, 0));
+    });
+
+    it('keeps a window that crosses midnight open into the next day', async () => {
+        const { nextWindow } = await loadSeries();
+        const late = { days: [5], start: '23:30', end: '00:30', timeZone: 'UTC' };
+        // Saturday 00:10: Friday's window is still running.
+        expect(nextWindow(late, Date.UTC(2026, 9, 24, 0, 10))).toEqual({
+            startsAt: Date.UTC(2026, 9, 23, 23, 30),
+            endsAt: Date.UTC(2026, 9, 24, 0, 30),
+        });
+    });
+
+    it('reads the times in the plan\'s own time zone', async () => {
+        const { nextWindow } = await loadSeries();
+        const kolkata = { ...weekdays, timeZone: 'Asia/Kolkata' };
+        expect(nextWindow(kolkata, Date.UTC(2026, 9, 19, 12, 0)).startsAt).toBe(Date.UTC(2026, 9, 19, 16, 30));
+    });
+
+    it('stays at the same wall-clock time across a clock change', async () => {
+        // British clocks went forward on 29 March 2026.
+        const { nextWindow } = await loadSeries();
+        const london = { days: [6, 1], start: '22:00', end: '22:40', timeZone: 'Europe/London' };
+        expect(nextWindow(london, Date.UTC(2026, 2, 28, 12, 0)).startsAt).toBe(Date.UTC(2026, 2, 28, 22, 0));
+        expect(nextWindow(london, Date.UTC(2026, 2, 29, 12, 0)).startsAt).toBe(Date.UTC(2026, 2, 30, 21, 0));
+    });
+});
+
+describe('location trail', () => {
+    const T0 = Date.UTC(2026, 6, 27, 18, 0);
+
+    it('accepts a valid position and rejects nonsense', async () => {
+        const { parseLocation } = await loadTrail();
+        expect(parseLocation({ lat: 10, lng: 76, accuracy: 5 })).toEqual({ lat: 10, lng: 76, accuracy: 5 });
+        expect(parseLocation({ lat: 10, lng: 76 })).toEqual({ lat: 10, lng: 76, accuracy: null });
+        expect(parseLocation({ lat: 91, lng: 76 })).toBeNull();
+        expect(parseLocation({ lat: 'x', lng: 76 })).toBeNull();
+        expect(parseLocation(null)).toBeNull();
+    });
+
+    it('replaces the newest fix when updates arrive too close together', async () => {
+        const { appendFix, MIN_FIX_SPACING_MS } = await loadTrail();
+        let trail = appendFix([], { lat: 1, lng: 1, accuracy: 5 }, T0);
+        trail = appendFix(trail, { lat: 2, lng: 2, accuracy: 5 }, T0 + 1000);
+        expect(trail).toHaveLength(1);
+        expect(trail[0].lat).toBe(2);
+
+        trail = appendFix(trail, { lat: 3, lng: 3, accuracy: 5 }, T0 + 1000 + MIN_FIX_SPACING_MS);
+        expect(trail).toHaveLength(2);
+    });
+
+    it('bounds the trail, keeping the newest fixes', async () => {
+        const { appendFix, MAX_TRAIL, MIN_FIX_SPACING_MS } = await loadTrail();
+        let trail = [];
+        for (let i = 0; i < MAX_TRAIL + 5; i++) {
+            trail = appendFix(trail, { lat: i, lng: 0, accuracy: 5 }, T0 + i * MIN_FIX_SPACING_MS);
+        }
+        expect(trail).toHaveLength(MAX_TRAIL);
+        expect(trail.at(-1).lat).toBe(MAX_TRAIL + 4);
+    });
+
+    it('falls back to the registration snapshot, dated when the check-in began', async () => {
+        const { latestFix } = await loadTrail();
+        const fix = latestFix({ createdAt: T0, location: { lat: 1, lng: 2, accuracy: 9 } });
+        expect(fix).toEqual({ lat: 1, lng: 2, accuracy: 9, at: T0 });
+        expect(latestFix({ location: null })).toBeNull();
+    });
 });
 
 describe('number normalisation', () => {
@@ -189,3 +429,574 @@ describe('provider resolution', () => {
         expect(warning).toBeNull();
     });
 });
+
+describe('provider fallback', () => {
+    const loadFresh = async () => {
+        vi.resetModules();
+        return import('../messenger.js');
+    };
+
+    afterEach(() => {
+        delete process.env.MESSAGING_PROVIDER;
+        delete process.env.MESSAGING_FALLBACK_PROVIDER;
+        delete process.env.TWILIO_ACCOUNT_SID;
+        delete process.env.TWILIO_AUTH_TOKEN;
+        delete process.env.TWILIO_FROM_NUMBER;
+        for (const name of ['ACCOUNT_SID', 'API_KEY', 'API_TOKEN', 'CALLER_ID', 'FLOW_URL']) {
+            delete process.env[`EXOTEL_${name}`];
+        }
+        vi.unstubAllGlobals();
+    });
+
+    const configureBoth = () => {
+        process.env.MESSAGING_PROVIDER = 'exotel';
+        process.env.MESSAGING_FALLBACK_PROVIDER = 'twilio';
+        process.env.EXOTEL_ACCOUNT_SID = 'ex';
+        process.env.EXOTEL_API_KEY = 'key';
+        process.env.EXOTEL_API_TOKEN = 'token';
+        process.env.EXOTEL_CALLER_ID = '08000000000';
+        process.env.EXOTEL_FLOW_URL = 'https://flow.test';
+        process.env.TWILIO_ACCOUNT_SID = 'AC123';
+        process.env.TWILIO_AUTH_TOKEN = 'token';
+        process.env.TWILIO_FROM_NUMBER = '+15550000000';
+    };
+
+    it('tries the main provider first, then the fallback', async () => {
+        configureBoth();
+        const { resolveProviders } = await loadFresh();
+        const { providers, warning } = resolveProviders();
+        expect(providers.map((p) => p.name)).toEqual(['exotel', 'twilio']);
+        expect(warning).toBeNull();
+    });
+
+    it('sends through the fallback rather than logging when the main provider is half-configured', async () => {
+        configureBoth();
+        delete process.env.EXOTEL_FLOW_URL;
+        const { resolveProviders } = await loadFresh();
+        const { providers, warning } = resolveProviders();
+        expect(providers.map((p) => p.name)).toEqual(['twilio']);
+        expect(warning).toMatch(/EXOTEL_FLOW_URL/);
+    });
+
+    it('moves a failed call or text on to the fallback', async () => {
+        // Exotel is down; Twilio is fine.
+        configureBoth();
+        vi.stubGlobal('fetch', vi.fn(async (url) => {
+            if (String(url).includes('exotel')) {
+                return new Response(JSON.stringify({}), { status: 503 });
+            }
+            return new Response(JSON.stringify({ sid: 'SID1' }), { status: 201 });
+        }));
+
+        const { dispatchAlert } = await loadFresh();
+        const { results } = await dispatchAlert({
+            userName: 'Priya',
+            expiresAt: Date.now(),
+            contacts: [{ name: 'Sam', phone: '+919876543210' }],
+        });
+
+        expect(results[0].ok).toBe(true);
+        expect(results[0].call).toMatchObject({ ok: true, provider: 'twilio', id: 'SID1', status: 'queued' });
+        expect(results[0].text).toMatchObject({ ok: true, provider: 'twilio' });
+    });
+
+    it('reports both failures when neither provider gets through', async () => {
+        configureBoth();
+        vi.stubGlobal('fetch', vi.fn(async () => new Response('{}', { status: 500 })));
+
+        const { dispatchAlert } = await loadFresh();
+        const { results } = await dispatchAlert({
+            userName: 'Priya',
+            expiresAt: Date.now(),
+            contacts: [{ name: 'Sam', phone: '+919876543210' }],
+        });
+
+        expect(results[0].ok).toBe(false);
+        expect(results[0].text.status).toBe('failed');
+        expect(results[0].text.error).toMatch(/exotel: .*; twilio: /);
+    });
+});
+
+describe('organisation webhook', () => {
+    const record = {
+        id: 'abc',
+        round: 2,
+        userName: 'Priya',
+        note: 'Walking home <b>via</b> the park',
+        expiresAt: Date.UTC(2026, 6, 27, 18, 0),
+        firesAt: Date.UTC(2026, 6, 27, 18, 2),
+        contacts: [{ name: 'Sam', phone: '+919876543210', tier: 1 }],
+        trail: [{ lat: 12.97, lng: 77.59, accuracy: 10, at: Date.UTC(2026, 6, 27, 17, 58) }],
+    };
+
+    afterEach(() => {
+        delete process.env.WEBHOOK_URL;
+        delete process.env.WEBHOOK_SECRET;
+        vi.unstubAllGlobals();
+        vi.useRealTimers();
+    });
+
+    const loadWebhook = async () => {
+        vi.resetModules();
+        return import('../providers/webhook.js');
+    };
+
+    it('carries the check-in, the latest position and the summary, but no phone numbers', async () => {
+        const { buildPayload } = await loadWebhook();
+        const payload = buildPayload(record, { now: Date.UTC(2026, 6, 27, 18, 3) });
+
+        expect(payload).toMatchObject({
+            event: 'checkin.alert',
+            delivery: 'abc-round-2',
+            checkIn: { id: 'abc', round: 2, duress: false, expiresAt: '2026-07-27T18:00:00.000Z' },
+            location: { lat: 12.97, lng: 77.59, mapsUrl: 'https://www.google.com/maps?q=12.97,77.59' },
+            contacts: [{ name: 'Sam', tier: 1 }],
+        });
+        expect(payload.note).toBe('Walking home b via /b the park');
+        expect(payload.summary).toMatch(/Priya/);
+        expect(JSON.stringify(payload)).not.toContain('9876543210');
+    });
+
+    it('signs the timestamp and body with the webhook secret', async () => {
+        process.env.WEBHOOK_URL = 'https://desk.example.test/hooks/safesignal';
+        process.env.WEBHOOK_SECRET = 'desk-secret';
+        const fetchMock = vi.fn(async () => new Response(null, { status: 204 }));
+        vi.stubGlobal('fetch', fetchMock);
+
+        const { buildPayload, sendAlert } = await loadWebhook();
+        expect(await sendAlert(buildPayload(record))).toEqual({ ok: true, status: 204, attempts: 1 });
+
+        const [url, init] = fetchMock.mock.calls[0];
+        expect(url).toBe('https://desk.example.test/hooks/safesignal');
+        const [, t, v1] = init.headers['X-SafeSignal-Signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+        expect(v1).toBe(createHmac('sha256', 'desk-secret').update(`${t}.${init.body}`).digest('hex'));
+    });
+
+    it('retries a server error, but not a refusal', async () => {
+        process.env.WEBHOOK_URL = 'https://desk.example.test/hooks/safesignal';
+        process.env.WEBHOOK_SECRET = 'desk-secret';
+        // Signing is real async work, so the clock is moved on a step at a
+        // time with a real turn of the event loop in between.
+        const realSetTimeout = globalThis.setTimeout;
+        vi.useFakeTimers({ toFake: ['setTimeout'] });
+        const statuses = [503, 502, 200];
+        const fetchMock = vi.fn(async () => new Response(null, { status: statuses.shift() }));
+        vi.stubGlobal('fetch', fetchMock);
+
+        const { buildPayload, sendAlert } = await loadWebhook();
+        let outcome;
+        sendAlert(buildPayload(record)).then((result) => {
+            outcome = result;
+        });
+        for (let step = 0; step < 20 && !outcome; step++) {
+            await new Promise((resolve) => realSetTimeout(resolve, 0));
+            await vi.advanceTimersByTimeAsync(500);
+        }
+        expect(outcome).toEqual({ ok: true, status: 200, attempts: 3 });
+
+        fetchMock.mockClear();
+        fetchMock.mockImplementation(async () => new Response(null, { status: 401 }));
+        expect(await sendAlert(buildPayload(record))).toMatchObject({ ok: false, status: 401, attempts: 1 });
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not post unsigned, and still reaches the contacts', async () => {
+        process.env.WEBHOOK_URL = 'https://desk.example.test/hooks/safesignal';
+        const fetchMock = vi.fn();
+        vi.stubGlobal('fetch', fetchMock);
+        vi.spyOn(console, 'log').mockImplementation(() => { });
+
+        vi.resetModules();
+        const { dispatchAlert, notifyWebhook } = await import('../messenger.js');
+        const { results } = await dispatchAlert(record);
+        const { outcome, warning } = await notifyWebhook(record);
+
+        expect(results[0].ok).toBe(true);
+        expect(outcome).toBeNull();
+        expect(warning).toMatch(/WEBHOOK_SECRET/);
+        expect(fetchMock).not.toHaveBeenCalled();
+        vi.restoreAllMocks();
+    });
+});
+
+describe('contact channels', () => {
+    it('keeps a channel with a usable address and texts by SMS otherwise', async () => {
+        // Falling back keeps the contact: their phone number still reaches them.
+        const { parseChannel } = await import('../channels.js');
+        expect(parseChannel({ channel: 'telegram', address: '123456789' })).toEqual({ channel: 'telegram', address: '123456789' });
+        expect(parseChannel({ channel: 'telegram', address: '@sam_harris' })).toEqual({ channel: 'sms', address: null });
+        expect(parseChannel({ channel: 'email', address: ' sam@example.test ' })).toEqual({ channel: 'email', address: 'sam@example.test' });
+        expect(parseChannel({ channel: 'email', address: 'not an email' })).toEqual({ channel: 'sms', address: null });
+        expect(parseChannel({ channel: 'whatsapp', address: 'ignored' })).toEqual({ channel: 'whatsapp', address: null });
+        expect(parseChannel({ channel: 'pigeon' })).toEqual({ channel: 'sms', address: null });
+        expect(parseChannel({})).toEqual({ channel: 'sms', address: null });
+    });
+});
+
+describe('contact languages', () => {
+    const loadMessages = () => import('../messages.js');
+
+    const record = {
+        userName: 'Priya',
+        note: 'Walking home from the station',
+        expiresAt: Date.UTC(2026, 6, 27, 18, 30),
+        location: { lat: 10.9894, lng: 76.9598, accuracy: 15 },
+        createdAt: Date.UTC(2026, 6, 27, 18, 20),
+    };
+
+    it('keeps a language it has words for and uses English otherwise', async () => {
+        const { parseLanguage } = await loadMessages();
+        expect(parseLanguage({ language: 'hi' })).toEqual({ language: 'hi' });
+        expect(parseLanguage({ language: 'ta' })).toEqual({ language: 'ta' });
+        expect(parseLanguage({ language: 'xx' })).toEqual({ language: 'en' });
+        expect(parseLanguage({})).toEqual({ language: 'en' });
+    });
+
+    it('has every piece of wording in every language', async () => {
+        // A missing key would throw halfway through composing an alert.
+        const { CONTACT_LANGUAGES, catalogueFor } = await loadMessages();
+        const keys = Object.keys(catalogueFor('en')).sort();
+        for (const language of CONTACT_LANGUAGES) {
+            expect(Object.keys(catalogueFor(language)).sort()).toEqual(keys);
+        }
+    });
+
+    it('speaks in the contact\'s language, with a voice that can read it', async () => {
+        const { buildTwiml } = await loadCompose();
+        const twiml = buildTwiml(record, { language: 'hi' });
+
+        expect(twiml.match(/<Say voice="Polly.Aditi" language="hi-IN">/g)).toHaveLength(2);
+        expect(twiml).toContain('सुरक्षा अलर्ट');
+        expect(buildTwiml(record)).toContain('<Say voice="alice" language="en-US">');
+    });
+
+    it('still neutralises what the person typed, whatever the language', async () => {
+        const { buildTwiml, buildTextMessage } = await loadCompose();
+        const hostile = { ...record, userName: 'Priya<Play>', note: '</Say><Play>http://evil</Play><Say>' };
+
+        for (const language of ['hi', 'ta']) {
+            const twiml = buildTwiml(hostile, { language });
+            expect(twiml).not.toContain('<Play>');
+            expect(twiml.match(/<Say/g)).toHaveLength(2);
+            expect(buildTextMessage(hostile, { language })).not.toMatch(/[<>]/);
+        }
+    });
+
+    it('writes the text in the contact\'s language', async () => {
+        const { buildTextMessage } = await loadCompose();
+        const text = buildTextMessage(record, {
+            now: Date.UTC(2026, 6, 27, 18, 45),
+            ackUrl: 'https://safe.example/ack',
+            language: 'ta',
+        });
+
+        expect(text).toContain('Priya');
+        expect(text).toContain('https://www.google.com/maps?q=10.9894,76.9598');
+        expect(text).toContain('25 நிமிடம்');
+        expect(text).toContain('தட்டவும்: https://safe.example/ack');
+        expect(text).not.toMatch(/Last known location/);
+    });
+
+    it('falls back to the English wording for an unknown language', async () => {
+        const { buildTextMessage } = await loadCompose();
+        expect(buildTextMessage(record, { language: 'xx' })).toBe(buildTextMessage(record));
+    });
+});
+
+describe('retrying failed deliveries', () => {
+    const loadRetry = () => import('../retry.js');
+
+    const record = {
+        rounds: [{ round: 1, at: 0, contacts: 3, reached: 1 }],
+        results: [
+            { contact: 'Sam', contactIndex: 0, round: 1, ok: true, call: { ok: true, status: 'queued' }, text: { ok: false } },
+            { contact: 'Asha', contactIndex: 1, round: 1, ok: false, call: { ok: false }, text: { ok: false } },
+            { contact: 'Ravi', contactIndex: 2, round: 1, ok: false, error: 'No usable phone number' },
+        ],
+    };
+
+    it('retries each failed call and text, including a text whose call got through', async () => {
+        const { pendingRetries } = await loadRetry();
+        expect(pendingRetries(record, 1)).toEqual([
+            { contactIndex: 0, channels: ['text'] },
+            { contactIndex: 1, channels: ['call', 'text'] },
+        ]);
+        expect(pendingRetries(record, 2)).toEqual([]);
+    });
+
+    it('retries a message the provider accepted and later reported failed', async () => {
+        const { pendingRetries } = await loadRetry();
+        const reported = {
+            results: [{ contactIndex: 0, round: 1, ok: true, text: { ok: true, status: 'failed' } }],
+        };
+        expect(pendingRetries(reported, 1)).toEqual([{ contactIndex: 0, channels: ['text'] }]);
+    });
+
+    it('folds a retry back into the round and recounts who was reached', async () => {
+        const { applyRetryResults, pendingRetries } = await loadRetry();
+        const updated = applyRetryResults(record, 1, 1, [
+            { contactIndex: 1, call: { ok: true, status: 'queued' }, text: { ok: false } },
+        ], 500);
+
+        expect(updated.results[1]).toMatchObject({ ok: true, call: { ok: true, attempt: 2, at: 500 } });
+        expect(updated.results[0].text).toEqual({ ok: false });
+        expect(updated.rounds[0].reached).toBe(2);
+        expect(pendingRetries(updated, 1)).toEqual([
+            { contactIndex: 0, channels: ['text'] },
+            { contactIndex: 1, channels: ['text'] },
+        ]);
+    });
+
+    it('backs off, then gives up', async () => {
+        const { retryDelay, RETRY_DELAYS_MS } = await loadRetry();
+        expect(retryDelay(2)).toBeGreaterThan(retryDelay(1));
+        expect(retryDelay(RETRY_DELAYS_MS.length + 1)).toBeNull();
+    });
+});
+
+describe('delivery status', () => {
+    const record = {
+        results: [
+            { contact: 'Sam', round: 1, call: { ok: true, id: 'CA1', status: 'queued' }, text: { ok: true, id: 'SM1', status: 'queued' } },
+        ],
+    };
+
+    it('moves a call forward and ignores a late earlier state', async () => {
+        // Callbacks arrive out of order; a late "ringing" must not undo "answered".
+        const { applyDeliveryStatus } = await import('../delivery.js');
+        const answered = applyDeliveryStatus(record, { sid: 'CA1', channel: 'call', state: 'answered' }, 1000);
+
+        expect(answered.results[0].call).toMatchObject({ status: 'answered', statusAt: 1000 });
+        expect(answered.results[0].text.status).toBe('queued');
+        expect(applyDeliveryStatus(answered, { sid: 'CA1', channel: 'call', state: 'ringing' })).toBeNull();
+        expect(applyDeliveryStatus(answered, { sid: 'CA1', channel: 'call', state: 'no-answer' })).toBeNull();
+    });
+
+    it('ignores ids and states it does not know', async () => {
+        const { applyDeliveryStatus } = await import('../delivery.js');
+        expect(applyDeliveryStatus(record, { sid: 'CA9', channel: 'call', state: 'answered' })).toBeNull();
+        expect(applyDeliveryStatus(record, { sid: 'SM1', channel: 'call', state: 'answered' })).toBeNull();
+        expect(applyDeliveryStatus(record, { sid: 'SM1', channel: 'text', state: 'teleported' })).toBeNull();
+    });
+
+    it('reads Twilio and Exotel callbacks into the same states', async () => {
+        const twilio = await import('../providers/twilio.js');
+        const exotel = await import('../providers/exotel.js');
+
+        expect(twilio.readStatusCallback({ CallSid: 'CA1', CallStatus: 'in-progress' }))
+            .toEqual({ sid: 'CA1', channel: 'call', state: 'answered' });
+        expect(twilio.readStatusCallback({ MessageSid: 'SM1', MessageStatus: 'undelivered' }))
+            .toEqual({ sid: 'SM1', channel: 'text', state: 'failed' });
+        expect(exotel.readStatusCallback({ CallSid: 'c1', EventType: 'answered', Status: 'in-progress' }))
+            .toEqual({ sid: 'c1', channel: 'call', state: 'answered' });
+        expect(exotel.readStatusCallback({ SmsSid: 's1', Status: 'sent' }))
+            .toEqual({ sid: 's1', channel: 'text', state: 'delivered' });
+        expect(twilio.readStatusCallback({ AccountSid: 'AC1' })).toBeNull();
+    });
+
+    it('accepts only a correctly signed Twilio callback', async () => {
+        process.env.TWILIO_AUTH_TOKEN = 'twilio-auth';
+        try {
+            vi.resetModules();
+            const { verifySignature } = await import('../providers/twilio.js');
+            const url = 'https://example.test/api/checkin/twilio-status?id=abc';
+            const params = { MessageStatus: 'delivered', MessageSid: 'SM1' };
+            const signature = createHmac('sha1', 'twilio-auth')
+                .update(`${url}MessageSidSM1MessageStatusdelivered`)
+                .digest('base64');
+
+            expect(await verifySignature(url, params, signature)).toBe(true);
+            expect(await verifySignature(url, { ...params, MessageStatus: 'failed' }, signature)).toBe(false);
+            expect(await verifySignature(`${url}x`, params, signature)).toBe(false);
+        } finally {
+            delete process.env.TWILIO_AUTH_TOKEN;
+        }
+    });
+});
+
+describe('storage adapters', () => {
+    const loadStore = async (store, file) => {
+        vi.resetModules();
+        process.env.CHECKIN_STORE = store;
+        if (file) process.env.CHECKIN_STORE_FILE = file;
+        return import('../store.js');
+    };
+
+    afterEach(() => {
+        delete process.env.CHECKIN_STORE;
+        delete process.env.CHECKIN_STORE_FILE;
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+    });
+
+    const record = { id: 'abc', expiresAt: Date.now() + 60_000, status: 'active' };
+
+    // Every adapter must keep the same promises, or a check-in that fires
+    // once on Upstash could fire twice on a laptop, or never at all.
+    describe.each([
+        ['memory', () => undefined],
+        ['file', () => join(tmpdir(), `safesignal-store-${Date.now()}-${Math.random()}.json`)],
+    ])('%s', (store, makeFile) => {
+        it('stores, reads back and deletes a check-in', async () => {
+            const { putCheckIn, getCheckIn, deleteCheckIn } = await loadStore(store, makeFile());
+
+            await putCheckIn(record);
+            expect(await getCheckIn('abc')).toEqual(record);
+
+            await deleteCheckIn('abc');
+            expect(await getCheckIn('abc')).toBeNull();
+        });
+
+        it('lets exactly one of two racing claims through', async () => {
+            const { claimFire } = await loadStore(store, makeFile());
+            const claims = await Promise.all([claimFire('abc'), claimFire('abc')]);
+            expect(claims.filter(Boolean)).toHaveLength(1);
+        });
+
+        it('claims each round separately, and can claim again once released', async () => {
+            const { claimFire, releaseFire } = await loadStore(store, makeFile());
+
+            expect(await claimFire('abc', 1)).toBe(true);
+            expect(await claimFire('abc', 2)).toBe(true);
+            expect(await claimFire('abc', 1)).toBe(false);
+
+            await releaseFire('abc', 1);
+            expect(await claimFire('abc', 1)).toBe(true);
+        });
+
+        it('keeps an acknowledgement through a rewrite of the record', async () => {
+            const { putCheckIn, getCheckIn, recordAcknowledgement } = await loadStore(store, makeFile());
+            const withContacts = { ...record, contacts: [{ name: 'Sam' }, { name: 'Asha' }] };
+            await putCheckIn(withContacts);
+
+            expect(await recordAcknowledgement(withContacts, { index: 1, contact: 'Asha', at: 5 })).toBe(true);
+            expect(await recordAcknowledgement(withContacts, { index: 1, contact: 'Asha', at: 9 })).toBe(false);
+            await putCheckIn({ ...withContacts, status: 'fired' });
+
+            expect(await getCheckIn('abc')).toMatchObject({
+                status: 'fired',
+                acknowledgements: [{ index: 1, contact: 'Asha', at: 5 }],
+            });
+        });
+
+        it('lets a location update land after a fire without undoing it', async () => {
+            const { putCheckIn, getCheckIn, putTrail } = await loadStore(store, makeFile());
+            await putCheckIn(record);
+
+            // location.js has read the record as active; the round fires before it writes.
+            const seen = await getCheckIn('abc');
+            await putCheckIn({ ...record, status: 'fired', rounds: [{ round: 1 }] });
+            await putTrail(seen, [{ lat: 12.97, lng: 77.59, accuracy: 10, at: 5 }]);
+
+            expect(await getCheckIn('abc')).toMatchObject({
+                status: 'fired',
+                rounds: [{ round: 1 }],
+                trail: [{ lat: 12.97, lng: 77.59 }],
+            });
+        });
+
+        it('lets an extension land after a fire without undoing it', async () => {
+            const { putCheckIn, getCheckIn, putDeadline } = await loadStore(store, makeFile());
+            await putCheckIn(record);
+
+            // extend.js has read the record as active; the round fires before it writes.
+            const seen = await getCheckIn('abc');
+            await putCheckIn({ ...record, status: 'fired', rounds: [{ round: 1 }] });
+            await putDeadline(seen, { expiresAt: record.expiresAt + 60_000, firesAt: 0, scheduledMessageId: 'm2' });
+
+            expect(await getCheckIn('abc')).toEqual({ ...record, status: 'fired', rounds: [{ round: 1 }] });
+        });
+
+        it('keeps an extended check-in past its old expiry', async () => {
+            vi.useFakeTimers({ toFake: ['Date'] });
+            const { putCheckIn, getCheckIn, putDeadline } = await loadStore(store, makeFile());
+            const expiresAt = Date.now() + 60_000;
+            await putCheckIn({ ...record, expiresAt });
+
+            const later = expiresAt + 12 * 60 * 60 * 1000;
+            await putDeadline(record, { expiresAt: later, firesAt: later + 60_000, scheduledMessageId: 'm2' });
+            expect(await getCheckIn('abc')).toMatchObject({ status: 'active', expiresAt: later, scheduledMessageId: 'm2' });
+
+            vi.setSystemTime(expiresAt + 25 * 60 * 60 * 1000);
+            expect(await getCheckIn('abc')).toMatchObject({ expiresAt: later });
+        });
+
+        it('drops the trail when a check-in is cancelled', async () => {
+            const { putCheckIn, getCheckIn, putTrail, markCancelled } = await loadStore(store, makeFile());
+            await putCheckIn(record);
+            await putTrail(record, [{ lat: 12.97, lng: 77.59, accuracy: 10, at: 5 }]);
+
+            await markCancelled(record);
+            expect((await getCheckIn('abc')).trail).toBeUndefined();
+        });
+
+        it('forgets a record a day after it was due', async () => {
+            vi.useFakeTimers({ toFake: ['Date'] });
+            const { putCheckIn, getCheckIn } = await loadStore(store, makeFile());
+
+            await putCheckIn({ ...record, expiresAt: Date.now() + 60_000 });
+            vi.setSystemTime(Date.now() + 60_000 + 23 * 60 * 60 * 1000);
+            expect(await getCheckIn('abc')).not.toBeNull();
+
+            vi.setSystemTime(Date.now() + 2 * 60 * 60 * 1000);
+            expect(await getCheckIn('abc')).toBeNull();
+        });
+    });
+
+    it('keeps the file store across a restart', async () => {
+        const file = join(tmpdir(), `safesignal-store-${Date.now()}.json`);
+        await (await loadStore('file', file)).putCheckIn(record);
+
+        const { getCheckIn } = await loadStore('file', file);
+        expect(await getCheckIn('abc')).toEqual(record);
+    });
+
+    it('sends Upstash an atomic SET NX for a claim', async () => {
+        process.env.UPSTASH_REDIS_REST_URL = 'https://redis.test';
+        process.env.UPSTASH_REDIS_REST_TOKEN = 'token';
+        const fetchMock = vi.fn(async () => ({ ok: true, json: async () => ({ result: null }) }));
+        vi.stubGlobal('fetch', fetchMock);
+
+        const { claimFire } = await loadStore('upstash');
+        expect(await claimFire('abc', 2)).toBe(false);
+
+        const command = JSON.parse(fetchMock.mock.calls[0][1].body);
+        expect(command.slice(0, 4)).toEqual(['SET', 'safesignal:checkin:abc:fired:2', '1', 'NX']);
+
+        delete process.env.UPSTASH_REDIS_REST_URL;
+        delete process.env.UPSTASH_REDIS_REST_TOKEN;
+    });
+
+    it('moves an Upstash record\'s expiry with the deadline, without rewriting it', async () => {
+        process.env.UPSTASH_REDIS_REST_URL = 'https://redis.test';
+        process.env.UPSTASH_REDIS_REST_TOKEN = 'token';
+        const fetchMock = vi.fn(async () => ({ ok: true, json: async () => ({ result: 'OK' }) }));
+        vi.stubGlobal('fetch', fetchMock);
+
+        const { putDeadline } = await loadStore('upstash');
+        await putDeadline(record, { expiresAt: record.expiresAt, firesAt: record.expiresAt, scheduledMessageId: 'm2' });
+
+        const commands = fetchMock.mock.calls.map(([, init]) => JSON.parse(init.body));
+        expect(commands.map((command) => command.slice(0, 2))).toEqual([
+            ['SET', 'safesignal:checkin:abc:deadline'],
+            ['EXPIRE', 'safesignal:checkin:abc'],
+        ]);
+
+        delete process.env.UPSTASH_REDIS_REST_URL;
+        delete process.env.UPSTASH_REDIS_REST_TOKEN;
+    });
+
+    it('does not ask for Upstash settings when another store is chosen', async () => {
+        vi.resetModules();
+        process.env.CHECKIN_STORE = 'memory';
+        const { missingConfig } = await import('../config.js');
+        expect(missingConfig().join(' ')).not.toMatch(/UPSTASH/);
+    });
+
+    it('names an unknown store rather than guessing one', async () => {
+        vi.resetModules();
+        process.env.CHECKIN_STORE = 'postgres';
+        const { missingConfig } = await import('../config.js');
+        expect(missingConfig().join(' ')).toMatch(/CHECKIN_STORE/);
+    });
+});
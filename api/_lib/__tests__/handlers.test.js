@@ -1,4 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
 /**
  * Handler-shape tests.
@@ -16,9 +18,9 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 /**
  * Minimal stand-ins for Node's request and response.
  *
- * @param {{ method?: string, body?: any }} options
+ * @param {{ method?: string, body?: any, url?: string, headers?: Object }} options
  */
-const mockReq = ({ method = 'POST', body = {} } = {}) => ({ method, body });
+const mockReq = ({ method = 'POST', body = {}, url = '/', headers = {} } = {}) => ({ method, body, url, headers });
 
 const mockRes = () => {
     const res = {
@@ -60,17 +62,29 @@ describe('endpoint contract', () => {
         vi.resetModules();
     });
 
+    // [name, module, a method it accepts, the Allow header it should send]
     const endpoints = [
-        ['start', '../../checkin/start.js'],
-        ['safe', '../../checkin/safe.js'],
-        ['fire', '../../checkin/fire.js'],
+        ['start', '../../checkin/start.js', 'POST', 'POST'],
+        ['safe', '../../checkin/safe.js', 'POST', 'POST'],
+        ['fire', '../../checkin/fire.js', 'POST', 'POST'],
+        ['location', '../../checkin/location.js', 'POST', 'POST'],
+        ['ack', '../../checkin/ack.js', 'GET', 'GET, POST'],
+        ['acknowledgements', '../../checkin/acknowledgements.js', 'GET', 'GET'],
+        ['status', '../../checkin/status.js', 'GET', 'GET'],
+        ['extend', '../../checkin/extend.js', 'POST', 'POST'],
+        ['twilio-status', '../../checkin/twilio-status.js', 'POST', 'POST'],
+        ['exotel-status', '../../checkin/exotel-status.js', 'POST', 'POST'],
+        ['series', '../../checkin/series.js', 'POST', 'POST'],
+        ['series-open', '../../checkin/series-open.js', 'POST', 'POST'],
+        ['series-stop', '../../checkin/series-stop.js', 'POST', 'POST'],
+        ['series-current', '../../checkin/series-current.js', 'GET', 'GET'],
     ];
 
-    for (const [name, path] of endpoints) {
+    for (const [name, path, method, allow] of endpoints) {
         it(`${name} always writes a response`, async () => {
             const handler = await loadHandler(path);
             const res = mockRes();
-            await handler(mockReq(), res);
+            await handler(mockReq({ method }), res);
 
             // The whole point: a handler that returns without ending the
             // response leaves the request hanging.
@@ -81,20 +95,20 @@ describe('endpoint contract', () => {
         it(`${name} rejects the wrong method with 405`, async () => {
             const handler = await loadHandler(path);
             const res = mockRes();
-            await handler(mockReq({ method: 'GET' }), res);
+            await handler(mockReq({ method: 'PUT' }), res);
 
             expect(res.ended).toBe(true);
             expect(res.statusCode).toBe(405);
-            expect(res.headers.allow).toBe('POST');
+            expect(res.headers.allow).toBe(allow);
         });
 
         it(`${name} reports 503 when nothing is configured`, async () => {
             const handler = await loadHandler(path);
             const res = mockRes();
-            await handler(mockReq(), res);
+            await handler(mockReq({ method }), res);
 
             expect(res.statusCode).toBe(503);
-            expect(res.payload.error).toMatch(/not configured/i);
+            expect(JSON.stringify(res.payload)).toMatch(/not configured/i);
         });
     }
 
@@ -175,6 +189,125 @@ describe('request validation once configured', () => {
         expect(res.payload.error).toMatch(/no such check-in/i);
     });
 
+    it('answers a duress cancel with a wrong token exactly as a plain cancel', async () => {
+        const handler = await loadHandler('../../checkin/safe.js');
+        const plain = mockRes();
+        const duress = mockRes();
+        await handler(mockReq({ body: { id: 'abc', token: 'wrong' } }), plain);
+        await handler(mockReq({ body: { id: 'abc', token: 'wrong', duress: true } }), duress);
+
+        expect(duress.statusCode).toBe(plain.statusCode);
+        expect(duress.payload).toEqual(plain.payload);
+    });
+
+    it('refuses a location update with a wrong token, without revealing the id', async () => {
+        // A forged trail would send searchers to the wrong street.
+        const handler = await loadHandler('../../checkin/location.js');
+        const res = mockRes();
+        await handler(mockReq({ body: { id: 'abc', token: 'wrong', location: { lat: 1, lng: 2 } } }), res);
+
+        expect(res.statusCode).toBe(404);
+        expect(res.payload.error).toMatch(/no such check-in/i);
+    });
+
+    it('requires id and token to update the location', async () => {
+        const handler = await loadHandler('../../checkin/location.js');
+        const res = mockRes();
+        await handler(mockReq({ body: { location: { lat: 1, lng: 2 } } }), res);
+
+        expect(res.statusCode).toBe(400);
+    });
+
+    it('will not record an acknowledgement from a forged link', async () => {
+        // A forged "I'm on it" would stop the next round of calls.
+        const handler = await loadHandler('../../checkin/ack.js');
+        const res = mockRes();
+        await handler(mockReq({ method: 'POST', url: '/api/checkin/ack?id=abc&c=0&t=forged' }), res);
+
+        expect(res.statusCode).toBe(404);
+        expect(res.headers['content-type']).toMatch(/text\/html/);
+    });
+
+    it('keeps the token for reading acknowledgements out of the URL', async () => {
+        const handler = await loadHandler('../../checkin/acknowledgements.js');
+        const res = mockRes();
+        await handler(mockReq({ method: 'GET', url: '/api/checkin/acknowledgements?id=abc&token=x' }), res);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.payload.error).toMatch(/bearer/i);
+    });
+
+    it('refuses to list acknowledgements with a wrong token', async () => {
+        const handler = await loadHandler('../../checkin/acknowledgements.js');
+        const res = mockRes();
+        await handler(
+            mockReq({
+                method: 'GET',
+                url: '/api/checkin/acknowledgements?id=abc',
+                headers: { authorization: 'Bearer wrong' },
+            }),
+            res,
+        );
+
+        expect(res.statusCode).toBe(404);
+    });
+
+    it('refuses to report status with a wrong token', async () => {
+        // Whether someone's alert has fired is exactly what a person
+        // watching them would want to know.
+        const handler = await loadHandler('../../checkin/status.js');
+        const res = mockRes();
+        await handler(
+            mockReq({ method: 'GET', url: '/api/checkin/status?id=abc', headers: { authorization: 'Bearer wrong' } }),
+            res,
+        );
+
+        expect(res.statusCode).toBe(404);
+    });
+
+    it('refuses to extend with a wrong token, without revealing the id', async () => {
+        const handler = await loadHandler('../../checkin/extend.js');
+        const res = mockRes();
+        await handler(mockReq({ body: { id: 'abc', token: 'wrong', extraMs: 900_000 } }), res);
+
+        expect(res.statusCode).toBe(404);
+    });
+
+    it('ignores a Twilio status callback without a valid signature', async () => {
+        // A forged "answered" would tell the person someone had picked up.
+        process.env.TWILIO_AUTH_TOKEN = 'twilio-auth';
+        try {
+            const handler = await loadHandler('../../checkin/twilio-status.js');
+            const res = mockRes();
+            await handler(
+                mockReq({
+                    url: '/api/checkin/twilio-status?id=abc',
+                    body: { CallSid: 'CA1', CallStatus: 'in-progress' },
+                    headers: { 'x-twilio-signature': 'forged' },
+                }),
+                res,
+            );
+
+            expect(res.statusCode).toBe(403);
+        } finally {
+            delete process.env.TWILIO_AUTH_TOKEN;
+        }
+    });
+
+    it('ignores an Exotel status callback without the right token', async () => {
+        const handler = await loadHandler('../../checkin/exotel-status.js');
+        const res = mockRes();
+        await handler(
+            mockReq({
+                url: '/api/checkin/exotel-status?id=abc&t=forged',
+                body: { CallSid: 'c1', EventType: 'answered' },
+            }),
+            res,
+        );
+
+        expect(res.statusCode).toBe(403);
+    });
+
     it('refuses to fire with a wrong token', async () => {
         const handler = await loadHandler('../../checkin/fire.js');
         const res = mockRes();
@@ -182,4 +315,652 @@ describe('request validation once configured', () => {
 
         expect(res.statusCode).toBe(403);
     });
+
+    it('refuses a plan it cannot read', async () => {
+        const handler = await loadHandler('../../checkin/series.js');
+        const res = mockRes();
+        await handler(
+            mockReq({
+                body: {
+                    plan: { days: [1], start: '22:00', end: '22:40', timeZone: 'Nowhere/Special' },
+                    contacts: [{ phone: '+911234567890' }],
+                },
+            }),
+            res,
+        );
+
+        expect(res.statusCode).toBe(400);
+        expect(res.payload.error).toMatch(/timeZone/);
+    });
+
+    it('refuses to open, stop or read a plan with a wrong token', async () => {
+        const open = await loadHandler('../../checkin/series-open.js');
+        const openRes = mockRes();
+        await open(mockReq({ body: { id: 'abc', token: 'wrong', startsAt: 1 } }), openRes);
+        expect(openRes.statusCode).toBe(403);
+
+        const stop = await loadHandler('../../checkin/series-stop.js');
+        const stopRes = mockRes();
+        await stop(mockReq({ body: { id: 'abc', token: 'wrong' } }), stopRes);
+        expect(stopRes.statusCode).toBe(404);
+
+        const current = await loadHandler('../../checkin/series-current.js');
+        const currentRes = mockRes();
+        await current(
+            mockReq({
+                method: 'GET',
+                url: '/api/checkin/series-current?id=abc',
+                headers: { authorization: 'Bearer wrong' },
+            }),
+            currentRes,
+        );
+        expect(currentRes.statusCode).toBe(404);
+    });
+});
+
+describe('a check-in on one self-hosted box', () => {
+    // The memory store and the local scheduler: the whole start → fire flow
+    // with no Upstash account and nobody rung, since the provider only logs.
+    beforeEach(() => {
+        process.env.PUBLIC_BASE_URL = 'https://example.test';
+        process.env.CHECKIN_SIGNING_SECRET = 'a'.repeat(48);
+        process.env.CHECKIN_STORE = 'memory';
+        process.env.CHECKIN_SCHEDULER = 'local';
+        process.env.MESSAGING_PROVIDER = 'console';
+        delete process.env.UPSTASH_REDIS_REST_URL;
+        delete process.env.UPSTASH_REDIS_REST_TOKEN;
+        delete process.env.QSTASH_TOKEN;
+        vi.spyOn(console, 'log').mockImplementation(() => { });
+        vi.useFakeTimers({ toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+        delete process.env.CHECKIN_STORE;
+        delete process.env.CHECKIN_STORE_FILE;
+        delete process.env.CHECKIN_SCHEDULER;
+        delete process.env.MESSAGING_PROVIDER;
+        vi.resetModules();
+    });
+
+    const load = async () => {
+        vi.resetModules();
+        return {
+            start: (await import('../../checkin/start.js')).default,
+            safe: (await import('../../checkin/safe.js')).default,
+            // Loaded up front so the scheduler's own import of it is instant.
+            fire: (await import('../../checkin/fire.js')).default,
+            status: (await import('../../checkin/status.js')).default,
+            extend: (await import('../../checkin/extend.js')).default,
+            store: await import('../store.js'),
+            scheduler: await import('../scheduler.js'),
+        };
+    };
+
+    const startCheckIn = async (start) => {
+        const res = mockRes();
+        await start(
+            mockReq({ body: { durationMs: 60_000, contacts: [{ name: 'Sam', phone: '+919876543210' }] } }),
+            res,
+        );
+        expect(res.statusCode).toBe(201);
+        return res.payload;
+    };
+
+    /** How many calls the console provider has pretended to place. */
+    const callsPlaced = () => console.log.mock.calls.filter(([first]) => first === '[SafeSignal] would call').length;
+
+    it('fires at the deadline with no Upstash or QStash configured', async () => {
+        const { start, store } = await load();
+        const { id } = await startCheckIn(start);
+        expect(await store.getScheduledJobs()).toHaveLength(1);
+
+        await vi.advanceTimersByTimeAsync(2 * 60_000);
+        await vi.waitFor(async () => {
+            expect((await store.getCheckIn(id)).status).toBe('fired');
+        });
+    });
+
+    const readStatus = async (status, id, token, query = '') => {
+        const res = mockRes();
+        await status(
+            mockReq({
+                method: 'GET',
+                url: `/api/checkin/status?id=${id}${query}`,
+                headers: { authorization: `Bearer ${token}` },
+            }),
+            res,
+        );
+        expect(res.statusCode).toBe(200);
+        return res.payload;
+    };
+
+    it('saves who was reached without waiting for a slow webhook', async () => {
+        process.env.WEBHOOK_URL = 'https://desk.example.test/hooks/safesignal';
+        process.env.WEBHOOK_SECRET = 'desk-secret';
+        let answerWebhook;
+        const fetchMock = vi.fn(() => new Promise((resolve) => {
+            answerWebhook = () => resolve(new Response(null, { status: 200 }));
+        }));
+        vi.stubGlobal('fetch', fetchMock);
+
+        try {
+            const { start, store } = await load();
+            const { id } = await startCheckIn(start);
+
+            await vi.advanceTimersByTimeAsync(2 * 60_000);
+            await vi.waitFor(async () => {
+                expect((await store.getCheckIn(id)).results).toHaveLength(1);
+            });
+
+            await vi.waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(1));
+            answerWebhook();
+        } finally {
+            vi.unstubAllGlobals();
+            delete process.env.WEBHOOK_URL;
+            delete process.env.WEBHOOK_SECRET;
+        }
+    });
+
+    it('keeps pushed fixes through the fire, and refuses more after it', async () => {
+        const { start, store } = await load();
+        const location = (await import('../../checkin/location.js')).default;
+        const { id, token } = await startCheckIn(start);
+        const push = async () => {
+            const res = mockRes();
+            await location(mockReq({ body: { id, token, location: { lat: 12.97, lng: 77.59, accuracy: 10 } } }), res);
+            return res;
+        };
+
+        expect((await push()).statusCode).toBe(200);
+
+        await vi.advanceTimersByTimeAsync(2 * 60_000);
+        await vi.waitFor(async () => {
+            expect((await store.getCheckIn(id)).status).toBe('fired');
+        });
+        expect((await store.getCheckIn(id)).trail).toMatchObject([{ lat: 12.97, lng: 77.59 }]);
+        expect((await push()).statusCode).toBe(409);
+    });
+
+    it('reports the phase, the deadline and who was reached', async () => {
+        const { start, status } = await load();
+        const { id, token, firesAt } = await startCheckIn(start);
+
+        const before = await readStatus(status, id, token);
+        expect(before).toMatchObject({ phase: 'active', firesAt, results: [] });
+        expect(JSON.stringify(before)).not.toContain('+919876543210');
+
+        await vi.advanceTimersByTimeAsync(2 * 60_000);
+        await vi.waitFor(async () => {
+            expect((await readStatus(status, id, token)).phase).toBe('fired');
+        });
+
+        const after = await readStatus(status, id, token);
+        expect(after.results).toEqual([
+            { contact: 'Sam', round: 1, ok: true, call: true, text: true, callStatus: 'queued', textStatus: 'queued' },
+        ]);
+        expect(after.nextRoundAt).toBeGreaterThan(Date.now());
+    });
+
+    it('records an answered call reported by the provider', async () => {
+        const { start, status, store } = await load();
+        const exotelStatus = (await import('../../checkin/exotel-status.js')).default;
+        const { signCallback } = await import('../tokens.js');
+        const { id, token } = await startCheckIn(start);
+
+        await vi.advanceTimersByTimeAsync(2 * 60_000);
+        await vi.waitFor(async () => {
+            expect((await store.getCheckIn(id)).status).toBe('fired');
+        });
+        const callId = (await store.getCheckIn(id)).results[0].call.id;
+
+        const res = mockRes();
+        await exotelStatus(
+            mockReq({
+                url: `/api/checkin/exotel-status?id=${id}&t=${await signCallback(id, 'exotel')}`,
+                headers: { 'content-type': 'application/json' },
+                body: { CallSid: callId, EventType: 'answered', Status: 'in-progress' },
+            }),
+            res,
+        );
+        expect(res.payload).toEqual({ ok: true, recorded: true });
+
+        const [result] = (await readStatus(status, id, token)).results;
+        expect(result).toMatchObject({ callStatus: 'answered', textStatus: 'queued' });
+    });
+
+    /** Post an Exotel call status for a check-in, as Exotel would. */
+    const postCallStatus = async (id, callId, status = 'answered') => {
+        const exotelStatus = (await import('../../checkin/exotel-status.js')).default;
+        const { signCallback } = await import('../tokens.js');
+        const res = mockRes();
+        await exotelStatus(
+            mockReq({
+                url: `/api/checkin/exotel-status?id=${id}&t=${await signCallback(id, 'exotel')}`,
+                headers: { 'content-type': 'application/json' },
+                body: { CallSid: callId, EventType: status === 'answered' ? 'answered' : 'terminal', Status: status },
+            }),
+            res,
+        );
+        return res;
+    };
+
+    const firedRecord = (id) => ({
+        id,
+        status: 'fired',
+        expiresAt: Date.now(),
+        contacts: [{ name: 'Sam' }, { name: 'Asha' }],
+        results: [
+            { contact: 'Sam', contactIndex: 0, round: 1, ok: true, call: { ok: true, id: 'CA1', status: 'queued' } },
+            { contact: 'Asha', contactIndex: 1, round: 1, ok: true, call: { ok: true, id: 'CA2', status: 'queued' } },
+        ],
+    });
+
+    it('keeps a status that arrives before the round has saved its results', async () => {
+        const { store } = await load();
+        const record = firedRecord('early');
+        await store.putCheckIn({ ...record, status: 'active', results: undefined });
+
+        // The provider calls back while the round is still dispatching.
+        const res = await postCallStatus('early', 'CA1');
+        expect(res.payload).toEqual({ ok: true, recorded: true });
+
+        await store.putCheckIn(record);
+        const [sam, asha] = (await store.getCheckIn('early')).results;
+        expect(sam.call.status).toBe('answered');
+        expect(asha.call.status).toBe('queued');
+    });
+
+    it('keeps both of two callbacks that arrive together', async () => {
+        // The file store's reads and writes take long enough for two
+        // callbacks to overlap, as they do against Redis.
+        process.env.CHECKIN_STORE = 'file';
+        process.env.CHECKIN_STORE_FILE = join(tmpdir(), `safesignal-together-${Date.now()}.json`);
+        const { store } = await load();
+        await store.putCheckIn(firedRecord('together'));
+
+        await Promise.all([postCallStatus('together', 'CA1'), postCallStatus('together', 'CA2', 'no-answer')]);
+
+        const [sam, asha] = (await store.getCheckIn('together')).results;
+        expect(sam.call.status).toBe('answered');
+        expect(asha.call.status).toBe('no-answer');
+    });
+
+    it('does not let a late ringing undo an answer', async () => {
+        const { store } = await load();
+        await store.putCheckIn(firedRecord('late'));
+
+        await postCallStatus('late', 'CA1');
+        await postCallStatus('late', 'CA1', 'ringing');
+
+        expect((await store.getCheckIn('late')).results[0].call.status).toBe('answered');
+    });
+
+    it('retries a failed text after a minute', async () => {
+        process.env.MESSAGING_PROVIDER = 'twilio';
+        process.env.TWILIO_ACCOUNT_SID = 'AC123';
+        process.env.TWILIO_AUTH_TOKEN = 'token';
+        process.env.TWILIO_FROM_NUMBER = '+15550000000';
+        let textsRefused = 1;
+        vi.stubGlobal('fetch', vi.fn(async (url) => {
+            if (String(url).endsWith('/Messages.json') && textsRefused-- > 0) {
+                return new Response(JSON.stringify({ message: 'Carrier unavailable' }), { status: 503 });
+            }
+            return new Response(JSON.stringify({ sid: `SID${Date.now()}` }), { status: 201 });
+        }));
+
+        try {
+            const { start, status, store } = await load();
+            const { id, token } = await startCheckIn(start);
+
+            await vi.advanceTimersByTimeAsync(2 * 60_000);
+            await vi.waitFor(async () => {
+                expect((await readStatus(status, id, token)).results[0]).toMatchObject({ call: true, text: false });
+            });
+            expect((await store.getCheckIn(id)).nextRetryAt).toBeGreaterThan(Date.now());
+
+            await vi.advanceTimersByTimeAsync(60_000);
+            await vi.waitFor(async () => {
+                expect((await readStatus(status, id, token)).results[0]).toMatchObject({ text: true });
+            });
+            expect((await store.getCheckIn(id)).results[0].text.attempt).toBe(2);
+        } finally {
+            vi.unstubAllGlobals();
+            delete process.env.TWILIO_ACCOUNT_SID;
+            delete process.env.TWILIO_AUTH_TOKEN;
+            delete process.env.TWILIO_FROM_NUMBER;
+        }
+    });
+
+    it('keeps an acknowledgement that lands while a round is going out', async () => {
+        process.env.MESSAGING_PROVIDER = 'twilio';
+        process.env.TWILIO_ACCOUNT_SID = 'AC123';
+        process.env.TWILIO_AUTH_TOKEN = 'token';
+        process.env.TWILIO_FROM_NUMBER = '+15550000000';
+        let duringDispatch = null;
+        vi.stubGlobal('fetch', vi.fn(async () => {
+            const task = duringDispatch;
+            duringDispatch = null;
+            await task?.();
+            return new Response(JSON.stringify({ sid: `SID${Date.now()}` }), { status: 201 });
+        }));
+
+        try {
+            const { start, store } = await load();
+            const ack = (await import('../../checkin/ack.js')).default;
+            const { signAck } = await import('../tokens.js');
+            const res = mockRes();
+            await start(
+                mockReq({
+                    body: {
+                        durationMs: 60_000,
+                        contacts: [
+                            { name: 'Sam', phone: '+919876543210', tier: 1 },
+                            { name: 'Asha', phone: '+919876543211', tier: 2 },
+                        ],
+                    },
+                }),
+                res,
+            );
+            const { id } = res.payload;
+
+            await vi.advanceTimersByTimeAsync(2 * 60_000);
+            await vi.waitFor(async () => {
+                expect((await store.getCheckIn(id)).rounds).toHaveLength(1);
+            });
+
+            // Sam taps "I'm on it" while round two is ringing Asha.
+            const ackRes = mockRes();
+            duringDispatch = async () => {
+                await ack(
+                    mockReq({ url: `/api/checkin/ack?id=${id}&c=0&t=${await signAck(id, 0)}` }),
+                    ackRes,
+                );
+            };
+            await vi.advanceTimersByTimeAsync(10 * 60_000);
+            await vi.waitFor(async () => {
+                expect((await store.getCheckIn(id)).rounds).toHaveLength(2);
+            });
+            expect(ackRes.statusCode).toBe(200);
+
+            const record = await store.getCheckIn(id);
+            expect(record.acknowledgements).toMatchObject([{ index: 0, contact: 'Sam' }]);
+            expect(record.nextRoundAt).toBeNull();
+        } finally {
+            vi.unstubAllGlobals();
+            delete process.env.TWILIO_ACCOUNT_SID;
+            delete process.env.TWILIO_AUTH_TOKEN;
+            delete process.env.TWILIO_FROM_NUMBER;
+        }
+    });
+
+    it('lets a contact read the status with their own link token', async () => {
+        const { start, status } = await load();
+        const { id } = await startCheckIn(start);
+        const { signAck } = await import('../tokens.js');
+
+        expect((await readStatus(status, id, await signAck(id, 0), '&c=0')).phase).toBe('active');
+    });
+
+    it('withdraws the callback when the person says they are safe', async () => {
+        const { start, safe, store, status } = await load();
+        const { id, token } = await startCheckIn(start);
+
+        await safe(mockReq({ body: { id, token } }), mockRes());
+        expect(await store.getScheduledJobs()).toHaveLength(0);
+        expect((await readStatus(status, id, token)).phase).toBe('cancelled');
+        expect((await store.getCheckIn(id)).contacts).toBeUndefined();
+
+        await vi.advanceTimersByTimeAsync(2 * 60_000);
+        expect(callsPlaced()).toBe(0);
+    });
+
+    it('answers a duress cancel before any call goes out, then sends round one', async () => {
+        // Waiting for the calls would make the answer seconds slower than a
+        // real cancel, for whoever is holding the phone to notice.
+        const { start, safe, store } = await load();
+        const { id, token } = await startCheckIn(start);
+
+        const res = mockRes();
+        await safe(mockReq({ body: { id, token, duress: true } }), res);
+        expect(res.payload).toEqual({ ok: true, cancelled: true });
+        expect(callsPlaced()).toBe(0);
+
+        // Long before the deadline.
+        await vi.advanceTimersByTimeAsync(1000);
+        await vi.waitFor(async () => {
+            expect((await store.getCheckIn(id)).status).toBe('fired');
+        });
+        expect((await store.getCheckIn(id)).duress).toBe(true);
+        expect(callsPlaced()).toBe(1);
+    });
+
+    it('flags a duress cancel after round one without undoing the round', async () => {
+        const { start, safe, store } = await load();
+        const { id, token } = await startCheckIn(start);
+        await vi.advanceTimersByTimeAsync(2 * 60_000);
+        await vi.waitFor(async () => {
+            expect((await store.getCheckIn(id)).status).toBe('fired');
+        });
+
+        const res = mockRes();
+        await safe(mockReq({ body: { id, token, duress: true } }), res);
+        expect(res.payload).toEqual({ ok: true, cancelled: true });
+        expect(await store.getCheckIn(id)).toMatchObject({
+            status: 'fired',
+            duress: true,
+            rounds: [expect.objectContaining({ round: 1 })],
+        });
+    });
+
+    it('moves the server deadline when the person extends', async () => {
+        // The false alarm this prevents: a family called about a walk that
+        // was simply taking longer.
+        const { start, extend, store } = await load();
+        const { id, token, firesAt } = await startCheckIn(start);
+
+        const res = mockRes();
+        await extend(mockReq({ body: { id, token, extraMs: 15 * 60_000 } }), res);
+        expect(res.statusCode).toBe(200);
+        expect(res.payload.firesAt).toBe(firesAt + 15 * 60_000);
+        expect(await store.getScheduledJobs()).toHaveLength(1);
+
+        await vi.advanceTimersByTimeAsync(2 * 60_000);
+        expect((await store.getCheckIn(id)).status).toBe('active');
+
+        await vi.advanceTimersByTimeAsync(15 * 60_000);
+        await vi.waitFor(async () => {
+            expect((await store.getCheckIn(id)).status).toBe('fired');
+        });
+    });
+
+    it('ignores the old callback if withdrawing it failed', async () => {
+        const { start, extend, fire } = await load();
+        const { id, token } = await startCheckIn(start);
+        await extend(mockReq({ body: { id, token, extraMs: 15 * 60_000 } }), mockRes());
+
+        await vi.advanceTimersByTimeAsync(2 * 60_000);
+        const res = mockRes();
+        await fire(mockReq({ body: { id, token } }), res);
+
+        expect(res.payload.fired).toBe(false);
+        expect(res.payload.reason).toMatch(/extended/);
+    });
+
+    it('refuses to extend once the alert has gone out', async () => {
+        const { start, extend, store } = await load();
+        const { id, token } = await startCheckIn(start);
+
+        await vi.advanceTimersByTimeAsync(2 * 60_000);
+        await vi.waitFor(async () => {
+            expect((await store.getCheckIn(id)).status).toBe('fired');
+        });
+
+        const res = mockRes();
+        await extend(mockReq({ body: { id, token, extraMs: 15 * 60_000 } }), res);
+        expect(res.statusCode).toBe(409);
+    });
+
+    it('picks pending callbacks up again after a restart', async () => {
+        process.env.CHECKIN_STORE = 'file';
+        process.env.CHECKIN_STORE_FILE = join(tmpdir(), `safesignal-restart-${Date.now()}.json`);
+
+        const { id } = await startCheckIn((await load()).start);
+
+        // The old process dies with its timers; the new one has only the file.
+        vi.clearAllTimers();
+        const { store, scheduler } = await load();
+        expect(await scheduler.resumeScheduledFires()).toBe(1);
+
+        await vi.advanceTimersByTimeAsync(2 * 60_000);
+        await vi.waitFor(async () => {
+            expect((await store.getCheckIn(id)).status).toBe('fired');
+        });
+    });
+});
+
+describe('a recurring plan on one self-hosted box', () => {
+    // Monday 19 October 2026, ten minutes before the plan's first window.
+    const MONDAY_2150 = Date.UTC(2026, 9, 19, 21, 50);
+    const plan = { days: [1, 2, 3, 4, 5], start: '22:00', end: '22:10', timeZone: 'UTC' };
+
+    beforeEach(() => {
+        process.env.PUBLIC_BASE_URL = 'https://example.test';
+        process.env.CHECKIN_SIGNING_SECRET = 'a'.repeat(48);
+        process.env.CHECKIN_STORE = 'memory';
+        process.env.CHECKIN_SCHEDULER = 'local';
+        process.env.MESSAGING_PROVIDER = 'console';
+        delete process.env.UPSTASH_REDIS_REST_URL;
+        delete process.env.UPSTASH_REDIS_REST_TOKEN;
+        delete process.env.QSTASH_TOKEN;
+        vi.spyOn(console, 'log').mockImplementation(() => { });
+        vi.useFakeTimers({ toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+        vi.setSystemTime(MONDAY_2150);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+        delete process.env.CHECKIN_STORE;
+        delete process.env.CHECKIN_SCHEDULER;
+        delete process.env.MESSAGING_PROVIDER;
+        vi.resetModules();
+    });
+
+    const load = async () => {
+        vi.resetModules();
+        return {
+            series: (await import('../../checkin/series.js')).default,
+            // Loaded up front so the scheduler's own imports of them are instant.
+            open: (await import('../../checkin/series-open.js')).default,
+            fire: (await import('../../checkin/fire.js')).default,
+            stop: (await import('../../checkin/series-stop.js')).default,
+            current: (await import('../../checkin/series-current.js')).default,
+            safe: (await import('../../checkin/safe.js')).default,
+            store: await import('../store.js'),
+        };
+    };
+
+    const register = async (series) => {
+        const res = mockRes();
+        await series(mockReq({ body: { plan, note: 'Walking home', contacts: [{ name: 'Sam', phone: '+919876543210' }] } }), res);
+        expect(res.statusCode).toBe(201);
+        return res.payload;
+    };
+
+    const readCurrent = async (current, id, token) => {
+        const res = mockRes();
+        await current(
+            mockReq({
+                method: 'GET',
+                url: `/api/checkin/series-current?id=${id}`,
+                headers: { authorization: `Bearer ${token}` },
+            }),
+            res,
+        );
+        expect(res.statusCode).toBe(200);
+        return res.payload;
+    };
+
+    it('opens a check-in at the window and fires if it is missed', async () => {
+        const { series, current, store } = await load();
+        const { id, token, nextWindow } = await register(series);
+        expect(nextWindow.startsAt).toBe(Date.UTC(2026, 9, 19, 22, 0));
+        expect((await readCurrent(current, id, token)).current).toBeNull();
+
+        await vi.advanceTimersByTimeAsync(10 * 60_000);
+        const opened = await vi.waitFor(async () => {
+            const state = await readCurrent(current, id, token);
+            expect(state.current).not.toBeNull();
+            return state;
+        });
+        expect(opened.current).toMatchObject({ phase: 'active', windowStartsAt: nextWindow.startsAt, expiresAt: nextWindow.endsAt });
+        expect(opened.nextWindow.startsAt).toBe(Date.UTC(2026, 9, 20, 22, 0));
+
+        await vi.advanceTimersByTimeAsync(12 * 60_000);
+        await vi.waitFor(async () => {
+            expect((await store.getCheckIn(opened.current.id)).status).toBe('fired');
+        });
+    });
+
+    it('lets the person say they are safe with the token it hands out', async () => {
+        const { series, current, safe, store } = await load();
+        const { id, token } = await register(series);
+
+        await vi.advanceTimersByTimeAsync(10 * 60_000);
+        const handle = await vi.waitFor(async () => {
+            const state = await readCurrent(current, id, token);
+            expect(state.current).not.toBeNull();
+            return state.current;
+        });
+
+        const res = mockRes();
+        await safe(mockReq({ body: { id: handle.id, token: handle.token } }), res);
+        expect(res.statusCode).toBe(200);
+
+        await vi.advanceTimersByTimeAsync(12 * 60_000);
+        expect((await store.getCheckIn(handle.id)).status).toBe('cancelled');
+        expect((await readCurrent(current, id, token)).phase).toBe('active');
+    });
+
+    it('opens one check-in for a callback delivered twice', async () => {
+        const { series, open, store } = await load();
+        const { id, token, nextWindow } = await register(series);
+
+        await vi.advanceTimersByTimeAsync(10 * 60_000);
+        await vi.waitFor(async () => {
+            expect((await store.getSeries(id)).current).toBeTruthy();
+        });
+
+        const res = mockRes();
+        await open(mockReq({ body: { id, token, startsAt: nextWindow.startsAt } }), res);
+        expect(res.statusCode).toBe(200);
+        expect(res.payload.opened).toBe(false);
+    });
+
+    it('opens nothing more once stopped, but leaves an open window running', async () => {
+        const { series, stop, current, store } = await load();
+        const { id, token } = await register(series);
+
+        await vi.advanceTimersByTimeAsync(10 * 60_000);
+        const handle = await vi.waitFor(async () => {
+            const state = await readCurrent(current, id, token);
+            expect(state.current).not.toBeNull();
+            return state.current;
+        });
+
+        const res = mockRes();
+        await stop(mockReq({ body: { id, token } }), res);
+        expect(res.payload.stopped).toBe(true);
+        expect((await readCurrent(current, id, token)).phase).toBe('stopped');
+
+        // Stopping the plan is no way round "I'm safe" and its codes.
+        await vi.advanceTimersByTimeAsync(12 * 60_000);
+        await vi.waitFor(async () => {
+            expect((await store.getCheckIn(handle.id)).status).toBe('fired');
+        });
+        const jobs = await store.getScheduledJobs();
+        expect(jobs.filter((job) => job.endpoint === '/api/checkin/series-open')).toHaveLength(0);
+    });
 });
@@ -0,0 +1,35 @@
+/**
+ * How each contact would rather get the text.
+ *
+ * Plenty of people never look at SMS but answer WhatsApp or Telegram within a
+ * minute. So a contact can choose to get the text there, or by email. Calls
+ * still go to their phone number, and so does an SMS if their chosen channel
+ * fails, so picking a channel never leaves them worse off than plain SMS.
+ */
+
+/** Channels a contact may choose, mirrored in the app's contact screen. */
+export const CONTACT_CHANNELS = ['sms', 'whatsapp', 'telegram', 'email'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/** A bot can only write to a person by their numeric chat id, not their @username. */
+const TELEGRAM_PATTERN = /^\d{1,20}$/;
+
+/**
+ * Read a contact's channel and the address it needs, falling back to SMS
+ * rather than rejecting the contact. Their phone number still reaches them.
+ *
+ * WhatsApp is addressed by the phone number, so it needs nothing more.
+ *
+ * @param {{ channel?: any, address?: any }} contact
+ * @returns {{ channel: string, address: string|null }}
+ */
+export const parseChannel = (contact) => {
+    const channel = CONTACT_CHANNELS.includes(contact?.channel) ? contact.channel : 'sms';
+    const address = String(contact?.address ?? '').trim().slice(0, 254);
+
+    if (channel === 'email' && EMAIL_PATTERN.test(address)) return { channel, address };
+    if (channel === 'telegram' && TELEGRAM_PATTERN.test(address)) return { channel, address };
+    if (channel === 'whatsapp') return { channel, address: null };
+    return { channel: 'sms', address: null };
+};
@@ -3,12 +3,19 @@
  *
  * Composed server-side rather than trusting whatever the client stored, so a
  * tampered record cannot turn the alert into a vehicle for arbitrary text read
- * aloud down a phone line.
+ * aloud down a phone line. The wording itself, in each contact's language,
+ * lives in messages.js.
  */
 
+import { catalogueFor } from './messages.js';
+import { latestFix } from './trail.js';
+
 /** Longest free-text note we will repeat back. */
 const MAX_NOTE = 140;
 
+/** Earlier positions listed after the latest one. Each is a full link. */
+const BREADCRUMB_POINTS = 3;
+
 /**
  * Strip anything that would break out of the surrounding markup or carry
  * control characters into a text-to-speech engine.
@@ -40,25 +47,22 @@ export const mapsLink = (location) =>
  * needs the essential fact stated twice, not a paragraph delivered once.
  *
  * @param {Object} record
+ * @param {{ language?: string }} [options] - the contact's language (messages.js)
  * @returns {string}
  */
-export const buildSpokenMessage = (record) => {
-    const who = sanitiseText(record.userName, 40) || 'Someone';
+export const buildSpokenMessage = (record, { language } = {}) => {
+    const words = catalogueFor(language);
+    const who = sanitiseText(record.userName, 40) || words.someone;
     const note = sanitiseText(record.note);
 
-    const parts = [
-        `This is an automated safety alert from Safe Signal.`,
-        `${who} set a check-in timer and did not confirm they were safe.`,
-    ];
+    const parts = [words.intro, record.duress ? words.duress(who) : words.missed(who)];
 
-    if (note) parts.push(`They said they were: ${note}.`);
+    if (record.round > 1) parts.push(words.repeat);
 
-    parts.push(
-        record.location
-            ? 'Their last known location has been sent to you by text message.'
-            : 'Their location was not available.',
-    );
-    parts.push(`Again: ${who} may need help. Please try to contact them.`);
+    if (note) parts.push(words.note(note));
+
+    parts.push(latestFix(record) ? words.locationSent : words.locationMissing);
+    parts.push(record.duress ? words.againDuress(who) : words.again(who));
 
     return parts.join(' ');
 };
@@ -67,51 +71,102 @@ export const buildSpokenMessage = (record) => {
  * TwiML for a spoken call.
  *
  * @param {Object} record
+ * @param {{ language?: string }} [options] - the contact's language, which picks
+ *   the words and the voice that reads them
  * @returns {string}
  */
-export const buildTwiml = (record) => {
-    const spoken = buildSpokenMessage(record);
+export const buildTwiml = (record, { language } = {}) => {
+    const spoken = buildSpokenMessage(record, { language });
+    const { voice, language: code } = catalogueFor(language).say;
+    const say = `<Say voice="${voice}" language="${code}">${spoken}</Say>`;
     // Said twice, with a pause: the first seconds of an unexpected call are
     // usually spent working out what it is.
     return [
         '<?xml version="1.0" encoding="UTF-8"?>',
         '<Response>',
-        `<Say voice="alice">${spoken}</Say>`,
+        say,
         '<Pause length="1"/>',
-        `<Say voice="alice">${spoken}</Say>`,
+        say,
         '</Response>',
     ].join('');
 };
 
+/**
+ * How long before the message a fix was taken, in words.
+ *
+ * @param {number} ms
+ * @param {string} [language]
+ * @returns {string}
+ */
+export const describeAge = (ms, language) => {
+    const words = catalogueFor(language);
+    const minutes = Math.floor(Math.max(0, ms) / 60_000);
+    if (minutes < 1) return words.ageUnderMinute;
+    if (minutes < 60) return words.ageMinutes(minutes);
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return rest === 0 ? words.ageHours(hours) : words.ageHoursMinutes(hours, rest);
+};
+
 /**
  * The accompanying text message, which carries the detail a call cannot.
  *
  * @param {Object} record
+ * @param {{ now?: number, ackUrl?: string|null, language?: string }} [options] -
+ *   `now` is when the message is sent, for the age of each fix; `ackUrl` is
+ *   this contact's own acknowledgement link; `language` is theirs too
  * @returns {string}
  */
-export const buildTextMessage = (record) => {
-    const who = sanitiseText(record.userName, 40) || 'Someone using SafeSignal';
+export const buildTextMessage = (record, { now = Date.now(), ackUrl = null, language } = {}) => {
+    const words = catalogueFor(language);
+    const age = (ms) => describeAge(ms, language);
+    const who = sanitiseText(record.userName, 40) || words.someoneText;
     const note = sanitiseText(record.note);
-    const due = new Date(record.expiresAt).toLocaleString();
+    const due = new Date(record.expiresAt).toLocaleString(words.locale);
+    const latest = latestFix(record);
+
+    const lines = [record.duress ? words.textDuress(who) : words.textMissed(who, due)];
 
-    const lines = [`${who} did not check in by ${due} and may need help.`];
+    // Their phone shows an ordinary cancel. A contact who rings and says
+    // "I got your alert" could give that away to whoever is with them.
+    if (record.duress) lines.push(words.textDuressWarning);
 
-    if (note) lines.push(`They said: ${note}`);
+    // Later rounds reach people who never saw the first one, and people who
+    // did but assumed someone else had it in hand.
+    if (record.round > 1) lines.push(words.textRepeat);
 
-    if (record.location) {
-        lines.push(`Last known location: ${mapsLink(record.location)}`);
-        if (Number.isFinite(record.location.accuracy)) {
-            const metres = Math.round(record.location.accuracy);
-            lines.push(
-                metres > 2000
-                    ? `(WARNING: only a rough estimate — could be anywhere within ${Math.round(metres / 1000)} km.)`
-                    : `(accurate to about ${metres} m)`,
-            );
+    if (note) lines.push(words.textNote(note));
+
+    if (latest) {
+        lines.push(words.textLocation(mapsLink(latest)));
+        if (Number.isFinite(latest.at)) {
+            lines.push(words.textTaken(age(now - latest.at)));
+        }
+        if (Number.isFinite(latest.accuracy)) {
+            const metres = Math.round(latest.accuracy);
+            lines.push(metres > 2000 ? words.textRough(Math.round(metres / 1000)) : words.textAccurate(metres));
+        }
+
+        // Newest first: the direction of travel matters more than where the
+        // walk began.
+        const earlier = (Array.isArray(record.trail) ? record.trail : [])
+            .slice(0, -1)
+            .slice(-BREADCRUMB_POINTS)
+            .reverse();
+        if (earlier.length > 0) {
+            lines.push(words.textEarlier);
+            for (const fix of earlier) {
+                lines.push(words.textEarlierFix(age(now - fix.at), mapsLink(fix)));
+            }
         }
     } else {
-        lines.push('Their location was not available.');
+        lines.push(words.locationMissing);
     }
 
-    lines.push('Sent automatically by SafeSignal.');
+    // Without this, the person and everyone else on the list have no way to
+    // know whether anybody is actually on the way.
+    if (ackUrl) lines.push(words.textAck(ackUrl));
+
+    lines.push(words.textFooter);
     return lines.join('\n');
 };
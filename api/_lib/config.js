@@ -20,32 +20,75 @@ export const config = {
     baseUrl: env('PUBLIC_BASE_URL').replace(/\/+$/, ''),
     signingSecret: env('CHECKIN_SIGNING_SECRET'),
 
+    // upstash | memory | file — see stores/
+    store: env('CHECKIN_STORE') || 'upstash',
+    storeFile: env('CHECKIN_STORE_FILE') || '.data/checkins.json',
+
     redis: {
         url: env('UPSTASH_REDIS_REST_URL').replace(/\/+$/, ''),
         token: env('UPSTASH_REDIS_REST_TOKEN'),
     },
 
+    // qstash | local — see schedulers/
+    scheduler: env('CHECKIN_SCHEDULER') || 'qstash',
+
     qstash: {
         token: env('QSTASH_TOKEN'),
     },
 
     provider: env('MESSAGING_PROVIDER') || 'console',
+    // Tried for any call or text the main provider fails. Empty for none.
+    fallbackProvider: env('MESSAGING_FALLBACK_PROVIDER'),
 
+    // Each provider's *_API_URL exists so scripts/mock-providers.mjs can stand
+    // in for the real service.
     twilio: {
+        apiUrl: env('TWILIO_API_URL').replace(/\/+$/, '') || 'https://api.twilio.com',
         accountSid: env('TWILIO_ACCOUNT_SID'),
         authToken: env('TWILIO_AUTH_TOKEN'),
         from: env('TWILIO_FROM_NUMBER'),
     },
 
     exotel: {
+        apiUrl: env('EXOTEL_API_URL').replace(/\/+$/, '') || 'https://api.exotel.com',
         accountSid: env('EXOTEL_ACCOUNT_SID'),
         apiKey: env('EXOTEL_API_KEY'),
         apiToken: env('EXOTEL_API_TOKEN'),
         callerId: env('EXOTEL_CALLER_ID'),
         flowUrl: env('EXOTEL_FLOW_URL'),
     },
+
+    // Channels a contact can choose for their text; see channels.js.
+    whatsapp: {
+        apiUrl: env('WHATSAPP_API_URL').replace(/\/+$/, '') || 'https://graph.facebook.com/v21.0',
+        token: env('WHATSAPP_TOKEN'),
+        phoneNumberId: env('WHATSAPP_PHONE_NUMBER_ID'),
+        template: env('WHATSAPP_TEMPLATE'),
+        templateLanguage: env('WHATSAPP_TEMPLATE_LANGUAGE') || 'en',
+    },
+
+    telegram: {
+        apiUrl: env('TELEGRAM_API_URL').replace(/\/+$/, '') || 'https://api.telegram.org',
+        botToken: env('TELEGRAM_BOT_TOKEN'),
+    },
+
+    email: {
+        apiUrl: env('EMAIL_API_URL').replace(/\/+$/, '') || 'https://api.resend.com',
+        apiKey: env('EMAIL_API_KEY'),
+        from: env('EMAIL_FROM'),
+    },
+
+    // An organisation's own system, posted every round alongside the contacts.
+    webhook: {
+        url: env('WEBHOOK_URL'),
+        secret: env('WEBHOOK_SECRET'),
+    },
 };
 
+/** Adapters store.js and scheduler.js know. Listed here to avoid an import cycle. */
+const STORES = ['upstash', 'memory', 'file'];
+const SCHEDULERS = ['qstash', 'local'];
+
 /**
  * Which required pieces are missing, named so a misconfiguration is diagnosable
  * from the response rather than from a stack trace.
@@ -56,9 +99,15 @@ export const missingConfig = () => {
     const missing = [];
     if (!config.baseUrl) missing.push('PUBLIC_BASE_URL');
     if (!config.signingSecret) missing.push('CHECKIN_SIGNING_SECRET');
-    if (!config.redis.url) missing.push('UPSTASH_REDIS_REST_URL');
-    if (!config.redis.token) missing.push('UPSTASH_REDIS_REST_TOKEN');
-    if (!config.qstash.token) missing.push('QSTASH_TOKEN');
+    if (!STORES.includes(config.store)) missing.push(`CHECKIN_STORE (one of ${STORES.join(', ')})`);
+    if (config.store === 'upstash') {
+        if (!config.redis.url) missing.push('UPSTASH_REDIS_REST_URL');
+        if (!config.redis.token) missing.push('UPSTASH_REDIS_REST_TOKEN');
+    }
+    if (!SCHEDULERS.includes(config.scheduler)) {
+        missing.push(`CHECKIN_SCHEDULER (one of ${SCHEDULERS.join(', ')})`);
+    }
+    if (config.scheduler === 'qstash' && !config.qstash.token) missing.push('QSTASH_TOKEN');
     return missing;
 };
 
@@ -0,0 +1,33 @@
+/**
+ * Check-in deadlines, shared by registering and extending.
+ *
+ * The bounds mirror src/utils/checkIn.js and are checked again here because
+ * clients can lie. If the two sides disagree about when a check-in falls due,
+ * the result is either a false alarm or a missed one.
+ */
+
+export const MIN_DURATION_MS = 60_000;
+export const MAX_DURATION_MS = 12 * 60 * 60 * 1000;
+
+/** Delay after the deadline before dispatching, matching the on-device grace. */
+export const GRACE_MS = 60_000;
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+export const isValidDuration = (value) =>
+    Number.isFinite(value) && value >= MIN_DURATION_MS && value <= MAX_DURATION_MS;
+
+/**
+ * Push a deadline back, the way the app's extendCheckIn does. The extra time
+ * counts from now if the old deadline has already passed, and the result
+ * never lies further ahead than the longest check-in allowed.
+ *
+ * @param {number} expiresAt
+ * @param {number} extraMs
+ * @param {number} [now]
+ * @returns {number} the new deadline
+ */
+export const extendDeadline = (expiresAt, extraMs, now = Date.now()) =>
+    Math.min(Math.max(expiresAt, now) + extraMs, now + MAX_DURATION_MS);
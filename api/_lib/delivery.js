@@ -0,0 +1,65 @@
+/**
+ * What happened to each call and text after the provider accepted it.
+ *
+ * Accepting a request only means the provider has queued it. Whether the phone
+ * rang, whether anyone answered, and whether the text arrived come later,
+ * through status callbacks (twilio-status.js, exotel-status.js). Each provider
+ * has its own words for these states. They are mapped onto one small set, so
+ * the app can say "Sam answered" whichever provider placed the call.
+ */
+
+/**
+ * Later states outrank earlier ones. Callbacks can arrive out of order, and a
+ * late "ringing" must not overwrite "answered". The end states share the top
+ * rank, so the first one to arrive stands.
+ */
+const RANK = {
+    queued: 0,
+    ringing: 1,
+    sent: 1,
+    answered: 2,
+    'no-answer': 2,
+    delivered: 2,
+    failed: 2,
+};
+
+/** @typedef {'queued'|'ringing'|'sent'|'answered'|'no-answer'|'delivered'|'failed'} DeliveryState */
+
+/**
+ * @param {string} state
+ * @returns {number} -1 for a state we do not know
+ */
+export const rankOf = (state) => RANK[state] ?? -1;
+
+/**
+ * The state to record when the provider first answers the request.
+ *
+ * @param {{ ok: boolean }} outcome
+ * @returns {DeliveryState}
+ */
+export const initialState = (outcome) => (outcome?.ok ? 'queued' : 'failed');
+
+/**
+ * Apply a status callback to the matching call or text. Statuses are kept
+ * apart from the record (see store.js) and applied each time it is read.
+ *
+ * @param {Object} record
+ * @param {{ sid: string, channel: 'call'|'text', state: DeliveryState }} update
+ * @param {number} [now]
+ * @returns {Object|null} the updated record, or null when nothing changed
+ */
+export const applyDeliveryStatus = (record, { sid, channel, state }, now = Date.now()) => {
+    if (!sid || !(state in RANK) || !Array.isArray(record?.results)) return null;
+
+    let changed = false;
+    const results = record.results.map((result) => {
+        const outcome = result[channel];
+        if (!outcome || outcome.id !== sid) return result;
+        if (RANK[state] <= RANK[outcome.status ?? 'queued']) return result;
+
+        changed = true;
+        return { ...result, [channel]: { ...outcome, status: state, statusAt: now } };
+    });
+
+    return changed ? { ...record, results } : null;
+};
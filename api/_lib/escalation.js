@@ -0,0 +1,89 @@
+/**
+ * The escalation ladder for a missed check-in.
+ *
+ * One round of calls at 2am often reaches nobody: the first contact is asleep,
+ * or their phone is on silent. So each contact carries a tier, and the alert
+ * goes out in rounds. Round n reaches every contact of tier n or lower — the
+ * earlier circle again, plus the next one out — until a contact acknowledges,
+ * the person says they are safe, or the ladder runs out.
+ */
+
+/** Highest tier a contact may be given, and so the most rounds one alert makes. */
+export const MAX_TIER = 3;
+
+/** Wait between rounds, giving the previous round time to be answered. */
+export const ESCALATION_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Read a contact's tier, defaulting to the first round rather than rejecting
+ * the contact: someone reached early is a far smaller problem than someone
+ * never reached at all.
+ *
+ * @param {any} value
+ * @returns {number}
+ */
+export const parseTier = (value) => {
+    const tier = Number(value);
+    return Number.isInteger(tier) && tier >= 1 && tier <= MAX_TIER ? tier : 1;
+};
+
+/**
+ * Shift tiers down so the lowest in use is tier one.
+ *
+ * A list where everyone was marked "second round" would otherwise spend the
+ * first round ringing nobody and lose ten minutes for nothing.
+ *
+ * @param {Array<{ tier: number }>} contacts
+ * @returns {Array}
+ */
+export const normaliseTiers = (contacts) => {
+    if (contacts.length === 0) return contacts;
+    const lowest = Math.min(...contacts.map((c) => c.tier));
+    return contacts.map((c) => ({ ...c, tier: c.tier - lowest + 1 }));
+};
+
+/**
+ * The contacts a given round reaches.
+ *
+ * @param {Array<{ tier?: number }>} contacts
+ * @param {number} round
+ * @returns {Array}
+ */
+export const contactsForRound = (contacts, round) =>
+    (Array.isArray(contacts) ? contacts : []).filter((c) => parseTier(c.tier) <= round);
+
+/**
+ * Whether anyone has said they are dealing with it.
+ *
+ * @param {Object} record
+ * @returns {boolean}
+ */
+export const isAcknowledged = (record) =>
+    Array.isArray(record?.acknowledgements) && record.acknowledgements.length > 0;
+
+/**
+ * Whether a round has already gone out for this check-in.
+ *
+ * Records written before the ladder existed have no rounds but may already
+ * have fired; those count as having sent round one.
+ *
+ * @param {Object} record
+ * @param {number} round
+ * @returns {boolean}
+ */
+export const hasDispatchedRound = (record, round) => {
+    if (Array.isArray(record?.rounds)) return record.rounds.some((r) => r.round === round);
+    return round === 1 && record?.status === 'fired';
+};
+
+/**
+ * The round to schedule after this one, or null when the ladder is done.
+ *
+ * @param {Object} record
+ * @param {number} round - the round just dispatched
+ * @returns {number|null}
+ */
+export const nextRound = (record, round) => {
+    if (isAcknowledged(record)) return null;
+    return round < MAX_TIER ? round + 1 : null;
+};
@@ -0,0 +1,189 @@
+/**
+ * Sending one round of a check-in's alert.
+ *
+ * Every round goes out from the scheduler's callback (fire.js), round one of
+ * a duress cancel included: safe.js asks for a callback due at once rather
+ * than sending it itself, so its answer is not held up by the calls.
+ *
+ * Retrying a round's failed calls and texts lives here too, since it follows
+ * the same claim, send, record sequence.
+ */
+
+import { getCheckIn, putCheckIn, claimFire, releaseFire, claimRetry, releaseRetry } from './store.js';
+import { dispatchAlert, redeliver, notifyWebhook } from './messenger.js';
+import { scheduleFire } from './scheduler.js';
+import { ESCALATION_INTERVAL_MS, contactsForRound, nextRound } from './escalation.js';
+import { retryDelay, pendingRetries, applyRetryResults } from './retry.js';
+
+/**
+ * Claim, dispatch and record one round, then schedule the next.
+ *
+ * Throws only if the dispatch itself fails, and hands the claim back first so
+ * a retry can still send it. Once the alert has gone out, nothing else may
+ * throw. A retry would find this round claimed, so the follow-up would be lost
+ * anyway.
+ *
+ * @param {Object} record - the stored check-in
+ * @param {number} round
+ * @param {string} token - the check-in token, carried by the next callback
+ * @returns {Promise<Object>} `{ fired: false, reason }` or the dispatch summary
+ */
+export const fireRound = async (record, round, token) => {
+    // Guard against a retry racing an in-flight dispatch.
+    if (!(await claimFire(record.id, round))) {
+        return { fired: false, reason: 'Another delivery already claimed this.' };
+    }
+
+    let dispatched;
+    try {
+        dispatched = await dispatchAlert({ ...record, round }, contactsForRound(record.contacts, round));
+    } catch (error) {
+        await releaseFire(record.id, round).catch(() => { });
+        throw error;
+    }
+
+    const { warning, results } = dispatched;
+    const now = Date.now();
+
+    // A contact may have said they are on it while this round was going out.
+    // Read that now, so the ladder stops here rather than a round later.
+    const latest = await getCheckIn(record.id).catch(() => null);
+
+    let updated = {
+        ...record,
+        ...(latest?.acknowledgements && { acknowledgements: latest.acknowledgements }),
+        status: 'fired',
+        firedAt: record.firedAt ?? now,
+        rounds: [
+            ...(Array.isArray(record.rounds) ? record.rounds : []),
+            {
+                round,
+                at: now,
+                contacts: results.length,
+                reached: results.filter((r) => r.ok).length,
+            },
+        ],
+        results: [
+            ...(Array.isArray(record.results) ? record.results : []),
+            ...results.map((r) => ({ ...r, round })),
+        ],
+        nextRoundAt: null,
+    };
+
+    let escalationWarning = null;
+    const following = nextRound(updated, round);
+    if (following) {
+        try {
+            const fireAt = now + ESCALATION_INTERVAL_MS;
+            const { messageId } = await scheduleFire({
+                id: record.id,
+                fireAt,
+                payload: { id: record.id, token, round: following },
+                dedupeId: `checkin-${record.id}-round-${following}`,
+            });
+            updated = { ...updated, scheduledMessageId: messageId, nextRoundAt: fireAt };
+        } catch (error) {
+            escalationWarning = `Could not schedule the next round: ${error.message}`;
+        }
+    }
+
+    const retry = await scheduleRetry(updated, round, 1, token, now);
+    updated = { ...updated, nextRetryAt: retry.at };
+
+    await putCheckIn(updated).catch(() => { });
+
+    // Only once the results are saved: status callbacks for these calls are
+    // already on their way, and the app is asking who was reached.
+    const webhook = await notifyWebhook({ ...record, round }, now);
+    if (webhook?.warning) console.error('[SafeSignal] webhook', record.id, round, webhook.warning);
+
+    return {
+        fired: true,
+        round,
+        contacts: results.length,
+        reached: results.filter((r) => r.ok).length,
+        nextRoundAt: updated.nextRoundAt,
+        nextRetryAt: retry.at,
+        webhook: webhook?.outcome ?? null,
+        warning: [warning, escalationWarning, retry.warning, webhook?.warning].filter(Boolean).join(' ') || null,
+        results,
+    };
+};
+
+/**
+ * Send a round's failed calls and texts again, then schedule the next retry
+ * if some are still failing.
+ *
+ * Like fireRound, throws only if sending fails, after handing the claim back.
+ *
+ * @param {Object} record - the stored check-in
+ * @param {number} round
+ * @param {number} attempt - 1 for the first retry
+ * @param {string} token
+ * @returns {Promise<Object>} `{ fired: false, reason }` or the retry summary
+ */
+export const retryRound = async (record, round, attempt, token) => {
+    const pending = pendingRetries(record, round);
+    if (pending.length === 0) {
+        return { fired: false, reason: 'Nothing left to retry.' };
+    }
+
+    if (!(await claimRetry(record.id, round, attempt))) {
+        return { fired: false, reason: 'Another delivery already claimed this.' };
+    }
+
+    let dispatched;
+    try {
+        dispatched = await redeliver({ ...record, round }, pending);
+    } catch (error) {
+        await releaseRetry(record.id, round, attempt).catch(() => { });
+        throw error;
+    }
+
+    const now = Date.now();
+    let updated = applyRetryResults(record, round, attempt, dispatched.results, now);
+
+    const retry = await scheduleRetry(updated, round, attempt + 1, token, now);
+    updated = { ...updated, nextRetryAt: retry.at };
+
+    await putCheckIn(updated).catch(() => { });
+
+    return {
+        fired: true,
+        round,
+        attempt,
+        retried: dispatched.results.length,
+        nextRetryAt: retry.at,
+        warning: [dispatched.warning, retry.warning].filter(Boolean).join(' ') || null,
+        results: dispatched.results,
+    };
+};
+
+/**
+ * Schedule the next retry of a round, if anything is still failing and the
+ * retries are not used up.
+ *
+ * @param {Object} record
+ * @param {number} round
+ * @param {number} attempt
+ * @param {string} token
+ * @param {number} now
+ * @returns {Promise<{ at: number|null, warning: string|null }>}
+ */
+const scheduleRetry = async (record, round, attempt, token, now) => {
+    const delay = retryDelay(attempt);
+    if (delay === null || pendingRetries(record, round).length === 0) return { at: null, warning: null };
+
+    try {
+        const fireAt = now + delay;
+        await scheduleFire({
+            id: record.id,
+            fireAt,
+            payload: { id: record.id, token, round, retry: attempt },
+            dedupeId: `checkin-${record.id}-round-${round}-retry-${attempt}`,
+        });
+        return { at: fireAt, warning: null };
+    } catch (error) {
+        return { at: null, warning: `Could not schedule a retry: ${error.message}` };
+    }
+};
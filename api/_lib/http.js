@@ -26,6 +26,82 @@ export const sendJson = (res, status, body) => {
     res.end(JSON.stringify(body));
 };
 
+/**
+ * Send an HTML page, for links a person opens in a browser rather than calls
+ * from code.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {number} status
+ * @param {string} html
+ */
+export const sendHtml = (res, status, html) => {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    // A page that can record an acknowledgement must not be framed by another.
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.end(html);
+};
+
+/**
+ * Read the query string from the request URL, which Vercel and a plain Node
+ * server both provide.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {URLSearchParams}
+ */
+export const readQuery = (req) => new URL(req.url ?? '/', 'http://localhost').searchParams;
+
+/**
+ * The check-in token from an Authorization header.
+ *
+ * Reads use GET, and a token in the query string would be copied into every
+ * access log between the phone and here.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+export const readBearerToken = (req) => {
+    const header = String(req.headers?.authorization ?? '');
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+};
+
+/**
+ * The largest body any endpoint reads. The biggest legitimate one is a
+ * check-in with a handful of contacts and a message, a few kilobytes at most;
+ * anything near this is a mistake or an attempt to fill the server's memory.
+ */
+export const MAX_BODY_BYTES = 64 * 1024;
+
+/** Thrown when a body is over MAX_BODY_BYTES. The self-hosted server answers 413. */
+export class BodyTooLargeError extends Error {
+    constructor() {
+        super(`Request body is over ${MAX_BODY_BYTES} bytes.`);
+        this.name = 'BodyTooLargeError';
+    }
+}
+
+/**
+ * Read a raw body stream, giving up as soon as it passes the limit rather than
+ * buffering whatever the client cares to send.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<string>}
+ * @throws {BodyTooLargeError}
+ */
+const readRawBody = async (req) => {
+    if (Number(req.headers?.['content-length']) > MAX_BODY_BYTES) throw new BodyTooLargeError();
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new BodyTooLargeError();
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+};
+
 /**
  * Read a JSON body without throwing on malformed input.
  *
@@ -34,39 +110,65 @@ export const sendJson = (res, status, body) => {
  *
  * @param {import('http').IncomingMessage & { body?: unknown }} req
  * @returns {Promise<Object|null>}
+ * @throws {BodyTooLargeError} if a raw stream is over MAX_BODY_BYTES
  */
 export const readJsonBody = async (req) => {
     if (req.body && typeof req.body === 'object') return req.body;
 
-    if (typeof req.body === 'string') {
+    let raw = typeof req.body === 'string' ? req.body : '';
+    if (!raw) {
         try {
-            return JSON.parse(req.body);
-        } catch {
+            raw = await readRawBody(req);
+        } catch (error) {
+            if (error instanceof BodyTooLargeError) throw error;
             return null;
         }
     }
+    if (!raw) return null;
 
     try {
-        const chunks = [];
-        for await (const chunk of req) chunks.push(chunk);
-        if (chunks.length === 0) return null;
-        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        return JSON.parse(raw);
     } catch {
         return null;
     }
 };
 
+/**
+ * Read a form-encoded body, as providers send their status callbacks.
+ *
+ * Vercel parses these into req.body; a plain Node server leaves the stream.
+ *
+ * @param {import('http').IncomingMessage & { body?: unknown }} req
+ * @returns {Promise<Record<string, string>>} empty when there is no usable body
+ * @throws {BodyTooLargeError} if a raw stream is over MAX_BODY_BYTES
+ */
+export const readFormBody = async (req) => {
+    if (req.body && typeof req.body === 'object') return req.body;
+
+    let raw = typeof req.body === 'string' ? req.body : '';
+    if (!raw) {
+        try {
+            raw = await readRawBody(req);
+        } catch (error) {
+            if (error instanceof BodyTooLargeError) throw error;
+            return {};
+        }
+    }
+    return Object.fromEntries(new URLSearchParams(raw));
+};
+
 /**
  * Reject anything that is not the expected method.
  *
  * @param {import('http').IncomingMessage} req
  * @param {import('http').ServerResponse} res
- * @param {string} method
+ * @param {string|string[]} method
  * @returns {boolean} true if the request was rejected and already answered
  */
 export const rejectWrongMethod = (req, res, method) => {
-    if (req.method === method) return false;
-    res.setHeader('Allow', method);
-    sendJson(res, 405, { error: `Use ${method}.` });
+    const allowed = Array.isArray(method) ? method : [method];
+    if (allowed.includes(req.method)) return false;
+    res.setHeader('Allow', allowed.join(', '));
+    sendJson(res, 405, { error: `Use ${allowed.join(' or ')}.` });
     return true;
 };
@@ -0,0 +1,158 @@
+/**
+ * The words of an alert, in each language a contact can choose.
+ *
+ * A contact woken by an alert should not have to puzzle out a language they
+ * read slowly, so each one carries a preferred language and the call and text
+ * they get are composed from that language's entry here. compose.js still
+ * decides what is said and sanitises everything the person typed; this file
+ * only holds the wording.
+ *
+ * Every entry has every key. The wording is kept plain and literal, and a new
+ * language or a change to an existing one should be checked by a fluent
+ * reader before it ships: a mistranslated alert is worse than an English one.
+ */
+
+/**
+ * @typedef {Object} Catalogue
+ * @property {string} label - the language's own name, for the contact screen
+ * @property {string|undefined} locale - for dates; undefined keeps the server's default
+ * @property {{ voice: string, language: string }} say - the TwiML <Say> attributes
+ */
+
+/** @type {Object<string, Catalogue & Object<string, any>>} */
+const CATALOGUES = {
+    en: {
+        label: 'English',
+        locale: undefined,
+        say: { voice: 'alice', language: 'en-US' },
+
+        someone: 'Someone',
+        intro: 'This is an automated safety alert from Safe Signal.',
+        missed: (who) => `${who} set a check-in timer and did not confirm they were safe.`,
+        duress: (who) => `${who} cancelled their check-in timer using a code that means someone was making them do it.`,
+        repeat: 'This is a repeat alert. Nobody has yet confirmed they are helping.',
+        note: (note) => `They said they were: ${note}.`,
+        locationSent: 'Their last known location has been sent to you by text message.',
+        locationMissing: 'Their location was not available.',
+        again: (who) => `Again: ${who} may need help. Please try to contact them.`,
+        againDuress: (who) => `Again: ${who} may need help. They may not be alone, so be careful what you say if you call them.`,
+
+        someoneText: 'Someone using SafeSignal',
+        textMissed: (who, due) => `${who} did not check in by ${due} and may need help.`,
+        textDuress: (who) => `${who} cancelled their check-in under duress and may need help.`,
+        textDuressWarning: 'They used a code meaning someone was forcing them. Be careful what you say if you call them.',
+        textRepeat: 'Repeat alert: nobody has confirmed they are helping yet.',
+        textNote: (note) => `They said: ${note}`,
+        textLocation: (link) => `Last known location: ${link}`,
+        textTaken: (age) => `(taken ${age} before this message)`,
+        textRough: (km) => `(WARNING: only a rough estimate — could be anywhere within ${km} km.)`,
+        textAccurate: (metres) => `(accurate to about ${metres} m)`,
+        textEarlier: 'Earlier:',
+        textEarlierFix: (age, link) => `${age} before: ${link}`,
+        textAck: (url) => `If you are helping, tap to let them know: ${url}`,
+        textFooter: 'Sent automatically by SafeSignal.',
+
+        ageUnderMinute: 'under a minute',
+        ageMinutes: (minutes) => `${minutes} min`,
+        ageHours: (hours) => `${hours} h`,
+        ageHoursMinutes: (hours, minutes) => `${hours} h ${minutes} min`,
+    },
+
+    hi: {
+        label: 'हिन्दी',
+        locale: 'hi-IN',
+        // Aditi reads Hindi, and the English place and app names in it, naturally.
+        say: { voice: 'Polly.Aditi', language: 'hi-IN' },
+
+        someone: 'कोई व्यक्ति',
+        intro: 'यह सेफ़ सिग्नल की ओर से एक स्वचालित सुरक्षा अलर्ट है।',
+        missed: (who) => `${who} ने चेक-इन टाइमर लगाया था और यह पुष्टि नहीं की कि वे सुरक्षित हैं।`,
+        duress: (who) => `${who} ने अपना चेक-इन टाइमर एक ऐसे कोड से रद्द किया जिसका मतलब है कि कोई उनसे ज़बरदस्ती ऐसा करवा रहा था।`,
+        repeat: 'यह दोबारा भेजा गया अलर्ट है। अभी तक किसी ने पुष्टि नहीं की है कि वे मदद कर रहे हैं।',
+        note: (note) => `उन्होंने बताया था: ${note}।`,
+        locationSent: 'उनकी आख़िरी ज्ञात लोकेशन आपको टेक्स्ट मैसेज से भेजी गई है।',
+        locationMissing: 'उनकी लोकेशन उपलब्ध नहीं थी।',
+        again: (who) => `फिर से: ${who} को मदद की ज़रूरत हो सकती है। कृपया उनसे संपर्क करने की कोशिश करें।`,
+        againDuress: (who) => `फिर से: ${who} को मदद की ज़रूरत हो सकती है। हो सकता है वे अकेले न हों, इसलिए फ़ोन करें तो सोच-समझकर बात करें।`,
+
+        someoneText: 'सेफ़ सिग्नल का एक उपयोगकर्ता',
+        textMissed: (who, due) => `${who} ने ${due} तक चेक-इन नहीं किया और उन्हें मदद की ज़रूरत हो सकती है।`,
+        textDuress: (who) => `${who} ने दबाव में अपना चेक-इन रद्द किया है और उन्हें मदद की ज़रूरत हो सकती है।`,
+        textDuressWarning: 'उन्होंने ऐसा कोड इस्तेमाल किया जिसका मतलब है कि कोई उन पर ज़बरदस्ती कर रहा था। फ़ोन करें तो सोच-समझकर बात करें।',
+        textRepeat: 'दोबारा अलर्ट: अभी तक किसी ने पुष्टि नहीं की है कि वे मदद कर रहे हैं।',
+        textNote: (note) => `उन्होंने लिखा: ${note}`,
+        textLocation: (link) => `आख़िरी ज्ञात लोकेशन: ${link}`,
+        textTaken: (age) => `(इस मैसेज से ${age} पहले ली गई)`,
+        textRough: (km) => `(चेतावनी: यह सिर्फ़ मोटा अनुमान है — ${km} km के दायरे में कहीं भी हो सकते हैं।)`,
+        textAccurate: (metres) => `(लगभग ${metres} m तक सटीक)`,
+        textEarlier: 'इससे पहले:',
+        textEarlierFix: (age, link) => `${age} पहले: ${link}`,
+        textAck: (url) => `अगर आप मदद कर रहे हैं, तो उन्हें बताने के लिए टैप करें: ${url}`,
+        textFooter: 'सेफ़ सिग्नल द्वारा अपने-आप भेजा गया।',
+
+        ageUnderMinute: 'एक मिनट से कम',
+        ageMinutes: (minutes) => `${minutes} मिनट`,
+        ageHours: (hours) => `${hours} घंटे`,
+        ageHoursMinutes: (hours, minutes) => `${hours} घंटे ${minutes} मिनट`,
+    },
+
+    ta: {
+        label: 'தமிழ்',
+        locale: 'ta-IN',
+        say: { voice: 'Google.ta-IN-Standard-A', language: 'ta-IN' },
+
+        someone: 'ஒருவர்',
+        intro: 'இது சேஃப் சிக்னலிடமிருந்து வரும் ஒரு தானியங்கி பாதுகாப்பு எச்சரிக்கை.',
+        missed: (who) => `${who} ஒரு செக்-இன் டைமரை அமைத்திருந்தார், ஆனால் தாம் பாதுகாப்பாக இருப்பதை உறுதிப்படுத்தவில்லை.`,
+        duress: (who) => `${who} யாரோ கட்டாயப்படுத்துகிறார்கள் என்று பொருள்படும் ஒரு குறியீட்டைப் பயன்படுத்தி தமது செக்-இன் டைமரை ரத்து செய்தார்.`,
+        repeat: 'இது மீண்டும் அனுப்பப்படும் எச்சரிக்கை. உதவுவதாக இதுவரை யாரும் உறுதிப்படுத்தவில்லை.',
+        note: (note) => `அவர் சொன்னது: ${note}.`,
+        locationSent: 'அவரது கடைசியாகத் தெரிந்த இருப்பிடம் உங்களுக்குக் குறுஞ்செய்தியாக அனுப்பப்பட்டுள்ளது.',
+        locationMissing: 'அவரது இருப்பிடம் கிடைக்கவில்லை.',
+        again: (who) => `மீண்டும்: ${who} உதவி தேவைப்படும் நிலையில் இருக்கலாம். தயவுசெய்து அவரைத் தொடர்புகொள்ள முயற்சிக்கவும்.`,
+        againDuress: (who) => `மீண்டும்: ${who} உதவி தேவைப்படும் நிலையில் இருக்கலாம். அவர் தனியாக இல்லாமல் இருக்கலாம், எனவே அழைத்தால் கவனமாகப் பேசுங்கள்.`,
+
+        someoneText: 'சேஃப் சிக்னல் பயனர் ஒருவர்',
+        textMissed: (who, due) => `${who} ${due}-க்குள் செக்-இன் செய்யவில்லை, அவருக்கு உதவி தேவைப்படலாம்.`,
+        textDuress: (who) => `${who} கட்டாயத்தின் பேரில் தமது செக்-இன்னை ரத்து செய்தார், அவருக்கு உதவி தேவைப்படலாம்.`,
+        textDuressWarning: 'யாரோ அவரைக் கட்டாயப்படுத்துகிறார்கள் என்று பொருள்படும் குறியீட்டை அவர் பயன்படுத்தினார். அழைத்தால் கவனமாகப் பேசுங்கள்.',
+        textRepeat: 'மீண்டும் எச்சரிக்கை: உதவுவதாக இதுவரை யாரும் உறுதிப்படுத்தவில்லை.',
+        textNote: (note) => `அவர் எழுதியது: ${note}`,
+        textLocation: (link) => `கடைசியாகத் தெரிந்த இருப்பிடம்: ${link}`,
+        textTaken: (age) => `(இந்தச் செய்திக்கு ${age} முன்பு எடுக்கப்பட்டது)`,
+        textRough: (km) => `(எச்சரிக்கை: இது தோராயமான மதிப்பீடு மட்டுமே — ${km} km சுற்றளவில் எங்கும் இருக்கலாம்.)`,
+        textAccurate: (metres) => `(சுமார் ${metres} m துல்லியம்)`,
+        textEarlier: 'முன்னதாக:',
+        textEarlierFix: (age, link) => `${age} முன்பு: ${link}`,
+        textAck: (url) => `நீங்கள் உதவுகிறீர்கள் என்றால், அவருக்குத் தெரிவிக்க இதைத் தட்டவும்: ${url}`,
+        textFooter: 'சேஃப் சிக்னல் தானாக அனுப்பியது.',
+
+        ageUnderMinute: 'ஒரு நிமிடத்துக்குள்',
+        ageMinutes: (minutes) => `${minutes} நிமிடம்`,
+        ageHours: (hours) => `${hours} மணி நேரம்`,
+        ageHoursMinutes: (hours, minutes) => `${hours} மணி ${minutes} நிமிடம்`,
+    },
+};
+
+/** Languages a contact may choose, mirrored in the app's contact screen. */
+export const CONTACT_LANGUAGES = Object.keys(CATALOGUES);
+
+/** Everyone who has not chosen gets the wording alerts always had. */
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Read a contact's language, falling back to English rather than rejecting
+ * the contact.
+ *
+ * @param {{ language?: any }} contact
+ * @returns {{ language: string }}
+ */
+export const parseLanguage = (contact) => ({
+    language: CONTACT_LANGUAGES.includes(contact?.language) ? contact.language : DEFAULT_LANGUAGE,
+});
+
+/**
+ * @param {string} [language]
+ * @returns {Object} the wording for that language, or English
+ */
+export const catalogueFor = (language) => CATALOGUES[language] ?? CATALOGUES[DEFAULT_LANGUAGE];
@@ -1,5 +1,6 @@
 /**
- * Dispatches the alert through whichever provider is configured.
+ * Dispatches the alert through whichever provider is configured, trying the
+ * fallback provider for any call or text the first one fails.
  *
  * Every contact is attempted independently. One bad number, one provider
  * hiccup, or one contact whose phone rejects the call must never stop the
@@ -12,14 +13,43 @@
 
 import { config } from './config.js';
 import { buildTwiml, buildTextMessage } from './compose.js';
+import { signAck } from './tokens.js';
+import { initialState } from './delivery.js';
 import * as consoleProvider from './providers/console.js';
 import * as twilioProvider from './providers/twilio.js';
 import * as exotelProvider from './providers/exotel.js';
+import * as whatsappProvider from './providers/whatsapp.js';
+import * as telegramProvider from './providers/telegram.js';
+import * as emailProvider from './providers/email.js';
+import * as webhookProvider from './providers/webhook.js';
 
 const PROVIDERS = {
     console: consoleProvider,
     twilio: twilioProvider,
     exotel: exotelProvider,
+    whatsapp: whatsappProvider,
+    telegram: telegramProvider,
+    email: emailProvider,
+};
+
+/**
+ * Look a provider up by name and check its credentials.
+ *
+ * @param {string} name
+ * @param {string} setting - the variable the name came from, for the warning
+ * @returns {{ provider: Object|null, problem: string|null }}
+ */
+const lookUpProvider = (name, setting) => {
+    const provider = PROVIDERS[name];
+    if (!provider) return { provider: null, problem: `Unknown ${setting} "${name}"` };
+    if (provider.placesCalls === false) {
+        return { provider: null, problem: `${setting} cannot be ${name}, which only sends text; choose it per contact` };
+    }
+
+    const missing = provider.missingSettings?.() ?? [];
+    if (missing.length > 0) return { provider: null, problem: `${provider.name} is missing ${missing.join(', ')}` };
+
+    return { provider, problem: null };
 };
 
 /**
@@ -30,80 +60,266 @@ const PROVIDERS = {
  * @returns {{ provider: Object, warning: string|null }}
  */
 export const resolveProvider = () => {
-    const provider = PROVIDERS[config.provider];
-    if (!provider) {
-        return {
-            provider: consoleProvider,
-            warning: `Unknown MESSAGING_PROVIDER "${config.provider}"; logging instead of sending.`,
-        };
+    const { provider, problem } = lookUpProvider(config.provider, 'MESSAGING_PROVIDER');
+    if (!provider) return { provider: consoleProvider, warning: `${problem}; logging instead of sending.` };
+    return { provider, warning: null };
+};
+
+/**
+ * The providers to try, in order, for each call and text: the main one, then
+ * MESSAGING_FALLBACK_PROVIDER if set. One provider's outage at 2am should not
+ * mean nobody is reached.
+ *
+ * A provider that is not usable drops out of the list. Console stands in only
+ * when neither is usable, so a broken main provider with a working fallback
+ * still sends rather than logs.
+ *
+ * @returns {{ providers: Object[], warning: string|null }}
+ */
+export const resolveProviders = () => {
+    const fallbackName = config.fallbackProvider;
+    if (!fallbackName || fallbackName === config.provider) {
+        const { provider, warning } = resolveProvider();
+        return { providers: [provider], warning };
     }
 
-    const missing = provider.missingSettings?.() ?? [];
-    if (missing.length > 0) {
-        return {
-            provider: consoleProvider,
-            warning: `${provider.name} is missing ${missing.join(', ')}; logging instead of sending.`,
-        };
+    const main = lookUpProvider(config.provider, 'MESSAGING_PROVIDER');
+    const fallback = lookUpProvider(fallbackName, 'MESSAGING_FALLBACK_PROVIDER');
+    const providers = [main.provider, fallback.provider].filter(Boolean);
+    const problems = [main.problem, fallback.problem].filter(Boolean).join('; ');
+
+    if (providers.length === 0) {
+        return { providers: [consoleProvider], warning: `${problems}; logging instead of sending.` };
     }
+    return {
+        providers,
+        warning: problems ? `${problems}; sending through ${providers[0].name} only.` : null,
+    };
+};
 
-    return { provider, warning: null };
+const CHANNELS = ['call', 'text'];
+
+/**
+ * The providers for the channels contacts chose (see channels.js). One that is
+ * not set up is left out, and those contacts are texted by SMS instead.
+ *
+ * @param {Array} contacts
+ * @returns {{ channelProviders: Map<string, Object>, warning: string|null }}
+ */
+const resolveChannelProviders = (contacts) => {
+    const channelProviders = new Map();
+    const problems = [];
+    for (const channel of new Set(contacts.map((c) => c?.channel))) {
+        const provider = channel && channel !== 'sms' ? PROVIDERS[channel] : null;
+        if (!provider) continue;
+
+        const missing = provider.missingSettings?.() ?? [];
+        if (missing.length > 0) problems.push(`${provider.name} is missing ${missing.join(', ')}; texting by SMS instead.`);
+        else channelProviders.set(channel, provider);
+    }
+    return { channelProviders, warning: problems.join(' ') || null };
 };
 
 /**
- * Reach every contact on a missed check-in.
+ * What one dispatch shares between its contacts.
  *
  * @param {Object} record
+ * @returns {Promise<Object>}
+ */
+const prepareDispatch = async (record) => {
+    const main = resolveProviders();
+    const { providers } = main;
+    const channels = resolveChannelProviders(Array.isArray(record.contacts) ? record.contacts : []);
+    const warning = [main.warning, channels.warning].filter(Boolean).join(' ') || null;
+
+    // Only a deployment with a public address can be called back.
+    const statusCallbacks = new Map();
+    for (const provider of providers) {
+        const url = record.id && config.baseUrl ? ((await provider.statusCallbackUrl?.(record.id)) ?? null) : null;
+        statusCallbacks.set(provider, url);
+    }
+
+    // One call script per language on the list, not one per contact.
+    const scripts = new Map();
+    const twimlFor = (language) => {
+        if (!scripts.has(language)) scripts.set(language, buildTwiml(record, { language }));
+        return scripts.get(language);
+    };
+
+    return {
+        providers,
+        channelProviders: channels.channelProviders,
+        warning,
+        statusCallbacks,
+        twimlFor,
+        now: Date.now(),
+    };
+};
+
+/**
+ * Reach the contacts on a missed check-in.
+ *
+ * The organisation's webhook is not sent from here. Its retries can take
+ * most of twenty seconds, and the round's results should not wait for them
+ * before they are saved; the caller sends it afterwards with notifyWebhook.
+ *
+ * @param {Object} record
+ * @param {Array} [recipients] - who to reach this time; every contact by default
  * @returns {Promise<{ warning: string|null, results: Array }>}
  */
-export const dispatchAlert = async (record) => {
-    const { provider, warning } = resolveProvider();
-    const twiml = buildTwiml(record);
-    const body = buildTextMessage(record);
+export const dispatchAlert = async (record, recipients = record.contacts) => {
+    const dispatch = await prepareDispatch(record);
+    const all = Array.isArray(record.contacts) ? record.contacts : [];
+    const contacts = Array.isArray(recipients) ? recipients : [];
 
-    const contacts = Array.isArray(record.contacts) ? record.contacts : [];
+    const results = await Promise.all(
+        contacts.map((contact) => reachContact(record, contact, all.indexOf(contact), CHANNELS, dispatch)),
+    );
+
+    return { warning: dispatch.warning, results };
+};
+
+/**
+ * Post the round to WEBHOOK_URL. Never throws: the contacts are the alert, and
+ * a broken webhook must not cost them theirs.
+ *
+ * @param {Object} record - the check-in, with the round being sent
+ * @param {number} [now]
+ * @returns {Promise<{ outcome: Object|null, warning: string|null }|null>} null when no webhook is set
+ */
+export const notifyWebhook = async (record, now = Date.now()) => {
+    if (!webhookProvider.isEnabled()) return null;
+
+    const missing = webhookProvider.missingSettings();
+    if (missing.length > 0) {
+        return { outcome: null, warning: `The webhook is missing ${missing.join(', ')}; not sent.` };
+    }
+
+    try {
+        const outcome = await webhookProvider.sendAlert(webhookProvider.buildPayload(record, { now }));
+        return { outcome, warning: outcome.ok ? null : `${outcome.error}.` };
+    } catch (error) {
+        return { outcome: { ok: false, attempts: 0, error: error.message }, warning: `Webhook failed: ${error.message}.` };
+    }
+};
+
+/**
+ * Send some channels again to some contacts, for a retry of a failed call or
+ * text (see retry.js).
+ *
+ * @param {Object} record
+ * @param {Array<{ contactIndex: number, channels: string[] }>} deliveries
+ * @returns {Promise<{ warning: string|null, results: Array }>}
+ */
+export const redeliver = async (record, deliveries) => {
+    const dispatch = await prepareDispatch(record);
+    const all = Array.isArray(record.contacts) ? record.contacts : [];
 
     const results = await Promise.all(
-        contacts.map(async (contact) => {
-            const to = normaliseNumber(contact.phone);
-            if (!to) {
-                return { contact: contact.name, ok: false, error: 'No usable phone number' };
-            }
-
-            // Settled, not all-or-nothing: a failed call must not prevent the
-            // text that carries the location.
-            const [call, text] = await Promise.allSettled([
-                provider.placeCall({ to, twiml, record }),
-                provider.sendText({ to, body, record }),
-            ]);
-
-            return {
-                contact: contact.name,
-                call: describeOutcome(call),
-                text: describeOutcome(text),
-                ok: succeeded(call) || succeeded(text),
-            };
-        }),
+        deliveries
+            .filter(({ contactIndex }) => all[contactIndex])
+            .map(({ contactIndex, channels }) =>
+                reachContact(record, all[contactIndex], contactIndex, channels, dispatch),
+            ),
     );
 
-    return { warning, results };
+    return { warning: dispatch.warning, results };
 };
 
 /**
- * @param {PromiseSettledResult<any>} settled
- * @returns {{ ok: boolean, id?: string, error?: string }}
+ * Call and text one contact on the given channels.
+ *
+ * @param {Object} record
+ * @param {Object} contact
+ * @param {number} index - the contact's position in the record
+ * @param {string[]} channels
+ * @param {Object} dispatch - from prepareDispatch
+ * @returns {Promise<Object>}
  */
-const describeOutcome = (settled) => {
-    if (settled.status === 'rejected') {
-        return { ok: false, error: String(settled.reason?.message ?? settled.reason) };
+const reachContact = async (record, contact, index, channels, dispatch) => {
+    const to = normaliseNumber(contact.phone);
+    if (!to) {
+        return { contact: contact.name, contactIndex: index, ok: false, error: 'No usable phone number' };
     }
-    return settled.value;
+
+    // Each contact gets their own link, so an acknowledgement says who
+    // is helping and a forwarded text cannot speak for someone else.
+    const ackUrl = index >= 0 ? await buildAckUrl(record.id, index) : null;
+    const body = buildTextMessage(record, { now: dispatch.now, ackUrl, language: contact.language });
+
+    // A contact's chosen channel carries the text first, with SMS behind it.
+    // WhatsApp is addressed by phone number; Telegram and email by the
+    // address saved with the contact.
+    const chosen = dispatch.channelProviders.get(contact.channel) ?? null;
+    const textProviders = chosen ? [chosen, ...dispatch.providers] : dispatch.providers;
+    const addressFor = (provider) => (provider === chosen && contact.address ? contact.address : to);
+
+    const send = {
+        call: (provider) =>
+            provider.placeCall({ to, twiml: dispatch.twimlFor(contact.language), record, statusCallback: dispatch.statusCallbacks.get(provider) }),
+        text: (provider) =>
+            provider.sendText({
+                to: addressFor(provider),
+                body,
+                record,
+                statusCallback: dispatch.statusCallbacks.get(provider) ?? null,
+            }),
+    };
+
+    // Independent, not all-or-nothing: a failed call must not prevent the
+    // text that carries the location.
+    const outcomes = await Promise.all(
+        channels.map((channel) => sendThrough(channel === 'text' ? textProviders : dispatch.providers, send[channel])),
+    );
+
+    const result = { contact: contact.name, contactIndex: index };
+    channels.forEach((channel, i) => {
+        result[channel] = outcomes[i];
+    });
+    result.ok = outcomes.some((outcome) => outcome.ok);
+    return result;
 };
 
 /**
- * @param {PromiseSettledResult<any>} settled
- * @returns {boolean}
+ * Try each provider in turn until one accepts.
+ *
+ * @param {Object[]} providers
+ * @param {(provider: Object) => Promise<Object>} send
+ * @returns {Promise<Object>} the accepted outcome, or the failure, naming the provider
+ */
+const sendThrough = async (providers, send) => {
+    const errors = [];
+    for (const provider of providers) {
+        let outcome;
+        try {
+            outcome = await send(provider);
+        } catch (error) {
+            outcome = { ok: false, error: String(error?.message ?? error) };
+        }
+        if (outcome?.ok) return withState({ ...outcome, provider: provider.name });
+        errors.push(providers.length > 1 ? `${provider.name}: ${outcome?.error}` : outcome?.error);
+    }
+    return withState({ ok: false, error: errors.join('; '), provider: providers.at(-1).name });
+};
+
+/**
+ * @param {string} id
+ * @param {number} index
+ * @returns {Promise<string|null>}
+ */
+const buildAckUrl = async (id, index) => {
+    if (!id || !config.baseUrl) return null;
+    const token = await signAck(id, index);
+    return `${config.baseUrl}/api/checkin/ack?id=${id}&c=${index}&t=${token}`;
+};
+
+/**
+ * Start the delivery state that status callbacks later move along.
+ *
+ * @param {{ ok: boolean }} outcome
+ * @returns {Object}
  */
-const succeeded = (settled) => settled.status === 'fulfilled' && settled.value?.ok === true;
+const withState = (outcome) => ({ ...outcome, status: initialState(outcome) });
 
 /**
  * Keep digits and a leading +. A number the provider will reject is better
@@ -0,0 +1,60 @@
+/**
+ * Email provider — the text as an email, through Resend's HTTP API.
+ *
+ * Email is the slowest channel here and the easiest to miss, which is why the
+ * call still goes to the contact's phone. It suits someone who lives in their
+ * inbox at work. Any service accepting the same request shape can stand in,
+ * via EMAIL_API_URL.
+ */
+
+import { config } from '../config.js';
+
+/**
+ * The first line of the alert says who and why, which is what a subject needs.
+ *
+ * @param {string} body
+ * @returns {string}
+ */
+const subjectFor = (body) => body.split('\n')[0].slice(0, 120) || 'SafeSignal alert';
+
+/**
+ * Email cannot place calls.
+ *
+ * @returns {Promise<{ ok: false, error: string }>}
+ */
+export const placeCall = async () => ({ ok: false, error: 'Email cannot place calls.' });
+
+/**
+ * @param {{ to: string, body: string }} params - `to` is the email address
+ * @returns {Promise<{ ok: boolean, id?: string, error?: string }>}
+ */
+export const sendText = async ({ to, body }) => {
+    const response = await fetch(`${config.email.apiUrl}/emails`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${config.email.apiKey}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ from: config.email.from, to: [to], subject: subjectFor(body), text: body }),
+    });
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        return { ok: false, error: payload?.message ?? `Email service returned ${response.status}` };
+    }
+    return { ok: true, id: payload?.id };
+};
+
+export const name = 'email';
+
+/** Only sends text; the call always goes through a phone provider. */
+export const placesCalls = false;
+
+/** @returns {string[]} */
+export const missingSettings = () => {
+    const missing = [];
+    if (!config.email.apiKey) missing.push('EMAIL_API_KEY');
+    if (!config.email.from) missing.push('EMAIL_FROM');
+    return missing;
+};
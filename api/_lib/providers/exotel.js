@@ -13,11 +13,12 @@
  */
 
 import { config } from '../config.js';
+import { signCallback } from '../tokens.js';
 
 /**
  * @returns {string}
  */
-const baseUrl = () => `https://api.exotel.com/v1/Accounts/${config.exotel.accountSid}`;
+const baseUrl = () => `${config.exotel.apiUrl}/v1/Accounts/${config.exotel.accountSid}`;
 
 /**
  * @returns {string}
@@ -60,27 +61,87 @@ const post = async (path, form) => {
  * The `twiml` argument is accepted for interface parity and ignored — see the
  * note at the top of this file.
  *
- * @param {{ to: string }} params
+ * @param {{ to: string, statusCallback?: string|null }} params
  * @returns {Promise<{ ok: boolean, id?: string, error?: string }>}
  */
-export const placeCall = ({ to }) =>
+export const placeCall = ({ to, statusCallback = null }) =>
     post('Calls/connect.json', {
         From: to,
         CallerId: config.exotel.callerId,
         Url: config.exotel.flowUrl,
+        ...(statusCallback && {
+            StatusCallback: statusCallback,
+            'StatusCallbackEvents[0]': 'answered',
+            'StatusCallbackEvents[1]': 'terminal',
+            StatusCallbackContentType: 'application/json',
+        }),
     });
 
 /**
- * @param {{ to: string, body: string }} params
+ * @param {{ to: string, body: string, statusCallback?: string|null }} params
  * @returns {Promise<{ ok: boolean, id?: string, error?: string }>}
  */
-export const sendText = ({ to, body }) =>
+export const sendText = ({ to, body, statusCallback = null }) =>
     post('Sms/send.json', {
         From: config.exotel.callerId,
         To: to,
         Body: body,
+        ...(statusCallback && { StatusCallback: statusCallback }),
     });
 
+/**
+ * Where Exotel should report progress for this check-in's calls and texts.
+ *
+ * Exotel does not sign its callbacks, so the URL carries a token of our own,
+ * checked by exotel-status.js.
+ *
+ * @param {string} id
+ * @returns {Promise<string>}
+ */
+export const statusCallbackUrl = async (id) =>
+    `${config.baseUrl}/api/checkin/exotel-status?id=${encodeURIComponent(id)}&t=${await signCallback(id, 'exotel')}`;
+
+const CALL_STATES = {
+    ringing: 'ringing',
+    'in-progress': 'answered',
+    answered: 'answered',
+    completed: 'answered',
+    busy: 'no-answer',
+    'no-answer': 'no-answer',
+    failed: 'failed',
+    canceled: 'failed',
+};
+
+/** Exotel's "sent" is its delivery report: the handset has the message. */
+const TEXT_STATES = {
+    queued: 'queued',
+    sending: 'queued',
+    submitted: 'queued',
+    sent: 'delivered',
+    'failed-dnd': 'failed',
+    failed: 'failed',
+};
+
+/**
+ * Translate a status callback into the shared delivery states.
+ *
+ * @param {Record<string, any>} params
+ * @returns {{ sid: string, channel: 'call'|'text', state: string }|null}
+ */
+export const readStatusCallback = (params) => {
+    if (params.SmsSid) {
+        const state = TEXT_STATES[String(params.Status ?? '').toLowerCase()];
+        return state ? { sid: params.SmsSid, channel: 'text', state } : null;
+    }
+    if (params.CallSid) {
+        // The "answered" event arrives mid-call with the call still running.
+        const reported = params.EventType === 'answered' ? 'answered' : params.Status;
+        const state = CALL_STATES[String(reported ?? '').toLowerCase()];
+        return state ? { sid: params.CallSid, channel: 'call', state } : null;
+    }
+    return null;
+};
+
 export const name = 'exotel';
 
 /** @returns {string[]} */
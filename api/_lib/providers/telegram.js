@@ -0,0 +1,46 @@
+/**
+ * Telegram provider — the text as a message from a Telegram bot.
+ *
+ * Addressed by chat id rather than phone number: a bot cannot look anyone up
+ * by number, and cannot write to someone until they have started a chat with
+ * it. So the contact opens the bot once, in advance, and their chat id is
+ * saved with them on the contacts screen.
+ */
+
+import { config } from '../config.js';
+
+/**
+ * Telegram has no API for placing a voice call.
+ *
+ * @returns {Promise<{ ok: false, error: string }>}
+ */
+export const placeCall = async () => ({ ok: false, error: 'Telegram cannot place calls.' });
+
+/**
+ * @param {{ to: string, body: string }} params - `to` is the chat id
+ * @returns {Promise<{ ok: boolean, id?: string, error?: string }>}
+ */
+export const sendText = async ({ to, body }) => {
+    const response = await fetch(`${config.telegram.apiUrl}/bot${config.telegram.botToken}/sendMessage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        // No parse_mode: the note is the person's own words, and Markdown
+        // characters in it must not garble the alert.
+        body: JSON.stringify({ chat_id: to, text: body, disable_web_page_preview: true }),
+    });
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok || payload?.ok === false) {
+        return { ok: false, error: payload?.description ?? `Telegram returned ${response.status}` };
+    }
+    return { ok: true, id: String(payload?.result?.message_id ?? '') };
+};
+
+export const name = 'telegram';
+
+/** Only sends text; the call always goes through a phone provider. */
+export const placesCalls = false;
+
+/** @returns {string[]} */
+export const missingSettings = () => (config.telegram.botToken ? [] : ['TELEGRAM_BOT_TOKEN']);
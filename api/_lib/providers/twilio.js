@@ -9,8 +9,7 @@
  */
 
 import { config } from '../config.js';
-
-const API = 'https://api.twilio.com/2010-04-01/Accounts';
+import { constantTimeEqual } from '../tokens.js';
 
 /**
  * @returns {string}
@@ -20,13 +19,18 @@ const authHeader = () => {
     return `Basic ${Buffer.from(raw).toString('base64')}`;
 };
 
+/**
+ * @returns {string}
+ */
+const accountUrl = () => `${config.twilio.apiUrl}/2010-04-01/Accounts/${config.twilio.accountSid}`;
+
 /**
  * @param {string} resource - 'Calls' | 'Messages'
- * @param {Record<string, string>} form
+ * @param {Array<[string, string]>} form - pairs, since some keys repeat
  * @returns {Promise<{ ok: boolean, id?: string, error?: string }>}
  */
 const post = async (resource, form) => {
-    const response = await fetch(`${API}/${config.twilio.accountSid}/${resource}.json`, {
+    const response = await fetch(`${accountUrl()}/${resource}.json`, {
         method: 'POST',
         headers: {
             Authorization: authHeader(),
@@ -43,19 +47,106 @@ const post = async (resource, form) => {
     return { ok: true, id: payload.sid };
 };
 
+/** Call progress worth reporting back; Twilio sends only "completed" otherwise. */
+const CALL_EVENTS = ['initiated', 'ringing', 'answered', 'completed'];
+
 /**
- * @param {{ to: string, twiml: string }} params
+ * @param {{ to: string, twiml: string, statusCallback?: string|null }} params
  * @returns {Promise<{ ok: boolean, id?: string, error?: string }>}
  */
-export const placeCall = ({ to, twiml }) =>
-    post('Calls', { To: to, From: config.twilio.from, Twiml: twiml });
+export const placeCall = ({ to, twiml, statusCallback = null }) => {
+    const form = [['To', to], ['From', config.twilio.from], ['Twiml', twiml]];
+    if (statusCallback) {
+        form.push(['StatusCallback', statusCallback]);
+        for (const event of CALL_EVENTS) form.push(['StatusCallbackEvent', event]);
+    }
+    return post('Calls', form);
+};
 
 /**
- * @param {{ to: string, body: string }} params
+ * @param {{ to: string, body: string, statusCallback?: string|null }} params
  * @returns {Promise<{ ok: boolean, id?: string, error?: string }>}
  */
-export const sendText = ({ to, body }) =>
-    post('Messages', { To: to, From: config.twilio.from, Body: body });
+export const sendText = ({ to, body, statusCallback = null }) => {
+    const form = [['To', to], ['From', config.twilio.from], ['Body', body]];
+    if (statusCallback) form.push(['StatusCallback', statusCallback]);
+    return post('Messages', form);
+};
+
+/**
+ * Where Twilio should report progress for this check-in's calls and texts.
+ *
+ * @param {string} id
+ * @returns {Promise<string>}
+ */
+export const statusCallbackUrl = async (id) =>
+    `${config.baseUrl}/api/checkin/twilio-status?id=${encodeURIComponent(id)}`;
+
+/**
+ * Check X-Twilio-Signature: an HMAC-SHA1, keyed with the auth token, of the
+ * full callback URL followed by every POST parameter, sorted by name.
+ *
+ * @param {string} url - exactly as given to Twilio
+ * @param {Record<string, string>} params
+ * @param {string} signature
+ * @returns {Promise<boolean>}
+ */
+export const verifySignature = async (url, params, signature) => {
+    if (!config.twilio.authToken || !signature) return false;
+
+    const data = url + Object.keys(params).sort().map((name) => `${name}${params[name]}`).join('');
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(config.twilio.authToken),
+        { name: 'HMAC', hash: 'SHA-1' },
+        false,
+        ['sign'],
+    );
+    const digest = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(data));
+    return constantTimeEqual(Buffer.from(digest).toString('base64'), signature);
+};
+
+const CALL_STATES = {
+    queued: 'queued',
+    initiated: 'queued',
+    ringing: 'ringing',
+    'in-progress': 'answered',
+    // Twilio only reports "completed" for a call that connected.
+    completed: 'answered',
+    busy: 'no-answer',
+    'no-answer': 'no-answer',
+    failed: 'failed',
+    canceled: 'failed',
+};
+
+const TEXT_STATES = {
+    accepted: 'queued',
+    queued: 'queued',
+    sending: 'queued',
+    sent: 'sent',
+    delivered: 'delivered',
+    read: 'delivered',
+    undelivered: 'failed',
+    failed: 'failed',
+};
+
+/**
+ * Translate a status callback into the shared delivery states.
+ *
+ * @param {Record<string, string>} params
+ * @returns {{ sid: string, channel: 'call'|'text', state: string }|null}
+ */
+export const readStatusCallback = (params) => {
+    if (params.MessageSid) {
+        const state = TEXT_STATES[params.MessageStatus];
+        return state ? { sid: params.MessageSid, channel: 'text', state } : null;
+    }
+    if (params.CallSid) {
+        const state = CALL_STATES[params.CallStatus];
+        return state ? { sid: params.CallSid, channel: 'call', state } : null;
+    }
+    return null;
+};
 
 export const name = 'twilio';
 
@@ -0,0 +1,164 @@
+/**
+ * Webhook provider — the alert as a signed JSON POST to an organisation's own
+ * system.
+ *
+ * Some deployments answer to a campus security desk or an NGO's dispatch
+ * system rather than a list of phones. With WEBHOOK_URL set, every round of
+ * every alert is also posted there, once the calls and texts to contacts have
+ * gone out, so responders see it in the tools they already watch.
+ *
+ * Each request is signed with WEBHOOK_SECRET, kept apart from the check-in
+ * signing secret so the receiving system cannot mint check-in tokens:
+ *
+ *   X-SafeSignal-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">
+ *
+ * The receiver recomputes it and rejects old timestamps, so a captured request
+ * cannot be replayed. X-SafeSignal-Delivery is the same on every attempt at
+ * one round, so a retried delivery can be recognised.
+ */
+
+import { config } from '../config.js';
+import { buildTextMessage, mapsLink, sanitiseText } from '../compose.js';
+import { latestFix } from '../trail.js';
+
+/**
+ * Waits before each retry. Short, because the callback that fired the round
+ * stays open until the webhook is done.
+ */
+const RETRY_DELAYS_MS = [1_000, 3_000];
+
+/** Longer than this and a stuck receiver holds the callback open for nothing. */
+const TIMEOUT_MS = 5_000;
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {number|null|undefined} at
+ * @returns {string|null}
+ */
+const isoTime = (at) => (Number.isFinite(at) ? new Date(at).toISOString() : null);
+
+/**
+ * What the receiving system gets. The note and names pass through the same
+ * sanitising as the texts, because they will be shown on someone's dashboard.
+ * Contacts' phone numbers are left out: the desk needs to know who was
+ * alerted, not how to reach them.
+ *
+ * @param {Object} record - the check-in, with the round being sent
+ * @param {{ now?: number }} [options]
+ * @returns {Object}
+ */
+export const buildPayload = (record, { now = Date.now() } = {}) => {
+    const round = record.round ?? 1;
+    const fix = latestFix(record);
+    const place = (f) => ({
+        lat: f.lat,
+        lng: f.lng,
+        accuracy: f.accuracy ?? null,
+        at: isoTime(f.at),
+        mapsUrl: mapsLink(f),
+    });
+
+    return {
+        event: 'checkin.alert',
+        delivery: `${record.id}-round-${round}`,
+        sentAt: isoTime(now),
+        checkIn: {
+            id: record.id,
+            userName: sanitiseText(record.userName, 60),
+            round,
+            duress: Boolean(record.duress),
+            expiresAt: isoTime(record.expiresAt),
+            firesAt: isoTime(record.firesAt),
+        },
+        note: sanitiseText(record.note, 200),
+        location: fix ? place(fix) : null,
+        trail: (Array.isArray(record.trail) ? record.trail : []).map(place),
+        contacts: (Array.isArray(record.contacts) ? record.contacts : []).map((c) => ({
+            name: sanitiseText(c.name, 60),
+            tier: c.tier ?? 1,
+        })),
+        summary: buildTextMessage(record, { now }),
+    };
+};
+
+/**
+ * Sign a request body for a given moment.
+ *
+ * @param {string} body
+ * @param {number} timestamp - unix seconds
+ * @returns {Promise<string>} the X-SafeSignal-Signature value
+ */
+export const signPayload = async (body, timestamp) => {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(config.webhook.secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign'],
+    );
+    const digest = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${body}`));
+    const hex = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+    return `t=${timestamp},v1=${hex}`;
+};
+
+/**
+ * A 4xx other than 429 means the receiver refused this request, and sending
+ * it again will not change its mind.
+ *
+ * @param {number} status
+ * @returns {boolean}
+ */
+const isWorthRetrying = (status) => status === 429 || status >= 500;
+
+/**
+ * Post the alert, retrying a failure that might pass.
+ *
+ * @param {Object} payload - from buildPayload
+ * @returns {Promise<{ ok: boolean, status?: number, attempts: number, error?: string }>}
+ */
+export const sendAlert = async (payload) => {
+    const body = JSON.stringify(payload);
+    let last = { ok: false, attempts: 0, error: 'Not sent' };
+
+    for (let attempt = 1; attempt <= RETRY_DELAYS_MS.length + 1; attempt++) {
+        if (attempt > 1) await wait(RETRY_DELAYS_MS[attempt - 2]);
+
+        try {
+            const response = await fetch(config.webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'SafeSignal-Webhook/1',
+                    'X-SafeSignal-Event': payload.event,
+                    'X-SafeSignal-Delivery': payload.delivery,
+                    // Signed afresh each attempt, so a slow retry is not
+                    // rejected as stale.
+                    'X-SafeSignal-Signature': await signPayload(body, Math.floor(Date.now() / 1000)),
+                },
+                body,
+                signal: AbortSignal.timeout(TIMEOUT_MS),
+            });
+
+            if (response.ok) return { ok: true, status: response.status, attempts: attempt };
+            last = { ok: false, status: response.status, attempts: attempt, error: `Webhook returned ${response.status}` };
+            if (!isWorthRetrying(response.status)) return last;
+        } catch (error) {
+            last = { ok: false, attempts: attempt, error: `Could not reach the webhook: ${error.message}` };
+        }
+    }
+
+    return last;
+};
+
+export const name = 'webhook';
+
+/** @returns {boolean} whether a webhook is wanted at all */
+export const isEnabled = () => Boolean(config.webhook.url);
+
+/** @returns {string[]} */
+export const missingSettings = () => (config.webhook.secret ? [] : ['WEBHOOK_SECRET']);
@@ -0,0 +1,84 @@
+/**
+ * WhatsApp provider — the text as a WhatsApp message, via Meta's Cloud API.
+ *
+ * For contacts who read WhatsApp and ignore SMS. Addressed by their phone
+ * number, so choosing it needs nothing more from them.
+ *
+ * WhatsApp only lets a business send free-form text to someone who messaged it
+ * in the last 24 hours. Anyone else gets the message only through a template
+ * approved in advance, so the alert always goes through WHATSAPP_TEMPLATE, a
+ * template with one body variable. Free-form text is not an option: outside
+ * the window the Cloud API still answers 200 and the message fails later, out
+ * of sight, so the SMS fallback would never be tried. Without a template the
+ * channel counts as not set up, and those contacts are texted by SMS.
+ */
+
+import { config } from '../config.js';
+
+/**
+ * Template variables may not contain line breaks, so the lines are joined.
+ *
+ * @param {string} to
+ * @param {string} body
+ * @returns {Object}
+ */
+const buildMessage = (to, body) => {
+    return {
+        messaging_product: 'whatsapp',
+        to: to.replace(/\D/g, ''),
+        type: 'template',
+        template: {
+            name: config.whatsapp.template,
+            language: { code: config.whatsapp.templateLanguage },
+            components: [
+                {
+                    type: 'body',
+                    parameters: [{ type: 'text', text: body.split('\n').filter(Boolean).join(' · ') }],
+                },
+            ],
+        },
+    };
+};
+
+/**
+ * WhatsApp has no API for placing a voice call.
+ *
+ * @returns {Promise<{ ok: false, error: string }>}
+ */
+export const placeCall = async () => ({ ok: false, error: 'WhatsApp cannot place calls.' });
+
+/**
+ * @param {{ to: string, body: string }} params
+ * @returns {Promise<{ ok: boolean, id?: string, error?: string }>}
+ */
+export const sendText = async ({ to, body }) => {
+    const response = await fetch(`${config.whatsapp.apiUrl}/${config.whatsapp.phoneNumberId}/messages`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${config.whatsapp.token}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(buildMessage(to, body)),
+    });
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        return { ok: false, error: payload?.error?.message ?? `WhatsApp returned ${response.status}` };
+    }
+    return { ok: true, id: payload?.messages?.[0]?.id };
+};
+
+export const name = 'whatsapp';
+
+/** Only sends text; the call always goes through a phone provider. */
+export const placesCalls = false;
+
+/** @returns {string[]} */
+export const missingSettings = () => {
+    const missing = [];
+    if (!config.whatsapp.token) missing.push('WHATSAPP_TOKEN');
+    if (!config.whatsapp.phoneNumberId) missing.push('WHATSAPP_PHONE_NUMBER_ID');
+    if (!config.whatsapp.template) missing.push('WHATSAPP_TEMPLATE');
+    return missing;
+};
@@ -0,0 +1,98 @@
+/**
+ * Registering a check-in with the server.
+ *
+ * Shared by start.js, where the person starts a timer by hand, and
+ * series-open.js, where a recurring plan's window opens one for them. Both
+ * need the same contact validation, record and deadline callback; a second
+ * copy of either would sooner or later drift from the first. Scheduling a
+ * plan's next window lives here too, for series.js and series-open.js.
+ */
+
+import { createId, signId } from './tokens.js';
+import { putCheckIn } from './store.js';
+import { scheduleFire } from './scheduler.js';
+import { parseTier, normaliseTiers } from './escalation.js';
+import { GRACE_MS } from './deadline.js';
+import { parseChannel } from './channels.js';
+import { parseLanguage } from './messages.js';
+
+const MAX_CONTACTS = 10;
+
+/**
+ * Keep the contacts that have a phone number, in the shape the messenger
+ * expects. Everything here may later be read aloud down a phone line, so it
+ * is cut to size rather than trusted.
+ *
+ * @param {any} contacts
+ * @returns {Array<Object>} empty when nobody can be reached
+ */
+export const parseContacts = (contacts) =>
+    normaliseTiers(
+        (Array.isArray(contacts) ? contacts.slice(0, MAX_CONTACTS) : [])
+            .filter((c) => c && typeof c.phone === 'string' && c.phone.trim() !== '')
+            .map((c) => ({
+                name: String(c.name ?? '').slice(0, 60),
+                phone: String(c.phone).slice(0, 24),
+                tier: parseTier(c.tier),
+                ...parseChannel(c),
+                ...parseLanguage(c),
+            })),
+    );
+
+/**
+ * Store a check-in and schedule the callback that fires it.
+ *
+ * Throws if either step fails. The caller must then tell the person they are
+ * not covered, rather than let them believe they are.
+ *
+ * @param {{ expiresAt: number, note?: string, userName?: string, contacts: Array<Object>, location?: Object|null, extra?: Object }} params
+ *   `extra` is merged into the record, for what only one caller needs
+ * @returns {Promise<{ id: string, token: string, record: Object }>}
+ */
+export const registerCheckIn = async ({ expiresAt, note = '', userName = '', contacts, location = null, extra = {} }) => {
+    const id = createId();
+    const token = await signId(id);
+
+    const record = {
+        id,
+        createdAt: Date.now(),
+        expiresAt,
+        firesAt: expiresAt + GRACE_MS,
+        note: String(note).slice(0, 200),
+        userName: String(userName).slice(0, 60),
+        contacts,
+        location,
+        status: 'active',
+        ...extra,
+    };
+
+    await putCheckIn(record);
+    const { messageId } = await scheduleFire({
+        id,
+        fireAt: record.firesAt,
+        payload: { id, token },
+    });
+
+    // Keep the scheduler handle so cancelling can withdraw the callback.
+    const scheduled = { ...record, scheduledMessageId: messageId };
+    await putCheckIn(scheduled);
+
+    return { id, token, record: scheduled };
+};
+
+/**
+ * Ask for the callback that opens a plan's window.
+ *
+ * @param {string} id - the plan's id
+ * @param {string} token - the plan's token, carried by the callback
+ * @param {{ startsAt: number }} window
+ * @returns {Promise<{ messageId: string }>}
+ */
+export const scheduleOpening = (id, token, window) =>
+    scheduleFire({
+        id,
+        fireAt: window.startsAt,
+        payload: { id, token, startsAt: window.startsAt },
+        dedupeId: `series-${id}-at-${window.startsAt}`,
+        endpoint: '/api/checkin/series-open',
+    });
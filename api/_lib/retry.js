@@ -0,0 +1,86 @@
+/**
+ * Retrying the calls and texts a round failed to send.
+ *
+ * The fallback provider covers a provider that is down for a moment. It does
+ * not help when both are down, or when one contact's network refuses a text
+ * for a few minutes. So after each round, every failed call and every failed
+ * text is tried again, each on its own, with a longer wait each time. A text
+ * that failed gets another attempt even if that contact's call went through:
+ * the text is what carries the location.
+ *
+ * The retries of one round go out together in one scheduled callback to the
+ * fire endpoint, which resends only what is still failing.
+ */
+
+/** Waits before each retry: soon at first, then backing off. */
+export const RETRY_DELAYS_MS = [60 * 1000, 3 * 60 * 1000, 10 * 60 * 1000];
+
+const CHANNELS = ['call', 'text'];
+
+/**
+ * How long to wait before a given retry, or null once they are used up.
+ *
+ * @param {number} attempt - 1 for the first retry
+ * @returns {number|null}
+ */
+export const retryDelay = (attempt) => RETRY_DELAYS_MS[attempt - 1] ?? null;
+
+/**
+ * Whether a call or text needs another attempt. A provider that accepted it
+ * and later reported it failed counts too.
+ *
+ * @param {Object} [outcome]
+ * @returns {boolean}
+ */
+const hasFailed = (outcome) => Boolean(outcome) && (!outcome.ok || outcome.status === 'failed');
+
+/**
+ * The calls and texts of a round that are still failing.
+ *
+ * A contact without a usable number is left out: no retry can fix that.
+ *
+ * @param {Object} record
+ * @param {number} round
+ * @returns {Array<{ contactIndex: number, channels: string[] }>}
+ */
+export const pendingRetries = (record, round) =>
+    (Array.isArray(record?.results) ? record.results : [])
+        .filter((result) => result.round === round && Number.isInteger(result.contactIndex) && result.contactIndex >= 0)
+        .map((result) => ({
+            contactIndex: result.contactIndex,
+            channels: CHANNELS.filter((channel) => hasFailed(result[channel])),
+        }))
+        .filter(({ channels }) => channels.length > 0);
+
+/**
+ * Fold a retry's outcomes into the record, replacing the failed attempts and
+ * recounting who the round reached.
+ *
+ * @param {Object} record
+ * @param {number} round
+ * @param {number} attempt
+ * @param {Array<Object>} retried - results from messenger.redeliver
+ * @param {number} [now]
+ * @returns {Object} the updated record
+ */
+export const applyRetryResults = (record, round, attempt, retried, now = Date.now()) => {
+    const results = (Array.isArray(record.results) ? record.results : []).map((result) => {
+        if (result.round !== round) return result;
+        const again = retried.find((r) => r.contactIndex === result.contactIndex);
+        if (!again) return result;
+
+        const updated = { ...result };
+        for (const channel of CHANNELS) {
+            if (again[channel]) updated[channel] = { ...again[channel], attempt: attempt + 1, at: now };
+        }
+        updated.ok = CHANNELS.some((channel) => updated[channel]?.ok);
+        return updated;
+    });
+
+    const reached = results.filter((r) => r.round === round && r.ok).length;
+    const rounds = (Array.isArray(record.rounds) ? record.rounds : []).map((r) =>
+        r.round === round ? { ...r, reached } : r,
+    );
+
+    return { ...record, results, rounds };
+};
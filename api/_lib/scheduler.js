@@ -1,52 +1,50 @@
 /**
- * Deadline scheduling, backed by Upstash QStash over its REST API.
+ * Deadline scheduling.
  *
- * QStash schedules a single HTTP callback for an exact future moment, which is
- * a better fit than cron: a five-minute check-in does not want a job polling
- * every minute asking whether anything has expired, and Vercel's Hobby plan
- * limits cron frequency too severely for that to work anyway.
+ * One callback to the fire endpoint at the exact moment a check-in expires,
+ * from whichever adapter CHECKIN_SCHEDULER names (see schedulers/). QStash is
+ * the default, and the only choice on a serverless platform. `local` keeps
+ * the callbacks in the store and runs them from this process, for a single
+ * self-hosted box.
+ *
+ * Either way it is a single callback rather than cron: a five-minute check-in
+ * does not want a job polling every minute asking whether anything expired.
  */
 
 import { config } from './config.js';
+import * as qstashScheduler from './schedulers/qstash.js';
+import * as localScheduler from './schedulers/local.js';
 
-const QSTASH_PUBLISH = 'https://qstash.upstash.io/v2/publish';
-const QSTASH_MESSAGES = 'https://qstash.upstash.io/v2/messages';
+const ADAPTERS = {
+    qstash: qstashScheduler,
+    local: localScheduler,
+};
 
-/** QStash caps how far ahead a message may be delayed. */
-const MAX_DELAY_S = 7 * 24 * 60 * 60;
+/**
+ * The configured adapter. An unknown name is reported by config.js, so the
+ * API never gets as far as scheduling with it.
+ *
+ * @returns {{ scheduleFire: Function, cancelFire: Function, name: string }}
+ */
+export const resolveScheduler = () => {
+    const adapter = ADAPTERS[config.scheduler];
+    if (!adapter) throw new Error(`Unknown CHECKIN_SCHEDULER "${config.scheduler}".`);
+    return adapter;
+};
 
 /**
  * Ask for a callback at (or just after) a given moment.
  *
- * @param {{ id: string, fireAt: number, payload: Object }} params
+ * A second request carrying the same deduplication id is dropped, so each
+ * distinct callback for one check-in — an escalation round, say — needs its own.
+ *
+ * The callback goes to the fire endpoint unless `endpoint` names another;
+ * the local adapter lists the ones it can deliver to.
+ *
+ * @param {{ id: string, fireAt: number, payload: Object, dedupeId?: string, endpoint?: string }} params
  * @returns {Promise<{ messageId: string }>}
  */
-export const scheduleFire = async ({ id, fireAt, payload }) => {
-    const delaySeconds = Math.max(0, Math.min(Math.ceil((fireAt - Date.now()) / 1000), MAX_DELAY_S));
-    const destination = `${config.baseUrl}/api/checkin/fire`;
-
-    const response = await fetch(`${QSTASH_PUBLISH}/${destination}`, {
-        method: 'POST',
-        headers: {
-            Authorization: `Bearer ${config.qstash.token}`,
-            'Content-Type': 'application/json',
-            'Upstash-Delay': `${delaySeconds}s`,
-            // Retries matter here: a transient failure to reach our own
-            // endpoint must not mean the alert is simply dropped.
-            'Upstash-Retries': '3',
-            'Upstash-Deduplication-Id': `checkin-${id}`,
-        },
-        body: JSON.stringify(payload),
-    });
-
-    if (!response.ok) {
-        const detail = await response.text().catch(() => '');
-        throw new Error(`Could not schedule the check-in (${response.status}): ${detail.slice(0, 200)}`);
-    }
-
-    const result = await response.json();
-    return { messageId: result.messageId };
-};
+export const scheduleFire = (params) => resolveScheduler().scheduleFire(params);
 
 /**
  * Cancel a scheduled callback.
@@ -58,18 +56,13 @@ export const scheduleFire = async ({ id, fireAt, payload }) => {
  * @param {string} messageId
  * @returns {Promise<boolean>}
  */
-export const cancelFire = async (messageId) => {
-    if (!messageId) return false;
+export const cancelFire = (messageId) => resolveScheduler().cancelFire(messageId);
 
-    try {
-        const response = await fetch(`${QSTASH_MESSAGES}/${messageId}`, {
-            method: 'DELETE',
-            headers: { Authorization: `Bearer ${config.qstash.token}` },
-        });
-        // 404 means it already ran or never existed; either way there is
-        // nothing left to cancel.
-        return response.ok || response.status === 404;
-    } catch {
-        return false;
-    }
-};
+/**
+ * Set the timers again for callbacks still pending from before a restart.
+ * Only the local adapter has any; QStash holds its own.
+ *
+ * @returns {Promise<number>} how many callbacks are pending here
+ */
+export const resumeScheduledFires = async () =>
+    config.scheduler === 'local' ? localScheduler.resumeScheduledFires() : 0;
@@ -0,0 +1,180 @@
+/**
+ * Local adapter — deadline callbacks from this process, for a single
+ * self-hosted box with no third-party scheduler.
+ *
+ * Pending callbacks are kept in the store, and a timer is set in memory for
+ * each one. On restart, resumeScheduledFires() reloads the list and sets the
+ * timers again. A deadline that passed while the process was down fires
+ * straight away.
+ *
+ * It needs a process that stays running. On a serverless platform the timers
+ * die with the function instance, so use QStash there.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { getScheduledJobs, putScheduledJobs } from '../store.js';
+
+/** Same ceiling as QStash, so a check-in behaves alike under either. */
+const MAX_DELAY_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Waits before each retry after the fire handler answers 5xx. Three retries,
+ * as with QStash: a transient failure must not mean the alert is dropped.
+ */
+const RETRY_DELAYS_MS = [30_000, 2 * 60_000, 10 * 60_000];
+
+/** @type {Map<string, ReturnType<typeof setTimeout>>} */
+const timers = new Map();
+
+let resumed = null;
+
+/** @type {Promise<any>} */
+let queue = Promise.resolve();
+
+/**
+ * Change the job list one caller at a time, so two check-ins scheduling at
+ * once cannot each write back a list missing the other's job.
+ *
+ * @template T
+ * @param {(jobs: Array<Object>) => [Array<Object>, T]} change - returns the new list and a result
+ * @returns {Promise<T>}
+ */
+const updateJobs = (change) => {
+    const run = queue.then(async () => {
+        const [jobs, result] = change(await getScheduledJobs());
+        await putScheduledJobs(jobs);
+        return result;
+    });
+    queue = run.catch(() => { });
+    return run;
+};
+
+/**
+ * The handlers a callback may be delivered to, each imported when needed:
+ * they reach this module themselves, through the escalation ladder or the
+ * next window of a plan.
+ */
+const HANDLERS = {
+    '/api/checkin/fire': () => import('../../checkin/fire.js'),
+    '/api/checkin/series-open': () => import('../../checkin/series-open.js'),
+};
+
+/**
+ * Call the endpoint in this process, the way the scheduler's HTTP request
+ * would. Jobs saved before callbacks named an endpoint all went to fire.
+ *
+ * @param {string} [endpoint]
+ * @param {Object} payload
+ * @returns {Promise<number>} the HTTP status the handler answered with
+ */
+const callHandler = async (endpoint = '/api/checkin/fire', payload) => {
+    const load = HANDLERS[endpoint];
+    if (!load) throw new Error(`No scheduled handler for ${endpoint}.`);
+
+    const { default: handle } = await load();
+    const res = {
+        statusCode: 0,
+        setHeader() { },
+        end() { },
+    };
+    await handle({ method: 'POST', url: endpoint, headers: {}, body: payload }, res);
+    return res.statusCode;
+};
+
+/**
+ * @param {Object} job
+ * @returns {Promise<void>}
+ */
+const deliver = async (job) => {
+    timers.delete(job.messageId);
+
+    const status = await callHandler(job.endpoint, job.payload).catch(() => 500);
+    const retryIn = status >= 500 ? RETRY_DELAYS_MS[job.attempt] : undefined;
+
+    if (retryIn === undefined) {
+        if (status >= 500) console.error('[SafeSignal] gave up on scheduled fire', job.messageId, status);
+        await updateJobs((jobs) => [jobs.filter((j) => j.messageId !== job.messageId), null]);
+        return;
+    }
+
+    const retry = { ...job, attempt: job.attempt + 1, fireAt: Date.now() + retryIn };
+    await updateJobs((jobs) => [jobs.map((j) => (j.messageId === job.messageId ? retry : j)), null]);
+    arm(retry);
+};
+
+/**
+ * @param {Object} job
+ */
+const arm = (job) => {
+    clearTimeout(timers.get(job.messageId));
+    const timer = setTimeout(() => {
+        deliver(job).catch((error) => console.error('[SafeSignal] scheduled fire failed', error));
+    }, Math.max(0, job.fireAt - Date.now()));
+    // An HTTP server keeps the process alive; a pending alert alone should
+    // not stop a test run or a script from exiting.
+    timer.unref?.();
+    timers.set(job.messageId, timer);
+};
+
+/**
+ * Reload pending callbacks and set their timers. Safe to call more than once.
+ *
+ * @returns {Promise<number>} how many callbacks are pending
+ */
+export const resumeScheduledFires = () => {
+    resumed ??= getScheduledJobs().then((jobs) => {
+        for (const job of jobs) arm(job);
+        return jobs.length;
+    });
+    return resumed;
+};
+
+/**
+ * @param {{ id: string, fireAt: number, payload: Object, dedupeId?: string, endpoint?: string }} params
+ * @returns {Promise<{ messageId: string }>}
+ */
+export const scheduleFire = async ({ id, fireAt, payload, dedupeId = `checkin-${id}`, endpoint = '/api/checkin/fire' }) => {
+    await resumeScheduledFires();
+
+    const { job, added } = await updateJobs((jobs) => {
+        // As with QStash, a second request with the same deduplication id is
+        // dropped while the first is still pending.
+        const existing = jobs.find((j) => j.dedupeId === dedupeId);
+        if (existing) return [jobs, { job: existing, added: false }];
+
+        const created = {
+            messageId: `local-${randomUUID()}`,
+            dedupeId,
+            fireAt: Math.min(fireAt, Date.now() + MAX_DELAY_MS),
+            endpoint,
+            payload,
+            attempt: 0,
+        };
+        return [[...jobs, created], { job: created, added: true }];
+    });
+
+    // Only once it is saved: a timer for a job the store never took would
+    // fire for a check-in the caller was told had failed to register.
+    if (added) arm(job);
+    return { messageId: job.messageId };
+};
+
+/**
+ * @param {string} messageId
+ * @returns {Promise<boolean>}
+ */
+export const cancelFire = async (messageId) => {
+    if (!messageId) return false;
+
+    clearTimeout(timers.get(messageId));
+    timers.delete(messageId);
+
+    try {
+        await updateJobs((jobs) => [jobs.filter((j) => j.messageId !== messageId), null]);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+export const name = 'local';
@@ -0,0 +1,176 @@
+/**
+ * Recurring check-ins: the plan, and the windows it makes.
+ *
+ * A plan is a time of day and a set of weekdays, such as "weekdays 22:00–22:40
+ * walking home". Each window opens an ordinary check-in whose deadline is the
+ * end of the window, so cancelling, extending, firing and escalation all work
+ * exactly as they do for a timer started by hand.
+ *
+ * Times are wall-clock times in the person's own time zone, which the app
+ * sends with the plan. A walk home at 22:00 stays at 22:00 across a daylight
+ * saving change, and a server in another zone makes no difference.
+ *
+ * Mirrors src/utils/checkInPlans.js, which works out the same windows in the
+ * device's local time.
+ */
+
+import { isValidDuration } from './deadline.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * @typedef {Object} Plan
+ * @property {number[]} days - 0 for Sunday to 6 for Saturday
+ * @property {string} start - "HH:MM"
+ * @property {string} end - "HH:MM"; earlier than start means the next day
+ * @property {string} timeZone - IANA name, e.g. "Asia/Kolkata"
+ */
+
+/**
+ * @typedef {{ startsAt: number, endsAt: number }} Window
+ */
+
+/**
+ * @param {string} time - "HH:MM"
+ * @returns {number} minutes after midnight
+ */
+const toMinutes = (time) => {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * @param {Plan} plan
+ * @returns {number}
+ */
+export const windowLength = (plan) => {
+    const minutes = (toMinutes(plan.end) - toMinutes(plan.start) + 24 * 60) % (24 * 60);
+    return minutes * 60_000;
+};
+
+/**
+ * @param {any} timeZone
+ * @returns {boolean}
+ */
+const isTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || timeZone === '') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Check a plan sent by the app. Clients can lie, and a plan the server
+ * misreads fires on the wrong night.
+ *
+ * @param {any} value
+ * @returns {{ ok: true, plan: Plan } | { ok: false, error: string }}
+ */
+export const parsePlan = (value) => {
+    const days = Array.isArray(value?.days)
+        ? [...new Set(value.days)].filter((d) => Number.isInteger(d) && d >= 0 && d <= 6).sort()
+        : [];
+    if (days.length === 0) {
+        return { ok: false, error: 'plan.days must list at least one day, 0 (Sunday) to 6.' };
+    }
+
+    if (!TIME_PATTERN.test(value.start ?? '') || !TIME_PATTERN.test(value.end ?? '')) {
+        return { ok: false, error: 'plan.start and plan.end must be times like "22:00".' };
+    }
+
+    if (!isTimeZone(value.timeZone)) {
+        return { ok: false, error: 'plan.timeZone must be a time zone name like "Asia/Kolkata".' };
+    }
+
+    const plan = { days, start: value.start, end: value.end, timeZone: value.timeZone };
+    if (!isValidDuration(windowLength(plan))) {
+        return { ok: false, error: 'A window must last between 1 minute and 12 hours.' };
+    }
+
+    return { ok: true, plan };
+};
+
+/**
+ * The calendar date and offset from UTC at a moment, in a time zone.
+ *
+ * @param {number} at
+ * @param {string} timeZone
+ * @returns {{ year: number, month: number, day: number, offsetMs: number }}
+ */
+const zonedParts = (at, timeZone) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+        })
+            .formatToParts(at)
+            .map(({ type, value }) => [type, Number(value)]),
+    );
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return {
+        year: parts.year,
+        month: parts.month - 1,
+        day: parts.day,
+        offsetMs: wallClock - Math.floor(at / 1000) * 1000,
+    };
+};
+
+/**
+ * The moment a wall-clock time happens on a date in a time zone.
+ *
+ * Guessed from the offset at that time, then corrected once, which settles
+ * everywhere but the hour a clock skips or repeats. There it lands an hour
+ * either side, which is the best a nonexistent time can do.
+ *
+ * @param {number} year
+ * @param {number} month - 0-based
+ * @param {number} day
+ * @param {number} minutes - after midnight
+ * @param {string} timeZone
+ * @returns {number}
+ */
+const zonedTime = (year, month, day, minutes, timeZone) => {
+    const wallClock = Date.UTC(year, month, day, 0, minutes);
+    const guess = wallClock - zonedParts(wallClock, timeZone).offsetMs;
+    return wallClock - zonedParts(guess, timeZone).offsetMs;
+};
+
+/**
+ * The window open at `from`, or else the next one to open.
+ *
+ * Windows that have already closed are skipped, so passing a window's own end
+ * gives the one after it.
+ *
+ * @param {Plan} plan
+ * @param {number} [from]
+ * @returns {Window}
+ */
+export const nextWindow = (plan, from = Date.now()) => {
+    const { year, month, day } = zonedParts(from, plan.timeZone);
+    const length = windowLength(plan);
+    const start = toMinutes(plan.start);
+
+    // From yesterday, for a window that began before midnight and is still
+    // open, to eight days on, which always reaches the next one.
+    for (let offset = -1; offset <= 8; offset += 1) {
+        const date = new Date(Date.UTC(year, month, day + offset));
+        if (!plan.days.includes(date.getUTCDay())) continue;
+
+        const startsAt = zonedTime(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), start, plan.timeZone);
+        if (startsAt + length > from) return { startsAt, endsAt: startsAt + length };
+    }
+
+    // Unreachable for a parsed plan, which always names a day.
+    return { startsAt: from + 7 * DAY_MS, endsAt: from + 7 * DAY_MS + length };
+};
@@ -1,41 +1,50 @@
 /**
- * Check-in storage, backed by Upstash Redis over its REST API.
+ * Check-in storage.
  *
- * Uses plain fetch rather than an SDK so the backend adds no dependencies —
- * nothing to install before it runs, and nothing to keep patched.
+ * The records live in whichever adapter CHECKIN_STORE names (see stores/):
+ * Upstash Redis in production, memory for tests, a JSON file for a single
+ * self-hosted box. Every adapter offers the same five calls, and the one
+ * that matters most, an atomic "set only if absent", behaves identically in
+ * each. It is what stops a contact being rung twice.
+ *
+ * Anything written while a round may be dispatching lives under a key of its
+ * own rather than inside the record. A round reads the record, spends seconds
+ * calling people, and writes it back, so a change saved into the record in
+ * between would be lost. getCheckIn merges those keys back in.
  *
  * Records carry a TTL so an abandoned check-in cannot linger indefinitely: the
  * store forgets it a while after it was due, whatever happened.
  */
 
 import { config } from './config.js';
+import { rankOf, applyDeliveryStatus } from './delivery.js';
+import * as upstashStore from './stores/upstash.js';
+import * as memoryStore from './stores/memory.js';
+import * as fileStore from './stores/file.js';
 
 /** Extra time a record is kept beyond its deadline, for status lookups. */
 const RETENTION_AFTER_DUE_S = 24 * 60 * 60;
 
+const ADAPTERS = {
+    upstash: upstashStore,
+    memory: memoryStore,
+    file: fileStore,
+};
+
 /**
- * Run one Redis command.
+ * The configured adapter.
  *
- * @param {(string|number)[]} command
- * @returns {Promise<any>} the `result` field
+ * Unlike the messaging provider, an unknown name does not fall back to
+ * anything. A check-in quietly kept in memory would be lost on the next
+ * restart or instance, and the callback would find nothing to fire. config.js
+ * reports the bad name, so the API refuses to start a check-in at all.
+ *
+ * @returns {{ get: Function, getMany: Function, set: Function, expire: Function, del: Function, name: string }}
  */
-const execute = async (command) => {
-    const response = await fetch(config.redis.url, {
-        method: 'POST',
-        headers: {
-            Authorization: `Bearer ${config.redis.token}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(command),
-    });
-
-    if (!response.ok) {
-        const detail = await response.text().catch(() => '');
-        throw new Error(`Redis command failed (${response.status}): ${detail.slice(0, 200)}`);
-    }
-
-    const payload = await response.json();
-    return payload.result;
+export const resolveStore = () => {
+    const adapter = ADAPTERS[config.store];
+    if (!adapter) throw new Error(`Unknown CHECKIN_STORE "${config.store}".`);
+    return adapter;
 };
 
 /**
@@ -44,6 +53,77 @@ const execute = async (command) => {
  */
 const keyFor = (id) => `safesignal:checkin:${id}`;
 
+/**
+ * Round one keeps the original key, so a claim taken before escalation rounds
+ * existed still guards the same dispatch.
+ *
+ * @param {string} id
+ * @param {number} round
+ * @returns {string}
+ */
+const claimKeyFor = (id, round) => (round > 1 ? `${keyFor(id)}:fired:${round}` : `${keyFor(id)}:fired`);
+
+/**
+ * @param {string} id
+ * @param {number} index - the contact's position in the record
+ * @returns {string}
+ */
+const ackKeyFor = (id, index) => `${keyFor(id)}:ack:${index}`;
+
+/**
+ * @param {string} id
+ * @returns {string}
+ */
+const trailKeyFor = (id) => `${keyFor(id)}:trail`;
+
+/**
+ * @param {string} id
+ * @returns {string}
+ */
+const deadlineKeyFor = (id) => `${keyFor(id)}:deadline`;
+
+/**
+ * @param {string} id
+ * @returns {string}
+ */
+const duressKeyFor = (id) => `${keyFor(id)}:duress`;
+
+/**
+ * One key per call or text and rank, set only if absent. Two callbacks can
+ * then never undo each other, and the first end state to arrive stands, as
+ * applyDeliveryStatus has it.
+ *
+ * @param {string} id
+ * @param {string} sid - the provider's id for the call or text
+ * @param {number} rank
+ * @returns {string}
+ */
+const statusKeyFor = (id, sid, rank) => `${keyFor(id)}:status:${sid}:${rank}`;
+
+/** Ranks worth a key: "queued" is what every call and text starts as. */
+const STATUS_RANKS = [1, 2];
+
+/**
+ * Seconds to keep anything belonging to a check-in: until a day after it was due.
+ *
+ * @param {{ expiresAt: number }} record
+ * @returns {number}
+ */
+const ttlFor = (record) => Math.max(0, Math.ceil((record.expiresAt - Date.now()) / 1000)) + RETENTION_AFTER_DUE_S;
+
+/**
+ * @param {string|null} raw
+ * @returns {any} null when missing or unreadable
+ */
+const parse = (raw) => {
+    if (!raw) return null;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return null;
+    }
+};
+
 /**
  * Store a check-in, expiring it a day after it was due.
  *
@@ -51,24 +131,177 @@ const keyFor = (id) => `safesignal:checkin:${id}`;
  * @returns {Promise<void>}
  */
 export const putCheckIn = async (record) => {
-    const secondsUntilDue = Math.max(0, Math.ceil((record.expiresAt - Date.now()) / 1000));
-    const ttl = secondsUntilDue + RETENTION_AFTER_DUE_S;
-    await execute(['SET', keyFor(record.id), JSON.stringify(record), 'EX', ttl]);
+    await resolveStore().set(keyFor(record.id), JSON.stringify(record), { ttlSeconds: ttlFor(record) });
 };
 
 /**
  * @param {string} id
- * @returns {Promise<Object|null>}
+ * @returns {Promise<Object|null>} with its trail, extended deadline, duress flag, acknowledgements and delivery statuses merged in
  */
 export const getCheckIn = async (id) => {
-    const raw = await execute(['GET', keyFor(id)]);
-    if (!raw) return null;
-    try {
-        return typeof raw === 'string' ? JSON.parse(raw) : raw;
-    } catch {
-        // A record we cannot parse is a record we cannot act on.
-        return null;
-    }
+    // A record we cannot parse is a record we cannot act on.
+    const record = parse(await resolveStore().get(keyFor(id)));
+    if (!record) return null;
+    // Whatever a late write left behind, a cancelled check-in shows none of it.
+    if (record.status === 'cancelled') return record;
+
+    const contacts = Array.isArray(record.contacts) ? record.contacts : [];
+    const sids = (Array.isArray(record.results) ? record.results : [])
+        .flatMap((result) => [result.call?.id, result.text?.id])
+        .filter(Boolean);
+    const keys = [
+        trailKeyFor(record.id),
+        deadlineKeyFor(record.id),
+        duressKeyFor(record.id),
+        ...contacts.map((_, index) => ackKeyFor(record.id, index)),
+        ...sids.flatMap((sid) => STATUS_RANKS.map((rank) => statusKeyFor(record.id, sid, rank))),
+    ];
+
+    const [trail, deadline, duress, ...values] = (await resolveStore().getMany(keys)).map(parse);
+    const acknowledgements = values.slice(0, contacts.length).filter(Boolean);
+    const statuses = values.slice(contacts.length).filter(Boolean);
+
+    let merged = Array.isArray(trail) ? { ...record, trail } : record;
+    // An extension that lands after a round has fired is too late to count.
+    if (deadline && record.status === 'active') merged = { ...merged, ...deadline };
+    if (duress) merged = { ...merged, ...duress };
+    return withStatuses(withAcknowledgements(merged, acknowledgements), statuses);
+};
+
+/**
+ * Record that the person cancelled with their duress code. The first time
+ * stands. Kept beside the record, like the trail, so a round dispatching at
+ * the same moment neither loses the flag nor is undone by it.
+ *
+ * @param {Object} record
+ * @param {number} [now]
+ * @returns {Promise<boolean>} false when it was already recorded
+ */
+export const recordDuress = async (record, now = Date.now()) => {
+    return resolveStore().set(duressKeyFor(record.id), JSON.stringify({ duress: true, duressAt: now }), {
+        ttlSeconds: ttlFor(record),
+        onlyIfAbsent: true,
+    });
+};
+
+/**
+ * Store an extended deadline and the callback scheduled for it. Never written
+ * into the record, for the same reason as the trail, and only merged into one
+ * that is still active.
+ *
+ * The record itself was set to expire a day after the old deadline, so its
+ * expiry is moved along with the deadline.
+ *
+ * @param {Object} record
+ * @param {{ expiresAt: number, firesAt: number, scheduledMessageId: string|null }} deadline
+ * @returns {Promise<void>}
+ */
+export const putDeadline = async (record, deadline) => {
+    const ttlSeconds = ttlFor(deadline);
+    await resolveStore().set(deadlineKeyFor(record.id), JSON.stringify(deadline), { ttlSeconds });
+    await resolveStore().expire(keyFor(record.id), ttlSeconds);
+};
+
+/**
+ * Merge acknowledgements read from their keys into a record. Ones already in
+ * the record (written by an earlier round, or before they had keys) are kept.
+ *
+ * @param {Object} record
+ * @param {Array<Object>} stored
+ * @returns {Object}
+ */
+const withAcknowledgements = (record, stored) => {
+    const known = Array.isArray(record.acknowledgements) ? record.acknowledgements : [];
+    const fresh = stored.filter((ack) => !known.some((a) => a.index === ack.index));
+    if (fresh.length === 0) return record;
+
+    return { ...record, acknowledgements: [...known, ...fresh].sort((a, b) => a.at - b.at) };
+};
+
+/**
+ * Merge delivery statuses read from their keys into a record's results.
+ *
+ * @param {Object} record
+ * @param {Array<{ sid: string, channel: string, state: string, at: number }>} stored
+ * @returns {Object}
+ */
+const withStatuses = (record, stored) =>
+    stored
+        .sort((a, b) => rankOf(a.state) - rankOf(b.state))
+        .reduce((merged, status) => applyDeliveryStatus(merged, status, status.at) ?? merged, record);
+
+/**
+ * Record a provider's status callback for one call or text.
+ *
+ * It may arrive before the round that placed the call has saved its results,
+ * so it is kept by the provider's id and matched up whenever the record is
+ * read. Kept for a day: a callback only comes once the check-in is due, and
+ * the record goes a day after that.
+ *
+ * @param {string} id
+ * @param {{ sid: string, channel: 'call'|'text', state: string }} update
+ * @param {number} [now]
+ * @returns {Promise<boolean>} false when the state is not one worth keeping, or one as late was already kept
+ */
+export const recordDeliveryStatus = async (id, { sid, channel, state }, now = Date.now()) => {
+    const rank = rankOf(state);
+    if (!sid || !STATUS_RANKS.includes(rank)) return false;
+    return resolveStore().set(statusKeyFor(id, sid, rank), JSON.stringify({ sid, channel, state, at: now }), {
+        ttlSeconds: RETENTION_AFTER_DUE_S,
+        onlyIfAbsent: true,
+    });
+};
+
+/**
+ * Record that a contact is dealing with it. The first tap stands; a second
+ * from the same contact changes nothing.
+ *
+ * @param {Object} record
+ * @param {{ index: number, contact: string, at: number }} acknowledgement
+ * @returns {Promise<boolean>} false when this contact had already acknowledged
+ */
+export const recordAcknowledgement = async (record, acknowledgement) => {
+    return resolveStore().set(ackKeyFor(record.id, acknowledgement.index), JSON.stringify(acknowledgement), {
+        ttlSeconds: ttlFor(record),
+        onlyIfAbsent: true,
+    });
+};
+
+/**
+ * Store the location trail. Never written into the record: a fire landing
+ * between a location update's read and its write would otherwise be undone,
+ * the record put back to active without its results.
+ *
+ * @param {Object} record
+ * @param {Array} trail
+ * @returns {Promise<void>}
+ */
+export const putTrail = async (record, trail) => {
+    await resolveStore().set(trailKeyFor(record.id), JSON.stringify(trail), { ttlSeconds: ttlFor(record) });
+};
+
+/**
+ * Replace a check-in with a bare record saying it was cancelled.
+ *
+ * The contacts, note, location and trail go at once, as they did when cancel
+ * deleted the record. What is left lets the status endpoint say "cancelled"
+ * instead of "not found", and expires on the usual schedule.
+ *
+ * @param {Object} record
+ * @returns {Promise<void>}
+ */
+export const markCancelled = async (record) => {
+    await putCheckIn({
+        id: record.id,
+        status: 'cancelled',
+        createdAt: record.createdAt,
+        expiresAt: record.expiresAt,
+        firesAt: record.firesAt,
+        cancelledAt: Date.now(),
+    });
+    await resolveStore().del(trailKeyFor(record.id));
+    await resolveStore().del(deadlineKeyFor(record.id));
+    await resolveStore().del(duressKeyFor(record.id));
 };
 
 /**
@@ -76,7 +309,10 @@ export const getCheckIn = async (id) => {
  * @returns {Promise<void>}
  */
 export const deleteCheckIn = async (id) => {
-    await execute(['DEL', keyFor(id)]);
+    await resolveStore().del(keyFor(id));
+    await resolveStore().del(trailKeyFor(id));
+    await resolveStore().del(deadlineKeyFor(id));
+    await resolveStore().del(duressKeyFor(id));
 };
 
 /**
@@ -85,14 +321,17 @@ export const deleteCheckIn = async (id) => {
  * A scheduler may deliver the same callback more than once — QStash retries on
  * any non-2xx, and a network hiccup after we have already placed the calls
  * looks exactly like a failure. Without this, one missed check-in could ring a
- * contact repeatedly.
+ * contact repeatedly. Each escalation round is claimed separately.
  *
  * @param {string} id
+ * @param {number} round
  * @returns {Promise<boolean>} true if this caller may proceed
  */
-export const claimFire = async (id) => {
-    const result = await execute(['SET', `${keyFor(id)}:fired`, '1', 'NX', 'EX', RETENTION_AFTER_DUE_S]);
-    return result === 'OK';
+export const claimFire = async (id, round = 1) => {
+    return resolveStore().set(claimKeyFor(id, round), '1', {
+        ttlSeconds: RETENTION_AFTER_DUE_S,
+        onlyIfAbsent: true,
+    });
 };
 
 /**
@@ -103,8 +342,115 @@ export const claimFire = async (id) => {
  * would never go out. The claim must only outlive an attempt that succeeded.
  *
  * @param {string} id
+ * @param {number} round
+ * @returns {Promise<void>}
+ */
+export const releaseFire = async (id, round = 1) => {
+    await resolveStore().del(claimKeyFor(id, round));
+};
+
+/**
+ * Claim one retry of a round's failed calls and texts, for the same reason
+ * each round is claimed: a scheduler delivering the retry twice must not ring
+ * a contact twice.
+ *
+ * @param {string} id
+ * @param {number} round
+ * @param {number} attempt
+ * @returns {Promise<boolean>} true if this caller may proceed
+ */
+export const claimRetry = async (id, round, attempt) => {
+    return resolveStore().set(`${keyFor(id)}:retry:${round}:${attempt}`, '1', {
+        ttlSeconds: RETENTION_AFTER_DUE_S,
+        onlyIfAbsent: true,
+    });
+};
+
+/**
+ * @param {string} id
+ * @param {number} round
+ * @param {number} attempt
+ * @returns {Promise<void>}
+ */
+export const releaseRetry = async (id, round, attempt) => {
+    await resolveStore().del(`${keyFor(id)}:retry:${round}:${attempt}`);
+};
+
+/**
+ * @param {string} id
+ * @returns {string}
+ */
+const seriesKeyFor = (id) => `safesignal:series:${id}`;
+
+/**
+ * Store a recurring plan, kept until a day after its next window closes. Each
+ * window that opens stores it again, so a plan lasts as long as it is used.
+ *
+ * @param {Object} series - carries nextWindow, or nothing once stopped
+ * @returns {Promise<void>}
+ */
+export const putSeries = async (series) => {
+    const until = series.nextWindow?.endsAt ?? Date.now();
+    const ttl = Math.max(0, Math.ceil((until - Date.now()) / 1000)) + RETENTION_AFTER_DUE_S;
+    await resolveStore().set(seriesKeyFor(series.id), JSON.stringify(series), { ttlSeconds: ttl });
+};
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export const getSeries = async (id) => parse(await resolveStore().get(seriesKeyFor(id)));
+
+/**
+ * Claim the right to open one window of a plan, so a callback delivered twice
+ * cannot open two check-ins for the same walk home.
+ *
+ * @param {string} id
+ * @param {number} startsAt
+ * @returns {Promise<boolean>} true if this caller may proceed
+ */
+export const claimWindow = async (id, startsAt) => {
+    return resolveStore().set(`${seriesKeyFor(id)}:opened:${startsAt}`, '1', {
+        ttlSeconds: RETENTION_AFTER_DUE_S,
+        onlyIfAbsent: true,
+    });
+};
+
+/**
+ * @param {string} id
+ * @param {number} startsAt
+ * @returns {Promise<void>}
+ */
+export const releaseWindow = async (id, startsAt) => {
+    await resolveStore().del(`${seriesKeyFor(id)}:opened:${startsAt}`);
+};
+
+const SCHEDULE_KEY = 'safesignal:schedule';
+
+/** Longer than the furthest ahead a callback can be scheduled (seven days). */
+const SCHEDULE_RETENTION_S = 8 * 24 * 60 * 60;
+
+/**
+ * Callbacks waiting in the local scheduler. Kept in the store rather than in
+ * the process, so a restart picks them up again.
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+export const getScheduledJobs = async () => {
+    const raw = await resolveStore().get(SCHEDULE_KEY);
+    if (!raw) return [];
+    try {
+        const jobs = JSON.parse(raw);
+        return Array.isArray(jobs) ? jobs : [];
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * @param {Array<Object>} jobs
  * @returns {Promise<void>}
  */
-export const releaseFire = async (id) => {
-    await execute(['DEL', `${keyFor(id)}:fired`]);
+export const putScheduledJobs = async (jobs) => {
+    await resolveStore().set(SCHEDULE_KEY, JSON.stringify(jobs), { ttlSeconds: SCHEDULE_RETENTION_S });
 };
@@ -0,0 +1,132 @@
+/**
+ * JSON-file adapter.
+ *
+ * For a single self-hosted process that should keep its check-ins across a
+ * restart. Every operation reads the whole file and writes it back, which is
+ * fine for a few hundred check-ins and is not meant to scale past that.
+ *
+ * Operations are queued one at a time inside this process, so a claim and
+ * its check stay atomic here. Two processes sharing one file would not be
+ * safe, so run one.
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { config } from '../config.js';
+
+/** @type {Promise<any>} */
+let queue = Promise.resolve();
+
+/**
+ * Run `task` after every operation queued before it, whether those succeeded
+ * or not.
+ *
+ * @template T
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+const serialise = (task) => {
+    const run = queue.then(task, task);
+    queue = run.catch(() => { });
+    return run;
+};
+
+/**
+ * @returns {Promise<Record<string, { value: string, expiresAt: number }>>}
+ */
+const load = async () => {
+    try {
+        return JSON.parse(await readFile(config.storeFile, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        // A corrupt store must fail loudly. Starting from empty would forget
+        // every check-in in flight without a word.
+        throw new Error(`Could not read ${config.storeFile}: ${error.message}`);
+    }
+};
+
+/**
+ * Write to a temporary file and rename it over the old one, so a crash
+ * mid-write leaves the previous version rather than half a file.
+ *
+ * @param {Record<string, { value: string, expiresAt: number }>} entries
+ * @param {number} now
+ * @returns {Promise<void>}
+ */
+const save = async (entries, now) => {
+    const kept = Object.fromEntries(Object.entries(entries).filter(([, entry]) => entry.expiresAt > now));
+    const temporary = `${config.storeFile}.tmp`;
+    await mkdir(dirname(config.storeFile), { recursive: true });
+    await writeFile(temporary, JSON.stringify(kept));
+    await rename(temporary, config.storeFile);
+};
+
+/**
+ * @param {string} key
+ * @returns {Promise<string|null>}
+ */
+export const get = (key) =>
+    serialise(async () => {
+        const entry = (await load())[key];
+        return entry && entry.expiresAt > Date.now() ? entry.value : null;
+    });
+
+/**
+ * One read of the file for all of them.
+ *
+ * @param {string[]} keys
+ * @returns {Promise<Array<string|null>>} in the same order as keys
+ */
+export const getMany = (keys) =>
+    serialise(async () => {
+        const entries = await load();
+        const now = Date.now();
+        return keys.map((key) => (entries[key] && entries[key].expiresAt > now ? entries[key].value : null));
+    });
+
+/**
+ * @param {string} key
+ * @param {string} value
+ * @param {{ ttlSeconds: number, onlyIfAbsent?: boolean }} options
+ * @returns {Promise<boolean>} false only when onlyIfAbsent and the key exists
+ */
+export const set = (key, value, { ttlSeconds, onlyIfAbsent = false }) =>
+    serialise(async () => {
+        const now = Date.now();
+        const entries = await load();
+        if (onlyIfAbsent && entries[key] && entries[key].expiresAt > now) return false;
+
+        entries[key] = { value, expiresAt: now + ttlSeconds * 1000 };
+        await save(entries, now);
+        return true;
+    });
+
+/**
+ * Keep a key for a new length of time, leaving its value alone.
+ *
+ * @param {string} key
+ * @param {number} ttlSeconds
+ * @returns {Promise<void>}
+ */
+export const expire = (key, ttlSeconds) =>
+    serialise(async () => {
+        const now = Date.now();
+        const entries = await load();
+        if (!(entries[key] && entries[key].expiresAt > now)) return;
+        entries[key].expiresAt = now + ttlSeconds * 1000;
+        await save(entries, now);
+    });
+
+/**
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export const del = (key) =>
+    serialise(async () => {
+        const entries = await load();
+        if (!(key in entries)) return;
+        delete entries[key];
+        await save(entries, Date.now());
+    });
+
+export const name = 'file';
@@ -0,0 +1,80 @@
+/**
+ * In-memory adapter.
+ *
+ * For tests, and for a single long-running process on a laptop. Everything is
+ * gone when the process exits. On a serverless platform, each function
+ * instance would have its own copy. A check-in stored by one would not be
+ * seen by the callback that arrives at another, so never use this there.
+ */
+
+/** @type {Map<string, { value: string, expiresAt: number }>} */
+const entries = new Map();
+
+/**
+ * @param {string} key
+ * @param {number} now
+ * @returns {{ value: string, expiresAt: number }|null}
+ */
+const live = (key, now) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+        entries.delete(key);
+        return null;
+    }
+    return entry;
+};
+
+/**
+ * @param {string} key
+ * @returns {Promise<string|null>}
+ */
+export const get = async (key) => live(key, Date.now())?.value ?? null;
+
+/**
+ * @param {string[]} keys
+ * @returns {Promise<Array<string|null>>} in the same order as keys
+ */
+export const getMany = async (keys) => {
+    const now = Date.now();
+    return keys.map((key) => live(key, now)?.value ?? null);
+};
+
+/**
+ * Check and write happen in one synchronous step, so two claims cannot both
+ * see the key as absent.
+ *
+ * @param {string} key
+ * @param {string} value
+ * @param {{ ttlSeconds: number, onlyIfAbsent?: boolean }} options
+ * @returns {Promise<boolean>} false only when onlyIfAbsent and the key exists
+ */
+export const set = async (key, value, { ttlSeconds, onlyIfAbsent = false }) => {
+    const now = Date.now();
+    if (onlyIfAbsent && live(key, now)) return false;
+    entries.set(key, { value, expiresAt: now + ttlSeconds * 1000 });
+    return true;
+};
+
+/**
+ * Keep a key for a new length of time, leaving its value alone.
+ *
+ * @param {string} key
+ * @param {number} ttlSeconds
+ * @returns {Promise<void>}
+ */
+export const expire = async (key, ttlSeconds) => {
+    const now = Date.now();
+    const entry = live(key, now);
+    if (entry) entry.expiresAt = now + ttlSeconds * 1000;
+};
+
+/**
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export const del = async (key) => {
+    entries.delete(key);
+};
+
+export const name = 'memory';
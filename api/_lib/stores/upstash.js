@@ -0,0 +1,93 @@
+/**
+ * Upstash Redis adapter, over its REST API.
+ *
+ * Uses plain fetch rather than an SDK so the backend adds no dependencies —
+ * nothing to install before it runs, and nothing to keep patched.
+ */
+
+import { config } from '../config.js';
+
+/**
+ * Run one Redis command.
+ *
+ * @param {(string|number)[]} command
+ * @returns {Promise<any>} the `result` field
+ */
+const execute = async (command) => {
+    const response = await fetch(config.redis.url, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${config.redis.token}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(command),
+    });
+
+    if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`Redis command failed (${response.status}): ${detail.slice(0, 200)}`);
+    }
+
+    const payload = await response.json();
+    return payload.result;
+};
+
+/**
+ * @param {string} key
+ * @returns {Promise<string|null>}
+ */
+export const get = async (key) => {
+    const raw = await execute(['GET', key]);
+    if (raw === null || raw === undefined) return null;
+    return typeof raw === 'string' ? raw : JSON.stringify(raw);
+};
+
+/**
+ * One MGET, so reading a record's side keys is a single round trip.
+ *
+ * @param {string[]} keys
+ * @returns {Promise<Array<string|null>>} in the same order as keys
+ */
+export const getMany = async (keys) => {
+    if (keys.length === 0) return [];
+    const raws = await execute(['MGET', ...keys]);
+    return keys.map((_, i) => {
+        const raw = Array.isArray(raws) ? raws[i] : null;
+        if (raw === null || raw === undefined) return null;
+        return typeof raw === 'string' ? raw : JSON.stringify(raw);
+    });
+};
+
+/**
+ * @param {string} key
+ * @param {string} value
+ * @param {{ ttlSeconds: number, onlyIfAbsent?: boolean }} options
+ * @returns {Promise<boolean>} false only when onlyIfAbsent and the key exists
+ */
+export const set = async (key, value, { ttlSeconds, onlyIfAbsent = false }) => {
+    const command = ['SET', key, value];
+    if (onlyIfAbsent) command.push('NX');
+    command.push('EX', ttlSeconds);
+    return (await execute(command)) === 'OK';
+};
+
+/**
+ * Keep a key for a new length of time, leaving its value alone.
+ *
+ * @param {string} key
+ * @param {number} ttlSeconds
+ * @returns {Promise<void>}
+ */
+export const expire = async (key, ttlSeconds) => {
+    await execute(['EXPIRE', key, ttlSeconds]);
+};
+
+/**
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export const del = async (key) => {
+    await execute(['DEL', key]);
+};
+
+export const name = 'upstash';
@@ -27,12 +27,12 @@ const toHex = (buffer) =>
     [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, '0')).join('');
 
 /**
- * Derive the token for a check-in id.
+ * HMAC a message with the server secret.
  *
- * @param {string} id
- * @returns {Promise<string>}
+ * @param {string} message
+ * @returns {Promise<string>} hex encoded
  */
-export const signId = async (id) => {
+const sign = async (message) => {
     const key = await crypto.subtle.importKey(
         'raw',
         new TextEncoder().encode(config.signingSecret),
@@ -40,10 +40,49 @@ export const signId = async (id) => {
         false,
         ['sign'],
     );
-    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(id));
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
     return toHex(signature);
 };
 
+/**
+ * Derive the token for a check-in id.
+ *
+ * @param {string} id
+ * @returns {Promise<string>}
+ */
+export const signId = (id) => sign(id);
+
+/** Hex characters kept in an acknowledgement token: 128 bits, and a shorter SMS. */
+const ACK_TOKEN_LENGTH = 32;
+
+/**
+ * Derive the token in one contact's acknowledgement link.
+ *
+ * Separate from the check-in token on purpose. A contact's link must let them
+ * say "I'm on it" and nothing more — if it carried the owner's token, anyone
+ * the SMS was forwarded to could cancel the check-in.
+ *
+ * @param {string} id
+ * @param {number} index - the contact's position in the record
+ * @returns {Promise<string>}
+ */
+export const signAck = async (id, index) =>
+    (await sign(`${id}:ack:${index}`)).slice(0, ACK_TOKEN_LENGTH);
+
+/**
+ * Derive the token in a provider's delivery-status callback URL.
+ *
+ * For providers that do not sign their callbacks. Exotel is one. Without a
+ * token, anyone who guessed a check-in id could mark its calls as answered,
+ * and the person would believe someone had picked up.
+ *
+ * @param {string} id
+ * @param {string} provider
+ * @returns {Promise<string>}
+ */
+export const signCallback = async (id, provider) =>
+    (await sign(`${id}:callback:${provider}`)).slice(0, ACK_TOKEN_LENGTH);
+
 /**
  * Compare two strings without leaking their difference through timing.
  *
@@ -76,3 +115,27 @@ export const verifyToken = async (id, token) => {
     const expected = await signId(id);
     return constantTimeEqual(expected, token);
 };
+
+/**
+ * @param {string} id
+ * @param {number} index
+ * @param {string} token
+ * @returns {Promise<boolean>}
+ */
+export const verifyAck = async (id, index, token) => {
+    if (!id || !token || !Number.isInteger(index) || index < 0) return false;
+    const expected = await signAck(id, index);
+    return constantTimeEqual(expected, token);
+};
+
+/**
+ * @param {string} id
+ * @param {string} provider
+ * @param {string} token
+ * @returns {Promise<boolean>}
+ */
+export const verifyCallback = async (id, provider, token) => {
+    if (!id || !token) return false;
+    const expected = await signCallback(id, provider);
+    return constantTimeEqual(expected, token);
+};
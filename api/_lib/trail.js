@@ -0,0 +1,73 @@
+/**
+ * The location trail kept for an active check-in.
+ *
+ * The snapshot taken at registration says where someone started, which is the
+ * one place they are least likely to be if the walk went wrong. While the
+ * check-in runs the client pushes fresh fixes, and the alert reports the most
+ * recent with a few earlier points, so contacts search where the person was
+ * last seen rather than where they set off.
+ */
+
+/** Fixes retained per check-in; the oldest are dropped first. */
+export const MAX_TRAIL = 20;
+
+/**
+ * Fixes closer together than this replace the newest entry instead of adding
+ * one, so a chatty client keeps the latest position fresh without pushing the
+ * useful history out of the trail.
+ */
+export const MIN_FIX_SPACING_MS = 30_000;
+
+/**
+ * Validate a position sent by the client.
+ *
+ * @param {any} value
+ * @returns {{lat: number, lng: number, accuracy: number|null}|null}
+ */
+export const parseLocation = (value) => {
+    if (!value || typeof value !== 'object') return null;
+    const lat = Number(value.lat);
+    const lng = Number(value.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+
+    const accuracy = Number(value.accuracy);
+    return { lat, lng, accuracy: Number.isFinite(accuracy) ? accuracy : null };
+};
+
+/**
+ * Add a fix to a trail, oldest first.
+ *
+ * The time is the server's, not the client's: it is what the age in the alert
+ * is measured against, and a phone's clock is not ours to trust.
+ *
+ * @param {Array} trail
+ * @param {{lat: number, lng: number, accuracy: number|null}} location
+ * @param {number} now
+ * @returns {Array} a new trail
+ */
+export const appendFix = (trail, location, now = Date.now()) => {
+    const previous = Array.isArray(trail) ? trail : [];
+    const fix = { ...location, at: now };
+
+    const last = previous[previous.length - 1];
+    const next = last && now - last.at < MIN_FIX_SPACING_MS
+        ? [...previous.slice(0, -1), fix]
+        : [...previous, fix];
+
+    return next.slice(-MAX_TRAIL);
+};
+
+/**
+ * The most recent position known for a check-in: the newest trail entry, or
+ * the registration snapshot if nothing has been pushed since.
+ *
+ * @param {Object} record
+ * @returns {{lat: number, lng: number, accuracy: number|null, at: number}|null}
+ */
+export const latestFix = (record) => {
+    const trail = Array.isArray(record?.trail) ? record.trail : [];
+    if (trail.length > 0) return trail[trail.length - 1];
+    if (!record?.location) return null;
+    return { ...record.location, at: record.createdAt };
+};
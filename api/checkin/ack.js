@@ -0,0 +1,120 @@
+/**
+ * GET  /api/checkin/ack?id=…&c=…&t=…  — the link in a contact's alert text
+ * POST /api/checkin/ack?id=…&c=…&t=…  — "I'm on it"
+ *
+ * Lets a contact say they are dealing with a missed check-in. The person's app
+ * shows who acknowledged and when, and the escalation ladder stops widening.
+ *
+ * Opening the link only shows a page with a button; the button records the
+ * acknowledgement. Messaging apps fetch links to build previews, and a preview
+ * bot that counted as "on it" would silently stop the next round of calls with
+ * nobody actually helping.
+ *
+ * The token in the link is per contact and separate from the check-in token,
+ * so a forwarded text can acknowledge for that contact and do nothing else.
+ */
+
+import { sendHtml, readQuery, rejectWrongMethod } from '../_lib/http.js';
+import { isConfigured } from '../_lib/config.js';
+import { verifyAck } from '../_lib/tokens.js';
+import { getCheckIn, recordAcknowledgement } from '../_lib/store.js';
+import { sanitiseText } from '../_lib/compose.js';
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export default async function handler(req, res) {
+    if (rejectWrongMethod(req, res, ['GET', 'POST'])) return;
+
+    if (!isConfigured()) {
+        sendHtml(res, 503, page('Not available', 'This SafeSignal server is not configured.'));
+        return;
+    }
+
+    const query = readQuery(req);
+    const id = query.get('id') ?? '';
+    const index = Number(query.get('c'));
+    const token = query.get('t') ?? '';
+
+    if (!(await verifyAck(id, index, token))) {
+        // One answer for a bad link and a missing record, as in safe.js.
+        sendHtml(res, 404, page('Link not recognised', 'This link is not valid, or the alert has ended.'));
+        return;
+    }
+
+    let record;
+    try {
+        record = await getCheckIn(id);
+    } catch {
+        sendHtml(res, 502, page('Try again', 'The server could not be reached. Please reload this page.'));
+        return;
+    }
+
+    const contact = record?.contacts?.[index];
+    if (!record || !contact) {
+        sendHtml(res, 404, page('Link not recognised', 'This link is not valid, or the alert has ended.'));
+        return;
+    }
+
+    const who = sanitiseText(record.userName, 40) || 'The person who sent this';
+    const helper = sanitiseText(contact.name, 40) || 'a contact';
+    const acknowledgements = Array.isArray(record.acknowledgements) ? record.acknowledgements : [];
+    const already = acknowledgements.some((a) => a.index === index);
+
+    if (record.status !== 'fired') {
+        sendHtml(res, 200, page('Nothing to do', `${who} has no alert waiting for a response.`));
+        return;
+    }
+
+    if (req.method === 'GET') {
+        sendHtml(
+            res,
+            200,
+            already
+                ? page('Thank you', `${who} has been told you are on it.`)
+                : page(
+                    `${who} may need help`,
+                    `If you are dealing with this, tap the button so ${who} and the other contacts know. Please only tap it if you really are.`,
+                    `I'm on it — ${helper}`,
+                ),
+        );
+        return;
+    }
+
+    if (!already) {
+        // Its own key, not a rewrite of the record: a round dispatching right
+        // now will write the record back when it finishes, over anything
+        // saved into it meanwhile.
+        try {
+            await recordAcknowledgement(record, { index, contact: contact.name, at: Date.now() });
+        } catch {
+            sendHtml(res, 502, page('Try again', 'That did not go through. Please tap the button again.'));
+            return;
+        }
+    }
+
+    sendHtml(res, 200, page('Thank you', `${who} has been told you are on it. Please keep trying to reach them.`));
+}
+
+/**
+ * A bare page, readable on any phone. Every value interpolated here has been
+ * through sanitiseText, which strips markup characters.
+ *
+ * @param {string} title
+ * @param {string} message
+ * @param {string} [button] - label of a button that posts back to this URL
+ * @returns {string}
+ */
+const page = (title, message, button) => [
+    '<!doctype html><html lang="en"><head><meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    '<meta name="robots" content="noindex">',
+    `<title>${title} — SafeSignal</title>`,
+    '<style>body{font-family:system-ui,sans-serif;max-width:32rem;margin:3rem auto;padding:0 1.25rem;line-height:1.5;color:#1f2a28}',
+    'button{font:inherit;font-weight:600;padding:.875rem 1.5rem;border:0;border-radius:.75rem;background:#2f6f62;color:#fff;width:100%}</style>',
+    '</head><body>',
+    `<h1>${title}</h1><p>${message}</p>`,
+    button ? `<form method="post"><button type="submit">${button}</button></form>` : '',
+    '</body></html>',
+].join('');
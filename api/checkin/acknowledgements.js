@@ -0,0 +1,54 @@
+/**
+ * GET /api/checkin/acknowledgements?id=…
+ * Authorization: Bearer <token>
+ *
+ * Which contacts have said they are on it, for the person's own app to show.
+ * Authenticated with the check-in token: who is coming to help is exactly what
+ * someone watching the victim would want to know.
+ */
+
+import { sendJson, readQuery, readBearerToken, rejectWrongMethod } from '../_lib/http.js';
+import { isConfigured } from '../_lib/config.js';
+import { verifyToken } from '../_lib/tokens.js';
+import { getCheckIn } from '../_lib/store.js';
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export default async function handler(req, res) {
+    if (rejectWrongMethod(req, res, 'GET')) return;
+
+    if (!isConfigured()) {
+        sendJson(res, 503, { error: 'The backend is not configured.' });
+        return;
+    }
+
+    const id = readQuery(req).get('id');
+    const token = readBearerToken(req);
+    if (!id || !token) {
+        sendJson(res, 400, { error: 'id and a bearer token are required.' });
+        return;
+    }
+
+    if (!(await verifyToken(id, token))) {
+        sendJson(res, 404, { error: 'No such check-in.' });
+        return;
+    }
+
+    try {
+        const record = await getCheckIn(id);
+        if (!record) {
+            sendJson(res, 404, { error: 'No such check-in.' });
+            return;
+        }
+
+        const acknowledgements = Array.isArray(record.acknowledgements) ? record.acknowledgements : [];
+        sendJson(res, 200, {
+            ok: true,
+            acknowledgements: acknowledgements.map((a) => ({ contact: a.contact, at: a.at })),
+        });
+    } catch (error) {
+        sendJson(res, 502, { error: `Could not read the check-in: ${error.message}` });
+    }
+}
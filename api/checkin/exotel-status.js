@@ -0,0 +1,57 @@
+/**
+ * POST /api/checkin/exotel-status?id=…&t=…
+ *
+ * Exotel's status callback for the calls and texts of one check-in. Does the
+ * same job as twilio-status.js.
+ *
+ * Exotel does not sign its callbacks, so the URL it was given carries a token
+ * derived from the check-in id (see providers/exotel.js). A request without
+ * the right token is refused: a forged "answered" would tell the person
+ * someone had picked up when nobody had.
+ */
+
+import { sendJson, readQuery, readJsonBody, readFormBody, rejectWrongMethod } from '../_lib/http.js';
+import { isConfigured } from '../_lib/config.js';
+import { verifyCallback } from '../_lib/tokens.js';
+import { getCheckIn, recordDeliveryStatus } from '../_lib/store.js';
+import { readStatusCallback } from '../_lib/providers/exotel.js';
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export default async function handler(req, res) {
+    if (rejectWrongMethod(req, res, 'POST')) return;
+
+    if (!isConfigured()) {
+        sendJson(res, 503, { error: 'The backend is not configured.' });
+        return;
+    }
+
+    const query = readQuery(req);
+    const id = query.get('id');
+    if (!(await verifyCallback(id, 'exotel', query.get('t') ?? ''))) {
+        sendJson(res, 403, { error: 'Invalid token.' });
+        return;
+    }
+
+    // Call callbacks are JSON, because placeCall asks for that; SMS
+    // callbacks are always form-encoded.
+    const params = String(req.headers?.['content-type'] ?? '').includes('json')
+        ? ((await readJsonBody(req)) ?? {})
+        : await readFormBody(req);
+
+    const update = readStatusCallback(params);
+    if (!update) {
+        sendJson(res, 200, { ok: true, recorded: false });
+        return;
+    }
+
+    try {
+        const record = await getCheckIn(id);
+        const recorded = record ? await recordDeliveryStatus(id, update) : false;
+        sendJson(res, 200, { ok: true, recorded });
+    } catch (error) {
+        sendJson(res, 502, { error: `Could not record the status: ${error.message}` });
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * POST /api/checkin/extend
+ *
+ * Moves a registered check-in's deadline later, keeping its id and token.
+ * Without this, tapping "+15 min" moved only the timer on the phone, and the
+ * server still called the person's family at the original time.
+ *
+ * The new callback is scheduled before the old one is withdrawn, so there is
+ * never a moment when nothing is scheduled. If withdrawing the old one fails,
+ * fire.js sees that the record is not yet due and ignores it.
+ *
+ * The new deadline is stored beside the record rather than written into it. A
+ * round can fire while the callback is being scheduled, and writing back the
+ * copy read before that would put the check-in back to active without its
+ * rounds and results.
+ */
+
+import { sendJson, readJsonBody, rejectWrongMethod } from '../_lib/http.js';
+import { isConfigured } from '../_lib/config.js';
+import { verifyToken } from '../_lib/tokens.js';
+import { getCheckIn, putDeadline } from '../_lib/store.js';
+import { scheduleFire, cancelFire } from '../_lib/scheduler.js';
+import { GRACE_MS, isValidDuration, extendDeadline } from '../_lib/deadline.js';
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export default async function handler(req, res) {
+    if (rejectWrongMethod(req, res, 'POST')) return;
+
+    if (!isConfigured()) {
+        sendJson(res, 503, { error: 'The backend is not configured.' });
+        return;
+    }
+
+    const body = await readJsonBody(req);
+    if (!body?.id || !body?.token) {
+        sendJson(res, 400, { error: 'id and token are required.' });
+        return;
+    }
+
+    if (!(await verifyToken(body.id, body.token))) {
+        sendJson(res, 404, { error: 'No such check-in.' });
+        return;
+    }
+
+    const extraMs = Number(body.extraMs);
+    if (!isValidDuration(extraMs)) {
+        sendJson(res, 400, { error: 'extraMs must be between 1 minute and 12 hours.' });
+        return;
+    }
+
+    let record;
+    try {
+        record = await getCheckIn(body.id);
+    } catch (error) {
+        sendJson(res, 502, { error: `Could not read the check-in: ${error.message}` });
+        return;
+    }
+
+    if (!record || record.status === 'cancelled') {
+        sendJson(res, 404, { error: 'No such check-in.' });
+        return;
+    }
+
+    if (record.status !== 'active') {
+        // Too late: the contacts have been called, and moving the deadline
+        // would not un-call them.
+        sendJson(res, 409, { error: 'The alert has already gone out.' });
+        return;
+    }
+
+    const expiresAt = extendDeadline(record.expiresAt, extraMs);
+    const firesAt = expiresAt + GRACE_MS;
+
+    let messageId;
+    try {
+        ({ messageId } = await scheduleFire({
+            id: body.id,
+            fireAt: firesAt,
+            payload: { id: body.id, token: body.token },
+            // The original callback holds the default id, and a scheduler
+            // drops a second message with the same one.
+            dedupeId: `checkin-${body.id}-at-${firesAt}`,
+        }));
+    } catch (error) {
+        // Nothing has changed, so the original deadline still stands. The
+        // app says so rather than pretending the extension worked.
+        sendJson(res, 502, { error: `Could not move the deadline: ${error.message}` });
+        return;
+    }
+
+    try {
+        await putDeadline(record, { expiresAt, firesAt, scheduledMessageId: messageId });
+    } catch (error) {
+        await cancelFire(messageId);
+        sendJson(res, 502, { error: `Could not move the deadline: ${error.message}` });
+        return;
+    }
+
+    // A round that fired, or a cancel, while this was scheduling has had its
+    // way; the new deadline is ignored, and its callback is not wanted.
+    const latest = await getCheckIn(body.id).catch(() => null);
+    if (latest && latest.status !== 'active') {
+        await cancelFire(messageId);
+        if (latest.status === 'cancelled') sendJson(res, 404, { error: 'No such check-in.' });
+        else sendJson(res, 409, { error: 'The alert has already gone out.' });
+        return;
+    }
+
+    await cancelFire(record.scheduledMessageId);
+
+    sendJson(res, 200, { ok: true, expiresAt, firesAt });
+}
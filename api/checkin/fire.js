@@ -6,19 +6,37 @@
  * and texts the contacts with no help from the person's phone, so the alert
  * still goes out if they are unable to act.
  *
- * Three guards, in order:
+ * Four guards, in order:
  *   1. The token must be valid — otherwise anyone could trigger someone's alert.
- *   2. The record must still exist — cancelling deletes it, so a cancelled
+ *   2. The record must still exist and not be cancelled, so a cancelled
  *      check-in cannot ring anyone even if the callback still arrives.
- *   3. The fire must be claimable — schedulers retry, and a contact must not be
- *      rung twice for one missed check-in.
+ *   3. The deadline must actually have passed — an extended check-in leaves
+ *      its old callback behind if withdrawing it failed. A duress cancel
+ *      skips this: its callback is due at once.
+ *   4. The round must be claimable — schedulers retry, and a contact must not be
+ *      rung twice for one round of one missed check-in.
+ *
+ * The first callback sends round one. Each round then schedules the next on the
+ * escalation ladder (see _lib/escalation.js), which stops as soon as a contact
+ * acknowledges.
+ *
+ * A callback carrying `retry` resends a round's failed calls and texts instead
+ * (see _lib/retry.js). It passes guards 1 and 2, and each attempt is claimed
+ * on its own.
  */
 
 import { sendJson, readJsonBody, rejectWrongMethod } from '../_lib/http.js';
 import { isConfigured } from '../_lib/config.js';
 import { verifyToken } from '../_lib/tokens.js';
-import { getCheckIn, putCheckIn, claimFire, releaseFire } from '../_lib/store.js';
-import { dispatchAlert } from '../_lib/messenger.js';
+import { getCheckIn } from '../_lib/store.js';
+import { fireRound, retryRound } from '../_lib/firing.js';
+import { hasDispatchedRound, isAcknowledged, parseTier } from '../_lib/escalation.js';
+
+/**
+ * How early a callback may arrive and still count as on time. Schedulers
+ * round their delays, so a callback a second early is not a stale one.
+ */
+const EARLY_DELIVERY_MS = 5_000;
 
 /**
  * @param {import('http').IncomingMessage} req
@@ -43,8 +61,10 @@ export default async function handler(req, res) {
         return;
     }
 
+    const round = parseTier(body.round);
+
     const record = await getCheckIn(body.id);
-    if (!record) {
+    if (!record || record.status === 'cancelled') {
         // Cancelled, or expired out of the store. Answer 200 so the scheduler
         // treats it as handled and stops retrying.
         sendJson(res, 200, {
@@ -55,39 +75,74 @@ export default async function handler(req, res) {
         return;
     }
 
-    if (record.status === 'fired') {
-        sendJson(res, 200, { ok: true, fired: false, reason: 'Already dispatched.' });
+    const attempt = Number(body.retry);
+    if (Number.isInteger(attempt) && attempt >= 1) {
+        await sendRetry(res, record, round, attempt, body.token);
         return;
     }
 
-    // Guard against a retry racing an in-flight dispatch.
-    if (!(await claimFire(body.id))) {
-        sendJson(res, 200, {
-            ok: true,
-            fired: false,
-            reason: 'Another delivery already claimed this.',
-        });
+    if (
+        round === 1
+        && record.status === 'active'
+        && !record.duress
+        && Date.now() < (record.firesAt ?? 0) - EARLY_DELIVERY_MS
+    ) {
+        // The callback for a deadline that has since been extended. The new
+        // one is already scheduled, so this one has nothing to do.
+        sendJson(res, 200, { ok: true, fired: false, reason: 'Not due yet; the deadline was extended.' });
         return;
     }
 
-    try {
-        const { warning, results } = await dispatchAlert(record);
+    if (hasDispatchedRound(record, round)) {
+        sendJson(res, 200, { ok: true, fired: false, reason: 'Already dispatched.' });
+        return;
+    }
 
-        await putCheckIn({ ...record, status: 'fired', firedAt: Date.now(), results });
+    if (round > 1 && isAcknowledged(record)) {
+        sendJson(res, 200, { ok: true, fired: false, reason: 'A contact has acknowledged.' });
+        return;
+    }
 
-        sendJson(res, 200, {
-            ok: true,
-            fired: true,
-            contacts: results.length,
-            reached: results.filter((r) => r.ok).length,
-            warning,
-            results,
-        });
+    let outcome;
+    try {
+        outcome = await fireRound(record, round, body.token);
     } catch (error) {
-        // Hand the claim back before answering, or the retry this 5xx invites
-        // would short-circuit on a claim nobody holds and the alert would never
-        // go out at all.
-        await releaseFire(body.id).catch(() => { });
+        // fireRound has handed the claim back, so the retry this 5xx invites
+        // can still send the alert.
         sendJson(res, 500, { error: `Dispatch failed: ${error.message}` });
+        return;
     }
+
+    sendJson(res, 200, { ok: true, ...outcome });
 }
+
+/**
+ * Answer a retry callback.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {Object} record
+ * @param {number} round
+ * @param {number} attempt
+ * @param {string} token
+ */
+const sendRetry = async (res, record, round, attempt, token) => {
+    if (!hasDispatchedRound(record, round)) {
+        sendJson(res, 200, { ok: true, fired: false, reason: 'That round has not gone out.' });
+        return;
+    }
+
+    if (isAcknowledged(record)) {
+        sendJson(res, 200, { ok: true, fired: false, reason: 'A contact has acknowledged.' });
+        return;
+    }
+
+    let outcome;
+    try {
+        outcome = await retryRound(record, round, attempt, token);
+    } catch (error) {
+        sendJson(res, 500, { error: `Retry failed: ${error.message}` });
+        return;
+    }
+
+    sendJson(res, 200, { ok: true, ...outcome });
+};
@@ -0,0 +1,69 @@
+/**
+ * POST /api/checkin/location
+ *
+ * Adds a fresh position to an active check-in, so the alert reports where the
+ * person was last seen rather than where they started.
+ *
+ * Authenticated with the same token as cancelling. An unauthenticated version
+ * would let anyone who learned an id plant a false trail and send searchers to
+ * the wrong street.
+ */
+
+import { sendJson, readJsonBody, rejectWrongMethod } from '../_lib/http.js';
+import { isConfigured } from '../_lib/config.js';
+import { verifyToken } from '../_lib/tokens.js';
+import { getCheckIn, putTrail } from '../_lib/store.js';
+import { parseLocation, appendFix } from '../_lib/trail.js';
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export default async function handler(req, res) {
+    if (rejectWrongMethod(req, res, 'POST')) return;
+
+    if (!isConfigured()) {
+        sendJson(res, 503, { error: 'The backend is not configured.' });
+        return;
+    }
+
+    const body = await readJsonBody(req);
+    if (!body?.id || !body?.token) {
+        sendJson(res, 400, { error: 'id and token are required.' });
+        return;
+    }
+
+    if (!(await verifyToken(body.id, body.token))) {
+        // Same answer as a missing record, as in safe.js.
+        sendJson(res, 404, { error: 'No such check-in.' });
+        return;
+    }
+
+    const location = parseLocation(body.location);
+    if (!location) {
+        sendJson(res, 400, { error: 'location must carry a valid lat and lng.' });
+        return;
+    }
+
+    try {
+        const record = await getCheckIn(body.id);
+        if (!record) {
+            sendJson(res, 404, { error: 'No such check-in.' });
+            return;
+        }
+
+        if (record.status !== 'active') {
+            // The alert has already gone out with whatever was known then.
+            // Answering 409 tells the client to stop pushing.
+            sendJson(res, 409, { error: 'This check-in is no longer active.' });
+            return;
+        }
+
+        const trail = appendFix(record.trail, location);
+        await putTrail(record, trail);
+
+        sendJson(res, 200, { ok: true, fixes: trail.length });
+    } catch (error) {
+        sendJson(res, 502, { error: `Could not store the location: ${error.message}` });
+    }
+}
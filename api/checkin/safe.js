@@ -7,13 +7,20 @@
  * an id could switch off somebody else's safety timer and leave them believing
  * they were being watched over. That is the attack this endpoint exists to
  * prevent, so an invalid token is refused before anything else happens.
+ *
+ * `duress: true` means the person cancelled with their duress code. Someone
+ * may be making them do it, so the check-in is kept and round one goes out
+ * now rather than at the deadline. The answer is the same as for a real
+ * cancel, and comes as quickly. Whoever is holding the phone sees what they
+ * expect to see.
  */
 
 import { sendJson, readJsonBody, rejectWrongMethod } from '../_lib/http.js';
 import { isConfigured } from '../_lib/config.js';
 import { verifyToken } from '../_lib/tokens.js';
-import { getCheckIn, deleteCheckIn } from '../_lib/store.js';
-import { cancelFire } from '../_lib/scheduler.js';
+import { getCheckIn, markCancelled, recordDuress } from '../_lib/store.js';
+import { scheduleFire, cancelFire } from '../_lib/scheduler.js';
+import { hasDispatchedRound } from '../_lib/escalation.js';
 
 /**
  * @param {import('http').IncomingMessage} req
@@ -40,17 +47,61 @@ export default async function handler(req, res) {
         return;
     }
 
+    if (body.duress === true) {
+        await fireUnderDuress(res, body);
+        return;
+    }
+
     try {
         const record = await getCheckIn(body.id);
+        if (!record || record.status === 'cancelled') {
+            sendJson(res, 200, { ok: true, cancelled: false });
+            return;
+        }
 
-        // Delete the record first. The fire endpoint refuses to act on a record
-        // that is gone, so even if withdrawing the scheduled callback fails the
-        // worst outcome is a wasted callback — never a false alarm.
-        await deleteCheckIn(body.id);
-        await cancelFire(record?.scheduledMessageId);
+        // Mark it cancelled first. The fire endpoint refuses to act on a
+        // cancelled record, so even if withdrawing the scheduled callback fails
+        // the worst outcome is a wasted callback — never a false alarm.
+        await markCancelled(record);
+        await cancelFire(record.scheduledMessageId);
 
-        sendJson(res, 200, { ok: true, cancelled: Boolean(record) });
+        sendJson(res, 200, { ok: true, cancelled: true });
     } catch (error) {
         sendJson(res, 502, { error: `Could not cancel the check-in: ${error.message}` });
     }
 }
+
+/**
+ * @param {import('http').ServerResponse} res
+ * @param {{ id: string, token: string }} body
+ */
+const fireUnderDuress = async (res, body) => {
+    try {
+        const record = await getCheckIn(body.id);
+        if (!record || record.status === 'cancelled') {
+            sendJson(res, 200, { ok: true, cancelled: false });
+            return;
+        }
+
+        // Once round one has gone out at the deadline, the flag is all that
+        // is needed: the ladder keeps running, and later rounds say why.
+        await recordDuress(record);
+        if (!hasDispatchedRound(record, 1)) {
+            // Sent through the scheduler, due now, rather than from here.
+            // Placing the calls and texts takes seconds, and an answer that
+            // slow would set this apart from a real cancel. If scheduling
+            // throws, the deadline callback is still there, so the alert goes
+            // out at the deadline instead.
+            await scheduleFire({
+                id: body.id,
+                fireAt: Date.now(),
+                payload: { id: body.id, token: body.token },
+                dedupeId: `checkin-${body.id}-duress`,
+            });
+        }
+
+        sendJson(res, 200, { ok: true, cancelled: true });
+    } catch (error) {
+        sendJson(res, 502, { error: `Could not cancel the check-in: ${error.message}` });
+    }
+};
@@ -0,0 +1,70 @@
+/**
+ * GET /api/checkin/series-current?id=…
+ * Authorization: Bearer <plan token>
+ *
+ * The check-in a plan's latest window opened, with the token for it, and
+ * when the next window opens. The app calls this as a window starts, so its
+ * "I'm safe" and "+15 min" reach the check-in the server is holding.
+ *
+ * Handing out the check-in's token is safe: whoever holds the plan's token
+ * registered the plan, and owns every check-in it opens.
+ */
+
+import { sendJson, readQuery, readBearerToken, rejectWrongMethod } from '../_lib/http.js';
+import { isConfigured } from '../_lib/config.js';
+import { verifyToken, signId } from '../_lib/tokens.js';
+import { getSeries, getCheckIn } from '../_lib/store.js';
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export default async function handler(req, res) {
+    if (rejectWrongMethod(req, res, 'GET')) return;
+
+    if (!isConfigured()) {
+        sendJson(res, 503, { error: 'The backend is not configured.' });
+        return;
+    }
+
+    const id = readQuery(req).get('id');
+    const token = readBearerToken(req);
+    if (!id || !token) {
+        sendJson(res, 400, { error: 'id and a bearer token are required.' });
+        return;
+    }
+
+    if (!(await verifyToken(id, token))) {
+        sendJson(res, 404, { error: 'No such plan.' });
+        return;
+    }
+
+    try {
+        const series = await getSeries(id);
+        if (!series) {
+            sendJson(res, 404, { error: 'No such plan.' });
+            return;
+        }
+
+        const record = series.current ? await getCheckIn(series.current) : null;
+        const current = record && record.status !== 'cancelled'
+            ? {
+                id: record.id,
+                token: await signId(record.id),
+                phase: record.status,
+                windowStartsAt: record.windowStartsAt,
+                expiresAt: record.expiresAt,
+                firesAt: record.firesAt,
+            }
+            : null;
+
+        sendJson(res, 200, {
+            ok: true,
+            phase: series.status,
+            nextWindow: series.nextWindow ?? null,
+            current,
+        });
+    } catch (error) {
+        sendJson(res, 502, { error: `Could not read the plan: ${error.message}` });
+    }
+}
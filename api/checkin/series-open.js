@@ -0,0 +1,118 @@
+/**
+ * POST /api/checkin/series-open
+ *
+ * Called by the scheduler as a plan's window opens. Opens an ordinary
+ * check-in due at the end of the window, then schedules the next window.
+ * From there the check-in is like any other: "I'm safe" cancels it, "+15 min"
+ * extends it, and if neither happens fire.js alerts the contacts.
+ *
+ * Guards, in order: the plan's token, a plan that still exists and has not
+ * been stopped, a callback for the window the plan expects next (a stopped
+ * and re-registered plan can leave an old one behind), and a claim on the
+ * window so a callback delivered twice opens one check-in, not two.
+ *
+ * A window that has already closed when its callback arrives is skipped
+ * rather than alerted late. The server was down for the whole of it, and the
+ * app, finding no check-in to join, told the person so at the time.
+ */
+
+import { sendJson, readJsonBody, rejectWrongMethod } from '../_lib/http.js';
+import { isConfigured } from '../_lib/config.js';
+import { verifyToken } from '../_lib/tokens.js';
+import { getSeries, putSeries, claimWindow, releaseWindow } from '../_lib/store.js';
+import { nextWindow } from '../_lib/series.js';
+import { registerCheckIn, scheduleOpening } from '../_lib/register.js';
+
+/** As in fire.js: schedulers round their delays. */
+const EARLY_DELIVERY_MS = 5_000;
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export default async function handler(req, res) {
+    if (rejectWrongMethod(req, res, 'POST')) return;
+
+    if (!isConfigured()) {
+        sendJson(res, 503, { error: 'The backend is not configured.' });
+        return;
+    }
+
+    const body = await readJsonBody(req);
+    if (!body?.id || !body?.token) {
+        sendJson(res, 400, { error: 'id and token are required.' });
+        return;
+    }
+
+    if (!(await verifyToken(body.id, body.token))) {
+        sendJson(res, 403, { error: 'Invalid token.' });
+        return;
+    }
+
+    const series = await getSeries(body.id);
+    if (!series || series.status !== 'active') {
+        // Answer 200 so the scheduler treats it as handled and stops retrying.
+        sendJson(res, 200, { ok: true, opened: false, reason: 'The plan was stopped or has expired.' });
+        return;
+    }
+
+    const window = series.nextWindow;
+    if (!window || Number(body.startsAt) !== window.startsAt) {
+        sendJson(res, 200, { ok: true, opened: false, reason: 'Not the window this plan expects next.' });
+        return;
+    }
+
+    const now = Date.now();
+    if (now < window.startsAt - EARLY_DELIVERY_MS) {
+        sendJson(res, 200, { ok: true, opened: false, reason: 'Not due yet.' });
+        return;
+    }
+
+    if (!(await claimWindow(series.id, window.startsAt))) {
+        sendJson(res, 200, { ok: true, opened: false, reason: 'Another delivery already opened this window.' });
+        return;
+    }
+
+    let current = series.current;
+    if (now < window.endsAt) {
+        try {
+            ({ id: current } = await registerCheckIn({
+                expiresAt: window.endsAt,
+                note: series.note,
+                userName: series.userName,
+                contacts: series.contacts,
+                extra: { seriesId: series.id, windowStartsAt: window.startsAt },
+            }));
+        } catch (error) {
+            // Hand the claim back so the retry this 5xx invites can open it.
+            await releaseWindow(series.id, window.startsAt).catch(() => { });
+            sendJson(res, 500, { error: `Could not open the window: ${error.message}` });
+            return;
+        }
+    }
+
+    // The check-in is open now, so nothing below may throw: a retry would
+    // find the window claimed and the following one would never be scheduled.
+    const following = nextWindow(series.plan, window.endsAt);
+    let updated = { ...series, current, nextWindow: following };
+    let warning = null;
+    try {
+        const { messageId } = await scheduleOpening(series.id, body.token, following);
+        updated = { ...updated, scheduledMessageId: messageId };
+    } catch (error) {
+        // Said plainly when the app next asks, rather than left to look as
+        // though the plan were still running.
+        updated = { ...updated, nextWindow: null };
+        warning = `Could not schedule the next window: ${error.message}`;
+    }
+
+    await putSeries(updated).catch(() => { });
+
+    sendJson(res, 200, {
+        ok: true,
+        opened: current !== series.current,
+        checkInId: current,
+        nextWindow: updated.nextWindow,
+        warning,
+    });
+}
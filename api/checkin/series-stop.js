@@ -0,0 +1,63 @@
+/**
+ * POST /api/checkin/series-stop
+ *
+ * Stops a recurring plan: no more windows open. Needs the plan's token, for
+ * the same reason safe.js needs a check-in's.
+ *
+ * A window that is already open is left running. Only "I'm safe" ends it,
+ * with a safety code where one is set. Otherwise deleting the plan would be a
+ * way round the duress code for whoever is holding the phone.
+ */
+
+import { sendJson, readJsonBody, rejectWrongMethod } from '../_lib/http.js';
+import { isConfigured } from '../_lib/config.js';
+import { verifyToken } from '../_lib/tokens.js';
+import { getSeries, putSeries } from '../_lib/store.js';
+import { cancelFire } from '../_lib/scheduler.js';
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export default async function handler(req, res) {
+    if (rejectWrongMethod(req, res, 'POST')) return;
+
+    if (!isConfigured()) {
+        sendJson(res, 503, { error: 'The backend is not configured.' });
+        return;
+    }
+
+    const body = await readJsonBody(req);
+    if (!body?.id || !body?.token) {
+        sendJson(res, 400, { error: 'id and token are required.' });
+        return;
+    }
+
+    if (!(await verifyToken(body.id, body.token))) {
+        sendJson(res, 404, { error: 'No such plan.' });
+        return;
+    }
+
+    try {
+        const series = await getSeries(body.id);
+        if (!series || series.status !== 'active') {
+            sendJson(res, 200, { ok: true, stopped: false });
+            return;
+        }
+
+        // Stopped first, as safe.js cancels first: series-open refuses a
+        // stopped plan, so a callback that cannot be withdrawn opens nothing.
+        await putSeries({
+            id: series.id,
+            status: 'stopped',
+            createdAt: series.createdAt,
+            current: series.current,
+            stoppedAt: Date.now(),
+        });
+        await cancelFire(series.scheduledMessageId);
+
+        sendJson(res, 200, { ok: true, stopped: true });
+    } catch (error) {
+        sendJson(res, 502, { error: `Could not stop the plan: ${error.message}` });
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * POST /api/checkin/series
+ *
+ * Registers a recurring check-in plan, such as "weekdays 22:00–22:40 walking
+ * home". At the start of each window the server opens an ordinary check-in
+ * due at the window's end (see series-open.js), so a missed window alerts the
+ * contacts even if the app was never opened that night.
+ *
+ * Returns an id and a token for the plan itself. The app needs the token to
+ * stop the plan and to pick up each window's check-in (see series-current.js).
+ * Validated as strictly as start.js, for the same reason.
+ */
+
+import { sendJson, readJsonBody, rejectWrongMethod } from '../_lib/http.js';
+import { isConfigured, missingConfig, hasUsableSecret } from '../_lib/config.js';
+import { createId, signId } from '../_lib/tokens.js';
+import { putSeries } from '../_lib/store.js';
+import { parsePlan, nextWindow } from '../_lib/series.js';
+import { parseContacts, scheduleOpening } from '../_lib/register.js';
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export default async function handler(req, res) {
+    if (rejectWrongMethod(req, res, 'POST')) return;
+
+    if (!isConfigured()) {
+        sendJson(res, 503, {
+            error: 'The backend is not configured.',
+            missing: missingConfig(),
+        });
+        return;
+    }
+
+    if (!hasUsableSecret()) {
+        sendJson(res, 503, {
+            error: 'CHECKIN_SIGNING_SECRET is too short; use at least 32 characters.',
+        });
+        return;
+    }
+
+    const body = await readJsonBody(req);
+    if (!body) {
+        sendJson(res, 400, { error: 'Expected a JSON body.' });
+        return;
+    }
+
+    const parsed = parsePlan(body.plan);
+    if (!parsed.ok) {
+        sendJson(res, 400, { error: parsed.error });
+        return;
+    }
+
+    const contacts = parseContacts(body.contacts);
+    if (contacts.length === 0) {
+        sendJson(res, 400, { error: 'At least one contact with a phone number is required.' });
+        return;
+    }
+
+    const id = createId();
+    const token = await signId(id);
+    const window = nextWindow(parsed.plan);
+
+    const series = {
+        id,
+        createdAt: Date.now(),
+        plan: parsed.plan,
+        note: String(body.note ?? '').slice(0, 200),
+        userName: String(body.userName ?? '').slice(0, 60),
+        contacts,
+        status: 'active',
+        nextWindow: window,
+        current: null,
+    };
+
+    try {
+        await putSeries(series);
+        // A window already open when the plan is saved opens straight away.
+        const { messageId } = await scheduleOpening(id, token, window);
+        await putSeries({ ...series, scheduledMessageId: messageId });
+
+        sendJson(res, 201, {
+            id,
+            token,
+            nextWindow: window,
+            contacts: contacts.length,
+        });
+    } catch (error) {
+        // As with a single check-in: the app must say the plan is not covered
+        // rather than believe it is.
+        sendJson(res, 502, { error: `Could not register the plan: ${error.message}` });
+    }
+}
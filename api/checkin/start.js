@@ -12,17 +12,9 @@
 
 import { sendJson, readJsonBody, rejectWrongMethod } from '../_lib/http.js';
 import { isConfigured, missingConfig, hasUsableSecret } from '../_lib/config.js';
-import { createId, signId } from '../_lib/tokens.js';
-import { putCheckIn } from '../_lib/store.js';
-import { scheduleFire } from '../_lib/scheduler.js';
-
-/** Bounds mirrored from the client, re-checked because clients can lie. */
-const MIN_DURATION_MS = 60_000;
-const MAX_DURATION_MS = 12 * 60 * 60 * 1000;
-const MAX_CONTACTS = 10;
-
-/** Delay after the deadline before dispatching, matching the on-device grace. */
-const GRACE_MS = 60_000;
+import { parseLocation } from '../_lib/trail.js';
+import { isValidDuration } from '../_lib/deadline.js';
+import { parseContacts, registerCheckIn } from '../_lib/register.js';
 
 /**
  * @param {import('http').IncomingMessage} req
@@ -55,55 +47,32 @@ export default async function handler(req, res) {
     }
 
     const durationMs = Number(body.durationMs);
-    if (!Number.isFinite(durationMs) || durationMs < MIN_DURATION_MS || durationMs > MAX_DURATION_MS) {
+    if (!isValidDuration(durationMs)) {
         sendJson(res, 400, { error: 'durationMs must be between 1 minute and 12 hours.' });
         return;
     }
 
-    const contacts = Array.isArray(body.contacts) ? body.contacts.slice(0, MAX_CONTACTS) : [];
-    const usable = contacts
-        .filter((c) => c && typeof c.phone === 'string' && c.phone.trim() !== '')
-        .map((c) => ({
-            name: String(c.name ?? '').slice(0, 60),
-            phone: String(c.phone).slice(0, 24),
-        }));
+    const usable = parseContacts(body.contacts);
 
     if (usable.length === 0) {
         sendJson(res, 400, { error: 'At least one contact with a phone number is required.' });
         return;
     }
 
-    const id = createId();
-    const token = await signId(id);
-    const expiresAt = Date.now() + durationMs;
-
-    const record = {
-        id,
-        createdAt: Date.now(),
-        expiresAt,
-        note: String(body.note ?? '').slice(0, 200),
-        userName: String(body.userName ?? '').slice(0, 60),
-        contacts: usable,
-        location: parseLocation(body.location),
-        status: 'active',
-    };
-
     try {
-        await putCheckIn(record);
-        const { messageId } = await scheduleFire({
-            id,
-            fireAt: expiresAt + GRACE_MS,
-            payload: { id, token },
+        const { id, token, record } = await registerCheckIn({
+            expiresAt: Date.now() + durationMs,
+            note: body.note ?? '',
+            userName: body.userName ?? '',
+            contacts: usable,
+            location: parseLocation(body.location),
         });
 
-        // Keep the scheduler handle so cancelling can withdraw the callback.
-        await putCheckIn({ ...record, scheduledMessageId: messageId });
-
         sendJson(res, 201, {
             id,
             token,
-            expiresAt,
-            firesAt: expiresAt + GRACE_MS,
+            expiresAt: record.expiresAt,
+            firesAt: record.firesAt,
             contacts: usable.length,
         });
     } catch (error) {
@@ -113,17 +82,3 @@ export default async function handler(req, res) {
     }
 }
 
-/**
- * @param {any} value
- * @returns {{lat: number, lng: number, accuracy: number|null}|null}
- */
-const parseLocation = (value) => {
-    if (!value || typeof value !== 'object') return null;
-    const lat = Number(value.lat);
-    const lng = Number(value.lng);
-    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
-    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
-
-    const accuracy = Number(value.accuracy);
-    return { lat, lng, accuracy: Number.isFinite(accuracy) ? accuracy : null };
-};
@@ -0,0 +1,91 @@
+/**
+ * GET /api/checkin/status?id=…
+ * Authorization: Bearer <token>
+ *
+ * What the server holds for a check-in: its phase (active, fired or
+ * cancelled), when it falls due, and after firing, which contacts were
+ * actually reached in each round. Where the provider reports back, that
+ * includes whether each call was answered and each text delivered.
+ *
+ * The person's app reads it with the check-in token, to show that the server
+ * really has the timer. A contact can read it too, with `&c=<index>` and the
+ * token from their own acknowledgement link, to see whether anyone else was
+ * reached. Neither gets the note, the contacts' numbers or the location: a
+ * status check should not become a way to track someone.
+ */
+
+import { sendJson, readQuery, readBearerToken, rejectWrongMethod } from '../_lib/http.js';
+import { isConfigured } from '../_lib/config.js';
+import { verifyToken, verifyAck } from '../_lib/tokens.js';
+import { getCheckIn } from '../_lib/store.js';
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export default async function handler(req, res) {
+    if (rejectWrongMethod(req, res, 'GET')) return;
+
+    if (!isConfigured()) {
+        sendJson(res, 503, { error: 'The backend is not configured.' });
+        return;
+    }
+
+    const query = readQuery(req);
+    const id = query.get('id');
+    const token = readBearerToken(req);
+    if (!id || !token) {
+        sendJson(res, 400, { error: 'id and a bearer token are required.' });
+        return;
+    }
+
+    const allowed = query.has('c')
+        ? await verifyAck(id, Number(query.get('c')), token)
+        : await verifyToken(id, token);
+    if (!allowed) {
+        sendJson(res, 404, { error: 'No such check-in.' });
+        return;
+    }
+
+    try {
+        const record = await getCheckIn(id);
+        if (!record) {
+            sendJson(res, 404, { error: 'No such check-in.' });
+            return;
+        }
+
+        sendJson(res, 200, { ok: true, ...describeStatus(record) });
+    } catch (error) {
+        sendJson(res, 502, { error: `Could not read the check-in: ${error.message}` });
+    }
+}
+
+/**
+ * The public view of a record.
+ *
+ * @param {Object} record
+ * @returns {Object}
+ */
+const describeStatus = (record) => ({
+    phase: record.status,
+    expiresAt: record.expiresAt,
+    firesAt: record.firesAt ?? record.expiresAt,
+    firedAt: record.firedAt ?? null,
+    cancelledAt: record.cancelledAt ?? null,
+    nextRoundAt: record.nextRoundAt ?? null,
+    rounds: (Array.isArray(record.rounds) ? record.rounds : []).map((r) => ({
+        round: r.round,
+        at: r.at,
+        contacts: r.contacts,
+        reached: r.reached,
+    })),
+    results: (Array.isArray(record.results) ? record.results : []).map((r) => ({
+        contact: r.contact,
+        round: r.round ?? 1,
+        ok: Boolean(r.ok),
+        call: Boolean(r.call?.ok),
+        text: Boolean(r.text?.ok),
+        callStatus: r.call?.status ?? null,
+        textStatus: r.text?.status ?? null,
+    })),
+});
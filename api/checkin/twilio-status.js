@@ -0,0 +1,55 @@
+/**
+ * POST /api/checkin/twilio-status?id=…
+ *
+ * Twilio's status callback for the calls and texts of one check-in: ringing,
+ * answered, delivered, failed. Recorded against the call or text's own id, so
+ * the status endpoint can say "Sam answered" rather than "Twilio accepted it".
+ * A callback can beat the round that placed the call to saving its results;
+ * the status is matched up with them whenever the record is read.
+ *
+ * Only requests carrying a valid X-Twilio-Signature are believed. A forged
+ * "answered" would tell the person someone had picked up when nobody had.
+ */
+
+import { sendJson, readQuery, readFormBody, rejectWrongMethod } from '../_lib/http.js';
+import { config, isConfigured } from '../_lib/config.js';
+import { getCheckIn, recordDeliveryStatus } from '../_lib/store.js';
+import { verifySignature, readStatusCallback } from '../_lib/providers/twilio.js';
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export default async function handler(req, res) {
+    if (rejectWrongMethod(req, res, 'POST')) return;
+
+    if (!isConfigured()) {
+        sendJson(res, 503, { error: 'The backend is not configured.' });
+        return;
+    }
+
+    const params = await readFormBody(req);
+    const signature = String(req.headers?.['x-twilio-signature'] ?? '');
+
+    // Twilio signs the URL it was given, which is the public one.
+    if (!(await verifySignature(`${config.baseUrl}${req.url}`, params, signature))) {
+        sendJson(res, 403, { error: 'Invalid signature.' });
+        return;
+    }
+
+    const id = readQuery(req).get('id');
+    const update = readStatusCallback(params);
+    if (!id || !update) {
+        // Nothing we track. Answer 200 so Twilio does not report an error.
+        sendJson(res, 200, { ok: true, recorded: false });
+        return;
+    }
+
+    try {
+        const record = await getCheckIn(id);
+        const recorded = record ? await recordDeliveryStatus(id, update) : false;
+        sendJson(res, 200, { ok: true, recorded });
+    } catch (error) {
+        sendJson(res, 502, { error: `Could not record the status: ${error.message}` });
+    }
+}
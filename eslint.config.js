@@ -27,9 +27,10 @@ export default defineConfig([
     },
   },
   {
-    // Serverless functions run in Node, not the browser: process, Buffer and
-    // the rest are available, and none of the React rules apply.
-    files: ['api/**/*.js', 'scripts/**/*.mjs'],
+    // Serverless functions and the self-hosted server run in Node, not the
+    // browser: process, Buffer and the rest are available, and none of the
+    // React rules apply.
+    files: ['api/**/*.js', 'server/**/*.js', 'scripts/**/*.mjs'],
     languageOptions: {
       globals: { ...globals.node, ...globals.serviceworker },
     },
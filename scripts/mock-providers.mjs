@@ -0,0 +1,28 @@
+/**
+ * Run the messaging-provider stand-in (server/mockProviders.js) on its own.
+ *
+ * Run with: node scripts/mock-providers.mjs
+ *
+ * Then start the app with the printed *_API_URL lines and any non-empty
+ * credentials, and every call, text, WhatsApp, Telegram message, email and
+ * webhook post is logged here instead of sent. MOCK_FAIL=exotel,whatsapp
+ * makes those fail.
+ */
+
+import { createMockProviders } from '../server/mockProviders.js';
+
+const port = Number(process.env.MOCK_PROVIDERS_PORT) || 4010;
+
+const { server, fail } = createMockProviders({ log: (line) => console.log(line) });
+for (const name of (process.env.MOCK_FAIL ?? '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    fail.add(name);
+}
+
+server.listen(port, '127.0.0.1', () => {
+    const url = `http://127.0.0.1:${port}`;
+    console.log(`Mock providers on ${url}. Point the app at it with:\n`);
+    for (const name of ['TWILIO', 'EXOTEL', 'WHATSAPP', 'TELEGRAM', 'EMAIL']) {
+        console.log(`${name}_API_URL=${url}`);
+    }
+    console.log(`WEBHOOK_URL=${url}/webhook`);
+});
@@ -0,0 +1,75 @@
+/**
+ * Replay recorded sessions through the risk engine (src/utils/replay.js).
+ *
+ * Run with: npm run replay -- [folder] [--sensitivity=low|normal|high|settings.json]
+ *
+ * Every .json file in the folder (default: scenarios/) is replayed and
+ * checked against its `expect`. --sensitivity replays them all at another
+ * preset, or with advanced settings from a file, to see what a threshold
+ * change would have done before shipping it. Exits 1 if any scenario does not
+ * behave as it expects.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { checkScenario } from '../src/utils/replay.js';
+import { SENSITIVITY_PRESETS, validateSensitivity } from '../src/utils/riskEngine.js';
+
+const args = process.argv.slice(2);
+const folder = args.find((arg) => !arg.startsWith('--')) ?? 'scenarios';
+const sensitivityArg = args.find((arg) => arg.startsWith('--sensitivity='))?.split('=')[1];
+
+const readSensitivity = async (value) => {
+    if (!value) return undefined;
+    if (SENSITIVITY_PRESETS[value]) return SENSITIVITY_PRESETS[value];
+
+    const result = validateSensitivity(JSON.parse(await readFile(value, 'utf8')));
+    if (!result.ok) throw new Error(`${value}: ${result.error}`);
+    return result.settings;
+};
+
+const seconds = (ms) => `${(ms / 1000).toFixed(1)} s`;
+
+const describe = ({ result, expected }) => {
+    const first = result.escalations[0];
+    const got = first
+        ? `escalated at ${seconds(first.offsetMs)} (risk ${first.score.toFixed(2)})`
+        : `no escalation (peak ${result.peakRisk.toFixed(2)})`;
+    if (!expected) return got;
+
+    const wanted = expected.escalates
+        ? `expected escalation${expected.byMs === undefined ? '' : ` by ${seconds(expected.byMs)}`}`
+        : 'expected none';
+    return `${got}; ${wanted}`;
+};
+
+const main = async () => {
+    const sensitivity = await readSensitivity(sensitivityArg);
+    const files = (await readdir(folder)).filter((name) => name.endsWith('.json')).sort();
+    if (files.length === 0) {
+        console.log(`No scenarios in ${folder}.`);
+        return 0;
+    }
+
+    let failed = 0;
+    for (const file of files) {
+        const scenario = JSON.parse(await readFile(join(folder, file), 'utf8'));
+        const check = checkScenario(scenario, { sensitivity });
+        const mark = check.passed === null ? '·' : check.passed ? '✓' : '✗';
+        if (check.passed === false) failed += 1;
+        console.log(`${mark} ${file}${check.name ? ` — ${check.name}` : ''}: ${describe(check)}`);
+    }
+
+    const label = sensitivityArg ?? 'each scenario\'s own setting';
+    console.log(`\n${files.length} replayed at ${label}, ${failed} not as expected.`);
+    return failed > 0 ? 1 : 0;
+};
+
+main()
+    .then((code) => {
+        process.exitCode = code;
+    })
+    .catch((error) => {
+        console.error(error.message);
+        process.exitCode = 2;
+    });
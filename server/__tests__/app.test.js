@@ -0,0 +1,139 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'node:http';
+import { mkdtemp, mkdir, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createApp, findRoutes } from '../app.js';
+import { MAX_BODY_BYTES } from '../../api/_lib/http.js';
+
+/**
+ * The self-hosted server must behave like the Vercel deployment, or the app
+ * works in one place and quietly breaks in the other. These run a real server
+ * against a throwaway dist/.
+ */
+
+let server;
+let base;
+
+beforeAll(async () => {
+    delete process.env.PUBLIC_BASE_URL;
+    delete process.env.CHECKIN_SIGNING_SECRET;
+
+    const dist = await mkdtemp(join(tmpdir(), 'safesignal-dist-'));
+    await mkdir(join(dist, 'assets'));
+    await writeFile(join(dist, 'index.html'), '<!doctype html><title>SafeSignal</title>');
+    await writeFile(join(dist, 'sw.js'), 'self.addEventListener("fetch", () => {});');
+    await writeFile(join(dist, 'assets', 'app.js'), 'console.log("app");');
+
+    server = createServer(await createApp({ distDir: dist }));
+    await new Promise((done) => server.listen(0, '127.0.0.1', done));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise((done) => server.close(done));
+});
+
+describe('self-hosted server', () => {
+    it('routes every API file, and none of the private ones', async () => {
+        const routes = await findRoutes(join(process.cwd(), 'api'));
+        expect(routes.has('/api/checkin/start')).toBe(true);
+        expect(routes.has('/api/checkin/fire')).toBe(true);
+        expect([...routes.keys()].some((route) => route.includes('_lib'))).toBe(false);
+    });
+
+    it('passes API requests to the handlers', async () => {
+        const response = await fetch(`${base}/api/checkin/start`, { method: 'POST', body: '{}' });
+        expect(response.status).toBe(503);
+        expect((await response.json()).error).toMatch(/not configured/i);
+    });
+
+    it('answers an unknown API path with 404 rather than the app', async () => {
+        // The rewrite excludes api/, as on Vercel; a typo in a URL must not
+        // get a 200 page of HTML.
+        const response = await fetch(`${base}/api/checkin/nope`);
+        expect(response.status).toBe(404);
+    });
+
+    it('serves the app for client-side routes', async () => {
+        const response = await fetch(`${base}/dashboard`);
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toMatch(/text\/html/);
+        expect(await response.text()).toContain('<title>SafeSignal</title>');
+    });
+
+    it('serves built files with their own type', async () => {
+        const response = await fetch(`${base}/assets/app.js`);
+        expect(response.headers.get('content-type')).toMatch(/javascript/);
+        expect(await response.text()).toContain('console.log');
+    });
+
+    it('applies the service worker headers from vercel.json', async () => {
+        // Without these the browser caches an old worker and the app never
+        // picks up a fix.
+        const response = await fetch(`${base}/sw.js`);
+        expect(response.headers.get('service-worker-allowed')).toBe('/');
+        expect(response.headers.get('cache-control')).toMatch(/max-age=0/);
+    });
+
+    it('never serves a file from outside dist', async () => {
+        const response = await fetch(`${base}/%2e%2e/package.json`);
+        expect(await response.text()).not.toContain('"name": "safe-signal"');
+    });
+});
+
+describe('self-hosted server — request bodies', () => {
+    let small;
+    let smallBase;
+
+    beforeAll(async () => {
+        // Every real endpoint answers 503 before it reads a body when the
+        // server is not configured, so this one only echoes what it read.
+        const root = await mkdtemp(join(tmpdir(), 'safesignal-root-'));
+        await mkdir(join(root, 'api'));
+        await writeFile(join(root, 'vercel.json'), '{}');
+        const http = pathToFileURL(join(process.cwd(), 'api', '_lib', 'http.js')).href;
+        await writeFile(join(root, 'api', 'echo.js'), [
+            `import { sendJson, readJsonBody } from ${JSON.stringify(http)};`,
+            'export default async (req, res) => sendJson(res, 200, { body: await readJsonBody(req) });',
+        ].join('\n'));
+
+        small = createServer(await createApp({ root }));
+        await new Promise((done) => small.listen(0, '127.0.0.1', done));
+        smallBase = `http://127.0.0.1:${small.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise((done) => small.close(done));
+    });
+
+    const post = (body) => fetch(`${smallBase}/api/echo`, { method: 'POST', body, duplex: 'half' });
+    const json = (bytes) => JSON.stringify({ note: 'x'.repeat(bytes) });
+
+    it('reads a body under the limit', async () => {
+        const response = await post(json(1000));
+        expect(response.status).toBe(200);
+        expect((await response.json()).body.note).toHaveLength(1000);
+    });
+
+    it('refuses a body over the limit with 413', async () => {
+        const response = await post(json(MAX_BODY_BYTES));
+        expect(response.status).toBe(413);
+    });
+
+    it('stops reading a stream with no length once it passes the limit', async () => {
+        // Sent in chunks, so there is no Content-Length to go by.
+        const chunk = new TextEncoder().encode('x'.repeat(16 * 1024));
+        let sent = 0;
+        const stream = new ReadableStream({
+            pull(controller) {
+                if (sent++ < 8) controller.enqueue(chunk);
+                else controller.close();
+            },
+        });
+        const response = await post(stream);
+        expect(response.status).toBe(413);
+    });
+});
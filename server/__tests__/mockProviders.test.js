@@ -0,0 +1,167 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { createMockProviders } from '../mockProviders.js';
+
+/**
+ * The real provider modules against the stand-in: each contact's text must go
+ * out on the channel they chose, and fall back to SMS when that channel fails.
+ */
+
+let mock;
+
+const SETTINGS = {
+    CHECKIN_SIGNING_SECRET: 'a'.repeat(48),
+    MESSAGING_PROVIDER: 'twilio',
+    TWILIO_ACCOUNT_SID: 'AC123',
+    TWILIO_AUTH_TOKEN: 'token',
+    TWILIO_FROM_NUMBER: '+15550000000',
+    WHATSAPP_TOKEN: 'wa-token',
+    WHATSAPP_PHONE_NUMBER_ID: '1055',
+    WHATSAPP_TEMPLATE: 'safesignal_alert',
+    TELEGRAM_BOT_TOKEN: '42:bot',
+    EMAIL_API_KEY: 're_key',
+    EMAIL_FROM: 'alerts@example.test',
+};
+
+beforeAll(async () => {
+    mock = createMockProviders();
+    await new Promise((done) => mock.server.listen(0, '127.0.0.1', done));
+    const url = `http://127.0.0.1:${mock.server.address().port}`;
+
+    Object.assign(process.env, SETTINGS);
+    for (const name of ['TWILIO', 'EXOTEL', 'WHATSAPP', 'TELEGRAM', 'EMAIL']) {
+        process.env[`${name}_API_URL`] = url;
+    }
+});
+
+afterAll(async () => {
+    await new Promise((done) => mock.server.close(done));
+    for (const name of Object.keys(SETTINGS)) delete process.env[name];
+    for (const name of ['TWILIO', 'EXOTEL', 'WHATSAPP', 'TELEGRAM', 'EMAIL']) {
+        delete process.env[`${name}_API_URL`];
+    }
+});
+
+afterEach(() => {
+    mock.requests.length = 0;
+    mock.fail.clear();
+});
+
+const record = {
+    id: 'abc',
+    userName: 'Priya',
+    expiresAt: Date.now(),
+    contacts: [
+        { name: 'Sam', phone: '+919876543210', channel: 'sms', address: null },
+        { name: 'Asha', phone: '+919876543211', channel: 'whatsapp', address: null, language: 'hi' },
+        { name: 'Ravi', phone: '+919876543212', channel: 'telegram', address: '123456789' },
+        { name: 'Meena', phone: '+919876543213', channel: 'email', address: 'meena@example.test' },
+    ],
+};
+
+const dispatch = async () => {
+    vi.resetModules();
+    const { dispatchAlert } = await import('../../api/_lib/messenger.js');
+    return dispatchAlert(record);
+};
+
+describe('messaging through the provider stand-in', () => {
+    it('sends each text on the channel the contact chose, and calls every phone', async () => {
+        const { results, warning } = await dispatch();
+
+        expect(warning).toBeNull();
+        expect(results.map((r) => r.text.provider)).toEqual(['twilio', 'whatsapp', 'telegram', 'email']);
+        expect(results.every((r) => r.call.ok && r.call.provider === 'twilio')).toBe(true);
+
+        const sent = (provider) => mock.requests.filter((r) => r.provider === provider);
+        expect(sent('whatsapp')[0].body).toMatchObject({
+            to: '919876543211',
+            type: 'template',
+            template: { name: 'safesignal_alert' },
+        });
+        expect(sent('whatsapp')[0].headers.authorization).toBe('Bearer wa-token');
+        expect(sent('telegram')[0].path).toBe('/bot42:bot/sendMessage');
+        expect(sent('telegram')[0].body).toMatchObject({ chat_id: '123456789' });
+        expect(sent('telegram')[0].body.text).toMatch(/Priya/);
+        expect(sent('email')[0].body).toMatchObject({ to: ['meena@example.test'], from: 'alerts@example.test' });
+        expect(sent('email')[0].body.subject).toMatch(/Priya/);
+    });
+
+    it('calls and texts each contact in their own language', async () => {
+        await dispatch();
+
+        const calls = mock.requests.filter((r) => r.path.endsWith('/Calls.json'));
+        const callTo = (phone) => calls.find((r) => r.body.To === phone).body.Twiml;
+        expect(callTo('+919876543211')).toContain('language="hi-IN"');
+        expect(callTo('+919876543210')).toContain('language="en-US"');
+
+        const [whatsapp] = mock.requests.filter((r) => r.provider === 'whatsapp');
+        expect(whatsapp.body.template.components[0].parameters[0].text).toMatch(/मदद की ज़रूरत/);
+        const [telegram] = mock.requests.filter((r) => r.provider === 'telegram');
+        expect(telegram.body.text).toMatch(/may need help/);
+    });
+
+    it('texts by SMS when the chosen channel fails', async () => {
+        mock.fail.add('whatsapp');
+        const { results } = await dispatch();
+
+        expect(results[1].text).toMatchObject({ ok: true, provider: 'twilio' });
+        expect(mock.requests.filter((r) => r.path.endsWith('/Messages.json'))).toHaveLength(2);
+    });
+
+    it('texts by SMS when the chosen channel is not set up, and says so', async () => {
+        delete process.env.TELEGRAM_BOT_TOKEN;
+        try {
+            const { results, warning } = await dispatch();
+            expect(results[2].text.provider).toBe('twilio');
+            expect(warning).toMatch(/TELEGRAM_BOT_TOKEN/);
+        } finally {
+            process.env.TELEGRAM_BOT_TOKEN = SETTINGS.TELEGRAM_BOT_TOKEN;
+        }
+    });
+
+    it('texts WhatsApp contacts by SMS when there is no template', async () => {
+        // Free-form text outside the 24-hour window is accepted and then
+        // dropped, so without a template WhatsApp is not used at all.
+        delete process.env.WHATSAPP_TEMPLATE;
+        try {
+            const { results, warning } = await dispatch();
+            expect(results[1].text).toMatchObject({ ok: true, provider: 'twilio' });
+            expect(mock.requests.some((r) => r.provider === 'whatsapp')).toBe(false);
+            expect(warning).toMatch(/WHATSAPP_TEMPLATE/);
+        } finally {
+            process.env.WHATSAPP_TEMPLATE = SETTINGS.WHATSAPP_TEMPLATE;
+        }
+    });
+
+    it('posts each round to the organisation\'s webhook', async () => {
+        process.env.WEBHOOK_URL = `http://127.0.0.1:${mock.server.address().port}/webhook`;
+        process.env.WEBHOOK_SECRET = 'desk-secret';
+        try {
+            vi.resetModules();
+            const { notifyWebhook } = await import('../../api/_lib/messenger.js');
+            const { outcome } = await notifyWebhook({ ...record, round: 1 });
+            expect(outcome).toMatchObject({ ok: true, attempts: 1 });
+
+            const [post] = mock.requests.filter((r) => r.provider === 'webhook');
+            expect(post.headers['x-safesignal-delivery']).toBe('abc-round-1');
+            expect(post.body).toMatchObject({ event: 'checkin.alert', checkIn: { id: 'abc', userName: 'Priya' } });
+        } finally {
+            delete process.env.WEBHOOK_URL;
+            delete process.env.WEBHOOK_SECRET;
+        }
+    });
+
+    it('refuses a text-only provider as the one that places calls', async () => {
+        process.env.MESSAGING_PROVIDER = 'telegram';
+        try {
+            vi.resetModules();
+            const { resolveProvider } = await import('../../api/_lib/messenger.js');
+            const { provider, warning } = resolveProvider();
+            expect(provider.name).toBe('console');
+            expect(warning).toMatch(/only sends text/);
+        } finally {
+            process.env.MESSAGING_PROVIDER = SETTINGS.MESSAGING_PROVIDER;
+        }
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * The request handler for a self-hosted deployment.
+ *
+ * Does what Vercel does for this app, and nothing more. Every file under api/
+ * becomes a route, the same way Vercel routes them. The built SPA is served
+ * from dist/, and vercel.json's rewrites and headers are applied. Both come
+ * from the same files Vercel reads, so a route or header added for one
+ * deployment cannot be forgotten in the other.
+ *
+ * No framework: the handlers already take Node's (req, res), and the static
+ * side is a dozen lines. A dependency would outweigh it.
+ */
+
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { dirname, extname, join, relative, resolve, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { BodyTooLargeError } from '../api/_lib/http.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.txt': 'text/plain; charset=utf-8',
+    '.woff2': 'font/woff2',
+    '.wasm': 'application/wasm',
+};
+
+/**
+ * Find every API route, as Vercel would: one per file, named by its path, with
+ * anything starting with an underscore left out.
+ *
+ * @param {string} apiDir
+ * @returns {Promise<Map<string, string>>} route path → module file
+ */
+export const findRoutes = async (apiDir) => {
+    const routes = new Map();
+
+    const walk = async (dir) => {
+        for (const entry of await readdir(dir, { withFileTypes: true })) {
+            if (entry.name.startsWith('_')) continue;
+            const full = join(dir, entry.name);
+
+            if (entry.isDirectory()) {
+                await walk(full);
+            } else if (entry.name.endsWith('.js') && !entry.name.endsWith('.test.js')) {
+                const route = relative(apiDir, full).split(sep).join('/').replace(/(\/?index)?\.js$/, '');
+                routes.set(`/api/${route}`.replace(/\/$/, ''), full);
+            }
+        }
+    };
+
+    await walk(apiDir);
+    return routes;
+};
+
+/**
+ * vercel.json sources, as anchored regular expressions. The patterns this app
+ * uses are valid as both; anything fancier would need path-to-regexp.
+ *
+ * @param {string} source
+ * @returns {RegExp}
+ */
+const sourcePattern = (source) => new RegExp(`^${source}$`);
+
+/**
+ * @param {string} distDir
+ * @param {string} pathname
+ * @returns {Promise<string|null>} the file to serve, or null
+ */
+const findStaticFile = async (distDir, pathname) => {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch {
+        return null;
+    }
+
+    const file = resolve(distDir, `.${decoded}`);
+    // Never serve anything outside dist, whatever the path says.
+    if (file !== distDir && !file.startsWith(`${distDir}${sep}`)) return null;
+
+    try {
+        return (await stat(file)).isFile() ? file : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * @param {import('http').ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+const sendJson = (res, status, body) => {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * Build the request handler.
+ *
+ * @param {{ root?: string, distDir?: string }} [options]
+ * @returns {Promise<(req: import('http').IncomingMessage, res: import('http').ServerResponse) => Promise<void>>}
+ */
+export const createApp = async ({ root = ROOT, distDir = join(root, 'dist') } = {}) => {
+    const routes = await findRoutes(join(root, 'api'));
+    const vercel = JSON.parse(await readFile(join(root, 'vercel.json'), 'utf8'));
+    const rewrites = (vercel.rewrites ?? []).map((r) => ({ ...r, pattern: sourcePattern(r.source) }));
+    const headers = (vercel.headers ?? []).map((h) => ({ ...h, pattern: sourcePattern(h.source) }));
+    const dist = resolve(distDir);
+
+    /** @type {Map<string, Function>} */
+    const handlers = new Map();
+    const loadHandler = async (file) => {
+        if (!handlers.has(file)) handlers.set(file, (await import(pathToFileURL(file).href)).default);
+        return handlers.get(file);
+    };
+
+    return async (req, res) => {
+        const { pathname } = new URL(req.url ?? '/', 'http://localhost');
+        const route = routes.get(pathname.replace(/\/$/, ''));
+
+        if (route) {
+            try {
+                await (await loadHandler(route))(req, res);
+            } catch (error) {
+                if (error instanceof BodyTooLargeError && !res.headersSent) {
+                    // The rest of the body is never read, so the connection
+                    // cannot carry another request.
+                    res.setHeader('Connection', 'close');
+                    sendJson(res, 413, { error: 'Request body too large.' });
+                    return;
+                }
+                console.error('[SafeSignal]', pathname, error);
+                if (!res.headersSent) sendJson(res, 500, { error: 'Internal error.' });
+                else res.end();
+            }
+            return;
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.setHeader('Allow', 'GET, HEAD');
+            sendJson(res, 405, { error: 'Use GET or HEAD.' });
+            return;
+        }
+
+        // Files first, then rewrites, as on Vercel.
+        let file = await findStaticFile(dist, pathname);
+        if (!file) {
+            const rewrite = rewrites.find((r) => r.pattern.test(pathname));
+            if (rewrite) file = await findStaticFile(dist, rewrite.destination);
+        }
+
+        if (!file) {
+            sendJson(res, 404, { error: 'Not found.' });
+            return;
+        }
+
+        res.statusCode = 200;
+        res.setHeader('Content-Type', CONTENT_TYPES[extname(file)] ?? 'application/octet-stream');
+        for (const rule of headers) {
+            if (!rule.pattern.test(pathname)) continue;
+            for (const { key, value } of rule.headers) res.setHeader(key, value);
+        }
+        res.end(req.method === 'HEAD' ? undefined : await readFile(file));
+    };
+};
@@ -0,0 +1,39 @@
+/**
+ * Self-hosted SafeSignal: the API and the app from one Node process.
+ *
+ *   npm run build
+ *   node --env-file=.env server/index.js
+ *
+ * For a VPS with no Upstash account, set CHECKIN_STORE=file and
+ * CHECKIN_SCHEDULER=local. See docs/backend.md.
+ */
+
+import { createServer } from 'node:http';
+import { existsSync } from 'node:fs';
+import { createApp } from './app.js';
+import { resumeScheduledFires } from '../api/_lib/scheduler.js';
+import { missingConfig } from '../api/_lib/config.js';
+
+const port = Number(process.env.PORT) || 3000;
+const host = process.env.HOST || '0.0.0.0';
+
+const app = await createApp();
+
+if (!existsSync(new URL('../dist/index.html', import.meta.url))) {
+    console.warn('[SafeSignal] dist/ is missing, so only the API will answer; run npm run build');
+}
+
+createServer(app).listen(port, host, () => {
+    console.log(`[SafeSignal] listening on http://${host}:${port}`);
+});
+
+const missing = missingConfig();
+if (missing.length > 0) {
+    // The app still works on its on-device timer; say why the server side
+    // will refuse check-ins rather than leave it to be discovered later.
+    console.warn(`[SafeSignal] backend not configured, missing: ${missing.join(', ')}`);
+} else {
+    // Deadlines that passed while the server was down fire now.
+    const pending = await resumeScheduledFires();
+    if (pending > 0) console.log(`[SafeSignal] resumed ${pending} scheduled check-in callbacks`);
+}
@@ -0,0 +1,91 @@
+/**
+ * A stand-in for every messaging provider's HTTP API, for local testing.
+ *
+ * Point each provider's *_API_URL at it (scripts/mock-providers.mjs prints the
+ * lines) and a whole check-in can run end to end, with real requests and real
+ * provider code, without ringing or messaging anybody. Each request is kept, so
+ * a test can see exactly what would have been sent. A provider can be told to
+ * fail, to try the fallback and retry paths.
+ *
+ * It answers with the few fields the provider modules read, and no more.
+ */
+
+import { createServer } from 'node:http';
+
+/** [provider, pattern, what a success looks like] */
+const ROUTES = [
+    ['twilio', /^\/2010-04-01\/Accounts\/[^/]+\/Calls\.json$/, (sid) => ({ sid: `CA${sid}` })],
+    ['twilio', /^\/2010-04-01\/Accounts\/[^/]+\/Messages\.json$/, (sid) => ({ sid: `SM${sid}` })],
+    ['exotel', /^\/v1\/Accounts\/[^/]+\/Calls\/connect\.json$/, (sid) => ({ Call: { Sid: `call${sid}` } })],
+    ['exotel', /^\/v1\/Accounts\/[^/]+\/Sms\/send\.json$/, (sid) => ({ SMSMessage: { Sid: `sms${sid}` } })],
+    ['whatsapp', /^\/[^/]+\/messages$/, (sid) => ({ messages: [{ id: `wamid.${sid}` }] })],
+    ['telegram', /^\/bot[^/]+\/sendMessage$/, (sid) => ({ ok: true, result: { message_id: Number(sid) } })],
+    ['email', /^\/emails$/, (sid) => ({ id: `email-${sid}` })],
+    ['webhook', /^\/webhook$/, () => ({ received: true })],
+];
+
+/**
+ * @param {string} raw
+ * @param {string} contentType
+ * @returns {Object}
+ */
+const parseBody = (raw, contentType) => {
+    if (contentType.includes('json')) {
+        try {
+            return JSON.parse(raw);
+        } catch {
+            return {};
+        }
+    }
+    // Form bodies can repeat a key (Twilio's StatusCallbackEvent), so repeated
+    // keys become arrays.
+    const body = {};
+    for (const [key, value] of new URLSearchParams(raw)) {
+        body[key] = key in body ? [].concat(body[key], value) : value;
+    }
+    return body;
+};
+
+/**
+ * @param {{ log?: (line: string) => void }} [options]
+ * @returns {{ server: import('http').Server, requests: Array<Object>, fail: Set<string> }}
+ *   `requests` grows as calls arrive; add a provider's name to `fail` to make
+ *   it answer 503
+ */
+export const createMockProviders = ({ log = () => { } } = {}) => {
+    const requests = [];
+    const fail = new Set();
+    let counter = 0;
+
+    const server = createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+
+        const path = new URL(req.url, 'http://mock').pathname;
+        const route = ROUTES.find(([, pattern]) => pattern.test(path));
+        const send = (status, payload) => {
+            res.statusCode = status;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(payload));
+        };
+
+        if (req.method !== 'POST' || !route) {
+            send(404, { message: `No mock for ${req.method} ${path}` });
+            return;
+        }
+
+        const [provider, , success] = route;
+        const body = parseBody(Buffer.concat(chunks).toString('utf8'), String(req.headers['content-type'] ?? ''));
+        requests.push({ provider, path, body, headers: req.headers });
+        log(`[mock] ${provider} ${path}${fail.has(provider) ? ' → failing' : ''}`);
+
+        if (fail.has(provider)) {
+            send(503, { message: `${provider} is failing on purpose`, ok: false, description: 'Failing on purpose' });
+            return;
+        }
+        counter += 1;
+        send(200, success(String(counter).padStart(6, '0')));
+    });
+
+    return { server, requests, fail };
+};
@@ -2,6 +2,8 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import WelcomeScreen from './components/WelcomeScreen';
 import PermissionScreen from './components/PermissionScreen';
 import ContactScreen from './components/ContactScreen';
+import PlacesScreen from './components/PlacesScreen';
+import SensitivityScreen from './components/SensitivityScreen';
 import Dashboard from './components/Dashboard';
 import EmergencyScreen from './components/EmergencyScreen';
 import { loadContacts } from './utils/storage';
@@ -33,6 +35,8 @@ function App() {
 
                 <Route path="/permissions" element={<PermissionScreen />} />
                 <Route path="/contacts" element={<ContactScreen />} />
+                <Route path="/places" element={<PlacesScreen />} />
+                <Route path="/sensitivity" element={<SensitivityScreen />} />
                 <Route path="/dashboard" element={<Dashboard />} />
 
                 {/* Deep link: opens directly into the alert countdown, with no
@@ -1,5 +1,6 @@
 import { useRef, useEffect, useState } from 'react';
 import { getStressLevel, describeStress } from '../utils/audio/stressInference';
+import useLocale from '../hooks/useLocale';
 import './AudioVisualizer.css';
 
 /**
@@ -15,6 +16,7 @@ const AudioVisualizer = ({ analyser, stressScore, mfccData, isCalibrating, basel
     const mfccCanvasRef = useRef(null);
     const frameRef = useRef(null);
     const reducedMotion = usePrefersReducedMotion();
+    const { t } = useLocale();
 
     useEffect(() => {
         if (!analyser) return undefined;
@@ -48,10 +50,10 @@ const AudioVisualizer = ({ analyser, stressScore, mfccData, isCalibrating, basel
     return (
         <section className="audio-panel" aria-labelledby="audio-heading">
             <header className="audio-header">
-                <h3 id="audio-heading">Voice</h3>
+                <h3 id="audio-heading">{t('audio.title')}</h3>
                 <p className="audio-hint">
                     {isCalibrating
-                        ? 'Learning how you normally sound…'
+                        ? t('audio.learning')
                         : describeStress(stressScore)}
                 </p>
             </header>
@@ -66,16 +68,13 @@ const AudioVisualizer = ({ analyser, stressScore, mfccData, isCalibrating, basel
                 />
 
                 {isCalibrating ? (
-                    <p className="audio-calibrating" role="status">
-                        This takes about five seconds. If you are not speaking, SafeSignal will pick
-                        up your baseline later — protection is already on.
-                    </p>
+                    <p className="audio-calibrating" role="status">{t('audio.calibrating')}</p>
                 ) : (
                     <div className="audio-meter">
                         <div
                             className="audio-meter-track"
                             role="progressbar"
-                            aria-label="Voice tension"
+                            aria-label={t('audio.tension')}
                             aria-valuenow={Math.round(stressScore * 100)}
                             aria-valuemin={0}
                             aria-valuemax={100}
@@ -93,24 +92,21 @@ const AudioVisualizer = ({ analyser, stressScore, mfccData, isCalibrating, basel
 
             {showTechnical && (
                 <div className="audio-technical">
-                    <p className="audio-tech-title">MFCC over time</p>
+                    <p className="audio-tech-title">{t('audio.mfcc')}</p>
                     <canvas ref={mfccCanvasRef} className="audio-mfcc" width={600} height={160} aria-hidden="true" />
                     {baseline ? (
                         <dl className="audio-baseline">
-                            <div><dt>Pitch baseline</dt><dd>{baseline.pitch.toFixed(1)} Hz</dd></div>
-                            <div><dt>Energy baseline</dt><dd>{baseline.rms.toFixed(4)}</dd></div>
-                            <div><dt>Centroid baseline</dt><dd>{baseline.centroid.toFixed(0)} Hz</dd></div>
+                            <div><dt>{t('audio.pitchBaseline')}</dt><dd>{baseline.pitch.toFixed(1)} Hz</dd></div>
+                            <div><dt>{t('audio.energyBaseline')}</dt><dd>{baseline.rms.toFixed(4)}</dd></div>
+                            <div><dt>{t('audio.centroidBaseline')}</dt><dd>{baseline.centroid.toFixed(0)} Hz</dd></div>
                         </dl>
                     ) : (
-                        <p className="audio-tech-note">
-                            No personal baseline yet — scoring against absolute thresholds until
-                            enough speech is heard.
-                        </p>
+                        <p className="audio-tech-note">{t('audio.noBaseline')}</p>
                     )}
                 </div>
             )}
 
-            <p className="audio-privacy">Audio is analysed on your device and never uploaded or saved.</p>
+            <p className="audio-privacy">{t('audio.privacy')}</p>
         </section>
     );
 };
@@ -6,7 +6,13 @@ import {
     MAX_DURATION_MINUTES,
     GRACE_MS,
 } from '../utils/checkIn';
-import { describeRemoteState } from '../utils/remoteCheckIn';
+import { describeRemoteState, summariseRemoteStatus } from '../utils/remoteCheckIn';
+import { hasSafetyCodes } from '../utils/safetyCodes';
+import { describePlan } from '../utils/checkInPlans';
+import { formatClock } from '../i18n';
+import useLocale from '../hooks/useLocale';
+import CheckInPlans from './CheckInPlans';
+import DestinationPicker from './DestinationPicker';
 import './CheckInCard.css';
 
 /**
@@ -18,8 +24,14 @@ import './CheckInCard.css';
  * allowed, or the phone being held a particular way.
  *
  * Props:
- *   phase, remainingMs, graceRemainingMs, record
- *   onStart(durationMs, note), onExtend(extraMs), onCheckIn()
+ *   phase, remainingMs, graceRemainingMs, record, remoteState, remoteError, remoteStatus
+ *   arrival - { place, at } when the last check-in ended on arriving
+ *   onStart(durationMs, note, destination), onExtend(extraMs), onCheckIn(code?)
+ *   plans - from useCheckInPlans, listed under the timer while idle
+ *
+ * With safety codes set, "I'm safe" asks for a code. The safe code and the
+ * duress code give the same result on screen; only the server knows which
+ * one was typed.
  */
 const CheckInCard = ({
     phase,
@@ -28,15 +40,24 @@ const CheckInCard = ({
     record,
     remoteState = 'off',
     remoteError = null,
+    remoteStatus = null,
+    arrival = null,
     onStart,
     onExtend,
     onCheckIn,
+    plans = null,
 }) => {
+    const { t } = useLocale();
     const [note, setNote] = useState('');
+    const [destination, setDestination] = useState(null);
     const [showCustom, setShowCustom] = useState(false);
     const [customMinutes, setCustomMinutes] = useState('');
     const [customError, setCustomError] = useState('');
-    const [customPreview, setCustomPreview] = useState(null);
+    const [customPreviewAt, setCustomPreviewAt] = useState(null);
+    const [needsCode] = useState(hasSafetyCodes);
+    const [showCode, setShowCode] = useState(false);
+    const [code, setCode] = useState('');
+    const [codeError, setCodeError] = useState('');
 
     /**
      * Recompute the wall-clock end time as the value is typed, so a number can
@@ -52,15 +73,9 @@ const CheckInCard = ({
         setCustomMinutes(value);
         setCustomError('');
 
+        // Kept as a moment, not a string, so it reads right after a language switch.
         const check = validateCustomMinutes(value);
-        setCustomPreview(
-            check.ok
-                ? new Date(Date.now() + check.minutes * 60 * 1000).toLocaleTimeString([], {
-                    hour: '2-digit',
-                    minute: '2-digit',
-                })
-                : null,
-        );
+        setCustomPreviewAt(check.ok ? Date.now() + check.minutes * 60 * 1000 : null);
     };
 
     const handleCustomSubmit = (event) => {
@@ -73,18 +88,32 @@ const CheckInCard = ({
         setCustomError('');
         setShowCustom(false);
         setCustomMinutes('');
-        setCustomPreview(null);
-        onStart(result.minutes * 60 * 1000, note);
+        setCustomPreviewAt(null);
+        onStart(result.minutes * 60 * 1000, note, destination);
+    };
+
+    const handleCodeSubmit = async (event) => {
+        event.preventDefault();
+        const result = await onCheckIn(code);
+        setCode('');
+        if (result && !result.ok) {
+            setCodeError(result.error);
+            return;
+        }
+        setCodeError('');
+        setShowCode(false);
     };
 
+    const plan = record?.planId ? plans?.plans.find((p) => p.id === record.planId) : null;
+
     if (phase === 'counting' || phase === 'grace' || phase === 'fired') {
         return (
             <section className={`checkin-card checkin-card--${phase}`} aria-labelledby="checkin-heading">
                 <header className="checkin-header">
                     <h2 id="checkin-heading" className="checkin-title">
-                        {phase === 'counting' && 'Checking in'}
-                        {phase === 'grace' && 'Are you okay?'}
-                        {phase === 'fired' && 'Check-in missed'}
+                        {phase === 'counting' && t('checkIn.checking')}
+                        {phase === 'grace' && t('checkIn.areYouOkay')}
+                        {phase === 'fired' && t('checkIn.missed')}
                     </h2>
                 </header>
 
@@ -93,9 +122,7 @@ const CheckInCard = ({
                         <p className="checkin-countdown" aria-live="polite">
                             {formatRemaining(remainingMs)}
                         </p>
-                        <p className="checkin-sub">
-                            If you don&apos;t check in by then, SafeSignal will prepare your alert.
-                        </p>
+                        <p className="checkin-sub">{t('checkIn.countingSub')}</p>
                     </>
                 )}
 
@@ -104,31 +131,70 @@ const CheckInCard = ({
                         <p className="checkin-countdown checkin-countdown--urgent" aria-live="assertive">
                             {formatRemaining(graceRemainingMs)}
                         </p>
-                        <p className="checkin-sub">
-                            Your time is up. Tap below and nothing happens.
-                        </p>
+                        <p className="checkin-sub">{t('checkIn.graceSub')}</p>
                     </>
                 )}
 
                 {phase === 'fired' && (
-                    <p className="checkin-sub">
-                        Your alert was prepared because you didn&apos;t check in.
-                    </p>
+                    <p className="checkin-sub">{t('checkIn.firedSub')}</p>
                 )}
 
+                {record?.destination && phase !== 'fired' && (
+                    <p className="checkin-footnote">{t('checkIn.endsOnArrival', { place: record.destination.name })}</p>
+                )}
+                {plan && <p className="checkin-footnote">{t('plans.startedBy', { plan: describePlan(plan) })}</p>}
+
                 {record?.note && <p className="checkin-note">&ldquo;{record.note}&rdquo;</p>}
 
                 {/* What will actually happen, stated rather than assumed. */}
                 <p className={`checkin-delivery checkin-delivery--${remoteState}`}>
                     {remoteState === 'pending'
-                        ? 'Registering with the server…'
+                        ? t('checkIn.registering')
                         : describeRemoteState(remoteState)}
                 </p>
                 {remoteError && <p className="field-error">{remoteError}</p>}
+                {remoteState === 'on' && summariseRemoteStatus(remoteStatus).map((line) => (
+                    <p key={line} className="checkin-footnote">{line}</p>
+                ))}
+
+                {showCode && (
+                    <form className="checkin-code" onSubmit={handleCodeSubmit} noValidate>
+                        <div className="field">
+                            <label htmlFor="checkin-code">{t('checkIn.yourCode')}</label>
+                            <div className="checkin-custom-row">
+                                <input
+                                    id="checkin-code"
+                                    type="password"
+                                    inputMode="numeric"
+                                    autoComplete="off"
+                                    value={code}
+                                    onChange={(e) => {
+                                        setCode(e.target.value);
+                                        setCodeError('');
+                                    }}
+                                    autoFocus
+                                    aria-invalid={Boolean(codeError)}
+                                    aria-describedby={codeError ? 'checkin-code-error' : undefined}
+                                />
+                                <button type="submit" className="btn-primary">{t('checkIn.confirm')}</button>
+                            </div>
+                        </div>
+                        {codeError && (
+                            <p className="field-error" id="checkin-code-error" role="alert">
+                                {codeError}
+                            </p>
+                        )}
+                    </form>
+                )}
 
                 <div className="checkin-actions">
-                    <button type="button" className="btn-checkin" onClick={onCheckIn}>
-                        I&apos;m safe
+                    <button
+                        type="button"
+                        className="btn-checkin"
+                        onClick={() => (needsCode ? setShowCode(true) : onCheckIn())}
+                        aria-expanded={needsCode ? showCode : undefined}
+                    >
+                        {t('checkIn.safe')}
                     </button>
                     {phase !== 'fired' && (
                         <button
@@ -136,7 +202,7 @@ const CheckInCard = ({
                             className="btn-secondary"
                             onClick={() => onExtend(15 * 60 * 1000)}
                         >
-                            +15 min
+                            {t('checkIn.addTime', { minutes: 15 })}
                         </button>
                     )}
                 </div>
@@ -147,26 +213,29 @@ const CheckInCard = ({
     return (
         <section className="checkin-card" aria-labelledby="checkin-heading">
             <header className="checkin-header">
-                <h2 id="checkin-heading" className="checkin-title">Check-in timer</h2>
-                <p className="checkin-sub">
-                    For when you can&apos;t speak or move. Tap a time — if you don&apos;t
-                    check in, SafeSignal alerts your contacts without you doing anything.
-                </p>
+                <h2 id="checkin-heading" className="checkin-title">{t('checkIn.title')}</h2>
+                <p className="checkin-sub">{t('checkIn.intro')}</p>
             </header>
 
+            {arrival && (
+                <p className="checkin-delivery checkin-delivery--on" role="status">
+                    {t('checkIn.arrived', { place: arrival.place, time: formatClock(arrival.at) })}
+                </p>
+            )}
+
             {/* One tap starts the timer. Picking a duration and then confirming
                 is two decisions, and someone reaching for this is usually
                 already uneasy and in a hurry. */}
-            <div className="checkin-durations" role="group" aria-label="Start a check-in">
+            <div className="checkin-durations" role="group" aria-label={t('checkIn.startLabel')}>
                 {DURATION_PRESETS.map((minutes) => (
                     <button
                         key={minutes}
                         type="button"
                         className="duration-start"
-                        onClick={() => onStart(minutes * 60 * 1000, note)}
+                        onClick={() => onStart(minutes * 60 * 1000, note, destination)}
                     >
                         <span className="duration-value">{minutes}</span>
-                        <span className="duration-unit">min</span>
+                        <span className="duration-unit">{t('checkIn.min')}</span>
                     </button>
                 ))}
 
@@ -179,7 +248,7 @@ const CheckInCard = ({
                     }}
                     aria-expanded={showCustom}
                 >
-                    <span className="duration-custom-label">Other</span>
+                    <span className="duration-custom-label">{t('checkIn.other')}</span>
                 </button>
             </div>
 
@@ -189,7 +258,7 @@ const CheckInCard = ({
             {showCustom && (
                 <form className="checkin-custom" onSubmit={handleCustomSubmit} noValidate>
                     <div className="field">
-                        <label htmlFor="checkin-custom">Minutes</label>
+                        <label htmlFor="checkin-custom">{t('checkIn.minutes')}</label>
                         <div className="checkin-custom-row">
                             <input
                                 id="checkin-custom"
@@ -204,7 +273,7 @@ const CheckInCard = ({
                                 aria-invalid={Boolean(customError)}
                                 aria-describedby={customError ? 'checkin-custom-error' : 'checkin-custom-hint'}
                             />
-                            <button type="submit" className="btn-primary">Start</button>
+                            <button type="submit" className="btn-primary">{t('checkIn.start')}</button>
                         </div>
                     </div>
 
@@ -214,41 +283,49 @@ const CheckInCard = ({
                         </p>
                     ) : (
                         <p className="checkin-footnote" id="checkin-custom-hint">
-                            {customPreview
-                                ? `Checks in at ${customPreview}.`
-                                : `Anything from 1 minute to ${MAX_DURATION_MINUTES / 60} hours.`}
+                            {customPreviewAt
+                                ? t('checkIn.checksInAt', { time: formatClock(customPreviewAt) })
+                                : t('checkIn.range', { hours: MAX_DURATION_MINUTES / 60 })}
                         </p>
                     )}
                 </form>
             )}
 
+            <DestinationPicker value={destination} onChange={setDestination} />
+
             <details className="checkin-note-toggle">
-                <summary>Add a note (optional)</summary>
+                <summary>{t('checkIn.addNote')}</summary>
                 <div className="field">
-                    <label htmlFor="checkin-note">What are you doing?</label>
+                    <label htmlFor="checkin-note">{t('checkIn.notePrompt')}</label>
                     <input
                         id="checkin-note"
                         type="text"
                         value={note}
                         onChange={(e) => setNote(e.target.value)}
-                        placeholder="Walking home from the station"
+                        placeholder={t('checkIn.notePlaceholder')}
                         maxLength={200}
                     />
-                    <p className="checkin-footnote">
-                        Included in the alert so your contact knows where to look.
-                    </p>
+                    <p className="checkin-footnote">{t('checkIn.noteHelp')}</p>
                 </div>
             </details>
 
             <p className="checkin-footnote">
-                You get {Math.round(GRACE_MS / 1000)} seconds to cancel after the time is up,
-                and you can add more time at any point. This keeps running even if you
-                close the app.
+                {t('checkIn.graceNote', { seconds: Math.round(GRACE_MS / 1000) })}
             </p>
 
             <p className={`checkin-delivery checkin-delivery--${remoteState}`}>
                 {describeRemoteState(remoteState === 'pending' ? 'on' : remoteState)}
             </p>
+
+            {plans && (
+                <CheckInPlans
+                    plans={plans.plans}
+                    errors={plans.errors}
+                    onAdd={plans.addPlan}
+                    onSetEnabled={plans.setEnabled}
+                    onRemove={plans.removePlan}
+                />
+            )}
         </section>
     );
 };
@@ -0,0 +1,163 @@
+import { useState } from 'react';
+import { describePlan, pickerDays, MAX_PLANS } from '../utils/checkInPlans';
+import { isRemoteEnabled } from '../utils/remoteCheckIn';
+import useLocale from '../hooks/useLocale';
+import './CheckInPlans.css';
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Recurring check-in plans, inside the idle check-in card.
+ *
+ * Collapsed by default: the one-tap timer above is what someone in a hurry
+ * needs, and a plan is set up once, at leisure.
+ *
+ * Props:
+ *   plans, errors - from useCheckInPlans
+ *   onAdd(input), onSetEnabled(planId, enabled), onRemove(planId)
+ */
+const CheckInPlans = ({ plans, errors = {}, onAdd, onSetEnabled, onRemove }) => {
+    const { t } = useLocale();
+    const [days, setDays] = useState(WEEKDAYS);
+    const [start, setStart] = useState('22:00');
+    const [end, setEnd] = useState('22:40');
+    const [note, setNote] = useState('');
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(null);
+
+    const toggleDay = (day) => {
+        setDays((current) => (current.includes(day) ? current.filter((d) => d !== day) : [...current, day]));
+        setError('');
+    };
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        const result = onAdd({ note, days, start, end });
+        if (!result.ok) {
+            setError(result.error);
+            return;
+        }
+        setError('');
+        setNote('');
+    };
+
+    // Stopping waits on the server, so the button says so rather than
+    // appearing to do nothing.
+    const withBusy = async (planId, action) => {
+        setBusy(planId);
+        await action();
+        setBusy(null);
+    };
+
+    return (
+        <details className="checkin-plans">
+            <summary>
+                {plans.length > 0 ? t('plans.titleCount', { count: plans.length }) : t('plans.title')}
+            </summary>
+
+            <p className="checkin-footnote">
+                {isRemoteEnabled() ? t('plans.serverNote') : t('plans.localNote')}
+            </p>
+
+            {plans.length > 0 && (
+                <ul className="plans-list">
+                    {plans.map((plan) => (
+                        <li key={plan.id} className={`plan-item ${plan.enabled ? '' : 'is-off'}`}>
+                            <div className="plan-summary">
+                                <span className="plan-when">{describePlan(plan)}</span>
+                                {plan.note && <span className="plan-note">{plan.note}</span>}
+                                {errors[plan.id] && <span className="field-error">{errors[plan.id]}</span>}
+                            </div>
+                            <div className="plan-actions">
+                                <label className="plan-toggle">
+                                    <input
+                                        type="checkbox"
+                                        checked={plan.enabled}
+                                        disabled={busy === plan.id}
+                                        onChange={(e) => {
+                                            const enabled = e.target.checked;
+                                            withBusy(plan.id, () => onSetEnabled(plan.id, enabled));
+                                        }}
+                                    />
+                                    {t('plans.on')}
+                                </label>
+                                <button
+                                    type="button"
+                                    className="link-button link-button--muted"
+                                    disabled={busy === plan.id}
+                                    onClick={() => withBusy(plan.id, () => onRemove(plan.id))}
+                                >
+                                    {t('plans.remove')}
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {plans.length < MAX_PLANS && (
+                <form className="plans-form" onSubmit={handleSubmit} noValidate>
+                    <fieldset className="plans-days">
+                        <legend>{t('plans.days')}</legend>
+                        {pickerDays().map(({ day, label }) => (
+                            <button
+                                key={day}
+                                type="button"
+                                className={`plan-day ${days.includes(day) ? 'is-on' : ''}`}
+                                aria-pressed={days.includes(day)}
+                                onClick={() => toggleDay(day)}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </fieldset>
+
+                    <div className="plans-times">
+                        <div className="field">
+                            <label htmlFor="plan-start">{t('plans.from')}</label>
+                            <input
+                                id="plan-start"
+                                type="time"
+                                value={start}
+                                onChange={(e) => {
+                                    setStart(e.target.value);
+                                    setError('');
+                                }}
+                            />
+                        </div>
+                        <div className="field">
+                            <label htmlFor="plan-end">{t('plans.until')}</label>
+                            <input
+                                id="plan-end"
+                                type="time"
+                                value={end}
+                                onChange={(e) => {
+                                    setEnd(e.target.value);
+                                    setError('');
+                                }}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="field">
+                        <label htmlFor="plan-note">{t('checkIn.notePrompt')}</label>
+                        <input
+                            id="plan-note"
+                            type="text"
+                            value={note}
+                            onChange={(e) => setNote(e.target.value)}
+                            placeholder={t('checkIn.notePlaceholder')}
+                            maxLength={200}
+                        />
+                    </div>
+
+                    {error && <p className="field-error" role="alert">{error}</p>}
+
+                    <button type="submit" className="btn-secondary">{t('plans.save')}</button>
+                </form>
+            )}
+        </details>
+    );
+};
+
+export default CheckInPlans;
@@ -1,6 +1,9 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { loadContacts, saveContacts } from '../utils/storage';
+import { loadContacts, saveContacts, CONTACT_TIERS, CONTACT_CHANNELS, CONTACT_LANGUAGES, CHANNELS_WITH_ADDRESS } from '../utils/storage';
+import { hasSafetyCodes, saveSafetyCodes, clearSafetyCodes } from '../utils/safetyCodes';
+import { isRemoteEnabled } from '../utils/remoteCheckIn';
+import useLocale from '../hooks/useLocale';
 import './ContactScreen.css';
 
 /**
@@ -14,8 +17,145 @@ import './ContactScreen.css';
 /** Accepts international and local formats; rejects obvious nonsense. */
 const PHONE_PATTERN = /^\+?[\d\s\-().]{6,20}$/;
 
+/** Mirrors the server's checks in api/_lib/channels.js. */
+const ADDRESS_PATTERNS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    telegram: /^\d{1,20}$/,
+};
+
+/** How the server can send a contact the text. Calls always go to the phone. */
+const CHANNEL_LABELS = {
+    sms: 'contacts.channelSms',
+    whatsapp: 'contacts.channelWhatsapp',
+    telegram: 'contacts.channelTelegram',
+    email: 'contacts.channelEmail',
+};
+
+const ADDRESS_FIELDS = {
+    telegram: {
+        label: 'contacts.telegramLabel',
+        placeholder: '123456789',
+        hint: 'contacts.telegramHint',
+        error: 'contacts.telegramError',
+    },
+    email: {
+        label: 'contacts.emailLabel',
+        placeholder: 'priya@example.com',
+        hint: null,
+        error: 'contacts.emailError',
+    },
+};
+
+/** Each in its own script, so a contact's family can find theirs. */
+const LANGUAGE_LABELS = {
+    en: 'English',
+    hi: 'हिन्दी (Hindi)',
+    ta: 'தமிழ் (Tamil)',
+};
+
+/**
+ * When each tier is reached by an automatic alert. The server waits ten minutes
+ * between rounds and stops once anyone acknowledges.
+ */
+const TIER_LABELS = {
+    1: 'contacts.tier1',
+    2: 'contacts.tier2',
+    3: 'contacts.tier3',
+};
+
+/**
+ * Optional safe and duress codes for cancelling a check-in.
+ *
+ * Set here, during setup, because nobody can choose a duress code calmly at
+ * the moment they need one.
+ */
+const SafetyCodes = () => {
+    const { t } = useLocale();
+    const [configured, setConfigured] = useState(hasSafetyCodes);
+    const [safe, setSafe] = useState('');
+    const [duress, setDuress] = useState('');
+    const [error, setError] = useState('');
+
+    const save = async (event) => {
+        event.preventDefault();
+        const result = await saveSafetyCodes(safe, duress);
+        if (!result.ok) {
+            setError(result.error);
+            return;
+        }
+        setError('');
+        setSafe('');
+        setDuress('');
+        setConfigured(true);
+    };
+
+    const remove = () => {
+        clearSafetyCodes();
+        setConfigured(false);
+    };
+
+    return (
+        <details className="safety-codes">
+            <summary>{configured ? t('safetyCodes.set') : t('safetyCodes.add')}</summary>
+
+            <p className="screen-note">{t('safetyCodes.explain')}</p>
+
+            {/* Said plainly: a duress code that silently does nothing would be
+                worse than having none. */}
+            <p className="screen-note">
+                {isRemoteEnabled() ? t('safetyCodes.remoteOn') : t('safetyCodes.remoteOff')}
+            </p>
+
+            {configured ? (
+                <button type="button" className="btn-secondary" onClick={remove}>
+                    {t('safetyCodes.remove')}
+                </button>
+            ) : (
+                <form className="contact-form" onSubmit={save} noValidate>
+                    <div className="field">
+                        <label htmlFor="safe-code">{t('safetyCodes.safeCode')}</label>
+                        <input
+                            id="safe-code"
+                            type="password"
+                            inputMode="numeric"
+                            autoComplete="off"
+                            value={safe}
+                            onChange={(e) => setSafe(e.target.value)}
+                        />
+                    </div>
+
+                    <div className="field">
+                        <label htmlFor="duress-code">{t('safetyCodes.duressCode')}</label>
+                        <input
+                            id="duress-code"
+                            type="password"
+                            inputMode="numeric"
+                            autoComplete="off"
+                            value={duress}
+                            onChange={(e) => setDuress(e.target.value)}
+                            aria-describedby={error ? 'safety-codes-error' : undefined}
+                            aria-invalid={Boolean(error)}
+                        />
+                    </div>
+
+                    {error && (
+                        <p className="field-error" id="safety-codes-error" role="alert">
+                            {error}
+                        </p>
+                    )}
+
+                    <button type="submit" className="btn-secondary">
+                        {t('safetyCodes.save')}
+                    </button>
+                </form>
+            )}
+        </details>
+    );
+};
+
 const ContactScreen = () => {
     const navigate = useNavigate();
+    const { t } = useLocale();
 
     // Read straight from storage during initialisation. Starting from an empty
     // list and filling it in later meant the first save overwrote every
@@ -23,6 +163,8 @@ const ContactScreen = () => {
     const [contacts, setContacts] = useState(loadContacts);
     const [name, setName] = useState('');
     const [phone, setPhone] = useState('');
+    const [channel, setChannel] = useState('sms');
+    const [address, setAddress] = useState('');
     const [error, setError] = useState('');
     const [saveFailed, setSaveFailed] = useState(false);
 
@@ -41,15 +183,22 @@ const ContactScreen = () => {
         const trimmedPhone = phone.trim();
 
         if (!trimmedName) {
-            setError('Please add a name so you know who this is.');
+            setError(t('contacts.nameMissing'));
             return;
         }
         if (!PHONE_PATTERN.test(trimmedPhone)) {
-            setError('That phone number does not look right. Include the country code if you can.');
+            setError(t('contacts.phoneInvalid'));
             return;
         }
         if (contacts.some((c) => c.phone.replace(/\D/g, '') === trimmedPhone.replace(/\D/g, ''))) {
-            setError('That number is already saved.');
+            setError(t('contacts.phoneDuplicate'));
+            return;
+        }
+
+        const needsAddress = CHANNELS_WITH_ADDRESS.includes(channel);
+        const trimmedAddress = needsAddress ? address.trim() : '';
+        if (needsAddress && !ADDRESS_PATTERNS[channel].test(trimmedAddress)) {
+            setError(t(ADDRESS_FIELDS[channel].error));
             return;
         }
 
@@ -60,10 +209,32 @@ const ContactScreen = () => {
                 id: crypto.randomUUID?.() ?? `c-${Date.now()}`,
                 name: trimmedName,
                 phone: trimmedPhone,
+                tier: 1,
+                channel,
+                address: trimmedAddress,
+                language: 'en',
             },
         ]);
         setName('');
         setPhone('');
+        setChannel('sms');
+        setAddress('');
+    };
+
+    /**
+     * @param {string} id
+     * @param {number} tier
+     */
+    const setTier = (id, tier) => {
+        persist(contacts.map((contact) => (contact.id === id ? { ...contact, tier } : contact)));
+    };
+
+    /**
+     * @param {string} id
+     * @param {string} language
+     */
+    const setLanguage = (id, language) => {
+        persist(contacts.map((contact) => (contact.id === id ? { ...contact, language } : contact)));
     };
 
     /**
@@ -77,16 +248,13 @@ const ContactScreen = () => {
         <div className="page contact-screen">
             <div className="screen-inner">
                 <header className="screen-header">
-                    <h1>Who should we reach?</h1>
-                    <p className="screen-subtitle">
-                        These are the people SafeSignal will prepare a message for. Choose someone
-                        who would pick up.
-                    </p>
+                    <h1>{t('contacts.title')}</h1>
+                    <p className="screen-subtitle">{t('contacts.subtitle')}</p>
                 </header>
 
                 <form className="contact-form" onSubmit={addContact} noValidate>
                     <div className="field">
-                        <label htmlFor="contact-name">Name</label>
+                        <label htmlFor="contact-name">{t('contacts.name')}</label>
                         <input
                             id="contact-name"
                             type="text"
@@ -98,7 +266,7 @@ const ContactScreen = () => {
                     </div>
 
                     <div className="field">
-                        <label htmlFor="contact-phone">Phone number</label>
+                        <label htmlFor="contact-phone">{t('contacts.phone')}</label>
                         <input
                             id="contact-phone"
                             type="tel"
@@ -111,6 +279,37 @@ const ContactScreen = () => {
                         />
                     </div>
 
+                    <div className="field">
+                        <label htmlFor="contact-channel">{t('contacts.sendBy')}</label>
+                        <select
+                            id="contact-channel"
+                            value={channel}
+                            onChange={(e) => setChannel(e.target.value)}
+                        >
+                            {CONTACT_CHANNELS.map((option) => (
+                                <option key={option} value={option}>{t(CHANNEL_LABELS[option])}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {ADDRESS_FIELDS[channel] && (
+                        <div className="field">
+                            <label htmlFor="contact-address">{t(ADDRESS_FIELDS[channel].label)}</label>
+                            <input
+                                id="contact-address"
+                                type={channel === 'email' ? 'email' : 'text'}
+                                inputMode={channel === 'telegram' ? 'numeric' : undefined}
+                                value={address}
+                                onChange={(e) => setAddress(e.target.value)}
+                                placeholder={ADDRESS_FIELDS[channel].placeholder}
+                                autoComplete={channel === 'email' ? 'email' : 'off'}
+                            />
+                            {ADDRESS_FIELDS[channel].hint && (
+                                <p className="field-hint">{t(ADDRESS_FIELDS[channel].hint)}</p>
+                            )}
+                        </div>
+                    )}
+
                     {error && (
                         <p className="field-error" id="contact-error" role="alert">
                             {error}
@@ -118,36 +317,61 @@ const ContactScreen = () => {
                     )}
 
                     <button type="submit" className="btn-secondary">
-                        Add contact
+                        {t('contacts.add')}
                     </button>
                 </form>
 
                 {saveFailed && (
-                    <p className="field-error" role="alert">
-                        Your contacts could not be saved on this device. Private browsing usually
-                        blocks storage — try a normal window.
-                    </p>
+                    <p className="field-error" role="alert">{t('contacts.saveFailed')}</p>
                 )}
 
                 {contacts.length > 0 && (
-                    <section className="contact-list" aria-label="Saved contacts">
-                        <h2 className="section-title">
-                            Saved {contacts.length === 1 ? 'contact' : 'contacts'} ({contacts.length})
-                        </h2>
+                    <section className="contact-list" aria-label={t('contacts.savedLabel')}>
+                        <h2 className="section-title">{t('contacts.saved', { count: contacts.length })}</h2>
                         <ul>
                             {contacts.map((contact) => (
                                 <li key={contact.id} className="contact-item">
                                     <div className="contact-details">
                                         <span className="contact-name">{contact.name}</span>
                                         <span className="contact-phone">{contact.phone}</span>
+                                        {contact.channel !== 'sms' && (
+                                            <span className="contact-channel">
+                                                {t('contacts.textBy', { channel: t(CHANNEL_LABELS[contact.channel]) })}
+                                                {contact.address && ` (${contact.address})`}
+                                            </span>
+                                        )}
+                                        <label className="contact-tier">
+                                            <span>{t('contacts.reach')}</span>
+                                            <select
+                                                value={contact.tier}
+                                                onChange={(e) => setTier(contact.id, Number(e.target.value))}
+                                            >
+                                                {CONTACT_TIERS.map((tier) => (
+                                                    <option key={tier} value={tier}>{t(TIER_LABELS[tier])}</option>
+                                                ))}
+                                            </select>
+                                        </label>
+                                        <label className="contact-tier">
+                                            <span>{t('contacts.alertIn')}</span>
+                                            <select
+                                                value={contact.language}
+                                                onChange={(e) => setLanguage(contact.id, e.target.value)}
+                                            >
+                                                {CONTACT_LANGUAGES.map((language) => (
+                                                    <option key={language} value={language} lang={language}>
+                                                        {LANGUAGE_LABELS[language]}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </label>
                                     </div>
                                     <button
                                         type="button"
                                         className="icon-button"
                                         onClick={() => removeContact(contact.id)}
-                                        aria-label={`Remove ${contact.name}`}
+                                        aria-label={t('contacts.removeNamed', { name: contact.name })}
                                     >
-                                        Remove
+                                        {t('contacts.remove')}
                                     </button>
                                 </li>
                             ))}
@@ -155,6 +379,8 @@ const ContactScreen = () => {
                     </section>
                 )}
 
+                <SafetyCodes />
+
                 <div className="screen-actions">
                     <button
                         type="button"
@@ -162,13 +388,23 @@ const ContactScreen = () => {
                         onClick={() => navigate('/dashboard')}
                         disabled={contacts.length === 0}
                     >
-                        {contacts.length === 0 ? 'Add a contact to continue' : 'Continue'}
+                        {contacts.length === 0 ? t('contacts.addToContinue') : t('common.continue')}
                     </button>
                 </div>
 
-                <p className="screen-note">
-                    Contacts stay on this device. SafeSignal has no server and cannot upload them.
-                </p>
+                {contacts.length > 1 && (
+                    <p className="screen-note">{t('contacts.reachNote')}</p>
+                )}
+
+                {contacts.some((c) => c.channel !== 'sms') && (
+                    <p className="screen-note">{t('contacts.channelNote')}</p>
+                )}
+
+                {contacts.some((c) => c.language !== 'en') && (
+                    <p className="screen-note">{t('contacts.languageNote')}</p>
+                )}
+
+                <p className="screen-note">{t('contacts.deviceNote')}</p>
             </div>
         </div>
     );
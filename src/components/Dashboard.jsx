@@ -5,19 +5,27 @@ import {
     getRiskLevel,
     getRiskLabel,
     getRiskDescription,
+    resolveSensitivity,
 } from '../utils/riskEngine';
-import { getCurrentLocation, watchLocation } from '../utils/geo';
+import { getCurrentLocation, watchLocation, zoneAfter, groundSpeed, TravelTracker } from '../utils/geo';
 import { getAudioPipeline } from '../utils/audio/audioPipeline';
 import { getMotionPipeline, MotionPipelineController } from '../utils/motionPipeline';
+import { getGesturePipeline } from '../utils/gesturePipeline';
 import { createAlert } from '../utils/alerts';
-import { loadContacts } from '../utils/storage';
+import { loadContacts, loadPlaces, loadSensitivity, loadInactivityMinutes, loadHandSignal } from '../utils/storage';
+import { safeZones, isNight } from '../utils/places';
+import { InactivityWatch, describeStillness } from '../utils/inactivity';
+import { SprintDetector } from '../utils/gait';
 import { getIncidentLog, EVENT } from '../utils/incidentLog';
 import useWakeLock from '../hooks/useWakeLock';
 import useCheckIn from '../hooks/useCheckIn';
+import useCheckInPlans from '../hooks/useCheckInPlans';
 import { describeCheckInReason } from '../utils/checkIn';
+import useLocale from '../hooks/useLocale';
 import AudioVisualizer from './AudioVisualizer';
 import GestureDetector from './GestureDetector';
 import CheckInCard from './CheckInCard';
+import LanguagePicker from './LanguagePicker';
 import './Dashboard.css';
 
 /** How often risk is recomputed. */
@@ -26,6 +34,9 @@ const TICK_MS = 1000;
 /** Seconds the user has to stop an alert before it is prepared. */
 const COUNTDOWN_SECONDS = 10;
 
+/** The check-in offered on leaving a safe zone at night. */
+const LEAVING_CHECKIN_MS = 15 * 60_000;
+
 const IDLE_RISK = {
     score: 0,
     level: 'safe',
@@ -46,16 +57,16 @@ const IDLE_AUDIO = {
     error: null,
 };
 
-const IDLE_MOTION = { score: 0, available: false, permissionState: 'unknown', status: 'waiting' };
+const IDLE_MOTION = { score: 0, fallScore: 0, cadence: 0, available: false, permissionState: 'unknown', status: 'waiting' };
 
 /** Plain-language wording for each motion-sensor state. */
 const MOTION_TEXT = {
-    active: 'Active',
-    waiting: 'Starting up…',
-    'no-hardware': 'This device has no motion sensor',
-    stalled: 'Sensor stopped responding',
-    denied: 'Permission not given',
-    unsupported: 'Not available in this browser',
+    active: 'dashboard.motionActive',
+    waiting: 'dashboard.motionWaiting',
+    'no-hardware': 'dashboard.motionNoHardware',
+    stalled: 'dashboard.motionStalled',
+    denied: 'dashboard.motionDenied',
+    unsupported: 'dashboard.motionUnsupported',
 };
 
 const IDLE_GESTURE = { score: 0, confidence: 0, ready: false };
@@ -68,6 +79,7 @@ const IDLE_GESTURE = { score: 0, confidence: 0, ready: false };
  */
 const Dashboard = ({ autoAlert = false }) => {
     const navigate = useNavigate();
+    const { t } = useLocale();
 
     const [isProtectionOn, setIsProtectionOn] = useState(false);
     const [cameraEnabled, setCameraEnabled] = useState(false);
@@ -83,6 +95,16 @@ const Dashboard = ({ autoAlert = false }) => {
     const [motion, setMotion] = useState(IDLE_MOTION);
     const [gesture, setGesture] = useState(IDLE_GESTURE);
     const [location, setLocation] = useState({ coords: null, error: null });
+    // Read once, like the places: it is changed on its own screen.
+    const [sensitivity] = useState(() => resolveSensitivity(loadSensitivity()));
+    const [zone, setZone] = useState(null);
+    const [leftZone, setLeftZone] = useState(null);
+    const [stillLimitMs] = useState(() => loadInactivityMinutes() * 60_000);
+    const [handSignal] = useState(loadHandSignal);
+    const [askingIfOk, setAskingIfOk] = useState(false);
+    const [countdownReason, setCountdownReason] = useState(null);
+    const [vehicleJump, setVehicleJump] = useState(false);
+    const [inCab, setInCab] = useState(false);
 
     // Sensor values are read inside a 1s interval. Holding them in refs keeps
     // that interval out of the effect's dependency list — when it depended on
@@ -91,22 +113,38 @@ const Dashboard = ({ autoAlert = false }) => {
     const gestureRef = useRef(0);
     const stressRef = useRef(0);
     const motionRef = useRef(0);
-    const availabilityRef = useRef({ gesture: false, stress: false, motion: false });
+    const fallRef = useRef(0);
+    const cadenceRef = useRef(0);
+    const sprintRef = useRef(new SprintDetector());
+    const lastFixRef = useRef(null);
+    const travelRef = useRef(new TravelTracker());
+    const availabilityRef = useRef({
+        gesture: false, stress: false, motion: false, fall: false, sprint: false, vehicle: false,
+    });
     const locationRef = useRef({ coords: null, error: null });
-    const trackerRef = useRef(new RiskTracker());
+    const trackerRef = useRef(RiskTracker.withSensitivity(sensitivity));
     const tickRef = useRef(null);
     const escalatedRef = useRef(false);
+    const zoneRef = useRef(null);
+    const stillRef = useRef(new InactivityWatch(stillLimitMs));
 
     const wakeLock = useWakeLock(isProtectionOn);
     const contacts = useMemo(() => loadContacts(), []);
+    // Read once: places are edited on their own screen, and coming back from
+    // it mounts the dashboard afresh.
+    const zones = useMemo(() => safeZones(loadPlaces()), []);
 
+    const hasFix = location.coords !== null;
     const availability = useMemo(
         () => ({
             gesture: cameraEnabled && gesture.ready,
             stress: micEnabled && audio.ready && !audio.isCalibrating,
             motion: motion.available,
+            fall: motion.available,
+            sprint: motion.available,
+            vehicle: hasFix,
         }),
-        [cameraEnabled, gesture.ready, micEnabled, audio.ready, audio.isCalibrating, motion.available],
+        [cameraEnabled, gesture.ready, micEnabled, audio.ready, audio.isCalibrating, motion.available, hasFix],
     );
 
     // Mirrored into refs so the 1s risk loop can read the latest values
@@ -163,17 +201,29 @@ const Dashboard = ({ autoAlert = false }) => {
         if (!isProtectionOn) {
             getMotionPipeline().stop();
             motionRef.current = 0;
+            fallRef.current = 0;
+            cadenceRef.current = 0;
             return undefined;
         }
 
         const pipeline = getMotionPipeline();
         let cancelled = false;
+        let loggedFall = null;
 
         pipeline.start((update) => {
             if (cancelled) return;
             motionRef.current = update.available ? update.motionScore : 0;
+            fallRef.current = update.available ? update.fallScore : 0;
+            stillRef.current.noteMotion(update.lastMovedAt);
+            cadenceRef.current = update.available ? update.cadence : 0;
+            if (update.fallDetectedAt && update.fallDetectedAt !== loggedFall) {
+                loggedFall = update.fallDetectedAt;
+                getIncidentLog().record(EVENT.FALL_DETECTED, { impact: update.fallImpactG });
+            }
             setMotion({
                 score: update.motionScore,
+                fallScore: update.fallScore,
+                cadence: update.cadence,
                 available: update.available,
                 permissionState: update.permissionState,
                 status: update.status,
@@ -184,9 +234,52 @@ const Dashboard = ({ autoAlert = false }) => {
             cancelled = true;
             pipeline.stop();
             motionRef.current = 0;
+            fallRef.current = 0;
+            cadenceRef.current = 0;
         };
     }, [isProtectionOn]);
 
+    // ── Safe zones ─────────────────────────────────────────────────────────
+    // Followed from each fix rather than from an effect on location state, so
+    // the tracker changes rules on the same fix that crossed the edge.
+    const followZones = useCallback((coords) => {
+        const previous = zoneRef.current;
+        const nextId = zoneAfter(coords, zones, previous?.id ?? null);
+        if (nextId === (previous?.id ?? null)) return;
+
+        const next = zones.find((z) => z.id === nextId) ?? null;
+        zoneRef.current = next;
+        setZone(next);
+        trackerRef.current.setZone(next?.zone ?? 'none');
+
+        // The mode only: a place's name says where someone lives, and the
+        // log travels with an alert.
+        const log = getIncidentLog();
+        if (previous) log.record(EVENT.ZONE_LEFT, { mode: previous.zone });
+        if (next) log.record(EVENT.ZONE_ENTERED, { mode: next.zone });
+
+        setLeftZone(previous && !next && isNight() ? previous : null);
+    }, [zones]);
+
+    // ── Vehicle speed ──────────────────────────────────────────────────────
+    // Logged, and offered back as a question, whether or not protection is on:
+    // with only a check-in running, the log is what goes out if it is missed.
+    const followTravel = useCallback((coords) => {
+        const travel = travelRef.current.push(coords);
+        setInCab(travel.inCab);
+        if (travel.jumped) {
+            getIncidentLog().record(EVENT.VEHICLE_SPEED, { speedKmh: Math.round(travel.speed * 3.6) });
+            setVehicleJump(true);
+        }
+    }, []);
+
+    const markInCab = useCallback(() => {
+        travelRef.current.markInVehicle();
+        setInCab(true);
+        setVehicleJump(false);
+        getIncidentLog().record(EVENT.IN_CAB);
+    }, []);
+
     // ── Location ───────────────────────────────────────────────────────────
     useEffect(() => {
         if (!isProtectionOn) return undefined;
@@ -194,10 +287,17 @@ const Dashboard = ({ autoAlert = false }) => {
         // Keep a warm fix so an alert does not wait on a cold GPS lock.
         const stop = watchLocation((result) => {
             setLocation(result.ok ? { coords: result.coords, error: null } : { coords: null, error: result.error });
+            if (result.ok) {
+                followZones(result.coords);
+                stillRef.current.noteFix(result.coords);
+                sprintRef.current.noteSpeed(groundSpeed(lastFixRef.current, result.coords));
+                lastFixRef.current = result.coords;
+                followTravel(result.coords);
+            }
         });
 
         return stop;
-    }, [isProtectionOn]);
+    }, [isProtectionOn, followZones, followTravel]);
 
     // ── Risk loop ──────────────────────────────────────────────────────────
     useEffect(() => {
@@ -209,12 +309,17 @@ const Dashboard = ({ autoAlert = false }) => {
 
         const log = getIncidentLog();
         let wasSustaining = false;
+        let wasAsking = false;
+        stillRef.current.reset();
 
         const tick = () => {
             const readings = {
                 gesture: gestureRef.current,
                 stress: stressRef.current,
                 motion: motionRef.current,
+                fall: fallRef.current,
+                sprint: sprintRef.current.update(cadenceRef.current),
+                vehicle: travelRef.current.reading(),
             };
             const evaluation = trackerRef.current.update(readings, availabilityRef.current);
             setRisk(evaluation);
@@ -239,6 +344,28 @@ const Dashboard = ({ autoAlert = false }) => {
                 log.record(EVENT.COUNTDOWN_STARTED, { reason: evaluation.escalationReason });
                 setCountdown(COUNTDOWN_SECONDS);
             }
+
+            // Stillness means something only where the phone could say it
+            // moved, and not in a safe zone, where sitting still is the point.
+            // Neither counts towards the watch, so it starts afresh on leaving.
+            const still = stillRef.current;
+            if (!availabilityRef.current.motion || zoneRef.current || escalatedRef.current) {
+                still.reset();
+            }
+            const stillness = still.check();
+            const isAsking = stillness === 'prompt';
+            if (isAsking && !wasAsking) log.record(EVENT.STILL_PROMPTED, {});
+            if (isAsking !== wasAsking) setAskingIfOk(isAsking);
+            wasAsking = isAsking;
+
+            if (stillness === 'overdue') {
+                const reason = describeStillness(still.limitMs);
+                still.reset();
+                escalatedRef.current = true;
+                log.record(EVENT.COUNTDOWN_STARTED, { reason });
+                setCountdownReason(reason);
+                setCountdown(COUNTDOWN_SECONDS);
+            }
         };
 
         tick();
@@ -290,6 +417,20 @@ const Dashboard = ({ autoAlert = false }) => {
         location.coords,
     );
 
+    // Protection keeps its own watch; a check-in on its own needs one so a
+    // jump to vehicle speed is still noticed.
+    const checkInRunning = checkIn.phase === 'counting' || checkIn.phase === 'grace';
+    useEffect(() => {
+        if (isProtectionOn || !checkInRunning) return undefined;
+        return watchLocation((result) => {
+            if (result.ok) followTravel(result.coords);
+        });
+    }, [isProtectionOn, checkInRunning, followTravel]);
+
+    // A plan's window starts a check-in only when none is running: one timer
+    // at a time is what the card, and the person, can follow.
+    const checkInPlans = useCheckInPlans(checkIn.startPlanWindow, checkIn.phase === 'none');
+
     // ── Countdown ──────────────────────────────────────────────────────────
     // Driven by its own effect rather than from inside a setState updater,
     // which must stay pure and would otherwise fire twice under StrictMode.
@@ -297,20 +438,32 @@ const Dashboard = ({ autoAlert = false }) => {
         if (countdown === null) return undefined;
 
         if (countdown <= 0) {
-            raiseAlert(risk.escalationReason ?? 'Manual alert');
+            raiseAlert(countdownReason ?? risk.escalationReason ?? t('dashboard.manualAlert'));
             return undefined;
         }
 
         const timer = setTimeout(() => setCountdown((c) => (c === null ? null : c - 1)), 1000);
         return () => clearTimeout(timer);
-    }, [countdown, raiseAlert, risk.escalationReason]);
+    }, [countdown, countdownReason, raiseAlert, risk.escalationReason, t]);
 
     const cancelCountdown = useCallback(() => {
         setCountdown(null);
+        setCountdownReason(null);
         escalatedRef.current = false;
         trackerRef.current.reset();
+        getMotionPipeline().clearFall();
+        fallRef.current = 0;
+        getGesturePipeline().clearSignal();
+        gestureRef.current = 0;
+        stillRef.current.reset();
         getIncidentLog().record(EVENT.COUNTDOWN_CANCELLED);
-        setNotice({ tone: 'calm', text: "Alert stopped. You're still protected." });
+        setNotice({ tone: 'calm', text: t('dashboard.alertStopped') });
+    }, [t]);
+
+    const answerStill = useCallback(() => {
+        stillRef.current.answer();
+        setAskingIfOk(false);
+        getIncidentLog().record(EVENT.STILL_ANSWERED);
     }, []);
 
     /**
@@ -325,15 +478,30 @@ const Dashboard = ({ autoAlert = false }) => {
             gestureRef.current = 0;
             stressRef.current = 0;
             motionRef.current = 0;
+            fallRef.current = 0;
+            cadenceRef.current = 0;
+            sprintRef.current.reset();
+            lastFixRef.current = null;
+            if (!checkInRunning) {
+                travelRef.current.reset();
+                setVehicleJump(false);
+                setInCab(false);
+            }
             escalatedRef.current = false;
             trackerRef.current.reset();
+            trackerRef.current.setZone('none');
+            zoneRef.current = null;
+            setZone(null);
+            setLeftZone(null);
+            setAskingIfOk(false);
+            setCountdownReason(null);
             setRisk(IDLE_RISK);
             setAudio(IDLE_AUDIO);
             setMotion(IDLE_MOTION);
             setGesture(IDLE_GESTURE);
             setCountdown(null);
         }
-    }, [isProtectionOn]);
+    }, [isProtectionOn, checkInRunning]);
 
     const toggleMic = useCallback(() => {
         setMicEnabled((wasOn) => !wasOn);
@@ -366,8 +534,8 @@ const Dashboard = ({ autoAlert = false }) => {
     }, []);
 
     const activeCount = risk.activeSensors.length;
-    const level = isProtectionOn ? getRiskLevel(risk.score) : 'safe';
-    const statusLabel = isProtectionOn ? getRiskLabel(level) : 'Protection off';
+    const level = isProtectionOn ? getRiskLevel(risk.score, sensitivity.riskThreshold) : 'safe';
+    const statusLabel = isProtectionOn ? getRiskLabel(level) : t('dashboard.protectionOff');
     // A laptop with no accelerometer can never contribute a third sensor, so
     // counting it in the total would overstate what this device can do.
     const motionUsable =
@@ -386,19 +554,36 @@ const Dashboard = ({ autoAlert = false }) => {
                     <p className="dash-eyebrow">SafeSignal</p>
                     <h1 className="dash-title">{statusLabel}</h1>
                 </div>
-                <button
-                    type="button"
-                    className="link-button"
-                    onClick={() => navigate('/contacts')}
-                >
-                    Contacts
-                </button>
+                <div className="dash-header-actions">
+                    <LanguagePicker />
+                    <button
+                        type="button"
+                        className="link-button"
+                        onClick={() => navigate('/places')}
+                    >
+                        {t('dashboard.places')}
+                    </button>
+                    <button
+                        type="button"
+                        className="link-button"
+                        onClick={() => navigate('/sensitivity')}
+                    >
+                        {t('dashboard.sensitivity')}
+                    </button>
+                    <button
+                        type="button"
+                        className="link-button"
+                        onClick={() => navigate('/contacts')}
+                    >
+                        {t('dashboard.contacts')}
+                    </button>
+                </div>
             </header>
 
             {notice && (
                 <div className={`notice notice--${notice.tone}`} role="status">
                     <p>{notice.text}</p>
-                    <button type="button" className="notice-dismiss" onClick={() => setNotice(null)} aria-label="Dismiss message">
+                    <button type="button" className="notice-dismiss" onClick={() => setNotice(null)} aria-label={t('dashboard.dismiss')}>
                         ×
                     </button>
                 </div>
@@ -418,11 +603,73 @@ const Dashboard = ({ autoAlert = false }) => {
 
                 {isProtectionOn && risk.sustainProgress > 0 && countdown === null && (
                     <p className="status-sustain" role="status">
-                        Confirming for a few seconds before doing anything…
+                        {t('dashboard.confirming')}
+                    </p>
+                )}
+
+                {isProtectionOn && motion.fallScore > 0 && countdown === null && (
+                    <p className="status-sustain" role="status">
+                        {t('dashboard.fallDetected')}
+                    </p>
+                )}
+
+                {isProtectionOn && zone && (
+                    <p className="status-zone">
+                        {zone.zone === 'pause'
+                            ? t('zones.pausedAt', { name: zone.name })
+                            : t('zones.relaxedAt', { name: zone.name })}
                     </p>
                 )}
             </section>
 
+            {/* ── Are you OK? ────────────────────────────────────────── */}
+            {isProtectionOn && askingIfOk && countdown === null && (
+                <div className="notice notice--warning still-prompt" role="alert">
+                    <p>{t('inactivity.question', { minutes: Math.round(stillLimitMs / 60_000) })}</p>
+                    <p>{t('inactivity.answerBy')}</p>
+                    <button type="button" className="btn-primary" onClick={answerStill}>
+                        {t('inactivity.imOk')}
+                    </button>
+                </div>
+            )}
+
+            {/* ── Jump to vehicle speed ──────────────────────────────── */}
+            {vehicleJump && !inCab && (
+                <div className="notice notice--warning vehicle-prompt" role="status">
+                    <p>{t('vehicle.jumped')}</p>
+                    <div className="prompt-actions">
+                        <button type="button" className="btn-secondary" onClick={markInCab}>
+                            {t('vehicle.inCab')}
+                        </button>
+                        <button type="button" className="link-button link-button--muted" onClick={() => setVehicleJump(false)}>
+                            {t('dashboard.dismiss')}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {/* ── Leaving a safe zone at night ───────────────────────── */}
+            {leftZone && checkIn.phase === 'none' && (
+                <div className="notice notice--warning zone-prompt" role="status">
+                    <p>{t('zones.leftAtNight', { name: leftZone.name })}</p>
+                    <div className="prompt-actions">
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={() => {
+                                setLeftZone(null);
+                                checkIn.start(LEAVING_CHECKIN_MS, t('zones.leftNote', { name: leftZone.name }));
+                            }}
+                        >
+                            {t('zones.startCheckIn', { minutes: LEAVING_CHECKIN_MS / 60_000 })}
+                        </button>
+                        <button type="button" className="link-button link-button--muted" onClick={() => setLeftZone(null)}>
+                            {t('zones.notNow')}
+                        </button>
+                    </div>
+                </div>
+            )}
+
             {/* ── Protection toggle ──────────────────────────────────── */}
             <section className="control-card">
                 <div className="control-row">
@@ -434,7 +681,7 @@ const Dashboard = ({ autoAlert = false }) => {
                         />
                         <span className="switch-track" aria-hidden="true"><span className="switch-thumb" /></span>
                         <span className="switch-label">
-                            {isProtectionOn ? 'Protection is on' : 'Turn on protection'}
+                            {isProtectionOn ? t('dashboard.protectionOn') : t('dashboard.turnOn')}
                         </span>
                     </label>
                 </div>
@@ -442,32 +689,40 @@ const Dashboard = ({ autoAlert = false }) => {
                 {isProtectionOn && (
                     <div className="sensor-toggles">
                         <SensorToggle
-                            label="Hand signal"
-                            hint="Uses the camera"
+                            label={t('dashboard.handSignal')}
+                            hint={t('dashboard.usesCamera')}
                             checked={cameraEnabled}
                             onChange={toggleCamera}
                         />
                         <SensorToggle
-                            label="Voice tone"
-                            hint="Uses the microphone"
+                            label={t('dashboard.voiceTone')}
+                            hint={t('dashboard.usesMicrophone')}
                             checked={micEnabled}
                             onChange={toggleMic}
                         />
                         <SensorToggle
-                            label="Movement"
-                            hint="Uses motion sensors"
+                            label={t('dashboard.movement')}
+                            hint={t('dashboard.usesMotion')}
                             checked={motion.available}
                             disabled
-                            readOnlyReason={MOTION_TEXT[motion.status] ?? MOTION_TEXT.waiting}
+                            readOnlyReason={t(MOTION_TEXT[motion.status] ?? MOTION_TEXT.waiting)}
                         />
                     </div>
                 )}
 
+                {isProtectionOn && (inCab ? (
+                    <p className="coverage-line">{t('vehicle.inCabNote')}</p>
+                ) : (
+                    <button type="button" className="link-button cab-button" onClick={markInCab}>
+                        {t('vehicle.inCab')}
+                    </button>
+                ))}
+
                 {isProtectionOn && (
                     <p className="coverage-line">
                         {activeCount === 0
-                            ? 'No sensors are running yet. Turn one on above so SafeSignal has something to watch.'
-                            : `Watching with ${activeCount} of ${totalSensors} sensor${totalSensors > 1 ? 's' : ''} available on this device.`}
+                            ? t('dashboard.noSensors')
+                            : t('dashboard.watching', { active: activeCount, count: totalSensors })}
                     </p>
                 )}
             </section>
@@ -482,9 +737,12 @@ const Dashboard = ({ autoAlert = false }) => {
                 record={checkIn.record}
                 remoteState={checkIn.remoteState}
                 remoteError={checkIn.remoteError}
+                remoteStatus={checkIn.remoteStatus}
+                arrival={checkIn.arrival}
                 onStart={checkIn.start}
                 onExtend={checkIn.extend}
                 onCheckIn={checkIn.checkIn}
+                plans={checkInPlans}
             />
 
             {/* ── Manual alert ───────────────────────────────────────── */}
@@ -497,26 +755,26 @@ const Dashboard = ({ autoAlert = false }) => {
                         setCountdown(COUNTDOWN_SECONDS);
                     }}
                 >
-                    Get help now
+                    {t('dashboard.getHelp')}
                 </button>
                 <p className="manual-hint">
                     {contacts.length > 0
-                        ? `Prepares a message for your ${contacts.length} contact${contacts.length > 1 ? 's' : ''}. You get ${COUNTDOWN_SECONDS} seconds to stop it.`
-                        : 'Add a contact first so there is someone to reach.'}
+                        ? t('dashboard.manualHint', { count: contacts.length, seconds: COUNTDOWN_SECONDS })
+                        : t('dashboard.addContactFirst')}
                 </p>
             </section>
 
             {/* ── Reassurance ────────────────────────────────────────── */}
             <section className="assurance">
-                <p>Everything is analysed on this device. No video or audio is uploaded or saved.</p>
+                <p>{t('dashboard.onDevice')}</p>
                 {isProtectionOn && !wakeLock.held && wakeLock.supported && (
-                    <p>Keep this screen open — detection pauses if the phone sleeps.</p>
+                    <p>{t('dashboard.keepOpen')}</p>
                 )}
                 {isProtectionOn && !wakeLock.supported && (
-                    <p>Keep this screen open and awake — detection only runs while it is visible.</p>
+                    <p>{t('dashboard.keepAwake')}</p>
                 )}
                 {location.error && isProtectionOn && (
-                    <p>Location: {location.error} An alert will still be prepared without it.</p>
+                    <p>{t('dashboard.locationProblem', { error: location.error })}</p>
                 )}
             </section>
 
@@ -527,6 +785,7 @@ const Dashboard = ({ autoAlert = false }) => {
             {/* ── Sensor panels ──────────────────────────────────────── */}
             {isProtectionOn && cameraEnabled && (
                 <GestureDetector
+                    signal={handSignal}
                     onGestureUpdate={handleGestureUpdate}
                     onStatusChange={handleGestureStatus}
                 />
@@ -549,22 +808,22 @@ const Dashboard = ({ autoAlert = false }) => {
                 onClick={() => setShowTechnical((v) => !v)}
                 aria-expanded={showTechnical}
             >
-                {showTechnical ? 'Hide technical details' : 'Show technical details'}
+                {showTechnical ? t('dashboard.hideTechnical') : t('dashboard.showTechnical')}
             </button>
 
             {showTechnical && (
                 <section className="tech-panel">
-                    <h2 className="tech-title">Risk breakdown</h2>
+                    <h2 className="tech-title">{t('dashboard.riskBreakdown')}</h2>
                     {activeCount === 0 ? (
-                        <p className="tech-empty">No sensors active.</p>
+                        <p className="tech-empty">{t('dashboard.noSensorsActive')}</p>
                     ) : (
                         <table className="tech-table">
                             <thead>
                                 <tr>
-                                    <th scope="col">Sensor</th>
-                                    <th scope="col">Reading</th>
-                                    <th scope="col">Weight</th>
-                                    <th scope="col">Adds</th>
+                                    <th scope="col">{t('dashboard.sensor')}</th>
+                                    <th scope="col">{t('dashboard.reading')}</th>
+                                    <th scope="col">{t('dashboard.weight')}</th>
+                                    <th scope="col">{t('dashboard.adds')}</th>
                                 </tr>
                             </thead>
                             <tbody>
@@ -577,18 +836,18 @@ const Dashboard = ({ autoAlert = false }) => {
                                     </tr>
                                 ))}
                                 <tr className="tech-total">
-                                    <th scope="row">Total</th>
-                                    <td colSpan={2}>threshold 0.75</td>
+                                    <th scope="row">{t('dashboard.total')}</th>
+                                    <td colSpan={2}>{t('dashboard.threshold', { value: sensitivity.riskThreshold.toFixed(2) })}</td>
                                     <td>{risk.score.toFixed(3)}</td>
                                 </tr>
                             </tbody>
                         </table>
                     )}
-                    <p className="tech-note">
-                        Weights are shared out across the sensors that are actually running, so a
-                        partial setup can still reach the threshold.
-                    </p>
-                    {audio.error && <p className="tech-error">Audio: {audio.error}</p>}
+                    {motion.available && (
+                        <p className="tech-note">{t('dashboard.cadence', { count: motion.cadence })}</p>
+                    )}
+                    <p className="tech-note">{t('dashboard.weightsNote')}</p>
+                    {audio.error && <p className="tech-error">{t('dashboard.audioError', { error: audio.error })}</p>}
                 </section>
             )}
 
@@ -600,21 +859,21 @@ const Dashboard = ({ autoAlert = false }) => {
                 <div className="countdown-backdrop" role="alertdialog" aria-modal="true" aria-labelledby="countdown-title">
                     <div className="countdown-card">
                         <h2 id="countdown-title" className="countdown-title">
-                            Getting help ready
+                            {t('dashboard.countdownTitle')}
                         </h2>
                         <p className="countdown-reason">
-                            {risk.escalationReason ?? 'You asked for help.'}
+                            {countdownReason ?? risk.escalationReason ?? t('dashboard.youAsked')}
                         </p>
                         <p className="countdown-number" aria-live="assertive">
                             {countdown}
                         </p>
                         <p className="countdown-sub">
-                            Your alert will be prepared in {countdown} second{countdown === 1 ? '' : 's'}.
+                            {t('dashboard.countdownSub', { count: countdown })}
                         </p>
                         <button type="button" className="btn-cancel" onClick={cancelCountdown} autoFocus>
-                            I&apos;m okay — stop
+                            {t('dashboard.stop')}
                         </button>
-                        <p className="countdown-note">Nothing has been sent yet.</p>
+                        <p className="countdown-note">{t('dashboard.nothingSent')}</p>
                     </div>
                 </div>
             )}
@@ -627,13 +886,14 @@ const Dashboard = ({ autoAlert = false }) => {
  * well as colour, so it does not rely on colour vision alone.
  */
 const RiskRing = ({ score, level, active }) => {
+    const { t } = useLocale();
     const radius = 76;
     const circumference = 2 * Math.PI * radius;
     const offset = circumference * (1 - (active ? score : 0));
 
     return (
         <div className="risk-ring">
-            <svg viewBox="0 0 180 180" role="img" aria-label={`Risk level ${Math.round(score * 100)} percent`}>
+            <svg viewBox="0 0 180 180" role="img" aria-label={t('dashboard.riskLevel', { percent: Math.round(score * 100) })}>
                 <circle className="risk-ring-track" cx="90" cy="90" r={radius} />
                 <circle
                     className={`risk-ring-fill risk-ring-fill--${level}`}
@@ -647,7 +907,7 @@ const RiskRing = ({ score, level, active }) => {
             <div className="risk-ring-center">
                 <span className={`risk-ring-dot risk-ring-dot--${level} ${active ? 'is-active' : ''}`} aria-hidden="true" />
                 <span className="risk-ring-value">{active ? `${Math.round(score * 100)}%` : '—'}</span>
-                <span className="risk-ring-caption">{active ? 'risk' : 'off'}</span>
+                <span className="risk-ring-caption">{active ? t('dashboard.risk') : t('dashboard.off')}</span>
             </div>
         </div>
     );
@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { loadPlaces } from '../utils/storage';
+import useLocale from '../hooks/useLocale';
+import './DestinationPicker.css';
+
+/**
+ * "End when I reach…" for the check-in card.
+ *
+ * Places are saved on the places screen, from where the phone is standing:
+ * there is no map here, and standing at home once is the most reliable way
+ * to know where home is.
+ *
+ * Props:
+ *   value - the chosen place, or null
+ *   onChange(place | null)
+ */
+const DestinationPicker = ({ value = null, onChange }) => {
+    const navigate = useNavigate();
+    const { t } = useLocale();
+    const [places] = useState(loadPlaces);
+
+    return (
+        <div className="destination-picker">
+            {places.length > 0 && (
+                <div className="field">
+                    <label htmlFor="checkin-destination">{t('places.endsWhen')}</label>
+                    <select
+                        id="checkin-destination"
+                        value={value?.id ?? ''}
+                        onChange={(e) => onChange(places.find((p) => p.id === e.target.value) ?? null)}
+                    >
+                        <option value="">{t('places.nowhere')}</option>
+                        {places.map((place) => (
+                            <option key={place.id} value={place.id}>{place.name}</option>
+                        ))}
+                    </select>
+                    {value && <p className="checkin-footnote">{t('places.hint')}</p>}
+                </div>
+            )}
+
+            <button
+                type="button"
+                className="link-button link-button--muted"
+                onClick={() => navigate('/places')}
+            >
+                {places.length > 0 ? t('places.manage') : t('places.savePlace')}
+            </button>
+        </div>
+    );
+};
+
+export default DestinationPicker;
@@ -24,6 +24,15 @@ import {
     describeStatus,
     summariseAlert,
 } from '../utils/alerts';
+import {
+    isRemoteEnabled,
+    loadRemoteHandle,
+    fetchAcknowledgements,
+    describeAcknowledgement,
+    ACK_POLL_INTERVAL_MS,
+} from '../utils/remoteCheckIn';
+import { formatDateTime } from '../i18n';
+import useLocale from '../hooks/useLocale';
 import './EmergencyScreen.css';
 
 /**
@@ -39,8 +48,10 @@ import './EmergencyScreen.css';
  */
 const EmergencyScreen = () => {
     const navigate = useNavigate();
+    const { t } = useLocale();
     const [alert, setAlert] = useState(loadLastAlert);
     const [toast, setToast] = useState('');
+    const [acknowledgements, setAcknowledgements] = useState([]);
 
     useEffect(() => {
         if (!toast) return undefined;
@@ -48,17 +59,37 @@ const EmergencyScreen = () => {
         return () => clearTimeout(timer);
     }, [toast]);
 
+    // When the server sent the alert, each contact's text carries a link to say
+    // they are on it. This is the only delivery confirmation there is, so it is
+    // shown as soon as it arrives rather than waiting for a reload.
+    useEffect(() => {
+        if (!isRemoteEnabled() || !loadRemoteHandle()) return undefined;
+
+        let cancelled = false;
+        let timer = null;
+
+        const poll = async () => {
+            const result = await fetchAcknowledgements();
+            if (cancelled) return;
+            if (result.ok) setAcknowledgements(result.acknowledgements);
+            if (!result.gone) timer = setTimeout(poll, ACK_POLL_INTERVAL_MS);
+        };
+
+        poll();
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, []);
+
     if (!alert) {
         return (
             <div className="page emergency-screen">
                 <div className="screen-inner emergency-empty">
-                    <h1>No alert to show</h1>
-                    <p className="screen-subtitle">
-                        Nothing has been prepared yet. Head back and you will find everything as
-                        you left it.
-                    </p>
+                    <h1>{t('emergency.noAlert')}</h1>
+                    <p className="screen-subtitle">{t('emergency.noAlertDetail')}</p>
                     <button type="button" className="btn-primary" onClick={() => navigate('/dashboard')}>
-                        Back to protection
+                        {t('common.backToProtection')}
                     </button>
                 </div>
             </div>
@@ -71,20 +102,20 @@ const EmergencyScreen = () => {
      * @param {Object} recipient
      */
     const handleSms = (recipient) => {
-        const status = openSmsComposer(recipient, alert.message);
+        const status = openSmsComposer(recipient, recipient.message ?? alert.message);
         setAlert(markRecipientStatus(alert, recipient.id, status));
-        if (status === 'failed') setToast('Could not open your messaging app.');
+        if (status === 'failed') setToast(t('emergency.cannotOpen'));
     };
 
     const handleShare = async () => {
         const status = await shareAlert(alert.message);
-        if (status === 'shared') setToast('Shared.');
-        else if (status === 'failed') setToast('Sharing is not available here.');
+        if (status === 'shared') setToast(t('emergency.shared'));
+        else if (status === 'failed') setToast(t('emergency.cannotShare'));
     };
 
     const handleCopy = async () => {
         const status = await copyAlert(alert.message);
-        setToast(status === 'copied' ? 'Message copied.' : 'Could not copy the message.');
+        setToast(status === 'copied' ? t('emergency.copied') : t('emergency.cannotCopy'));
     };
 
     return (
@@ -94,12 +125,23 @@ const EmergencyScreen = () => {
                     <p className="emergency-eyebrow">SafeSignal</p>
                     <h1 className="emergency-title">{summary.headline}</h1>
                     <p className="emergency-detail">{summary.detail}</p>
-                    {alert.reason && <p className="emergency-reason">Triggered by: {alert.reason}</p>}
+                    {alert.reason && <p className="emergency-reason">{t('emergency.triggeredBy', { reason: alert.reason })}</p>}
                 </header>
 
+                {acknowledgements.length > 0 && (
+                    <section className="info-card ack-card" aria-labelledby="ack-heading" aria-live="polite">
+                        <h2 id="ack-heading" className="info-heading">{t('emergency.responding')}</h2>
+                        <ul className="ack-list">
+                            {acknowledgements.map((ack) => (
+                                <li key={`${ack.contact}-${ack.at}`}>{describeAcknowledgement(ack)}</li>
+                            ))}
+                        </ul>
+                    </section>
+                )}
+
                 {/* ── Location ───────────────────────────────────────── */}
                 <section className="info-card" aria-labelledby="location-heading">
-                    <h2 id="location-heading" className="info-heading">Your location</h2>
+                    <h2 id="location-heading" className="info-heading">{t('emergency.yourLocation')}</h2>
                     {alert.location ? (
                         <>
                             <p className="info-value">{formatCoords(alert.location)}</p>
@@ -121,15 +163,14 @@ const EmergencyScreen = () => {
                                 target="_blank"
                                 rel="noopener noreferrer"
                             >
-                                Open in Google Maps
+                                {t('emergency.openMaps')}
                             </a>
                         </>
                     ) : (
                         <>
-                            <p className="info-value info-value--muted">Not available</p>
+                            <p className="info-value info-value--muted">{t('emergency.notAvailable')}</p>
                             <p className="info-sub">
-                                {alert.locationError ?? 'Your location could not be determined.'} The
-                                message below still works — add where you are if you can.
+                                {alert.locationError ?? t('emergency.undetermined')} {t('emergency.stillWorks')}
                             </p>
                         </>
                     )}
@@ -138,14 +179,14 @@ const EmergencyScreen = () => {
                 {/* ── Contacts ───────────────────────────────────────── */}
                 <section className="info-card" aria-labelledby="contacts-heading">
                     <h2 id="contacts-heading" className="info-heading">
-                        Reach your contacts
+                        {t('emergency.reachContacts')}
                     </h2>
 
                     {alert.recipients.length === 0 ? (
                         <p className="info-sub">
-                            No contacts are saved.{' '}
+                            {t('emergency.noContacts')}{' '}
                             <button type="button" className="link-button" onClick={() => navigate('/contacts')}>
-                                Add one now
+                                {t('emergency.addOne')}
                             </button>
                         </p>
                     ) : (
@@ -161,14 +202,14 @@ const EmergencyScreen = () => {
                                         {/* Calling is first: a ringing phone gets attention in
                                             seconds, where a text may sit unread. */}
                                         <a className="btn-call" href={buildTelLink(recipient.phone)}>
-                                            Call
+                                            {t('emergency.call')}
                                         </a>
                                         <button
                                             type="button"
                                             className="btn-send"
                                             onClick={() => handleSms(recipient)}
                                         >
-                                            {recipient.status === 'ready' ? 'Message' : 'Again'}
+                                            {recipient.status === 'ready' ? t('emergency.message') : t('emergency.again')}
                                         </button>
                                     </div>
                                 </li>
@@ -179,11 +220,11 @@ const EmergencyScreen = () => {
                     <div className="bulk-actions">
                         {canShare() && (
                             <button type="button" className="btn-secondary" onClick={handleShare}>
-                                Share another way
+                                {t('emergency.shareAnother')}
                             </button>
                         )}
                         <button type="button" className="btn-secondary" onClick={handleCopy}>
-                            Copy message
+                            {t('emergency.copy')}
                         </button>
                     </div>
                 </section>
@@ -193,27 +234,24 @@ const EmergencyScreen = () => {
 
                 {/* ── Message preview ────────────────────────────────── */}
                 <section className="info-card" aria-labelledby="message-heading">
-                    <h2 id="message-heading" className="info-heading">What they will read</h2>
+                    <h2 id="message-heading" className="info-heading">{t('emergency.whatTheyRead')}</h2>
                     <pre className="message-preview">{alert.message}</pre>
                 </section>
 
                 {/* ── Emergency services ─────────────────────────────── */}
                 <section className="info-card info-card--urgent">
-                    <h2 className="info-heading">If you are in danger right now</h2>
-                    <p className="info-sub">
-                        Contact your local emergency number directly. SafeSignal cannot call
-                        emergency services for you.
-                    </p>
+                    <h2 className="info-heading">{t('emergency.inDanger')}</h2>
+                    <p className="info-sub">{t('emergency.inDangerDetail')}</p>
                 </section>
 
                 <div className="screen-actions">
                     <button type="button" className="btn-primary" onClick={() => navigate('/dashboard')}>
-                        Back to protection
+                        {t('common.backToProtection')}
                     </button>
                 </div>
 
                 <p className="screen-note">
-                    Prepared {new Date(alert.timestamp).toLocaleString()}. Saved on this device only.
+                    {t('emergency.prepared', { time: formatDateTime(alert.timestamp) })}
                 </p>
             </div>
 
@@ -234,26 +272,27 @@ const EmergencyScreen = () => {
  * instead of mysterious.
  */
 const IncidentPanel = ({ entries }) => {
+    const { t } = useLocale();
     const summary = summariseSnapshot(entries);
 
     return (
         <section className="info-card" aria-labelledby="incident-heading">
-            <h2 id="incident-heading" className="info-heading">Why this was sent</h2>
+            <h2 id="incident-heading" className="info-heading">{t('emergency.whySent')}</h2>
 
             {summary.peakReadings && (
                 <dl className="incident-peaks">
                     {Object.entries(summary.peakReadings).map(([key, value]) => (
                         <div key={key}>
-                            <dt>{SENSOR_NAMES[key] ?? key}</dt>
+                            <dt>{SENSOR_NAMES[key] ? t(SENSOR_NAMES[key]) : key}</dt>
                             <dd>
                                 {key === 'gesture'
-                                    ? value >= 1 ? 'Held' : 'Not held'
+                                    ? value >= 1 ? t('emergency.held') : t('emergency.notHeld')
                                     : `${Math.round(value * 100)}%`}
                             </dd>
                         </div>
                     ))}
                     <div>
-                        <dt>Highest risk</dt>
+                        <dt>{t('emergency.highestRisk')}</dt>
                         <dd>{formatRisk(summary.peakRisk)}</dd>
                     </div>
                 </dl>
@@ -270,17 +309,15 @@ const IncidentPanel = ({ entries }) => {
                 </ol>
             )}
 
-            <p className="info-sub">
-                Sensor readings and times only. No audio, video or images were recorded.
-            </p>
+            <p className="info-sub">{t('emergency.readingsOnly')}</p>
         </section>
     );
 };
 
 const SENSOR_NAMES = {
-    gesture: 'Hand signal',
-    stress: 'Voice tension',
-    motion: 'Movement',
+    gesture: 'dashboard.handSignal',
+    stress: 'emergency.voiceTension',
+    motion: 'dashboard.movement',
 };
 
 export default EmergencyScreen;
@@ -1,5 +1,7 @@
 import { useRef, useEffect, useState } from 'react';
 import { getGesturePipeline, resetGesturePipeline } from '../utils/gesturePipeline';
+import { t } from '../i18n';
+import useLocale from '../hooks/useLocale';
 import './GestureDetector.css';
 
 /**
@@ -9,10 +11,12 @@ import './GestureDetector.css';
  * callback recreated on every parent render, so the camera was torn down and
  * restarted roughly once a second — which also reset the two-second hold timer
  * before it could ever complete. The parent's callback is kept in a ref so it
- * can change freely without restarting the camera.
+ * can change freely without restarting the camera. The chosen signal is
+ * passed to the pipeline rather than restarting it for the same reason.
  *
  * Props:
- *   onGestureUpdate({ gestureScore, confidence, isFist, holdProgress, tracking })
+ *   signal - 'help', 'palm' or 'fist'; see utils/handSignals.js
+ *   onGestureUpdate({ gestureScore, confidence, isSignalled, holdProgress, stage, tracking })
  *   onStatusChange(status)
  */
 const HAND_CONNECTIONS = [
@@ -28,7 +32,13 @@ const HAND_CONNECTIONS = [
 const CONFIDENCE_EPSILON = 0.05;
 const PROGRESS_EPSILON = 0.05;
 
-const GestureDetector = ({ onGestureUpdate, onStatusChange }) => {
+const SIGNAL_HINTS = {
+    help: 'gesture.hintHelp',
+    palm: 'gesture.hintPalm',
+    fist: 'gesture.hintFist',
+};
+
+const GestureDetector = ({ signal = 'help', onGestureUpdate, onStatusChange }) => {
     const videoRef = useRef(null);
     const canvasRef = useRef(null);
     const animFrameRef = useRef(null);
@@ -37,15 +47,19 @@ const GestureDetector = ({ onGestureUpdate, onStatusChange }) => {
 
     const onGestureUpdateRef = useRef(onGestureUpdate);
     const onStatusChangeRef = useRef(onStatusChange);
-    const lastSentRef = useRef({ gestureScore: -1, confidence: -1, holdProgress: -1, isFist: null });
+    const signalRef = useRef(signal);
+    const lastSentRef = useRef({ gestureScore: -1, confidence: -1, holdProgress: -1, isSignalled: null, stage: null });
 
+    // Only for the re-render: the camera effect runs once, so it uses t directly.
+    useLocale();
     const [status, setStatus] = useState('starting');
     const [errorMessage, setErrorMessage] = useState('');
     const [gestureState, setGestureState] = useState({
-        isFist: false,
+        isSignalled: false,
         confidence: 0,
         holdProgress: 0,
         gestureScore: 0,
+        stage: 'idle',
         tracking: false,
     });
 
@@ -59,15 +73,20 @@ const GestureDetector = ({ onGestureUpdate, onStatusChange }) => {
         onStatusChangeRef.current?.(status);
     }, [status]);
 
+    useEffect(() => {
+        signalRef.current = signal;
+        pipelineRef.current?.setSignal(signal);
+    }, [signal]);
+
     useEffect(() => {
         let cancelled = false;
 
-        const drawLandmarks = (ctx, landmarks, width, height, isFist) => {
+        const drawLandmarks = (ctx, landmarks, width, height, isSignalled) => {
             ctx.clearRect(0, 0, width, height);
             if (!landmarks) return;
 
-            const strokeColor = isFist ? '#f2764f' : '#4fb3a4';
-            const dotColor = isFist ? '#ffd7c4' : '#b8e6de';
+            const strokeColor = isSignalled ? '#f2764f' : '#4fb3a4';
+            const dotColor = isSignalled ? '#ffd7c4' : '#b8e6de';
 
             ctx.strokeStyle = strokeColor;
             ctx.lineWidth = 3;
@@ -93,7 +112,8 @@ const GestureDetector = ({ onGestureUpdate, onStatusChange }) => {
             const last = lastSentRef.current;
             const changed =
                 result.gestureScore !== last.gestureScore ||
-                result.isFist !== last.isFist ||
+                result.isSignalled !== last.isSignalled ||
+                result.stage !== last.stage ||
                 Math.abs(result.confidence - last.confidence) >= CONFIDENCE_EPSILON ||
                 Math.abs(result.holdProgress - last.holdProgress) >= PROGRESS_EPSILON;
 
@@ -103,13 +123,15 @@ const GestureDetector = ({ onGestureUpdate, onStatusChange }) => {
                 gestureScore: result.gestureScore,
                 confidence: result.confidence,
                 holdProgress: result.holdProgress,
-                isFist: result.isFist,
+                isSignalled: result.isSignalled,
+                stage: result.stage,
             };
             setGestureState({
-                isFist: result.isFist,
+                isSignalled: result.isSignalled,
                 confidence: result.confidence,
                 holdProgress: result.holdProgress,
                 gestureScore: result.gestureScore,
+                stage: result.stage,
                 tracking: result.tracking,
             });
             onGestureUpdateRef.current?.(result);
@@ -125,7 +147,7 @@ const GestureDetector = ({ onGestureUpdate, onStatusChange }) => {
             if (video && canvas && pipeline) {
                 const result = pipeline.detectFrame(video);
                 const ctx = canvas.getContext('2d');
-                if (ctx) drawLandmarks(ctx, result.landmarks, canvas.width, canvas.height, result.isFist);
+                if (ctx) drawLandmarks(ctx, result.landmarks, canvas.width, canvas.height, result.isSignalled);
                 emitIfChanged(result);
             }
 
@@ -135,7 +157,7 @@ const GestureDetector = ({ onGestureUpdate, onStatusChange }) => {
         const start = async () => {
             try {
                 if (!navigator.mediaDevices?.getUserMedia) {
-                    throw new Error('This browser cannot use the camera.');
+                    throw new Error(t('gesture.noCamera'));
                 }
 
                 const stream = await navigator.mediaDevices.getUserMedia({
@@ -164,6 +186,7 @@ const GestureDetector = ({ onGestureUpdate, onStatusChange }) => {
                 setStatus('loading-model');
 
                 const pipeline = getGesturePipeline();
+                pipeline.setSignal(signalRef.current);
                 pipelineRef.current = pipeline;
                 await pipeline.init();
 
@@ -176,8 +199,8 @@ const GestureDetector = ({ onGestureUpdate, onStatusChange }) => {
                 setStatus('error');
                 setErrorMessage(
                     err?.name === 'NotAllowedError'
-                        ? 'Camera permission is turned off.'
-                        : err?.message || 'The camera could not be started.',
+                        ? t('gesture.denied')
+                        : err?.message || t('gesture.failed'),
                 );
             }
         };
@@ -196,33 +219,29 @@ const GestureDetector = ({ onGestureUpdate, onStatusChange }) => {
         // what previously prevented the hold timer from ever completing.
     }, []);
 
-    const { isFist, confidence, holdProgress, tracking } = gestureState;
-    const holdSeconds = (holdProgress * 2).toFixed(1);
+    const { isSignalled, confidence, holdProgress, stage, tracking } = gestureState;
+    const percent = Math.round(holdProgress * 100);
 
     return (
         <section className="gesture-detector" aria-labelledby="gesture-heading">
             <header className="gesture-header">
-                <h3 id="gesture-heading">Hand signal</h3>
-                <p className="gesture-hint">
-                    Make a closed fist and hold it for 2 seconds.
-                </p>
+                <h3 id="gesture-heading">{t('gesture.title')}</h3>
+                <p className="gesture-hint">{t(SIGNAL_HINTS[signal] ?? SIGNAL_HINTS.help)}</p>
             </header>
 
             <div className="gesture-video-container">
                 {(status === 'starting' || status === 'loading-model') && (
                     <div className="gesture-overlay" role="status">
                         <span className="gesture-spinner" aria-hidden="true" />
-                        <p>{status === 'starting' ? 'Turning on the camera…' : 'Getting ready…'}</p>
+                        <p>{status === 'starting' ? t('gesture.starting') : t('gesture.loading')}</p>
                     </div>
                 )}
 
                 {status === 'error' && (
                     <div className="gesture-overlay gesture-overlay--error" role="alert">
-                        <p className="gesture-error-title">Camera unavailable</p>
+                        <p className="gesture-error-title">{t('gesture.unavailable')}</p>
                         <p className="gesture-error-detail">{errorMessage}</p>
-                        <p className="gesture-error-detail">
-                            The other sensors keep working without it.
-                        </p>
+                        <p className="gesture-error-detail">{t('gesture.othersWork')}</p>
                     </div>
                 )}
 
@@ -231,7 +250,7 @@ const GestureDetector = ({ onGestureUpdate, onStatusChange }) => {
                     className="gesture-video"
                     playsInline
                     muted
-                    aria-label="Live camera preview used for hand-signal detection"
+                    aria-label={t('gesture.preview')}
                     style={{ visibility: status === 'ready' ? 'visible' : 'hidden' }}
                 />
                 <canvas
@@ -242,12 +261,14 @@ const GestureDetector = ({ onGestureUpdate, onStatusChange }) => {
                 />
 
                 {status === 'ready' && (
-                    <p className={`gesture-badge ${isFist ? 'is-signalled' : ''}`} role="status">
-                        {isFist
-                            ? 'Signal confirmed'
-                            : tracking
-                                ? 'Hand detected'
-                                : 'No hand in view'}
+                    <p className={`gesture-badge ${isSignalled ? 'is-signalled' : ''}`} role="status">
+                        {isSignalled
+                            ? t('gesture.confirmed')
+                            : stage === 'palm'
+                                ? t('gesture.foldNow')
+                                : tracking
+                                    ? t('gesture.detected')
+                                    : t('gesture.noHand')}
                     </p>
                 )}
             </div>
@@ -255,13 +276,13 @@ const GestureDetector = ({ onGestureUpdate, onStatusChange }) => {
             {status === 'ready' && (
                 <div className="gesture-bars">
                     <div className="gesture-bar-row">
-                        <span className="gesture-bar-label" id="fist-confidence-label">
-                            Fist shape
+                        <span className="gesture-bar-label" id="shape-match-label">
+                            {t('gesture.shape')}
                         </span>
                         <div
                             className="gesture-bar-track"
                             role="progressbar"
-                            aria-labelledby="fist-confidence-label"
+                            aria-labelledby="shape-match-label"
                             aria-valuenow={Math.round(confidence * 100)}
                             aria-valuemin={0}
                             aria-valuemax={100}
@@ -273,30 +294,28 @@ const GestureDetector = ({ onGestureUpdate, onStatusChange }) => {
 
                     <div className="gesture-bar-row">
                         <span className="gesture-bar-label" id="hold-progress-label">
-                            Held for
+                            {t('gesture.progress')}
                         </span>
                         <div
                             className="gesture-bar-track"
                             role="progressbar"
                             aria-labelledby="hold-progress-label"
-                            aria-valuenow={Number(holdSeconds)}
+                            aria-valuenow={percent}
                             aria-valuemin={0}
-                            aria-valuemax={2}
-                            aria-valuetext={`${holdSeconds} of 2 seconds`}
+                            aria-valuemax={100}
+                            aria-valuetext={t('gesture.progressOf', { percent })}
                         >
                             <div
-                                className={`gesture-bar-fill gesture-bar-fill--hold ${isFist ? 'is-complete' : ''}`}
-                                style={{ width: `${holdProgress * 100}%` }}
+                                className={`gesture-bar-fill gesture-bar-fill--hold ${isSignalled ? 'is-complete' : ''}`}
+                                style={{ width: `${percent}%` }}
                             />
                         </div>
-                        <span className="gesture-bar-value">{isFist ? '2.0s' : `${holdSeconds}s`}</span>
+                        <span className="gesture-bar-value">{percent}%</span>
                     </div>
                 </div>
             )}
 
-            <p className="gesture-privacy">
-                Video is analysed on your device and never uploaded or saved.
-            </p>
+            <p className="gesture-privacy">{t('gesture.privacy')}</p>
         </section>
     );
 };
@@ -0,0 +1,32 @@
+import { LOCALES, LOCALE_NAMES } from '../i18n';
+import useLocale from '../hooks/useLocale';
+import './LanguagePicker.css';
+
+/**
+ * Language switcher.
+ *
+ * Shown on the welcome screen and the dashboard, where someone who landed in
+ * the wrong language will look first. Each option is written in its own
+ * language, so it can be found without reading the current one.
+ */
+const LanguagePicker = () => {
+    const { locale, setLocale, t } = useLocale();
+
+    return (
+        <div className="language-picker">
+            <svg viewBox="0 0 24 24" width="18" height="18" fill="none" aria-hidden="true">
+                <circle cx="12" cy="12" r="9" stroke="currentColor" strokeWidth="1.8" />
+                <path d="M3 12h18M12 3c2.5 2.7 3.8 5.7 3.8 9s-1.3 6.3-3.8 9c-2.5-2.7-3.8-5.7-3.8-9S9.5 5.7 12 3Z" stroke="currentColor" strokeWidth="1.8" />
+            </svg>
+            <select value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t('common.language')}>
+                {LOCALES.map((option) => (
+                    <option key={option} value={option} lang={option}>
+                        {LOCALE_NAMES[option]}
+                    </option>
+                ))}
+            </select>
+        </div>
+    );
+};
+
+export default LanguagePicker;
@@ -2,6 +2,7 @@ import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { loadPermissions, savePermissions } from '../utils/storage';
 import { MotionPipelineController } from '../utils/motionPipeline';
+import useLocale from '../hooks/useLocale';
 import './PermissionScreen.css';
 
 /**
@@ -20,6 +21,7 @@ import './PermissionScreen.css';
 
 const PermissionScreen = () => {
     const navigate = useNavigate();
+    const { t } = useLocale();
 
     const [states, setStates] = useState(() => {
         const stored = loadPermissions();
@@ -97,39 +99,36 @@ const PermissionScreen = () => {
         <div className="page permission-screen">
             <div className="screen-inner">
                 <header className="screen-header">
-                    <h1>What may SafeSignal use?</h1>
-                    <p className="screen-subtitle">
-                        Allow whatever you are comfortable with. Each one is optional, and you can
-                        change your mind at any time in your browser settings.
-                    </p>
+                    <h1>{t('permissions.title')}</h1>
+                    <p className="screen-subtitle">{t('permissions.subtitle')}</p>
                 </header>
 
                 <ul className="permission-list">
                     <PermissionRow
-                        title="Camera"
-                        purpose="Recognises the hand signal you choose to make."
-                        detail="Frames are analysed on your device. Nothing is recorded or uploaded."
+                        title={t('permissions.cameraTitle')}
+                        purpose={t('permissions.cameraPurpose')}
+                        detail={t('permissions.cameraDetail')}
                         state={states.camera}
                         onRequest={() => request('camera')}
                     />
                     <PermissionRow
-                        title="Microphone"
-                        purpose="Listens for tension in your voice."
-                        detail="Audio is analysed on your device. Nothing is recorded or uploaded."
+                        title={t('permissions.microphoneTitle')}
+                        purpose={t('permissions.microphonePurpose')}
+                        detail={t('permissions.microphoneDetail')}
                         state={states.microphone}
                         onRequest={() => request('microphone')}
                     />
                     <PermissionRow
-                        title="Location"
-                        purpose="Adds where you are to an alert."
-                        detail="Only read when you are being protected, and only shared in a message you send."
+                        title={t('permissions.locationTitle')}
+                        purpose={t('permissions.locationPurpose')}
+                        detail={t('permissions.locationDetail')}
                         state={states.location}
                         onRequest={() => request('location')}
                     />
                     <PermissionRow
-                        title="Motion sensors"
-                        purpose="Notices sudden falls or struggles."
-                        detail="Most laptops and desktops do not have these."
+                        title={t('permissions.motionTitle')}
+                        purpose={t('permissions.motionPurpose')}
+                        detail={t('permissions.motionDetail')}
                         state={states.motion}
                         onRequest={() => request('motion')}
                     />
@@ -137,12 +136,12 @@ const PermissionScreen = () => {
 
                 <div className="screen-actions">
                     <button type="button" className="btn-primary" onClick={() => navigate('/contacts')}>
-                        Continue
+                        {t('common.continue')}
                     </button>
                     <p className="screen-note">
                         {grantedCount === 0
-                            ? 'You can continue without allowing anything — SafeSignal will still let you raise an alert by hand.'
-                            : `${grantedCount} allowed. SafeSignal will use whichever of these are working.`}
+                            ? t('permissions.noneAllowed')
+                            : t('permissions.someAllowed', { count: grantedCount })}
                     </p>
                 </div>
             </div>
@@ -151,14 +150,15 @@ const PermissionScreen = () => {
 };
 
 const STATE_TEXT = {
-    idle: 'Not set',
-    requesting: 'Asking…',
-    granted: 'Allowed',
-    denied: 'Not allowed',
-    unsupported: 'Unavailable here',
+    idle: 'permissions.stateIdle',
+    requesting: 'permissions.stateRequesting',
+    granted: 'permissions.stateGranted',
+    denied: 'permissions.stateDenied',
+    unsupported: 'permissions.stateUnsupported',
 };
 
 const PermissionRow = ({ title, purpose, detail, state, onRequest }) => {
+    const { t } = useLocale();
     const isActionable = state === 'idle' || state === 'denied';
 
     return (
@@ -171,11 +171,11 @@ const PermissionRow = ({ title, purpose, detail, state, onRequest }) => {
 
             <div className="permission-action">
                 <span className={`permission-state permission-state--${state}`}>
-                    {STATE_TEXT[state]}
+                    {t(STATE_TEXT[state])}
                 </span>
                 {isActionable && (
                     <button type="button" className="btn-secondary btn-small" onClick={onRequest}>
-                        {state === 'denied' ? 'Try again' : 'Allow'}
+                        {state === 'denied' ? t('permissions.tryAgain') : t('permissions.allow')}
                     </button>
                 )}
             </div>
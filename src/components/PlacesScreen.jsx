@@ -0,0 +1,166 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { loadPlaces, savePlaces, PLACE_RADII, ZONE_MODES } from '../utils/storage';
+import { savePlaceHere } from '../utils/places';
+import { formatDistance } from '../utils/geo';
+import useLocale from '../hooks/useLocale';
+import './PlacesScreen.css';
+
+/** What each zone mode does, as the person would put it. */
+const ZONE_LABELS = {
+    none: 'zones.modeNone',
+    pause: 'zones.modePause',
+    relax: 'zones.modeRelax',
+};
+
+/**
+ * Saved places: where a check-in can end, and safe zones.
+ *
+ * A safe zone is just a saved place with a mode. Keeping them one list means
+ * home is saved once, whether it is somewhere to walk to or somewhere the
+ * app should stop reacting to raised voices.
+ */
+const PlacesScreen = () => {
+    const navigate = useNavigate();
+    const { t } = useLocale();
+    const [places, setPlaces] = useState(loadPlaces);
+    const [name, setName] = useState('');
+    const [radius, setRadius] = useState(PLACE_RADII[1]);
+    const [zone, setZone] = useState('none');
+    const [locating, setLocating] = useState(false);
+    const [error, setError] = useState('');
+
+    const update = (next) => {
+        savePlaces(next);
+        setPlaces(next);
+    };
+
+    const handleSave = async (event) => {
+        event.preventDefault();
+        setLocating(true);
+        setError('');
+        const result = await savePlaceHere({ name, radius, zone });
+        setLocating(false);
+
+        if (!result.ok) {
+            setError(result.error);
+            return;
+        }
+        setPlaces(result.places);
+        setName('');
+        setZone('none');
+    };
+
+    const setPlaceZone = (placeId, mode) => {
+        update(places.map((p) => (p.id === placeId ? { ...p, zone: mode } : p)));
+    };
+
+    return (
+        <div className="page places-screen">
+            <div className="screen-inner">
+                <header className="screen-header">
+                    <h1>{t('places.title')}</h1>
+                    <p className="screen-subtitle">{t('places.subtitle')}</p>
+                </header>
+
+                <form className="place-form" onSubmit={handleSave} noValidate>
+                    <div className="field">
+                        <label htmlFor="place-name">{t('places.name')}</label>
+                        <input
+                            id="place-name"
+                            type="text"
+                            value={name}
+                            onChange={(e) => {
+                                setName(e.target.value);
+                                setError('');
+                            }}
+                            placeholder={t('places.namePlaceholder')}
+                            maxLength={40}
+                            aria-describedby={error ? 'place-error' : undefined}
+                            aria-invalid={Boolean(error)}
+                        />
+                    </div>
+
+                    <div className="field">
+                        <label htmlFor="place-radius">{t('places.radius')}</label>
+                        <select
+                            id="place-radius"
+                            value={radius}
+                            onChange={(e) => setRadius(Number(e.target.value))}
+                        >
+                            {PLACE_RADII.map((r) => (
+                                <option key={r} value={r}>{formatDistance(r)}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="field">
+                        <label htmlFor="place-zone">{t('zones.whileHere')}</label>
+                        <select
+                            id="place-zone"
+                            value={zone}
+                            onChange={(e) => setZone(e.target.value)}
+                        >
+                            {ZONE_MODES.map((mode) => (
+                                <option key={mode} value={mode}>{t(ZONE_LABELS[mode])}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {error && <p className="field-error" id="place-error" role="alert">{error}</p>}
+
+                    <button type="submit" className="btn-secondary" disabled={locating}>
+                        {locating ? t('places.locating') : t('places.save')}
+                    </button>
+                </form>
+
+                {places.length > 0 && (
+                    <section className="place-list" aria-label={t('places.savedLabel')}>
+                        <h2 className="section-title">{t('places.saved', { count: places.length })}</h2>
+                        <ul>
+                            {places.map((place) => (
+                                <li key={place.id} className="place-item">
+                                    <div className="place-details">
+                                        <span className="place-name">{place.name}</span>
+                                        <span className="place-radius">{formatDistance(place.radius)}</span>
+                                        <label className="place-zone">
+                                            <span>{t('zones.whileHere')}</span>
+                                            <select
+                                                value={place.zone}
+                                                onChange={(e) => setPlaceZone(place.id, e.target.value)}
+                                            >
+                                                {ZONE_MODES.map((mode) => (
+                                                    <option key={mode} value={mode}>{t(ZONE_LABELS[mode])}</option>
+                                                ))}
+                                            </select>
+                                        </label>
+                                    </div>
+                                    <button
+                                        type="button"
+                                        className="place-remove"
+                                        onClick={() => update(places.filter((p) => p.id !== place.id))}
+                                        aria-label={t('places.removeNamed', { name: place.name })}
+                                    >
+                                        {t('places.remove')}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    </section>
+                )}
+
+                <div className="screen-actions">
+                    <button type="button" className="btn-primary" onClick={() => navigate('/dashboard')}>
+                        {t('common.backToProtection')}
+                    </button>
+                </div>
+
+                <p className="screen-note">{t('zones.pauseNote')}</p>
+                <p className="screen-note">{t('zones.relaxNote')}</p>
+                <p className="screen-note">{t('zones.nightNote')}</p>
+            </div>
+        </div>
+    );
+};
+
+export default PlacesScreen;
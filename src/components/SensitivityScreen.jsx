@@ -0,0 +1,275 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+    loadSensitivity,
+    saveSensitivity,
+    loadInactivityMinutes,
+    saveInactivityMinutes,
+    INACTIVITY_MINUTES,
+    loadHandSignal,
+    saveHandSignal,
+    HAND_SIGNALS,
+} from '../utils/storage';
+import {
+    resolveSensitivity,
+    validateSensitivity,
+    SENSITIVITY_PRESETS,
+    SENSITIVITY_LIMITS,
+} from '../utils/riskEngine';
+import useLocale from '../hooks/useLocale';
+import './SensitivityScreen.css';
+
+const PRESET_TEXT = {
+    low: { label: 'sensitivity.low', detail: 'sensitivity.lowDetail' },
+    normal: { label: 'sensitivity.normal', detail: 'sensitivity.normalDetail' },
+    high: { label: 'sensitivity.high', detail: 'sensitivity.highDetail' },
+};
+
+const WEIGHT_LABELS = {
+    gesture: 'dashboard.handSignal',
+    stress: 'dashboard.voiceTone',
+    motion: 'dashboard.movement',
+};
+
+const HAND_SIGNAL_LABELS = {
+    help: 'handSignal.help',
+    palm: 'handSignal.palm',
+    fist: 'handSignal.fist',
+};
+
+/** The advanced form edits plain numbers; weights are shown as they apply. */
+const toDraft = (settings) => ({
+    riskThreshold: settings.riskThreshold,
+    concernThreshold: settings.concernThreshold,
+    sustainSeconds: settings.sustainMs / 1000,
+    weights: { ...settings.weights },
+});
+
+/**
+ * One slider with its value beside it, so nobody has to guess where it sits.
+ */
+const Slider = ({ id, label, value, min, max, step, format, onChange }) => (
+    <div className="field sensitivity-slider">
+        <label htmlFor={id}>
+            <span>{label}</span>
+            <output htmlFor={id}>{format(value)}</output>
+        </label>
+        <input
+            id={id}
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={value}
+            onChange={(e) => onChange(Number(e.target.value))}
+        />
+    </div>
+);
+
+const asPercent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * How readily protection starts a countdown.
+ *
+ * Presets first, because most people need one choice, not six numbers. The
+ * advanced view is there for anyone a preset still does not fit, and saving
+ * it goes through the same checks the risk engine applies on load.
+ */
+const SensitivityScreen = () => {
+    const navigate = useNavigate();
+    const { t } = useLocale();
+    const [choice, setChoice] = useState(loadSensitivity);
+    const [draft, setDraft] = useState(() => toDraft(resolveSensitivity(loadSensitivity())));
+    const [error, setError] = useState('');
+    const [saved, setSaved] = useState(false);
+    const [stillMinutes, setStillMinutes] = useState(loadInactivityMinutes);
+    const [handSignal, setHandSignal] = useState(loadHandSignal);
+
+    const pickPreset = (preset) => {
+        const next = { preset, custom: choice.custom };
+        saveSensitivity(next);
+        setChoice(next);
+        setDraft(toDraft(SENSITIVITY_PRESETS[preset]));
+        setError('');
+        setSaved(false);
+    };
+
+    const edit = (changes) => {
+        setDraft((current) => ({ ...current, ...changes }));
+        setError('');
+        setSaved(false);
+    };
+
+    const saveAdvanced = (event) => {
+        event.preventDefault();
+        const result = validateSensitivity({
+            riskThreshold: draft.riskThreshold,
+            concernThreshold: draft.concernThreshold,
+            sustainMs: draft.sustainSeconds * 1000,
+            weights: draft.weights,
+        });
+        if (!result.ok) {
+            setError(result.error);
+            return;
+        }
+        const next = { preset: 'custom', custom: result.settings };
+        saveSensitivity(next);
+        setChoice(next);
+        setDraft(toDraft(result.settings));
+        setSaved(true);
+    };
+
+    const pickStillMinutes = (minutes) => {
+        saveInactivityMinutes(minutes);
+        setStillMinutes(minutes);
+    };
+
+    const pickHandSignal = (signal) => {
+        saveHandSignal(signal);
+        setHandSignal(signal);
+    };
+
+    const { riskThreshold, concernThreshold, sustainMs, weight } = SENSITIVITY_LIMITS;
+
+    return (
+        <div className="page sensitivity-screen">
+            <div className="screen-inner">
+                <header className="screen-header">
+                    <h1>{t('sensitivity.title')}</h1>
+                    <p className="screen-subtitle">{t('sensitivity.subtitle')}</p>
+                </header>
+
+                <fieldset className="sensitivity-presets">
+                    <legend className="section-title">{t('sensitivity.howReady')}</legend>
+                    {Object.keys(PRESET_TEXT).map((preset) => (
+                        <label
+                            key={preset}
+                            className={`sensitivity-preset ${choice.preset === preset ? 'is-on' : ''}`}
+                        >
+                            <input
+                                type="radio"
+                                name="sensitivity"
+                                value={preset}
+                                checked={choice.preset === preset}
+                                onChange={() => pickPreset(preset)}
+                            />
+                            <span className="sensitivity-preset-text">
+                                <span className="sensitivity-preset-label">{t(PRESET_TEXT[preset].label)}</span>
+                                <span className="sensitivity-preset-detail">{t(PRESET_TEXT[preset].detail)}</span>
+                            </span>
+                        </label>
+                    ))}
+                    {choice.preset === 'custom' && (
+                        <p className="screen-note">{t('sensitivity.customInUse')}</p>
+                    )}
+                </fieldset>
+
+                <details className="sensitivity-advanced" open={choice.preset === 'custom'}>
+                    <summary>{t('sensitivity.advanced')}</summary>
+
+                    <form className="sensitivity-form" onSubmit={saveAdvanced} noValidate>
+                        <Slider
+                            id="risk-threshold"
+                            label={t('sensitivity.riskThreshold')}
+                            value={draft.riskThreshold}
+                            min={riskThreshold.min}
+                            max={riskThreshold.max}
+                            step={0.05}
+                            format={asPercent}
+                            onChange={(value) => edit({ riskThreshold: value })}
+                        />
+                        <Slider
+                            id="concern-threshold"
+                            label={t('sensitivity.concernThreshold')}
+                            value={draft.concernThreshold}
+                            min={concernThreshold.min}
+                            max={concernThreshold.max}
+                            step={0.05}
+                            format={asPercent}
+                            onChange={(value) => edit({ concernThreshold: value })}
+                        />
+                        <Slider
+                            id="sustain-seconds"
+                            label={t('sensitivity.sustain')}
+                            value={draft.sustainSeconds}
+                            min={sustainMs.min / 1000}
+                            max={sustainMs.max / 1000}
+                            step={1}
+                            format={(value) => t('sensitivity.seconds', { count: value })}
+                            onChange={(value) => edit({ sustainSeconds: value })}
+                        />
+
+                        <fieldset className="sensitivity-weights">
+                            <legend>{t('sensitivity.weights')}</legend>
+                            {Object.keys(WEIGHT_LABELS).map((key) => (
+                                <Slider
+                                    key={key}
+                                    id={`weight-${key}`}
+                                    label={t(WEIGHT_LABELS[key])}
+                                    value={Math.round(draft.weights[key] * 100) / 100}
+                                    min={weight.min}
+                                    max={weight.max}
+                                    step={0.05}
+                                    format={(value) => value.toFixed(2)}
+                                    onChange={(value) => edit({ weights: { ...draft.weights, [key]: value } })}
+                                />
+                            ))}
+                            <p className="sensitivity-hint">{t('sensitivity.weightsHint')}</p>
+                        </fieldset>
+
+                        {error && <p className="field-error" role="alert">{error}</p>}
+                        {saved && <p className="sensitivity-saved" role="status">{t('sensitivity.saved')}</p>}
+
+                        <button type="submit" className="btn-secondary">{t('sensitivity.save')}</button>
+                    </form>
+                </details>
+
+                <section className="sensitivity-still">
+                    <h2 className="section-title">{t('inactivity.title')}</h2>
+                    <div className="field">
+                        <label htmlFor="still-minutes">{t('inactivity.label')}</label>
+                        <select
+                            id="still-minutes"
+                            value={stillMinutes}
+                            onChange={(e) => pickStillMinutes(Number(e.target.value))}
+                        >
+                            {INACTIVITY_MINUTES.map((minutes) => (
+                                <option key={minutes} value={minutes}>
+                                    {minutes === 0 ? t('inactivity.off') : t('inactivity.minutes', { count: minutes })}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <p className="sensitivity-hint">{t('inactivity.hint')}</p>
+                </section>
+
+                <section className="sensitivity-signal">
+                    <h2 className="section-title">{t('handSignal.title')}</h2>
+                    <div className="field">
+                        <label htmlFor="hand-signal">{t('handSignal.label')}</label>
+                        <select
+                            id="hand-signal"
+                            value={handSignal}
+                            onChange={(e) => pickHandSignal(e.target.value)}
+                        >
+                            {HAND_SIGNALS.map((signal) => (
+                                <option key={signal} value={signal}>{t(HAND_SIGNAL_LABELS[signal])}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <p className="sensitivity-hint">{t('handSignal.hint')}</p>
+                </section>
+
+                <div className="screen-actions">
+                    <button type="button" className="btn-primary" onClick={() => navigate('/dashboard')}>
+                        {t('common.backToProtection')}
+                    </button>
+                </div>
+
+                <p className="screen-note">{t('sensitivity.note')}</p>
+            </div>
+        </div>
+    );
+};
+
+export default SensitivityScreen;
@@ -1,4 +1,6 @@
 import { useNavigate } from 'react-router-dom';
+import useLocale from '../hooks/useLocale';
+import LanguagePicker from './LanguagePicker';
 import './WelcomeScreen.css';
 
 /**
@@ -10,10 +12,15 @@ import './WelcomeScreen.css';
  */
 const WelcomeScreen = () => {
     const navigate = useNavigate();
+    const { t } = useLocale();
 
     return (
         <div className="page welcome-screen">
             <div className="screen-inner welcome-inner">
+                <div className="welcome-language">
+                    <LanguagePicker />
+                </div>
+
                 <div className="welcome-mark" aria-hidden="true">
                     <svg viewBox="0 0 96 96" width="72" height="72" fill="none">
                         <circle cx="48" cy="48" r="44" className="mark-ring" strokeWidth="4" />
@@ -27,45 +34,32 @@ const WelcomeScreen = () => {
                 </div>
 
                 <h1 className="welcome-title">SafeSignal</h1>
-                <p className="welcome-tagline">A quiet way to ask for help.</p>
+                <p className="welcome-tagline">{t('welcome.tagline')}</p>
 
-                <p className="welcome-body">
-                    SafeSignal watches for a hand signal, tension in your voice, and sudden
-                    movement. When something looks wrong, it gets a message ready for the people
-                    you trust — and always gives you a chance to stop it.
-                </p>
+                <p className="welcome-body">{t('welcome.body')}</p>
 
                 <ul className="welcome-points">
                     <li>
-                        <span className="point-title">Nothing leaves your device</span>
-                        <span className="point-detail">
-                            Camera and microphone are analysed here. No recordings, no uploads, no account.
-                        </span>
+                        <span className="point-title">{t('welcome.deviceTitle')}</span>
+                        <span className="point-detail">{t('welcome.deviceDetail')}</span>
                     </li>
                     <li>
-                        <span className="point-title">You are always in control</span>
-                        <span className="point-detail">
-                            Every alert waits ten seconds first, and one tap stops it.
-                        </span>
+                        <span className="point-title">{t('welcome.controlTitle')}</span>
+                        <span className="point-detail">{t('welcome.controlDetail')}</span>
                     </li>
                     <li>
-                        <span className="point-title">It works with what you allow</span>
-                        <span className="point-detail">
-                            Turn on only the sensors you want. SafeSignal tells you what it is using.
-                        </span>
+                        <span className="point-title">{t('welcome.allowTitle')}</span>
+                        <span className="point-detail">{t('welcome.allowDetail')}</span>
                     </li>
                 </ul>
 
                 <div className="screen-actions">
                     <button type="button" className="btn-primary" onClick={() => navigate('/permissions')}>
-                        Get started
+                        {t('welcome.getStarted')}
                     </button>
                 </div>
 
-                <p className="screen-note">
-                    SafeSignal cannot contact emergency services for you. In an emergency, call your
-                    local emergency number.
-                </p>
+                <p className="screen-note">{t('welcome.emergencyNote')}</p>
             </div>
         </div>
     );
@@ -12,8 +12,20 @@ import {
     registerRemoteCheckIn,
     cancelRemoteCheckIn,
     clearRemoteHandle,
+    pushRemoteLocation,
+    LOCATION_PUSH_INTERVAL_MS,
+    fetchRemoteStatus,
+    extendRemoteCheckIn,
+    loadRemoteHandle,
+    STATUS_POLL_INTERVAL_MS,
+    joinRemoteOccurrence,
+    JOIN_RETRY_INTERVAL_MS,
+    JOIN_GIVE_UP_MS,
 } from '../utils/remoteCheckIn.js';
 import { loadContacts } from '../utils/storage.js';
+import { watchLocation, arrivalAfter } from '../utils/geo.js';
+import { hasSafetyCodes, classifyCode } from '../utils/safetyCodes.js';
+import { t } from '../i18n/index.js';
 
 /**
  * Drive a check-in timer.
@@ -34,10 +46,16 @@ export const useCheckIn = (onExpire, location = null) => {
     // 'pending' / 'on' / 'failed' — what the server actually agreed to do
     const [remoteState, setRemoteState] = useState(() => (isRemoteEnabled() ? 'off' : 'off'));
     const [remoteError, setRemoteError] = useState(null);
+    const [remoteStatus, setRemoteStatus] = useState(null);
+    // A plan's window, while the server's check-in for it is being picked up.
+    const [joining, setJoining] = useState(null);
+    // Where the last check-in ended by itself, for the card to say so.
+    const [arrival, setArrival] = useState(null);
 
     const onExpireRef = useRef(onExpire);
     const firingRef = useRef(false);
     const locationRef = useRef(location);
+    const joiningRef = useRef(null);
 
     useEffect(() => {
         locationRef.current = location;
@@ -47,6 +65,10 @@ export const useCheckIn = (onExpire, location = null) => {
         onExpireRef.current = onExpire;
     });
 
+    useEffect(() => {
+        joiningRef.current = joining;
+    }, [joining]);
+
     // Pure derivation — no effect needs to write this.
     const state = evaluateCheckIn(record, now);
 
@@ -76,13 +98,142 @@ export const useCheckIn = (onExpire, location = null) => {
         };
     }, [record]);
 
-    const start = useCallback((durationMs, note) => {
-        const created = startCheckIn(durationMs, note);
+    // While the server holds the deadline, keep it told where the person is.
+    // Runs its own watch rather than borrowing the dashboard's, which only
+    // exists while protection is on — and a check-in must not depend on that.
+    const trackRemotely =
+        remoteState === 'on' && (state.phase === 'counting' || state.phase === 'grace');
+
+    useEffect(() => {
+        if (!trackRemotely) return undefined;
+
+        let lastPushAt = 0;
+        let stopped = false;
+
+        const stop = watchLocation((result) => {
+            if (!result.ok || stopped) return;
+
+            const current = Date.now();
+            if (current - lastPushAt < LOCATION_PUSH_INTERVAL_MS) return;
+            lastPushAt = current;
+
+            pushRemoteLocation(result.coords).then((outcome) => {
+                // The server has already fired or forgotten this check-in.
+                if (outcome.inactive) stopped = true;
+            });
+        });
+
+        return () => {
+            stopped = true;
+            stop();
+        };
+    }, [trackRemotely]);
+
+    // The server opens a plan's check-in on its own schedule, so it may not
+    // exist yet when the window starts here. Keep asking for a while; after
+    // that, say plainly that the server is not holding this one. An "I'm
+    // safe" or "+15 min" tapped in the meantime is passed on once it is found,
+    // or the contacts would be called about a walk that ended fine.
+    useEffect(() => {
+        if (!joining) return undefined;
+
+        let stopped = false;
+        let timer = null;
+
+        const settle = (state, error) => {
+            setJoining(null);
+            setRemoteState(state);
+            setRemoteError(error);
+        };
+
+        const attempt = async () => {
+            const result = await joinRemoteOccurrence(joining.series, joining);
+            if (stopped) return;
+
+            if (result.ok && joining.cancel) {
+                const outcome = await cancelRemoteCheckIn({ duress: joining.cancel === 'duress' });
+                if (!stopped) settle(outcome.ok ? 'off' : 'failed', outcome.ok ? null : t('checkIn.cancelFailed'));
+                return;
+            }
+
+            if (result.ok && joining.extraMs) {
+                const outcome = await extendRemoteCheckIn(joining.extraMs);
+                if (!stopped) settle('on', outcome.ok ? null : t('checkIn.extendFailed'));
+                return;
+            }
+
+            if (result.ok) {
+                settle('on', null);
+                return;
+            }
+
+            if (result.notYet && Date.now() - joining.windowStartsAt < JOIN_GIVE_UP_MS) {
+                timer = setTimeout(attempt, JOIN_RETRY_INTERVAL_MS);
+                return;
+            }
+
+            settle('failed', joining.cancel ? t('checkIn.cancelFailed') : t('plans.notJoined'));
+        };
+
+        attempt();
+
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+    }, [joining]);
+
+    // Ask the server what it actually holds, rather than trusting that
+    // registration once succeeded. This is also what restores "covered" after
+    // the app is reopened, and what reports who was reached after firing.
+    const pollStatus = isRemoteEnabled() && Boolean(record) && remoteState !== 'pending';
+
+    useEffect(() => {
+        // A handle left over from an earlier check-in, whose cancel never
+        // reached the server, must not vouch for this one.
+        if (!pollStatus || loadRemoteHandle()?.checkInId !== record.id) return undefined;
+
+        let stopped = false;
+
+        const poll = async () => {
+            const result = await fetchRemoteStatus();
+            if (stopped) return;
+
+            if (result.ok && result.status.phase !== 'cancelled') {
+                setRemoteStatus(result.status);
+                setRemoteState('on');
+                setRemoteError(null);
+                return;
+            }
+
+            if (result.gone || result.ok) {
+                // The local timer is still running, so saying this plainly
+                // is what stops someone believing they are covered.
+                stopped = true;
+                setRemoteStatus(null);
+                setRemoteState('failed');
+                setRemoteError(t('checkIn.serverForgot'));
+            }
+            // Anything else is a network blip; the next poll will tell.
+        };
+
+        poll();
+        const interval = setInterval(poll, STATUS_POLL_INTERVAL_MS);
+
+        return () => {
+            stopped = true;
+            clearInterval(interval);
+        };
+    }, [pollStatus, record?.id]);
+
+    const start = useCallback((durationMs, note, destination = null) => {
+        const created = startCheckIn(durationMs, note, Date.now(), { destination });
         if (!created) return null;
 
         firingRef.current = false;
         setNow(Date.now());
         setRecord(created);
+        setArrival(null);
 
         // The local timer is authoritative and already running. Registering
         // with the server is an additional guarantee, so its failure must never
@@ -94,6 +245,7 @@ export const useCheckIn = (onExpire, location = null) => {
                 note,
                 contacts: loadContacts(),
                 location: locationRef.current,
+                checkInId: created.id,
             }).then((result) => {
                 setRemoteState(result.ok ? 'on' : 'failed');
                 setRemoteError(result.ok ? null : result.error);
@@ -103,6 +255,36 @@ export const useCheckIn = (onExpire, location = null) => {
         return created;
     }, []);
 
+    /**
+     * Start the check-in for a plan's window, due when the window ends.
+     *
+     * @param {import('../utils/checkInPlans.js').CheckInPlan} plan
+     * @param {{ startsAt: number, endsAt: number }} window
+     */
+    const startPlanWindow = useCallback((plan, window) => {
+        const current = Date.now();
+        const created = startCheckIn(window.endsAt - current, plan.note, current, { planId: plan.id });
+        if (!created) return null;
+
+        firingRef.current = false;
+        setNow(current);
+        setRecord(created);
+        setRemoteStatus(null);
+        setArrival(null);
+
+        // The server opens its own check-in for a registered plan; registering
+        // another here would have the contacts called twice.
+        if (isRemoteEnabled() && plan.series) {
+            setRemoteState('pending');
+            setJoining({ series: plan.series, windowStartsAt: window.startsAt, checkInId: created.id });
+        } else {
+            setRemoteState(isRemoteEnabled() ? 'failed' : 'off');
+            setRemoteError(isRemoteEnabled() ? t('plans.notRegistered') : null);
+        }
+
+        return created;
+    }, []);
+
     // extendCheckIn writes to storage, so it must not run inside a state
     // updater — those have to stay pure.
     const extend = useCallback((extraMs) => {
@@ -110,20 +292,50 @@ export const useCheckIn = (onExpire, location = null) => {
         firingRef.current = false;
         setRecord(extendCheckIn(record, extraMs));
         setNow(Date.now());
+
+        if (joiningRef.current) {
+            setJoining({ ...joiningRef.current, extraMs: (joiningRef.current.extraMs ?? 0) + extraMs });
+            return;
+        }
+
+        // The server must move too, or the family is called at the old time
+        // about a walk that is going fine.
+        if (isRemoteEnabled() && loadRemoteHandle()?.checkInId === record.id) {
+            extendRemoteCheckIn(extraMs).then((result) => {
+                if (result.ok) {
+                    setRemoteError(null);
+                    setRemoteStatus((status) => (status ? { ...status, firesAt: result.firesAt } : status));
+                    return;
+                }
+                setRemoteError(
+                    result.tooLate
+                        ? t('checkIn.alreadyAlerted')
+                        : t('checkIn.extendFailed'),
+                );
+            });
+        }
     }, [record]);
 
-    const checkIn = useCallback(() => {
+    /**
+     * End the check-in here and on the server.
+     *
+     * @param {'safe'|'duress'} kind
+     */
+    const finish = useCallback((kind) => {
         cancelCheckIn();
         firingRef.current = false;
         setRecord(null);
+        setRemoteStatus(null);
         setNow(Date.now());
 
-        if (isRemoteEnabled()) {
-            cancelRemoteCheckIn().then((result) => {
+        if (joiningRef.current) {
+            setJoining({ ...joiningRef.current, cancel: kind });
+        } else if (isRemoteEnabled()) {
+            cancelRemoteCheckIn({ duress: kind === 'duress' }).then((result) => {
                 // A cancel that did not reach the server is worth saying out
                 // loud — the contacts may still be called.
                 setRemoteState(result.ok ? 'off' : 'failed');
-                setRemoteError(result.ok ? null : 'Could not tell the server you are safe.');
+                setRemoteError(result.ok ? null : t('checkIn.cancelFailed'));
             });
         } else {
             clearRemoteHandle();
@@ -132,6 +344,52 @@ export const useCheckIn = (onExpire, location = null) => {
         }
     }, []);
 
+    /**
+     * "I'm safe". With safety codes set, the code decides what happens, but
+     * the screen shows the same result for the safe and the duress code.
+     *
+     * @param {string} [code]
+     * @returns {Promise<{ ok: boolean, error?: string }>}
+     */
+    const checkIn = useCallback(async (code) => {
+        const kind = hasSafetyCodes() ? await classifyCode(code) : 'safe';
+        if (kind === 'wrong') return { ok: false, error: t('checkIn.wrongCode') };
+
+        finish(kind);
+        return { ok: true };
+    }, [finish]);
+
+    // Arriving ends a destination check-in, as "I'm safe" would. Watched here
+    // rather than taken from the dashboard's fix, which only exists while
+    // protection is on. Stops once the alert is raised: arriving after that
+    // still needs a tap, so it cannot quietly cancel an alert in progress. A
+    // check-in started inside the place has to leave it before arriving counts.
+    const destination = record?.status === 'active' ? record.destination : null;
+    const watchArrival = Boolean(destination) && (state.phase === 'counting' || state.phase === 'grace');
+
+    useEffect(() => {
+        if (!watchArrival) return undefined;
+
+        let done = false;
+        let left = false;
+        const stop = watchLocation((result) => {
+            if (done || !result.ok) return;
+            const next = arrivalAfter(result.coords, destination, left);
+            left = next.left;
+            if (!next.arrived) return;
+            done = true;
+            setArrival({ place: destination.name, at: Date.now() });
+            finish('safe');
+        });
+
+        return () => {
+            done = true;
+            stop();
+        };
+        // Extending keeps the same destination object, so the watch is not
+        // restarted by it.
+    }, [watchArrival, destination, finish]);
+
     return {
         record,
         phase: state.phase,
@@ -140,7 +398,10 @@ export const useCheckIn = (onExpire, location = null) => {
         overdueMs: state.overdueMs,
         remoteState,
         remoteError,
+        remoteStatus,
+        arrival,
         start,
+        startPlanWindow,
         extend,
         checkIn,
     };
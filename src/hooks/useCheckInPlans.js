@@ -0,0 +1,174 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+    loadPlans,
+    savePlans,
+    createPlan,
+    openWindow,
+    markWindowHandled,
+    MAX_PLANS,
+} from '../utils/checkInPlans.js';
+import { isRemoteEnabled, registerRemoteSeries, stopRemoteSeries } from '../utils/remoteCheckIn.js';
+import { loadContacts } from '../utils/storage.js';
+import { t } from '../i18n/index.js';
+
+/** How often an idle app looks for a plan's window opening. */
+export const PLAN_CHECK_INTERVAL_MS = 30_000;
+
+/**
+ * Keep the recurring check-in plans, and start a check-in when one's window
+ * opens.
+ *
+ * Each plan is also registered with the server where there is one, so its
+ * windows are covered with the app closed. A plan is only turned off or
+ * removed here once the server has agreed to stop it; otherwise the screen
+ * would show nothing planned while the server went on calling the contacts.
+ *
+ * @param {(plan: Object, window: { startsAt: number, endsAt: number }) => void} onWindow
+ * @param {boolean} idle - whether no check-in is running, so a window may start one
+ * @returns {Object}
+ */
+export const useCheckInPlans = (onWindow, idle) => {
+    const [plans, setPlans] = useState(loadPlans);
+    // Per plan, what went wrong with the server, in words for the list.
+    const [errors, setErrors] = useState({});
+
+    const plansRef = useRef(plans);
+    const onWindowRef = useRef(onWindow);
+
+    useEffect(() => {
+        onWindowRef.current = onWindow;
+    });
+
+    // Written through here so storage, the ref and the state never disagree.
+    const update = useCallback((change) => {
+        const next = change(plansRef.current);
+        plansRef.current = next;
+        savePlans(next);
+        setPlans(next);
+    }, []);
+
+    const setError = useCallback((planId, error) => {
+        setErrors((current) => ({ ...current, [planId]: error }));
+    }, []);
+
+    const register = useCallback((plan) => {
+        setError(plan.id, null);
+        registerRemoteSeries({ plan, note: plan.note, contacts: loadContacts() }).then((result) => {
+            if (!result.ok) {
+                setError(plan.id, t('plans.registerFailed'));
+                return;
+            }
+
+            const stored = plansRef.current.find((p) => p.id === plan.id);
+            if (!stored?.enabled) {
+                // Removed or turned off while the server was answering.
+                stopRemoteSeries(result.series);
+                return;
+            }
+            update((current) => current.map((p) => (p.id === plan.id ? { ...p, series: result.series } : p)));
+        });
+    }, [setError, update]);
+
+    // A plan saved while the server was unreachable is registered next time.
+    useEffect(() => {
+        if (!isRemoteEnabled()) return;
+        for (const plan of plansRef.current) {
+            if (plan.enabled && !plan.series) register(plan);
+        }
+    }, [register]);
+
+    useEffect(() => {
+        if (!idle) return undefined;
+
+        const check = () => {
+            const found = openWindow(plansRef.current);
+            if (!found) return;
+            update((current) => markWindowHandled(current, found.plan.id, found.window.startsAt));
+            onWindowRef.current?.(found.plan, found.window);
+        };
+
+        // Out of band, as in useCheckIn, so nothing writes state from the
+        // effect body. Re-run on every change, so a plan saved mid-window
+        // starts now rather than in half a minute.
+        const immediate = setTimeout(check, 0);
+        const interval = setInterval(check, PLAN_CHECK_INTERVAL_MS);
+
+        return () => {
+            clearTimeout(immediate);
+            clearInterval(interval);
+        };
+    }, [idle, plans, update]);
+
+    /**
+     * @param {{ note?: string, days: number[], start: string, end: string }} input
+     * @returns {{ ok: boolean, error?: string }}
+     */
+    const addPlan = useCallback((input) => {
+        if (plansRef.current.length >= MAX_PLANS) {
+            return { ok: false, error: t('plans.tooMany', { count: MAX_PLANS }) };
+        }
+
+        const result = createPlan(input);
+        if (!result.ok) return result;
+
+        update((current) => [...current, result.plan]);
+        if (isRemoteEnabled()) register(result.plan);
+        return { ok: true };
+    }, [register, update]);
+
+    /**
+     * Stop the server's copy first. Resolves false, with the reason shown in
+     * the list, if it could not be stopped.
+     *
+     * @param {Object} plan
+     * @returns {Promise<boolean>}
+     */
+    const stopOnServer = useCallback(async (plan) => {
+        if (!plan.series) return true;
+
+        const result = await stopRemoteSeries(plan.series);
+        if (!result.ok) {
+            setError(plan.id, t('plans.stopFailed'));
+            return false;
+        }
+        setError(plan.id, null);
+        return true;
+    }, [setError]);
+
+    /**
+     * @param {string} planId
+     * @param {boolean} enabled
+     * @returns {Promise<boolean>}
+     */
+    const setEnabled = useCallback(async (planId, enabled) => {
+        const plan = plansRef.current.find((p) => p.id === planId);
+        if (!plan || plan.enabled === enabled) return true;
+
+        if (enabled) {
+            update((current) => current.map((p) => (p.id === planId ? { ...p, enabled: true } : p)));
+            if (isRemoteEnabled()) register(plan);
+            return true;
+        }
+
+        if (!(await stopOnServer(plan))) return false;
+        update((current) => current.map((p) => (p.id === planId ? { ...p, enabled: false, series: null } : p)));
+        return true;
+    }, [register, stopOnServer, update]);
+
+    /**
+     * @param {string} planId
+     * @returns {Promise<boolean>}
+     */
+    const removePlan = useCallback(async (planId) => {
+        const plan = plansRef.current.find((p) => p.id === planId);
+        if (!plan) return true;
+
+        if (!(await stopOnServer(plan))) return false;
+        update((current) => current.filter((p) => p.id !== planId));
+        return true;
+    }, [stopOnServer, update]);
+
+    return { plans, errors, addPlan, setEnabled, removePlan };
+};
+
+export default useCheckInPlans;
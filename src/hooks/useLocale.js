@@ -0,0 +1,17 @@
+import { useSyncExternalStore } from 'react';
+import { getLocale, setLocale, subscribeLocale, t } from '../i18n';
+
+/**
+ * The current language, re-rendering the caller when it changes.
+ *
+ * `t` reads the language itself, so a component only needs this hook to be
+ * told when to render again.
+ *
+ * @returns {{ locale: string, setLocale: (locale: string) => boolean, t: typeof t }}
+ */
+export const useLocale = () => {
+    const locale = useSyncExternalStore(subscribeLocale, getLocale, getLocale);
+    return { locale, setLocale, t };
+};
+
+export default useLocale;
@@ -0,0 +1,116 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+    LOCALES,
+    detectLocale,
+    getLocale,
+    setLocale,
+    subscribeLocale,
+    t,
+} from '../index.js';
+import en from '../en.js';
+import hi from '../hi.js';
+import ta from '../ta.js';
+import { loadLocale } from '../../utils/storage.js';
+import { getRiskLabel } from '../../utils/riskEngine.js';
+import { describeStatus } from '../../utils/alerts.js';
+import { formatDuration, formatRemaining } from '../../utils/checkIn.js';
+
+afterEach(() => {
+    setLocale('en');
+    window.localStorage.clear();
+});
+
+/** Every dotted path to a string, with plural forms counted as one entry. */
+const keyPaths = (node, prefix = '') =>
+    Object.entries(node).flatMap(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (typeof value === 'string' || 'other' in value) return [path];
+        return keyPaths(value, path);
+    });
+
+const placeholders = (value) =>
+    [...JSON.stringify(value).matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort();
+
+describe('detectLocale', () => {
+    it('takes the first browser language there is a catalogue for', () => {
+        expect(detectLocale(['fr-FR', 'ta-IN', 'hi'])).toBe('ta');
+        expect(detectLocale(['hi-IN'])).toBe('hi');
+        expect(detectLocale(['EN-gb'])).toBe('en');
+    });
+
+    it('falls back to English', () => {
+        expect(detectLocale(['fr', 'de'])).toBe('en');
+        expect(detectLocale([])).toBe('en');
+        expect(detectLocale(undefined)).toBe('en');
+    });
+});
+
+describe('t', () => {
+    it('fills placeholders and leaves unknown ones alone', () => {
+        expect(t('contacts.removeNamed', { name: 'Priya' })).toBe('Remove Priya');
+        expect(t('contacts.removeNamed')).toBe('Remove {name}');
+    });
+
+    it('chooses the plural form by count', () => {
+        expect(t('contacts.saved', { count: 1 })).toBe('Saved contact (1)');
+        expect(t('contacts.saved', { count: 3 })).toBe('Saved contacts (3)');
+    });
+
+    it('falls back to the key when nothing has it', () => {
+        expect(t('nowhere.to.be.found')).toBe('nowhere.to.be.found');
+    });
+});
+
+describe('setLocale', () => {
+    it('switches language, remembers it and tells subscribers', () => {
+        const listener = vi.fn();
+        const unsubscribe = subscribeLocale(listener);
+
+        expect(setLocale('hi')).toBe(true);
+        expect(getLocale()).toBe('hi');
+        expect(loadLocale()).toBe('hi');
+        expect(document.documentElement.lang).toBe('hi');
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(t('common.language')).toBe('भाषा');
+
+        unsubscribe();
+        setLocale('ta');
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('refuses a language it has no catalogue for', () => {
+        expect(setLocale('fr')).toBe(false);
+        expect(getLocale()).toBe('en');
+        expect(loadLocale()).toBeNull();
+    });
+});
+
+describe('catalogues', () => {
+    const english = keyPaths(en);
+
+    it.each([['hi', hi], ['ta', ta]])('%s has every English key and no others', (_, catalogue) => {
+        expect(keyPaths(catalogue).sort()).toEqual([...english].sort());
+    });
+
+    it.each([['hi', hi], ['ta', ta]])('%s keeps the same placeholders', (_, catalogue) => {
+        const lookUp = (root, path) => path.split('.').reduce((node, part) => node[part], root);
+        for (const path of english) {
+            expect(placeholders(lookUp(catalogue, path)), path).toEqual(placeholders(lookUp(en, path)));
+        }
+    });
+
+    it('covers every language the picker offers', () => {
+        expect(LOCALES).toEqual(['en', 'hi', 'ta']);
+    });
+});
+
+describe('helpers follow the language', () => {
+    it('translates labels, statuses and durations', () => {
+        setLocale('hi');
+        expect(getRiskLabel('safe')).toBe(hi.risk.safe);
+        expect(describeStatus('ready')).toBe(hi.alert.statusReady);
+        expect(formatDuration(15)).toBe('15 मिनट');
+        expect(formatDuration(120)).toBe('2 घंटे');
+        expect(formatRemaining(5 * 60_000 + 3000)).toBe('5 मि 03 से');
+    });
+});
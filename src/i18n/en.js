@@ -0,0 +1,541 @@
+/**
+ * English — the source every other catalogue is checked against.
+ *
+ * `{name}` marks a value filled in at runtime. An entry with `one` and `other`
+ * is chosen by count, following the locale's plural rules.
+ */
+export default {
+    common: {
+        language: 'Language',
+        backToProtection: 'Back to protection',
+        continue: 'Continue',
+    },
+
+    welcome: {
+        tagline: 'A quiet way to ask for help.',
+        body: 'SafeSignal watches for a hand signal, tension in your voice, and sudden movement. When something looks wrong, it gets a message ready for the people you trust — and always gives you a chance to stop it.',
+        deviceTitle: 'Nothing leaves your device',
+        deviceDetail: 'Camera and microphone are analysed here. No recordings, no uploads, no account.',
+        controlTitle: 'You are always in control',
+        controlDetail: 'Every alert waits ten seconds first, and one tap stops it.',
+        allowTitle: 'It works with what you allow',
+        allowDetail: 'Turn on only the sensors you want. SafeSignal tells you what it is using.',
+        getStarted: 'Get started',
+        emergencyNote: 'SafeSignal cannot contact emergency services for you. In an emergency, call your local emergency number.',
+    },
+
+    permissions: {
+        title: 'What may SafeSignal use?',
+        subtitle: 'Allow whatever you are comfortable with. Each one is optional, and you can change your mind at any time in your browser settings.',
+        cameraTitle: 'Camera',
+        cameraPurpose: 'Recognises the hand signal you choose to make.',
+        cameraDetail: 'Frames are analysed on your device. Nothing is recorded or uploaded.',
+        microphoneTitle: 'Microphone',
+        microphonePurpose: 'Listens for tension in your voice.',
+        microphoneDetail: 'Audio is analysed on your device. Nothing is recorded or uploaded.',
+        locationTitle: 'Location',
+        locationPurpose: 'Adds where you are to an alert.',
+        locationDetail: 'Only read when you are being protected, and only shared in a message you send.',
+        motionTitle: 'Motion sensors',
+        motionPurpose: 'Notices sudden falls or struggles.',
+        motionDetail: 'Most laptops and desktops do not have these.',
+        noneAllowed: 'You can continue without allowing anything — SafeSignal will still let you raise an alert by hand.',
+        someAllowed: '{count} allowed. SafeSignal will use whichever of these are working.',
+        stateIdle: 'Not set',
+        stateRequesting: 'Asking…',
+        stateGranted: 'Allowed',
+        stateDenied: 'Not allowed',
+        stateUnsupported: 'Unavailable here',
+        allow: 'Allow',
+        tryAgain: 'Try again',
+    },
+
+    contacts: {
+        title: 'Who should we reach?',
+        subtitle: 'These are the people SafeSignal will prepare a message for. Choose someone who would pick up.',
+        name: 'Name',
+        phone: 'Phone number',
+        sendBy: 'Send the text by',
+        channelSms: 'Text message (SMS)',
+        channelWhatsapp: 'WhatsApp',
+        channelTelegram: 'Telegram',
+        channelEmail: 'Email',
+        telegramLabel: 'Telegram chat id',
+        telegramHint: 'They need to start a chat with your SafeSignal bot first. @userinfobot on Telegram tells them their chat id.',
+        telegramError: 'That does not look like a Telegram chat id. It is a number, not an @username.',
+        emailLabel: 'Email address',
+        emailError: 'That email address does not look right.',
+        nameMissing: 'Please add a name so you know who this is.',
+        phoneInvalid: 'That phone number does not look right. Include the country code if you can.',
+        phoneDuplicate: 'That number is already saved.',
+        add: 'Add contact',
+        saveFailed: 'Your contacts could not be saved on this device. Private browsing usually blocks storage — try a normal window.',
+        saved: {
+            one: 'Saved contact ({count})',
+            other: 'Saved contacts ({count})',
+        },
+        savedLabel: 'Saved contacts',
+        textBy: 'Text by {channel}',
+        reach: 'Reach',
+        tier1: 'Straight away',
+        tier2: 'After 10 min if nobody responds',
+        tier3: 'After 20 min if nobody responds',
+        alertIn: 'Alert in',
+        remove: 'Remove',
+        removeNamed: 'Remove {name}',
+        addToContinue: 'Add a contact to continue',
+        reachNote: '“Reach” only applies when the server sends a missed check-in for you. Each later round calls the earlier contacts again as well.',
+        channelNote: 'WhatsApp, Telegram and email are only used when the server sends a missed check-in for you. Calls still go to the phone number, and if the message cannot be sent that way, it goes by SMS instead.',
+        languageNote: "The alert is written, and read out on a call, in each contact's language. Your note and the reason for the alert stay as they are.",
+        deviceNote: 'Contacts stay on this device. SafeSignal has no server and cannot upload them.',
+    },
+
+    safetyCodes: {
+        set: 'Safety codes are set',
+        add: 'Add a duress code (optional)',
+        explain: "With codes set, “I'm safe” asks for one. Your safe code cancels the check-in. Your duress code looks exactly the same on screen, but your contacts are alerted straight away. Use it if someone is making you cancel.",
+        remoteOn: 'The duress code only works while the server is holding your check-in. If registration failed, it cancels like the safe code.',
+        remoteOff: 'This build has no server, so the duress code cannot alert anyone yet. It cancels like the safe code.',
+        remove: 'Remove codes',
+        safeCode: 'Safe code',
+        duressCode: 'Duress code',
+        save: 'Save codes',
+        invalid: 'Use 4 to 8 digits for each code.',
+        same: 'The two codes must be different.',
+        notSaved: 'The codes could not be saved on this device.',
+    },
+
+    dashboard: {
+        contacts: 'Contacts',
+        places: 'Places',
+        sensitivity: 'Sensitivity',
+        protectionOff: 'Protection off',
+        dismiss: 'Dismiss message',
+        confirming: 'Confirming for a few seconds before doing anything…',
+        fallDetected: 'Possible fall. If you are all right, pick up the phone.',
+        protectionOn: 'Protection is on',
+        turnOn: 'Turn on protection',
+        handSignal: 'Hand signal',
+        usesCamera: 'Uses the camera',
+        voiceTone: 'Voice tone',
+        usesMicrophone: 'Uses the microphone',
+        movement: 'Movement',
+        usesMotion: 'Uses motion sensors',
+        motionActive: 'Active',
+        motionWaiting: 'Starting up…',
+        motionNoHardware: 'This device has no motion sensor',
+        motionStalled: 'Sensor stopped responding',
+        motionDenied: 'Permission not given',
+        motionUnsupported: 'Not available in this browser',
+        noSensors: 'No sensors are running yet. Turn one on above so SafeSignal has something to watch.',
+        watching: {
+            one: 'Watching with {active} of {count} sensor available on this device.',
+            other: 'Watching with {active} of {count} sensors available on this device.',
+        },
+        getHelp: 'Get help now',
+        manualHint: {
+            one: 'Prepares a message for your {count} contact. You get {seconds} seconds to stop it.',
+            other: 'Prepares a message for your {count} contacts. You get {seconds} seconds to stop it.',
+        },
+        addContactFirst: 'Add a contact first so there is someone to reach.',
+        onDevice: 'Everything is analysed on this device. No video or audio is uploaded or saved.',
+        keepOpen: 'Keep this screen open — detection pauses if the phone sleeps.',
+        keepAwake: 'Keep this screen open and awake — detection only runs while it is visible.',
+        locationProblem: 'Location: {error} An alert will still be prepared without it.',
+        showTechnical: 'Show technical details',
+        hideTechnical: 'Hide technical details',
+        riskBreakdown: 'Risk breakdown',
+        noSensorsActive: 'No sensors active.',
+        sensor: 'Sensor',
+        reading: 'Reading',
+        weight: 'Weight',
+        adds: 'Adds',
+        total: 'Total',
+        threshold: 'threshold {value}',
+        cadence: {
+            one: 'Step rhythm: {count} step a minute',
+            other: 'Step rhythm: {count} steps a minute',
+        },
+        weightsNote: 'Weights are shared out across the sensors that are actually running, so a partial setup can still reach the threshold.',
+        audioError: 'Audio: {error}',
+        alertStopped: "Alert stopped. You're still protected.",
+        manualAlert: 'Manual alert',
+        countdownTitle: 'Getting help ready',
+        youAsked: 'You asked for help.',
+        countdownSub: {
+            one: 'Your alert will be prepared in {count} second.',
+            other: 'Your alert will be prepared in {count} seconds.',
+        },
+        stop: "I'm okay — stop",
+        nothingSent: 'Nothing has been sent yet.',
+        riskLevel: 'Risk level {percent} percent',
+        risk: 'risk',
+        off: 'off',
+    },
+
+    risk: {
+        safe: 'All clear',
+        elevated: 'Keeping a closer eye',
+        critical: 'Checking on you',
+        off: 'Protection is off. Turn it on when you want SafeSignal watching.',
+        safeDetail: 'Everything looks normal. SafeSignal is quietly watching.',
+        elevatedDetail: 'Something changed slightly. No alert yet — just paying attention.',
+        criticalDetail: 'This looks like it could be an emergency. You can stop it at any time.',
+        watching: 'SafeSignal is watching.',
+        heldSignal: 'You held the distress hand signal',
+        fallStill: 'A fall, then no movement',
+        severalSigns: 'Several signs of distress at once',
+    },
+
+    checkIn: {
+        checking: 'Checking in',
+        areYouOkay: 'Are you okay?',
+        missed: 'Check-in missed',
+        countingSub: "If you don't check in by then, SafeSignal will prepare your alert.",
+        graceSub: 'Your time is up. Tap below and nothing happens.',
+        firedSub: "Your alert was prepared because you didn't check in.",
+        registering: 'Registering with the server…',
+        yourCode: 'Your code',
+        confirm: 'Confirm',
+        safe: "I'm safe",
+        addTime: '+{minutes} min',
+        title: 'Check-in timer',
+        intro: "For when you can't speak or move. Tap a time — if you don't check in, SafeSignal alerts your contacts without you doing anything.",
+        startLabel: 'Start a check-in',
+        min: 'min',
+        other: 'Other',
+        minutes: 'Minutes',
+        start: 'Start',
+        checksInAt: 'Checks in at {time}.',
+        range: 'Anything from 1 minute to {hours} hours.',
+        addNote: 'Add a note (optional)',
+        notePrompt: 'What are you doing?',
+        notePlaceholder: 'Walking home from the station',
+        noteHelp: 'Included in the alert so your contact knows where to look.',
+        graceNote: 'You get {seconds} seconds to cancel after the time is up, and you can add more time at any point. This keeps running even if you close the app.',
+        enterMinutes: 'Enter how many minutes.',
+        notANumber: 'Enter a number of minutes, like 40.',
+        wholeMinutes: 'Use whole minutes, like 40.',
+        atLeastOne: 'Use at least 1 minute.',
+        longest: 'The longest is {hours} hours.',
+        reason: 'No check-in by {time}',
+        reasonWithNote: 'No check-in by {time} — "{note}"',
+        wrongCode: 'That code is not right.',
+        serverForgot: 'The server no longer holds this check-in.',
+        alreadyAlerted: 'The server has already alerted your contacts.',
+        extendFailed: 'Could not move the deadline on the server. Your contacts may still be alerted at the original time.',
+        cancelFailed: 'Could not tell the server you are safe.',
+        endsOnArrival: 'Ends by itself when you reach {place}.',
+        arrived: 'You reached {place} at {time}, so the check-in is complete.',
+        notArrived: 'Did not reach {place} by {time}',
+        notArrivedWithNote: 'Did not reach {place} by {time} — "{note}"',
+    },
+
+    places: {
+        endsWhen: 'End when I reach',
+        nowhere: 'Nowhere, just the timer',
+        hint: 'The timer still runs. If you have not arrived by then, your contacts are alerted as usual.',
+        savePlace: 'Save where I am now',
+        name: 'Name',
+        namePlaceholder: 'Home',
+        radius: 'Counts as there within',
+        save: 'Save this place',
+        locating: 'Finding where you are…',
+        needName: 'Give the place a name.',
+        tooRough: 'Your location is only known to within {distance}, which is too rough for a place this size. Try near a window, or pick a bigger radius.',
+        remove: 'Remove',
+        manage: 'Manage saved places',
+        title: 'Places',
+        subtitle: 'Save the places you go often. A check-in can end when you reach one, and a safe zone eases off while you are there.',
+        savedLabel: 'Saved places',
+        saved: {
+            one: 'Saved place ({count})',
+            other: 'Saved places ({count})',
+        },
+        removeNamed: 'Remove {name}',
+    },
+
+    zones: {
+        whileHere: 'While I am here',
+        modeNone: 'Watch as usual',
+        modePause: 'Pause voice and movement',
+        modeRelax: 'Only react to strong signs',
+        pauseNote: 'Pausing stops voice tone and movement from counting inside the place. The hand signal and the help button still work.',
+        relaxNote: 'Only strong signs raises the bar, so a loud argument or a workout does not start a countdown, but a sustained struggle still can.',
+        nightNote: 'Leaving a safe zone between 8 pm and 6 am offers a short check-in, in case the walk from there is the risky part.',
+        pausedAt: 'At {name}: voice and movement are paused.',
+        relaxedAt: 'At {name}: only strong signs count.',
+        leftAtNight: 'You have left {name}. Start a check-in for the way?',
+        leftNote: 'Left {name}',
+        startCheckIn: 'Start {minutes} min check-in',
+        notNow: 'Not now',
+    },
+
+    inactivity: {
+        title: 'When I stop moving',
+        label: 'Ask if I am OK after no movement for',
+        off: 'Never',
+        minutes: {
+            one: '{count} minute',
+            other: '{count} minutes',
+        },
+        hint: 'Counts only while protection is on, outside safe zones, on a phone with a motion sensor. Moving, or your location changing, starts it again. A change applies the next time protection starts.',
+        question: 'Are you OK? Your phone has not moved for {minutes} min.',
+        answerBy: 'If you do not answer within a minute, the alert countdown starts.',
+        imOk: 'I am OK',
+        reason: 'No movement for {minutes} min and no answer to "Are you OK?"',
+    },
+
+    vehicle: {
+        jumped: 'You went from walking to vehicle speed very quickly. If you are in a cab or a bus, say so and it will not count as a warning sign.',
+        inCab: 'I am in a cab',
+        inCabNote: 'In a vehicle: its speed will not count as a warning sign until you have walked for a couple of minutes.',
+    },
+
+    handSignal: {
+        title: 'Hand signal',
+        label: 'Watch for',
+        help: 'Signal for Help: palm with the thumb tucked in, then fingers folded over it',
+        palm: 'An open palm held up for 2 seconds',
+        fist: 'A closed fist held for 2 seconds',
+        hint: 'A fist is the easiest to make, but carrying a bag or holding a phone can look like one. The Signal for Help is widely taught and hard to make by accident.',
+    },
+
+    sensitivity: {
+        title: 'Sensitivity',
+        subtitle: 'How readily SafeSignal starts a countdown. If it keeps going off at work, lower it rather than turning protection off.',
+        howReady: 'How readily should it react?',
+        low: 'Low',
+        lowDetail: 'For loud or physical days. Needs stronger signs, held for longer.',
+        normal: 'Normal',
+        normalDetail: 'The default balance.',
+        high: 'High',
+        highDetail: 'Reacts to weaker signs, sooner. Expect more countdowns to cancel.',
+        customInUse: 'Your own advanced settings are in use.',
+        advanced: 'Advanced',
+        riskThreshold: 'Overall risk needed',
+        concernThreshold: 'Each sensor, to count as agreeing',
+        sustain: 'Held for',
+        seconds: {
+            one: '{count} second',
+            other: '{count} seconds',
+        },
+        weights: 'How much each sensor counts',
+        weightsHint: 'Relative to each other. Only the sensors running are counted.',
+        save: 'Use these settings',
+        saved: 'Saved. They apply the next time protection starts.',
+        note: 'The help button and a missed check-in alert the same way at every setting.',
+        riskRange: 'The overall risk needed must be between {min} and {max}.',
+        concernRange: 'The level for each sensor must be between {min} and {max}.',
+        sustainRange: 'Held for must be between {min} and {max} seconds.',
+        weightRange: 'Each sensor must count between {min} and {max}.',
+        unreachable: 'With these settings, a held hand signal could never start a countdown while the microphone is on. Lower the overall risk needed, or give the hand signal more weight.',
+    },
+
+    plans: {
+        title: 'Repeat on a schedule',
+        titleCount: {
+            one: '{count} scheduled check-in',
+            other: '{count} scheduled check-ins',
+        },
+        serverNote: 'At each window a check-in starts by itself, due when the window ends. The server starts it even if this app is closed.',
+        localNote: 'At each window a check-in starts by itself, due when the window ends, but only while this app is open. A window missed with the app closed alerts nobody.',
+        on: 'On',
+        remove: 'Remove',
+        days: 'Days',
+        from: 'From',
+        until: 'Until',
+        save: 'Save plan',
+        pickDay: 'Pick at least one day.',
+        enterTimes: 'Enter a start and an end time.',
+        sameTimes: 'The start and end times must be different.',
+        tooMany: 'You can keep up to {count} plans.',
+        everyDay: 'Every day',
+        weekdays: 'Weekdays',
+        weekends: 'Weekends',
+        summary: '{days} {start}–{end}',
+        startedBy: 'Started by your plan: {plan}.',
+        registerFailed: 'Could not register this plan with the server. A window missed with the app closed will alert nobody.',
+        stopFailed: 'Could not stop this plan on the server, so it may still alert your contacts. Try again.',
+        notJoined: 'The server did not start this window, so you will need to send the alert yourself.',
+        notRegistered: 'This plan is not registered with the server, so you will need to send the alert yourself.',
+    },
+
+    remote: {
+        on: 'Your contacts will be called and texted automatically if you miss this.',
+        off: 'You will need to send the alert yourself — this device cannot send it for you.',
+        failed: 'Could not reach the server, so you will need to send the alert yourself.',
+        holding: 'The server holds your timer and will alert your contacts at {time}.',
+        cancelled: 'The server has cancelled this check-in.',
+        alertedAt: 'The server alerted your contacts at {time}.',
+        alerted: 'The server alerted your contacts.',
+        reached: 'Reached: {names}.',
+        notReached: 'Not reached: {names}.',
+        nextRound: 'Next round of calls at {time} unless someone responds.',
+        aContact: 'A contact',
+        acknowledged: '{name} acknowledged at {time}',
+        delivery: '{name}: {parts}.',
+        call: 'call {status}',
+        text: 'text {status}',
+        ringing: 'ringing',
+        sent: 'sent',
+        answered: 'answered',
+        noAnswer: 'not answered',
+        delivered: 'delivered',
+        deliveryFailed: 'failed',
+    },
+
+    emergency: {
+        noAlert: 'No alert to show',
+        noAlertDetail: 'Nothing has been prepared yet. Head back and you will find everything as you left it.',
+        cannotOpen: 'Could not open your messaging app.',
+        shared: 'Shared.',
+        cannotShare: 'Sharing is not available here.',
+        copied: 'Message copied.',
+        cannotCopy: 'Could not copy the message.',
+        triggeredBy: 'Triggered by: {reason}',
+        responding: 'Someone is responding',
+        yourLocation: 'Your location',
+        openMaps: 'Open in Google Maps',
+        notAvailable: 'Not available',
+        undetermined: 'Your location could not be determined.',
+        stillWorks: 'The message below still works — add where you are if you can.',
+        reachContacts: 'Reach your contacts',
+        noContacts: 'No contacts are saved.',
+        addOne: 'Add one now',
+        call: 'Call',
+        message: 'Message',
+        again: 'Again',
+        shareAnother: 'Share another way',
+        copy: 'Copy message',
+        whatTheyRead: 'What they will read',
+        inDanger: 'If you are in danger right now',
+        inDangerDetail: 'Contact your local emergency number directly. SafeSignal cannot call emergency services for you.',
+        prepared: 'Prepared {time}. Saved on this device only.',
+        whySent: 'Why this was sent',
+        held: 'Held',
+        notHeld: 'Not held',
+        highestRisk: 'Highest risk',
+        readingsOnly: 'Sensor readings and times only. No audio, video or images were recorded.',
+        voiceTension: 'Voice tension',
+    },
+
+    alert: {
+        statusReady: 'Ready to send',
+        statusOpened: 'Message opened — check it was sent',
+        statusShared: 'Passed to the share sheet',
+        statusCopied: 'Copied — paste it anywhere',
+        statusFailed: "Couldn't open — copy the message instead",
+        noContacts: 'No contacts saved',
+        noContactsDetail: 'Add an emergency contact so SafeSignal has someone to reach.',
+        ready: 'Your alert is ready — nothing has been sent',
+        readyDetail: 'SafeSignal cannot send this on its own. Call or message a contact below, or ask someone nearby to do it for you.',
+        someOpened: '{handled} of {total} contacts opened',
+        someOpenedDetail: 'Check each message actually sent, then reach the rest.',
+        allOpened: 'All messages opened',
+        allOpenedDetail: 'Confirm each one was sent from your messaging app.',
+    },
+
+    incident: {
+        handSignal: 'hand signal',
+        voiceTension: 'voice tension',
+        movement: 'movement',
+        manual: 'Alert raised manually.',
+        raised: 'Alert raised.',
+        signalHeld: 'distress hand signal held',
+        detected: 'Detected: {parts}.',
+        protectionOn: 'Protection turned on',
+        protectionOff: 'Protection turned off',
+        sensorOn: '{sensor} enabled',
+        sensorOff: '{sensor} disabled',
+        sustainStarted: 'Risk crossed the threshold ({risk})',
+        sustainReset: 'Risk fell back below the threshold',
+        countdownReason: 'Countdown started — {reason}',
+        countdown: 'Countdown started',
+        cancelled: 'You stopped the alert',
+        manualAlert: 'You asked for help',
+        checkInStarted: 'Check-in timer started',
+        checkInMissed: 'Check-in was missed',
+        alertRaised: 'Alert prepared',
+        zonePaused: 'Entered a safe zone — voice and movement paused',
+        zoneRelaxed: 'Entered a safe zone — only strong signs count',
+        zoneLeft: 'Left a safe zone',
+        fallDetected: 'Fall detected ({impact} g impact), then stillness',
+        fallStill: 'a fall, then no movement',
+        fallSeen: 'a fall',
+        sprintSeen: 'a sudden sprint',
+        vehicleSpeed: 'Sudden jump from walking to vehicle speed ({speed} km/h)',
+        vehicleSeen: 'a sudden jump to vehicle speed',
+        inCab: 'You said you were in a cab',
+        stillPrompted: 'No movement — asked if you were OK',
+        stillAnswered: 'You answered that you were OK',
+    },
+
+    geo: {
+        noDevice: 'This device cannot share its location.',
+        denied: 'Location permission is turned off.',
+        undetermined: 'Your location could not be determined right now.',
+        timeout: 'Finding your location took too long.',
+        unavailable: 'Your location is unavailable.',
+        unknown: 'Unknown',
+        precise: 'Precise — within about {distance}',
+        good: 'Good — within about {distance}',
+        rough: 'Rough — within about {distance}',
+        tooRough: 'Too rough to find you — could be anywhere within {distance}',
+        noGps: 'This device has no GPS, so your position was estimated from your internet connection. On a phone outdoors it is usually accurate to a few metres.',
+    },
+
+    gesture: {
+        title: 'Hand signal',
+        hintHelp: 'Show your palm with your thumb tucked in, then fold your fingers down over it.',
+        hintPalm: 'Hold up an open palm for 2 seconds.',
+        hintFist: 'Make a closed fist and hold it for 2 seconds.',
+        starting: 'Turning on the camera…',
+        loading: 'Getting ready…',
+        unavailable: 'Camera unavailable',
+        othersWork: 'The other sensors keep working without it.',
+        preview: 'Live camera preview used for hand-signal detection',
+        confirmed: 'Signal confirmed',
+        detected: 'Hand detected',
+        noHand: 'No hand in view',
+        foldNow: 'Now fold your fingers down over your thumb.',
+        shape: 'Hand shape',
+        progress: 'Signal',
+        progressOf: '{percent}% of the signal',
+        privacy: 'Video is analysed on your device and never uploaded or saved.',
+        noCamera: 'This browser cannot use the camera.',
+        denied: 'Camera permission is turned off.',
+        failed: 'The camera could not be started.',
+    },
+
+    audio: {
+        title: 'Voice',
+        learning: 'Learning how you normally sound…',
+        calibrating: 'This takes about five seconds. If you are not speaking, SafeSignal will pick up your baseline later — protection is already on.',
+        tension: 'Voice tension',
+        mfcc: 'MFCC over time',
+        pitchBaseline: 'Pitch baseline',
+        energyBaseline: 'Energy baseline',
+        centroidBaseline: 'Centroid baseline',
+        noBaseline: 'No personal baseline yet — scoring against absolute thresholds until enough speech is heard.',
+        privacy: 'Audio is analysed on your device and never uploaded or saved.',
+        steady: 'Your voice sounds steady',
+        tense: 'Your voice sounds a little tense',
+        strained: 'Your voice sounds strained',
+        noMicrophone: 'This browser cannot access the microphone.',
+        denied: 'Microphone permission was denied.',
+        notFound: 'No microphone was found on this device.',
+        failed: 'The microphone could not be started.',
+    },
+
+    time: {
+        hoursMinutes: '{hours}h {minutes}m',
+        minutesSeconds: '{minutes}m {seconds}s',
+        seconds: '{seconds}s',
+        minutesShort: '{count} min',
+        hours: {
+            one: '{count} hour',
+            other: '{count} hours',
+        },
+    },
+};
@@ -0,0 +1,541 @@
+/**
+ * Hindi. Keys and placeholders match en.js exactly; the app's name stays in
+ * Latin script so it matches what is on the home screen.
+ *
+ * A change here should be checked by a fluent reader before it ships.
+ */
+export default {
+    common: {
+        language: 'भाषा',
+        backToProtection: 'सुरक्षा पर वापस जाएँ',
+        continue: 'आगे बढ़ें',
+    },
+
+    welcome: {
+        tagline: 'मदद माँगने का एक चुपचाप तरीका।',
+        body: 'SafeSignal हाथ के इशारे, आपकी आवाज़ में तनाव और अचानक हलचल पर नज़र रखता है। जब कुछ गड़बड़ लगता है, तो यह आपके भरोसेमंद लोगों के लिए एक मैसेज तैयार करता है — और आपको उसे रोकने का मौका हमेशा देता है।',
+        deviceTitle: 'कुछ भी आपके डिवाइस से बाहर नहीं जाता',
+        deviceDetail: 'कैमरा और माइक्रोफ़ोन का विश्लेषण यहीं होता है। न रिकॉर्डिंग, न अपलोड, न अकाउंट।',
+        controlTitle: 'नियंत्रण हमेशा आपके हाथ में',
+        controlDetail: 'हर अलर्ट पहले दस सेकंड रुकता है, और एक टैप से रुक जाता है।',
+        allowTitle: 'यह उतना ही इस्तेमाल करता है जितनी आप अनुमति दें',
+        allowDetail: 'सिर्फ़ वही सेंसर चालू करें जो आप चाहते हैं। SafeSignal बताता है कि वह क्या इस्तेमाल कर रहा है।',
+        getStarted: 'शुरू करें',
+        emergencyNote: 'SafeSignal आपके लिए आपातकालीन सेवाओं से संपर्क नहीं कर सकता। आपात स्थिति में अपने स्थानीय आपातकालीन नंबर पर कॉल करें।',
+    },
+
+    permissions: {
+        title: 'SafeSignal क्या इस्तेमाल कर सकता है?',
+        subtitle: 'जिसमें आप सहज हों, उसी की अनुमति दें। हर एक वैकल्पिक है, और आप ब्राउज़र की सेटिंग में कभी भी अपना फ़ैसला बदल सकते हैं।',
+        cameraTitle: 'कैमरा',
+        cameraPurpose: 'आपके चुने हुए हाथ के इशारे को पहचानता है।',
+        cameraDetail: 'फ़्रेम का विश्लेषण आपके डिवाइस पर होता है। कुछ भी रिकॉर्ड या अपलोड नहीं होता।',
+        microphoneTitle: 'माइक्रोफ़ोन',
+        microphonePurpose: 'आपकी आवाज़ में तनाव सुनता है।',
+        microphoneDetail: 'आवाज़ का विश्लेषण आपके डिवाइस पर होता है। कुछ भी रिकॉर्ड या अपलोड नहीं होता।',
+        locationTitle: 'लोकेशन',
+        locationPurpose: 'अलर्ट में बताता है कि आप कहाँ हैं।',
+        locationDetail: 'सिर्फ़ सुरक्षा चालू होने पर पढ़ी जाती है, और सिर्फ़ आपके भेजे मैसेज में साझा होती है।',
+        motionTitle: 'मोशन सेंसर',
+        motionPurpose: 'अचानक गिरने या छीना-झपटी को भाँपता है।',
+        motionDetail: 'ज़्यादातर लैपटॉप और डेस्कटॉप में ये नहीं होते।',
+        noneAllowed: 'आप बिना किसी अनुमति के भी आगे बढ़ सकते हैं — SafeSignal फिर भी आपको ख़ुद अलर्ट भेजने देगा।',
+        someAllowed: '{count} की अनुमति है। इनमें से जो भी काम कर रहा हो, SafeSignal उसका इस्तेमाल करेगा।',
+        stateIdle: 'तय नहीं',
+        stateRequesting: 'पूछ रहे हैं…',
+        stateGranted: 'अनुमति है',
+        stateDenied: 'अनुमति नहीं',
+        stateUnsupported: 'यहाँ उपलब्ध नहीं',
+        allow: 'अनुमति दें',
+        tryAgain: 'फिर कोशिश करें',
+    },
+
+    contacts: {
+        title: 'हम किससे संपर्क करें?',
+        subtitle: 'SafeSignal इन्हीं लोगों के लिए मैसेज तैयार करेगा। किसी ऐसे को चुनें जो फ़ोन उठाए।',
+        name: 'नाम',
+        phone: 'फ़ोन नंबर',
+        sendBy: 'मैसेज किससे भेजें',
+        channelSms: 'टेक्स्ट मैसेज (SMS)',
+        channelWhatsapp: 'WhatsApp',
+        channelTelegram: 'Telegram',
+        channelEmail: 'ईमेल',
+        telegramLabel: 'Telegram चैट आईडी',
+        telegramHint: 'उन्हें पहले आपके SafeSignal बॉट से चैट शुरू करनी होगी। Telegram पर @userinfobot उन्हें उनकी चैट आईडी बताता है।',
+        telegramError: 'यह Telegram चैट आईडी जैसी नहीं लगती। यह एक नंबर होता है, @username नहीं।',
+        emailLabel: 'ईमेल पता',
+        emailError: 'यह ईमेल पता सही नहीं लगता।',
+        nameMissing: 'कृपया एक नाम जोड़ें ताकि आपको पता रहे कि यह कौन है।',
+        phoneInvalid: 'यह फ़ोन नंबर सही नहीं लगता। हो सके तो देश का कोड भी लिखें।',
+        phoneDuplicate: 'यह नंबर पहले से सहेजा हुआ है।',
+        add: 'संपर्क जोड़ें',
+        saveFailed: 'आपके संपर्क इस डिवाइस पर सहेजे नहीं जा सके। प्राइवेट ब्राउज़िंग में अक्सर स्टोरेज बंद रहता है — सामान्य विंडो में कोशिश करें।',
+        saved: {
+            one: 'सहेजा गया संपर्क ({count})',
+            other: 'सहेजे गए संपर्क ({count})',
+        },
+        savedLabel: 'सहेजे गए संपर्क',
+        textBy: '{channel} से मैसेज',
+        reach: 'संपर्क',
+        tier1: 'तुरंत',
+        tier2: 'कोई जवाब न दे तो 10 मिनट बाद',
+        tier3: 'कोई जवाब न दे तो 20 मिनट बाद',
+        alertIn: 'अलर्ट की भाषा',
+        remove: 'हटाएँ',
+        removeNamed: '{name} को हटाएँ',
+        addToContinue: 'आगे बढ़ने के लिए एक संपर्क जोड़ें',
+        reachNote: '“संपर्क” का समय सिर्फ़ तब लागू होता है जब सर्वर आपकी छूटी हुई चेक-इन का अलर्ट भेजता है। हर अगले दौर में पहले वाले संपर्कों को भी फिर से कॉल किया जाता है।',
+        channelNote: 'WhatsApp, Telegram और ईमेल का इस्तेमाल सिर्फ़ तब होता है जब सर्वर आपकी छूटी हुई चेक-इन का अलर्ट भेजता है। कॉल फिर भी फ़ोन नंबर पर जाती है, और अगर मैसेज उस तरह न जा सके तो SMS से जाता है।',
+        languageNote: 'अलर्ट हर संपर्क की अपनी भाषा में लिखा जाता है और कॉल पर पढ़कर सुनाया जाता है। आपका नोट और अलर्ट का कारण जैसे हैं वैसे ही रहते हैं।',
+        deviceNote: 'संपर्क इसी डिवाइस पर रहते हैं। SafeSignal का कोई सर्वर नहीं है और वह इन्हें अपलोड नहीं कर सकता।',
+    },
+
+    safetyCodes: {
+        set: 'सुरक्षा कोड सेट हैं',
+        add: 'दबाव वाला कोड जोड़ें (वैकल्पिक)',
+        explain: 'कोड सेट होने पर “मैं सुरक्षित हूँ” एक कोड माँगता है। आपका सुरक्षित कोड चेक-इन रद्द कर देता है। आपका दबाव वाला कोड स्क्रीन पर बिल्कुल वैसा ही दिखता है, लेकिन आपके संपर्कों को तुरंत अलर्ट भेज देता है। अगर कोई आपसे ज़बरदस्ती रद्द करवा रहा हो तो इसका इस्तेमाल करें।',
+        remoteOn: 'दबाव वाला कोड सिर्फ़ तब काम करता है जब सर्वर आपकी चेक-इन संभाल रहा हो। अगर रजिस्ट्रेशन नहीं हो पाया, तो यह सुरक्षित कोड की तरह ही रद्द करता है।',
+        remoteOff: 'इस संस्करण में कोई सर्वर नहीं है, इसलिए दबाव वाला कोड अभी किसी को अलर्ट नहीं भेज सकता। यह सुरक्षित कोड की तरह ही रद्द करता है।',
+        remove: 'कोड हटाएँ',
+        safeCode: 'सुरक्षित कोड',
+        duressCode: 'दबाव वाला कोड',
+        save: 'कोड सहेजें',
+        invalid: 'हर कोड के लिए 4 से 8 अंक इस्तेमाल करें।',
+        same: 'दोनों कोड अलग-अलग होने चाहिए।',
+        notSaved: 'कोड इस डिवाइस पर सहेजे नहीं जा सके।',
+    },
+
+    dashboard: {
+        contacts: 'संपर्क',
+        places: 'जगहें',
+        sensitivity: 'संवेदनशीलता',
+        protectionOff: 'सुरक्षा बंद',
+        dismiss: 'मैसेज हटाएँ',
+        confirming: 'कुछ भी करने से पहले कुछ सेकंड पुष्टि कर रहे हैं…',
+        fallDetected: 'शायद आप गिर गए हैं। अगर आप ठीक हैं, तो फ़ोन उठा लें।',
+        protectionOn: 'सुरक्षा चालू है',
+        turnOn: 'सुरक्षा चालू करें',
+        handSignal: 'हाथ का इशारा',
+        usesCamera: 'कैमरा इस्तेमाल करता है',
+        voiceTone: 'आवाज़ का लहजा',
+        usesMicrophone: 'माइक्रोफ़ोन इस्तेमाल करता है',
+        movement: 'हलचल',
+        usesMotion: 'मोशन सेंसर इस्तेमाल करता है',
+        motionActive: 'चालू',
+        motionWaiting: 'शुरू हो रहा है…',
+        motionNoHardware: 'इस डिवाइस में मोशन सेंसर नहीं है',
+        motionStalled: 'सेंसर ने जवाब देना बंद कर दिया',
+        motionDenied: 'अनुमति नहीं दी गई',
+        motionUnsupported: 'इस ब्राउज़र में उपलब्ध नहीं',
+        noSensors: 'अभी कोई सेंसर नहीं चल रहा। ऊपर से कोई एक चालू करें ताकि SafeSignal के पास देखने को कुछ हो।',
+        watching: {
+            one: 'इस डिवाइस पर उपलब्ध {count} में से {active} सेंसर से नज़र रख रहे हैं।',
+            other: 'इस डिवाइस पर उपलब्ध {count} में से {active} सेंसरों से नज़र रख रहे हैं।',
+        },
+        getHelp: 'अभी मदद लें',
+        manualHint: {
+            one: 'आपके {count} संपर्क के लिए मैसेज तैयार करता है। इसे रोकने के लिए आपके पास {seconds} सेकंड होंगे।',
+            other: 'आपके {count} संपर्कों के लिए मैसेज तैयार करता है। इसे रोकने के लिए आपके पास {seconds} सेकंड होंगे।',
+        },
+        addContactFirst: 'पहले एक संपर्क जोड़ें ताकि कोई हो जिससे संपर्क किया जा सके।',
+        onDevice: 'सब कुछ इसी डिवाइस पर विश्लेषित होता है। कोई वीडियो या आवाज़ अपलोड या सेव नहीं होती।',
+        keepOpen: 'यह स्क्रीन खुली रखें — फ़ोन सो जाए तो पहचान रुक जाती है।',
+        keepAwake: 'यह स्क्रीन खुली और जागी रखें — पहचान सिर्फ़ तभी चलती है जब यह दिख रही हो।',
+        locationProblem: 'लोकेशन: {error} अलर्ट इसके बिना भी तैयार होगा।',
+        showTechnical: 'तकनीकी जानकारी दिखाएँ',
+        hideTechnical: 'तकनीकी जानकारी छिपाएँ',
+        riskBreakdown: 'जोखिम का ब्यौरा',
+        noSensorsActive: 'कोई सेंसर चालू नहीं।',
+        sensor: 'सेंसर',
+        reading: 'रीडिंग',
+        weight: 'भार',
+        adds: 'जोड़ता है',
+        total: 'कुल',
+        threshold: 'सीमा {value}',
+        cadence: {
+            one: 'क़दमों की लय: {count} क़दम प्रति मिनट',
+            other: 'क़दमों की लय: {count} क़दम प्रति मिनट',
+        },
+        weightsNote: 'भार सिर्फ़ उन सेंसरों में बाँटा जाता है जो सच में चल रहे हैं, ताकि आधा-अधूरा सेटअप भी सीमा तक पहुँच सके।',
+        audioError: 'आवाज़: {error}',
+        alertStopped: 'अलर्ट रोक दिया गया। आप अब भी सुरक्षित हैं।',
+        manualAlert: 'ख़ुद भेजा गया अलर्ट',
+        countdownTitle: 'मदद तैयार हो रही है',
+        youAsked: 'आपने मदद माँगी।',
+        countdownSub: {
+            one: 'आपका अलर्ट {count} सेकंड में तैयार होगा।',
+            other: 'आपका अलर्ट {count} सेकंड में तैयार होगा।',
+        },
+        stop: 'मैं ठीक हूँ — रोकें',
+        nothingSent: 'अभी तक कुछ नहीं भेजा गया है।',
+        riskLevel: 'जोखिम स्तर {percent} प्रतिशत',
+        risk: 'जोखिम',
+        off: 'बंद',
+    },
+
+    risk: {
+        safe: 'सब ठीक है',
+        elevated: 'ज़्यादा ध्यान से देख रहे हैं',
+        critical: 'आपका हाल पूछ रहे हैं',
+        off: 'सुरक्षा बंद है। जब आप चाहें कि SafeSignal नज़र रखे, तब इसे चालू करें।',
+        safeDetail: 'सब सामान्य दिख रहा है। SafeSignal चुपचाप नज़र रख रहा है।',
+        elevatedDetail: 'कुछ थोड़ा बदला है। अभी कोई अलर्ट नहीं — बस ध्यान दे रहे हैं।',
+        criticalDetail: 'यह आपात स्थिति जैसा लग रहा है। आप इसे कभी भी रोक सकते हैं।',
+        watching: 'SafeSignal नज़र रख रहा है।',
+        heldSignal: 'आपने संकट वाला हाथ का इशारा बनाए रखा',
+        fallStill: 'गिरना, फिर कोई हलचल नहीं',
+        severalSigns: 'एक साथ संकट के कई संकेत',
+    },
+
+    checkIn: {
+        checking: 'चेक-इन चल रहा है',
+        areYouOkay: 'क्या आप ठीक हैं?',
+        missed: 'चेक-इन छूट गया',
+        countingSub: 'अगर आपने तब तक चेक-इन नहीं किया, तो SafeSignal आपका अलर्ट तैयार करेगा।',
+        graceSub: 'आपका समय पूरा हो गया। नीचे टैप करें तो कुछ नहीं होगा।',
+        firedSub: 'आपने चेक-इन नहीं किया, इसलिए आपका अलर्ट तैयार किया गया।',
+        registering: 'सर्वर के साथ रजिस्टर हो रहा है…',
+        yourCode: 'आपका कोड',
+        confirm: 'पुष्टि करें',
+        safe: 'मैं सुरक्षित हूँ',
+        addTime: '+{minutes} मिनट',
+        title: 'चेक-इन टाइमर',
+        intro: 'उस समय के लिए जब आप बोल या हिल न सकें। एक समय चुनें — अगर आपने चेक-इन नहीं किया, तो SafeSignal बिना आपके कुछ किए आपके संपर्कों को अलर्ट भेज देगा।',
+        startLabel: 'चेक-इन शुरू करें',
+        min: 'मिनट',
+        other: 'अन्य',
+        minutes: 'मिनट',
+        start: 'शुरू करें',
+        checksInAt: '{time} पर चेक-इन।',
+        range: '1 मिनट से {hours} घंटे तक कुछ भी।',
+        addNote: 'नोट जोड़ें (वैकल्पिक)',
+        notePrompt: 'आप क्या कर रहे हैं?',
+        notePlaceholder: 'स्टेशन से पैदल घर',
+        noteHelp: 'अलर्ट में शामिल होता है ताकि आपके संपर्क को पता रहे कि कहाँ ढूँढना है।',
+        graceNote: 'समय पूरा होने के बाद रद्द करने के लिए आपके पास {seconds} सेकंड होंगे, और आप कभी भी और समय जोड़ सकते हैं। ऐप बंद करने पर भी यह चलता रहता है।',
+        enterMinutes: 'कितने मिनट, यह लिखें।',
+        notANumber: 'मिनटों की संख्या लिखें, जैसे 40।',
+        wholeMinutes: 'पूरे मिनट लिखें, जैसे 40।',
+        atLeastOne: 'कम से कम 1 मिनट रखें।',
+        longest: 'ज़्यादा से ज़्यादा {hours} घंटे।',
+        reason: '{time} तक चेक-इन नहीं हुआ',
+        reasonWithNote: '{time} तक चेक-इन नहीं हुआ — "{note}"',
+        wrongCode: 'यह कोड सही नहीं है।',
+        serverForgot: 'सर्वर के पास अब यह चेक-इन नहीं है।',
+        alreadyAlerted: 'सर्वर आपके संपर्कों को पहले ही अलर्ट भेज चुका है।',
+        extendFailed: 'सर्वर पर समय-सीमा आगे नहीं बढ़ाई जा सकी। हो सकता है आपके संपर्कों को पुराने समय पर ही अलर्ट मिले।',
+        cancelFailed: 'सर्वर को यह नहीं बताया जा सका कि आप सुरक्षित हैं।',
+        endsOnArrival: '{place} पहुँचते ही यह अपने-आप पूरा हो जाएगा।',
+        arrived: 'आप {time} पर {place} पहुँच गए, इसलिए चेक-इन पूरा हो गया।',
+        notArrived: '{time} तक {place} नहीं पहुँचे',
+        notArrivedWithNote: '{time} तक {place} नहीं पहुँचे — "{note}"',
+    },
+
+    places: {
+        endsWhen: 'यहाँ पहुँचने पर ख़त्म करें',
+        nowhere: 'कहीं नहीं, सिर्फ़ टाइमर',
+        hint: 'टाइमर फिर भी चलता रहेगा। अगर तब तक आप नहीं पहुँचे, तो हमेशा की तरह आपके संपर्कों को अलर्ट जाएगा।',
+        savePlace: 'अभी जहाँ हूँ, उसे सहेजें',
+        name: 'नाम',
+        namePlaceholder: 'घर',
+        radius: 'इतनी दूरी के अंदर पहुँचा माना जाए',
+        save: 'यह जगह सहेजें',
+        locating: 'आपकी जगह ढूँढ रहे हैं…',
+        needName: 'जगह को एक नाम दें।',
+        tooRough: 'आपकी जगह सिर्फ़ {distance} के अंदर तक पता है, जो इतनी छोटी जगह के लिए काफ़ी नहीं। खिड़की के पास कोशिश करें, या बड़ी दूरी चुनें।',
+        remove: 'हटाएँ',
+        manage: 'सहेजी गई जगहें बदलें',
+        title: 'जगहें',
+        subtitle: 'जहाँ आप अक्सर जाते हैं, वे जगहें सहेजें। किसी जगह पहुँचने पर चेक-इन ख़त्म हो सकता है, और सुरक्षित क्षेत्र में रहते हुए निगरानी ढीली रहती है।',
+        savedLabel: 'सहेजी गई जगहें',
+        saved: {
+            one: 'सहेजी गई जगह ({count})',
+            other: 'सहेजी गई जगहें ({count})',
+        },
+        removeNamed: '{name} को हटाएँ',
+    },
+
+    zones: {
+        whileHere: 'जब मैं यहाँ हूँ',
+        modeNone: 'हमेशा की तरह निगरानी',
+        modePause: 'आवाज़ और हलचल रोकें',
+        modeRelax: 'सिर्फ़ गंभीर संकेतों पर ध्यान दें',
+        pauseNote: 'रोकने पर उस जगह के अंदर आवाज़ का लहजा और हलचल नहीं गिने जाते। हाथ का संकेत और मदद का बटन फिर भी काम करते हैं।',
+        relaxNote: 'सिर्फ़ गंभीर संकेत चुनने पर सीमा ऊँची हो जाती है, ताकि ज़ोरदार बहस या कसरत से उलटी गिनती शुरू न हो, पर लगातार हाथापाई पर फिर भी हो सकती है।',
+        nightNote: 'रात 8 बजे से सुबह 6 बजे के बीच सुरक्षित क्षेत्र छोड़ने पर एक छोटा चेक-इन सुझाया जाता है, क्योंकि वहाँ से आगे का रास्ता ही जोखिम भरा हो सकता है।',
+        pausedAt: '{name} में: आवाज़ और हलचल रुकी हुई हैं।',
+        relaxedAt: '{name} में: सिर्फ़ गंभीर संकेत गिने जा रहे हैं।',
+        leftAtNight: 'आप {name} से निकल गए हैं। रास्ते के लिए चेक-इन शुरू करें?',
+        leftNote: '{name} से निकले',
+        startCheckIn: '{minutes} मिनट का चेक-इन शुरू करें',
+        notNow: 'अभी नहीं',
+    },
+
+    inactivity: {
+        title: 'जब मैं हिलना बंद कर दूँ',
+        label: 'इतनी देर कोई हलचल न होने पर पूछें कि मैं ठीक हूँ या नहीं',
+        off: 'कभी नहीं',
+        minutes: {
+            one: '{count} मिनट',
+            other: '{count} मिनट',
+        },
+        hint: 'यह सिर्फ़ तब गिना जाता है जब सुरक्षा चालू हो, आप सुरक्षित क्षेत्र से बाहर हों, और फ़ोन में मोशन सेंसर हो। हिलने पर, या आपकी जगह बदलने पर, यह फिर से शुरू होता है। बदलाव अगली बार सुरक्षा शुरू होने पर लागू होता है।',
+        question: 'क्या आप ठीक हैं? आपका फ़ोन {minutes} मिनट से नहीं हिला है।',
+        answerBy: 'अगर आप एक मिनट में जवाब नहीं देते, तो अलर्ट की उलटी गिनती शुरू हो जाएगी।',
+        imOk: 'मैं ठीक हूँ',
+        reason: '{minutes} मिनट से कोई हलचल नहीं और "क्या आप ठीक हैं?" का कोई जवाब नहीं',
+    },
+
+    vehicle: {
+        jumped: 'आप पैदल चलने से बहुत जल्दी गाड़ी की रफ़्तार पर आ गए। अगर आप कैब या बस में हैं, तो बता दें, फिर इसे ख़तरे का संकेत नहीं माना जाएगा।',
+        inCab: 'मैं कैब में हूँ',
+        inCabNote: 'गाड़ी में: जब तक आप कुछ मिनट पैदल नहीं चलते, इसकी रफ़्तार को ख़तरे का संकेत नहीं माना जाएगा।',
+    },
+
+    handSignal: {
+        title: 'हाथ का इशारा',
+        label: 'किस इशारे पर ध्यान दें',
+        help: 'मदद का संकेत: अंगूठा अंदर रखकर हथेली, फिर उंगलियाँ उसके ऊपर मोड़ना',
+        palm: '2 सेकंड तक ऊपर उठी खुली हथेली',
+        fist: '2 सेकंड तक बंद मुट्ठी',
+        hint: 'मुट्ठी बनाना सबसे आसान है, पर बैग उठाना या फ़ोन पकड़ना भी मुट्ठी जैसा दिख सकता है। मदद का संकेत बहुत लोगों को सिखाया जाता है और ग़लती से बनना मुश्किल है।',
+    },
+
+    sensitivity: {
+        title: 'संवेदनशीलता',
+        subtitle: 'SafeSignal कितनी जल्दी उलटी गिनती शुरू करे। अगर काम पर यह बार-बार बजता है, तो सुरक्षा बंद करने के बजाय इसे कम करें।',
+        howReady: 'यह कितनी जल्दी प्रतिक्रिया दे?',
+        low: 'कम',
+        lowDetail: 'शोर-भरे या मेहनत वाले दिनों के लिए। ज़्यादा मज़बूत संकेत, ज़्यादा देर तक चाहिए।',
+        normal: 'सामान्य',
+        normalDetail: 'डिफ़ॉल्ट संतुलन।',
+        high: 'ज़्यादा',
+        highDetail: 'कमज़ोर संकेतों पर, जल्दी प्रतिक्रिया देता है। ज़्यादा उलटी गिनतियाँ रोकनी पड़ सकती हैं।',
+        customInUse: 'आपकी अपनी उन्नत सेटिंग लागू हैं।',
+        advanced: 'उन्नत',
+        riskThreshold: 'कुल जोखिम कितना हो',
+        concernThreshold: 'सहमति मानने के लिए हर सेंसर का स्तर',
+        sustain: 'कितनी देर बना रहे',
+        seconds: {
+            one: '{count} सेकंड',
+            other: '{count} सेकंड',
+        },
+        weights: 'हर सेंसर का कितना महत्व हो',
+        weightsHint: 'एक-दूसरे की तुलना में। सिर्फ़ चल रहे सेंसर गिने जाते हैं।',
+        save: 'ये सेटिंग लागू करें',
+        saved: 'सहेजा गया। अगली बार सुरक्षा शुरू होने पर लागू होंगी।',
+        note: 'मदद का बटन और छूटा हुआ चेक-इन हर सेटिंग पर एक जैसे अलर्ट भेजते हैं।',
+        riskRange: 'कुल जोखिम {min} और {max} के बीच होना चाहिए।',
+        concernRange: 'हर सेंसर का स्तर {min} और {max} के बीच होना चाहिए।',
+        sustainRange: 'बने रहने का समय {min} और {max} सेकंड के बीच होना चाहिए।',
+        weightRange: 'हर सेंसर का महत्व {min} और {max} के बीच होना चाहिए।',
+        unreachable: 'इन सेटिंग के साथ, माइक्रोफ़ोन चालू रहने पर हाथ का संकेत कभी उलटी गिनती शुरू नहीं कर पाएगा। कुल जोखिम कम करें, या हाथ के संकेत को ज़्यादा महत्व दें।',
+    },
+
+    plans: {
+        title: 'तय समय पर दोहराएँ',
+        titleCount: {
+            one: '{count} तय चेक-इन',
+            other: '{count} तय चेक-इन',
+        },
+        serverNote: 'हर तय समय पर चेक-इन अपने-आप शुरू होता है, और समय ख़त्म होने पर पूरा होना चाहिए। ऐप बंद हो तब भी सर्वर इसे शुरू करता है।',
+        localNote: 'हर तय समय पर चेक-इन अपने-आप शुरू होता है, और समय ख़त्म होने पर पूरा होना चाहिए, पर सिर्फ़ तब जब यह ऐप खुला हो। ऐप बंद रहते छूटे समय पर किसी को अलर्ट नहीं जाता।',
+        on: 'चालू',
+        remove: 'हटाएँ',
+        days: 'दिन',
+        from: 'से',
+        until: 'तक',
+        save: 'योजना सहेजें',
+        pickDay: 'कम से कम एक दिन चुनें।',
+        enterTimes: 'शुरू और ख़त्म होने का समय डालें।',
+        sameTimes: 'शुरू और ख़त्म होने का समय अलग होना चाहिए।',
+        tooMany: 'आप ज़्यादा से ज़्यादा {count} योजनाएँ रख सकते हैं।',
+        everyDay: 'हर दिन',
+        weekdays: 'सोम–शुक्र',
+        weekends: 'शनि–रवि',
+        summary: '{days} {start}–{end}',
+        startedBy: 'आपकी योजना से शुरू हुआ: {plan}।',
+        registerFailed: 'यह योजना सर्वर पर दर्ज नहीं हो सकी। ऐप बंद रहते छूटे समय पर किसी को अलर्ट नहीं जाएगा।',
+        stopFailed: 'यह योजना सर्वर पर रोकी नहीं जा सकी, इसलिए आपके संपर्कों को अब भी अलर्ट जा सकता है। फिर से कोशिश करें।',
+        notJoined: 'सर्वर ने यह चेक-इन शुरू नहीं किया, इसलिए अलर्ट आपको ख़ुद भेजना होगा।',
+        notRegistered: 'यह योजना सर्वर पर दर्ज नहीं है, इसलिए अलर्ट आपको ख़ुद भेजना होगा।',
+    },
+
+    remote: {
+        on: 'अगर यह छूट गया तो आपके संपर्कों को अपने-आप कॉल और मैसेज किया जाएगा।',
+        off: 'आपको अलर्ट ख़ुद भेजना होगा — यह डिवाइस आपके लिए इसे नहीं भेज सकता।',
+        failed: 'सर्वर से संपर्क नहीं हो सका, इसलिए आपको अलर्ट ख़ुद भेजना होगा।',
+        holding: 'सर्वर आपका टाइमर संभाल रहा है और {time} पर आपके संपर्कों को अलर्ट भेजेगा।',
+        cancelled: 'सर्वर ने यह चेक-इन रद्द कर दिया है।',
+        alertedAt: 'सर्वर ने {time} पर आपके संपर्कों को अलर्ट भेजा।',
+        alerted: 'सर्वर ने आपके संपर्कों को अलर्ट भेजा।',
+        reached: 'संपर्क हुआ: {names}।',
+        notReached: 'संपर्क नहीं हुआ: {names}।',
+        nextRound: 'अगर कोई जवाब नहीं देता, तो कॉल का अगला दौर {time} पर।',
+        aContact: 'एक संपर्क',
+        acknowledged: '{name} ने {time} पर जवाब दिया',
+        delivery: '{name}: {parts}।',
+        call: 'कॉल {status}',
+        text: 'मैसेज {status}',
+        ringing: 'बज रही है',
+        sent: 'भेजा गया',
+        answered: 'उठाई गई',
+        noAnswer: 'नहीं उठाई गई',
+        delivered: 'पहुँच गया',
+        deliveryFailed: 'विफल',
+    },
+
+    emergency: {
+        noAlert: 'दिखाने के लिए कोई अलर्ट नहीं',
+        noAlertDetail: 'अभी तक कुछ तैयार नहीं हुआ है। वापस जाएँ, सब कुछ वैसा ही मिलेगा जैसा आपने छोड़ा था।',
+        cannotOpen: 'आपका मैसेजिंग ऐप नहीं खुल सका।',
+        shared: 'साझा किया गया।',
+        cannotShare: 'यहाँ साझा करना उपलब्ध नहीं है।',
+        copied: 'मैसेज कॉपी हो गया।',
+        cannotCopy: 'मैसेज कॉपी नहीं हो सका।',
+        triggeredBy: 'कारण: {reason}',
+        responding: 'कोई जवाब दे रहा है',
+        yourLocation: 'आपकी लोकेशन',
+        openMaps: 'Google Maps में खोलें',
+        notAvailable: 'उपलब्ध नहीं',
+        undetermined: 'आपकी लोकेशन का पता नहीं चल सका।',
+        stillWorks: 'नीचे वाला मैसेज फिर भी काम करता है — हो सके तो लिख दें कि आप कहाँ हैं।',
+        reachContacts: 'अपने संपर्कों तक पहुँचें',
+        noContacts: 'कोई संपर्क सहेजा नहीं गया है।',
+        addOne: 'अभी एक जोड़ें',
+        call: 'कॉल करें',
+        message: 'मैसेज करें',
+        again: 'फिर से',
+        shareAnother: 'किसी और तरह साझा करें',
+        copy: 'मैसेज कॉपी करें',
+        whatTheyRead: 'वे क्या पढ़ेंगे',
+        inDanger: 'अगर आप अभी ख़तरे में हैं',
+        inDangerDetail: 'सीधे अपने स्थानीय आपातकालीन नंबर पर संपर्क करें। SafeSignal आपके लिए आपातकालीन सेवाओं को कॉल नहीं कर सकता।',
+        prepared: '{time} पर तैयार किया गया। सिर्फ़ इसी डिवाइस पर सहेजा गया।',
+        whySent: 'यह क्यों भेजा गया',
+        held: 'बनाए रखा',
+        notHeld: 'नहीं बनाए रखा',
+        highestRisk: 'सबसे ज़्यादा जोखिम',
+        readingsOnly: 'सिर्फ़ सेंसर रीडिंग और समय। कोई आवाज़, वीडियो या तस्वीर रिकॉर्ड नहीं की गई।',
+        voiceTension: 'आवाज़ में तनाव',
+    },
+
+    alert: {
+        statusReady: 'भेजने के लिए तैयार',
+        statusOpened: 'मैसेज खुला — देख लें कि भेजा गया',
+        statusShared: 'शेयर शीट को दिया गया',
+        statusCopied: 'कॉपी हुआ — कहीं भी पेस्ट करें',
+        statusFailed: 'नहीं खुला — इसके बजाय मैसेज कॉपी करें',
+        noContacts: 'कोई संपर्क सहेजा नहीं गया',
+        noContactsDetail: 'एक आपातकालीन संपर्क जोड़ें ताकि SafeSignal के पास कोई हो जिससे संपर्क किया जा सके।',
+        ready: 'आपका अलर्ट तैयार है — अभी कुछ नहीं भेजा गया',
+        readyDetail: 'SafeSignal इसे ख़ुद नहीं भेज सकता। नीचे किसी संपर्क को कॉल या मैसेज करें, या पास के किसी व्यक्ति से ऐसा करने को कहें।',
+        someOpened: '{total} में से {handled} संपर्कों के मैसेज खुले',
+        someOpenedDetail: 'देख लें कि हर मैसेज सच में गया, फिर बाक़ी लोगों तक पहुँचें।',
+        allOpened: 'सभी मैसेज खुल गए',
+        allOpenedDetail: 'अपने मैसेजिंग ऐप में देख लें कि हर एक भेजा गया।',
+    },
+
+    incident: {
+        handSignal: 'हाथ का इशारा',
+        voiceTension: 'आवाज़ में तनाव',
+        movement: 'हलचल',
+        manual: 'अलर्ट ख़ुद भेजा गया।',
+        raised: 'अलर्ट भेजा गया।',
+        signalHeld: 'संकट वाला हाथ का इशारा बनाए रखा',
+        detected: 'पहचाना गया: {parts}।',
+        protectionOn: 'सुरक्षा चालू की गई',
+        protectionOff: 'सुरक्षा बंद की गई',
+        sensorOn: '{sensor} चालू',
+        sensorOff: '{sensor} बंद',
+        sustainStarted: 'जोखिम सीमा से ऊपर गया ({risk})',
+        sustainReset: 'जोखिम फिर सीमा से नीचे आया',
+        countdownReason: 'उलटी गिनती शुरू — {reason}',
+        countdown: 'उलटी गिनती शुरू',
+        cancelled: 'आपने अलर्ट रोक दिया',
+        manualAlert: 'आपने मदद माँगी',
+        checkInStarted: 'चेक-इन टाइमर शुरू हुआ',
+        checkInMissed: 'चेक-इन छूट गया',
+        alertRaised: 'अलर्ट तैयार किया गया',
+        zonePaused: 'सुरक्षित क्षेत्र में पहुँचे — आवाज़ और हलचल रोकी गई',
+        zoneRelaxed: 'सुरक्षित क्षेत्र में पहुँचे — सिर्फ़ गंभीर संकेत गिने जा रहे हैं',
+        zoneLeft: 'सुरक्षित क्षेत्र से निकले',
+        fallDetected: 'गिरने का पता चला ({impact} g का झटका), फिर स्थिरता',
+        fallStill: 'गिरना, फिर कोई हलचल नहीं',
+        fallSeen: 'गिरना',
+        sprintSeen: 'अचानक दौड़ना',
+        vehicleSpeed: 'पैदल चलने से अचानक गाड़ी की रफ़्तार ({speed} किमी/घंटा)',
+        vehicleSeen: 'अचानक गाड़ी की रफ़्तार',
+        inCab: 'आपने बताया कि आप कैब में हैं',
+        stillPrompted: 'कोई हलचल नहीं — पूछा गया कि आप ठीक हैं या नहीं',
+        stillAnswered: 'आपने जवाब दिया कि आप ठीक हैं',
+    },
+
+    geo: {
+        noDevice: 'यह डिवाइस अपनी लोकेशन साझा नहीं कर सकता।',
+        denied: 'लोकेशन की अनुमति बंद है।',
+        undetermined: 'अभी आपकी लोकेशन का पता नहीं चल सका।',
+        timeout: 'आपकी लोकेशन ढूँढने में बहुत देर लगी।',
+        unavailable: 'आपकी लोकेशन उपलब्ध नहीं है।',
+        unknown: 'अज्ञात',
+        precise: 'सटीक — लगभग {distance} के भीतर',
+        good: 'अच्छा — लगभग {distance} के भीतर',
+        rough: 'मोटा अनुमान — लगभग {distance} के भीतर',
+        tooRough: 'आपको ढूँढने के लिए बहुत मोटा अनुमान — {distance} के दायरे में कहीं भी हो सकते हैं',
+        noGps: 'इस डिवाइस में GPS नहीं है, इसलिए आपकी जगह का अनुमान इंटरनेट कनेक्शन से लगाया गया। बाहर फ़ोन पर यह आमतौर पर कुछ मीटर तक सटीक होता है।',
+    },
+
+    gesture: {
+        title: 'हाथ का इशारा',
+        hintHelp: 'कैमरे को हथेली दिखाएँ, अंगूठा अंदर मोड़ें, फिर उंगलियाँ उसके ऊपर मोड़ लें।',
+        hintPalm: 'खुली हथेली 2 सेकंड तक ऊपर उठाए रखें।',
+        hintFist: 'मुट्ठी बंद करें और 2 सेकंड तक बनाए रखें।',
+        starting: 'कैमरा चालू हो रहा है…',
+        loading: 'तैयार हो रहा है…',
+        unavailable: 'कैमरा उपलब्ध नहीं',
+        othersWork: 'बाक़ी सेंसर इसके बिना भी काम करते रहते हैं।',
+        preview: 'हाथ का इशारा पहचानने के लिए कैमरे का लाइव पूर्वावलोकन',
+        confirmed: 'इशारे की पुष्टि हुई',
+        detected: 'हाथ दिखा',
+        noHand: 'कोई हाथ नहीं दिख रहा',
+        foldNow: 'अब उंगलियाँ अंगूठे के ऊपर मोड़ लें।',
+        shape: 'हाथ का आकार',
+        progress: 'इशारा',
+        progressOf: 'इशारा {percent}% पूरा',
+        privacy: 'वीडियो का विश्लेषण आपके डिवाइस पर होता है और वह कभी अपलोड या सेव नहीं होता।',
+        noCamera: 'यह ब्राउज़र कैमरा इस्तेमाल नहीं कर सकता।',
+        denied: 'कैमरे की अनुमति बंद है।',
+        failed: 'कैमरा शुरू नहीं हो सका।',
+    },
+
+    audio: {
+        title: 'आवाज़',
+        learning: 'सीख रहे हैं कि आप आमतौर पर कैसे बोलते हैं…',
+        calibrating: 'इसमें लगभग पाँच सेकंड लगते हैं। अगर आप नहीं बोल रहे हैं, तो SafeSignal आपकी सामान्य आवाज़ बाद में सीख लेगा — सुरक्षा पहले से चालू है।',
+        tension: 'आवाज़ में तनाव',
+        mfcc: 'समय के साथ MFCC',
+        pitchBaseline: 'सामान्य पिच',
+        energyBaseline: 'सामान्य ऊर्जा',
+        centroidBaseline: 'सामान्य सेंट्रॉइड',
+        noBaseline: 'अभी कोई निजी आधार-रेखा नहीं — पर्याप्त बोली सुनने तक तय सीमाओं से आँका जा रहा है।',
+        privacy: 'आवाज़ का विश्लेषण आपके डिवाइस पर होता है और वह कभी अपलोड या सेव नहीं होती।',
+        steady: 'आपकी आवाज़ स्थिर लग रही है',
+        tense: 'आपकी आवाज़ थोड़ी तनाव भरी लग रही है',
+        strained: 'आपकी आवाज़ में खिंचाव लग रहा है',
+        noMicrophone: 'यह ब्राउज़र माइक्रोफ़ोन इस्तेमाल नहीं कर सकता।',
+        denied: 'माइक्रोफ़ोन की अनुमति नहीं दी गई।',
+        notFound: 'इस डिवाइस पर कोई माइक्रोफ़ोन नहीं मिला।',
+        failed: 'माइक्रोफ़ोन शुरू नहीं हो सका।',
+    },
+
+    time: {
+        hoursMinutes: '{hours} घं {minutes} मि',
+        minutesSeconds: '{minutes} मि {seconds} से',
+        seconds: '{seconds} से',
+        minutesShort: '{count} मिनट',
+        hours: {
+            one: '{count} घंटा',
+            other: '{count} घंटे',
+        },
+    },
+};
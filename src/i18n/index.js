@@ -0,0 +1,171 @@
+/**
+ * The app's words, in the user's language.
+ *
+ * Someone reaching for this app may be frightened, and nobody should have to
+ * read a second language at that moment. So every string on screen comes from
+ * a catalogue here, and so do dates, times and durations, which follow the
+ * language too.
+ *
+ * The language is the one the user picked, else the first of the browser's
+ * preferred languages we have, else English. It is held here rather than in
+ * React state because plain helpers (getRiskLabel, describeStatus and the
+ * rest) need it too; components re-render on a change through useLocale.
+ *
+ * A key missing from a catalogue falls back to English, so a half-finished
+ * translation shows some English rather than a blank or a key name.
+ */
+
+import en from './en.js';
+import hi from './hi.js';
+import ta from './ta.js';
+import { loadLocale, saveLocale } from '../utils/storage.js';
+
+const CATALOGUES = { en, hi, ta };
+
+/** Languages the app can be shown in. */
+export const LOCALES = Object.keys(CATALOGUES);
+
+/** Each in its own script, so the picker makes sense to whoever needs it. */
+export const LOCALE_NAMES = {
+    en: 'English',
+    hi: 'हिन्दी',
+    ta: 'தமிழ்',
+};
+
+/** For dates and numbers when the browser gives no regional variant of the language. */
+const FORMAT_DEFAULTS = {
+    en: 'en',
+    hi: 'hi-IN',
+    ta: 'ta-IN',
+};
+
+/**
+ * The first of the browser's languages we have a catalogue for.
+ *
+ * @param {readonly string[]} [languages]
+ * @returns {string}
+ */
+export const detectLocale = (languages = typeof navigator === 'undefined' ? [] : navigator.languages ?? [navigator.language]) => {
+    for (const tag of languages ?? []) {
+        const primary = String(tag ?? '').toLowerCase().split('-')[0];
+        if (LOCALES.includes(primary)) return primary;
+    }
+    return 'en';
+};
+
+/**
+ * @returns {string}
+ */
+const initialLocale = () => {
+    const stored = loadLocale();
+    return LOCALES.includes(stored) ? stored : detectLocale();
+};
+
+let current = initialLocale();
+const listeners = new Set();
+
+/**
+ * @param {string} locale
+ */
+const applyToDocument = (locale) => {
+    if (typeof document !== 'undefined') document.documentElement.lang = locale;
+};
+
+applyToDocument(current);
+
+/** @returns {string} */
+export const getLocale = () => current;
+
+/**
+ * Switch language, remember the choice, and tell subscribers.
+ *
+ * @param {string} locale
+ * @returns {boolean} whether it was a language we have
+ */
+export const setLocale = (locale) => {
+    if (!LOCALES.includes(locale)) return false;
+    saveLocale(locale);
+    if (locale === current) return true;
+    current = locale;
+    applyToDocument(locale);
+    for (const listener of listeners) listener();
+    return true;
+};
+
+/**
+ * @param {() => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeLocale = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * The tag Intl formats with: the browser's own variant of the language when
+ * it has one (en-GB rather than en), so times look the way the user expects.
+ *
+ * @returns {string}
+ */
+export const formattingLocale = () => {
+    const languages = typeof navigator === 'undefined' ? [] : navigator.languages ?? [navigator.language];
+    const match = (languages ?? []).find((tag) => String(tag ?? '').toLowerCase().split('-')[0] === current);
+    return match ?? FORMAT_DEFAULTS[current];
+};
+
+/**
+ * @param {Object} catalogue
+ * @param {string} key - dotted path, e.g. "dashboard.getHelp"
+ * @returns {*}
+ */
+const lookUp = (catalogue, key) =>
+    key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue);
+
+/**
+ * @param {string} template
+ * @param {Object} params
+ * @returns {string}
+ */
+const fill = (template, params) =>
+    template.replace(/\{(\w+)\}/g, (whole, name) => (name in params ? String(params[name]) : whole));
+
+/**
+ * The string for a key in the current language.
+ *
+ * @param {string} key
+ * @param {Object} [params] - values for `{name}` placeholders; `count` also
+ *   chooses between plural forms
+ * @returns {string}
+ */
+export const t = (key, params = {}) => {
+    let entry = lookUp(CATALOGUES[current], key) ?? lookUp(en, key);
+
+    if (entry && typeof entry === 'object') {
+        const form = new Intl.PluralRules(formattingLocale()).select(Number(params.count) || 0);
+        entry = entry[form] ?? entry.other;
+    }
+
+    return typeof entry === 'string' ? fill(entry, params) : key;
+};
+
+/**
+ * A clock time in the current language, e.g. "02:14".
+ *
+ * @param {number} timestamp
+ * @param {{ seconds?: boolean }} [options]
+ * @returns {string}
+ */
+export const formatClock = (timestamp, { seconds = false } = {}) =>
+    new Date(timestamp).toLocaleTimeString(formattingLocale(), {
+        hour: '2-digit',
+        minute: '2-digit',
+        ...(seconds ? { second: '2-digit' } : {}),
+    });
+
+/**
+ * A full date and time in the current language.
+ *
+ * @param {number|string} timestamp
+ * @returns {string}
+ */
+export const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString(formattingLocale());
@@ -0,0 +1,541 @@
+/**
+ * Tamil. Keys and placeholders match en.js exactly; the app's name stays in
+ * Latin script so it matches what is on the home screen.
+ *
+ * A change here should be checked by a fluent reader before it ships.
+ */
+export default {
+    common: {
+        language: 'மொழி',
+        backToProtection: 'பாதுகாப்புக்குத் திரும்பு',
+        continue: 'தொடரவும்',
+    },
+
+    welcome: {
+        tagline: 'உதவி கேட்க ஓர் அமைதியான வழி.',
+        body: 'SafeSignal கை சைகை, உங்கள் குரலில் பதற்றம், திடீர் அசைவு ஆகியவற்றைக் கவனிக்கிறது. ஏதாவது சரியில்லை என்று தோன்றினால், நீங்கள் நம்பும் நபர்களுக்கு ஒரு செய்தியைத் தயார் செய்கிறது — அதை நிறுத்த உங்களுக்கு எப்போதும் வாய்ப்பு தருகிறது.',
+        deviceTitle: 'எதுவும் உங்கள் சாதனத்தை விட்டு வெளியே போவதில்லை',
+        deviceDetail: 'கேமராவும் மைக்ரோஃபோனும் இங்கேயே பகுப்பாய்வு செய்யப்படுகின்றன. பதிவுகள் இல்லை, பதிவேற்றம் இல்லை, கணக்கு இல்லை.',
+        controlTitle: 'கட்டுப்பாடு எப்போதும் உங்களிடம்',
+        controlDetail: 'ஒவ்வொரு எச்சரிக்கையும் முதலில் பத்து விநாடிகள் காத்திருக்கும், ஒரு தட்டலில் நின்றுவிடும்.',
+        allowTitle: 'நீங்கள் அனுமதிப்பதை மட்டுமே பயன்படுத்துகிறது',
+        allowDetail: 'நீங்கள் விரும்பும் சென்சார்களை மட்டும் இயக்குங்கள். SafeSignal எதைப் பயன்படுத்துகிறது என்று சொல்லும்.',
+        getStarted: 'தொடங்குங்கள்',
+        emergencyNote: 'SafeSignal உங்களுக்காக அவசர சேவைகளைத் தொடர்புகொள்ள முடியாது. அவசர நிலையில் உங்கள் உள்ளூர் அவசர எண்ணை அழையுங்கள்.',
+    },
+
+    permissions: {
+        title: 'SafeSignal எதைப் பயன்படுத்தலாம்?',
+        subtitle: 'உங்களுக்குச் சௌகரியமானதை மட்டும் அனுமதியுங்கள். ஒவ்வொன்றும் விருப்பத்தேர்வு, உலாவி அமைப்புகளில் எப்போது வேண்டுமானாலும் மாற்றலாம்.',
+        cameraTitle: 'கேமரா',
+        cameraPurpose: 'நீங்கள் செய்யும் கை சைகையை அடையாளம் காண்கிறது.',
+        cameraDetail: 'படங்கள் உங்கள் சாதனத்திலேயே பகுப்பாய்வு செய்யப்படுகின்றன. எதுவும் பதிவு செய்யப்படுவதோ பதிவேற்றப்படுவதோ இல்லை.',
+        microphoneTitle: 'மைக்ரோஃபோன்',
+        microphonePurpose: 'உங்கள் குரலில் பதற்றத்தைக் கேட்கிறது.',
+        microphoneDetail: 'ஒலி உங்கள் சாதனத்திலேயே பகுப்பாய்வு செய்யப்படுகிறது. எதுவும் பதிவு செய்யப்படுவதோ பதிவேற்றப்படுவதோ இல்லை.',
+        locationTitle: 'இருப்பிடம்',
+        locationPurpose: 'நீங்கள் எங்கே இருக்கிறீர்கள் என்பதை எச்சரிக்கையில் சேர்க்கிறது.',
+        locationDetail: 'பாதுகாப்பு இயக்கத்தில் இருக்கும்போது மட்டுமே படிக்கப்படும், நீங்கள் அனுப்பும் செய்தியில் மட்டுமே பகிரப்படும்.',
+        motionTitle: 'அசைவு சென்சார்கள்',
+        motionPurpose: 'திடீர் விழுதல் அல்லது போராட்டத்தைக் கவனிக்கிறது.',
+        motionDetail: 'பெரும்பாலான லேப்டாப்களிலும் டெஸ்க்டாப்களிலும் இவை இருக்காது.',
+        noneAllowed: 'எதையும் அனுமதிக்காமலும் தொடரலாம் — SafeSignal நீங்களே எச்சரிக்கை அனுப்ப அனுமதிக்கும்.',
+        someAllowed: '{count} அனுமதிக்கப்பட்டுள்ளது. இவற்றில் வேலை செய்வதை SafeSignal பயன்படுத்தும்.',
+        stateIdle: 'அமைக்கப்படவில்லை',
+        stateRequesting: 'கேட்கிறது…',
+        stateGranted: 'அனுமதிக்கப்பட்டது',
+        stateDenied: 'அனுமதிக்கப்படவில்லை',
+        stateUnsupported: 'இங்கே கிடைக்காது',
+        allow: 'அனுமதி',
+        tryAgain: 'மீண்டும் முயலவும்',
+    },
+
+    contacts: {
+        title: 'யாரைத் தொடர்புகொள்ள வேண்டும்?',
+        subtitle: 'இவர்களுக்குத்தான் SafeSignal செய்தியைத் தயார் செய்யும். அழைப்பை எடுக்கக்கூடிய ஒருவரைத் தேர்ந்தெடுங்கள்.',
+        name: 'பெயர்',
+        phone: 'தொலைபேசி எண்',
+        sendBy: 'செய்தியை அனுப்பும் வழி',
+        channelSms: 'குறுஞ்செய்தி (SMS)',
+        channelWhatsapp: 'WhatsApp',
+        channelTelegram: 'Telegram',
+        channelEmail: 'மின்னஞ்சல்',
+        telegramLabel: 'Telegram அரட்டை ஐடி',
+        telegramHint: 'அவர் முதலில் உங்கள் SafeSignal பாட்டுடன் அரட்டையைத் தொடங்க வேண்டும். Telegram-இல் @userinfobot அவரது அரட்டை ஐடியைச் சொல்லும்.',
+        telegramError: 'இது Telegram அரட்டை ஐடி போலத் தெரியவில்லை. இது ஓர் எண், @username அல்ல.',
+        emailLabel: 'மின்னஞ்சல் முகவரி',
+        emailError: 'இந்த மின்னஞ்சல் முகவரி சரியாகத் தெரியவில்லை.',
+        nameMissing: 'இவர் யார் என்று தெரிய ஒரு பெயரைச் சேர்க்கவும்.',
+        phoneInvalid: 'இந்தத் தொலைபேசி எண் சரியாகத் தெரியவில்லை. முடிந்தால் நாட்டுக் குறியீட்டையும் சேர்க்கவும்.',
+        phoneDuplicate: 'இந்த எண் ஏற்கெனவே சேமிக்கப்பட்டுள்ளது.',
+        add: 'தொடர்பைச் சேர்',
+        saveFailed: 'உங்கள் தொடர்புகளை இந்தச் சாதனத்தில் சேமிக்க முடியவில்லை. தனிப்பட்ட உலாவலில் பொதுவாகச் சேமிப்பு தடுக்கப்படும் — சாதாரண சாளரத்தில் முயலவும்.',
+        saved: {
+            one: 'சேமித்த தொடர்பு ({count})',
+            other: 'சேமித்த தொடர்புகள் ({count})',
+        },
+        savedLabel: 'சேமித்த தொடர்புகள்',
+        textBy: '{channel} வழியாகச் செய்தி',
+        reach: 'தொடர்பு',
+        tier1: 'உடனடியாக',
+        tier2: 'யாரும் பதிலளிக்காவிட்டால் 10 நிமிடத்துக்குப் பின்',
+        tier3: 'யாரும் பதிலளிக்காவிட்டால் 20 நிமிடத்துக்குப் பின்',
+        alertIn: 'எச்சரிக்கை மொழி',
+        remove: 'நீக்கு',
+        removeNamed: '{name}-ஐ நீக்கு',
+        addToContinue: 'தொடர ஒரு தொடர்பைச் சேர்க்கவும்',
+        reachNote: '“தொடர்பு” நேரம், தவறிய செக்-இன்னுக்கு சர்வர் உங்களுக்காக எச்சரிக்கை அனுப்பும்போது மட்டுமே பொருந்தும். ஒவ்வொரு அடுத்த சுற்றிலும் முந்தைய தொடர்புகளும் மீண்டும் அழைக்கப்படுவார்கள்.',
+        channelNote: 'WhatsApp, Telegram, மின்னஞ்சல் ஆகியவை தவறிய செக்-இன்னுக்கு சர்வர் உங்களுக்காக எச்சரிக்கை அனுப்பும்போது மட்டுமே பயன்படும். அழைப்புகள் தொலைபேசி எண்ணுக்கே போகும், அந்த வழியில் செய்தி அனுப்ப முடியாவிட்டால் SMS-ஆகப் போகும்.',
+        languageNote: 'எச்சரிக்கை ஒவ்வொரு தொடர்பின் மொழியிலும் எழுதப்பட்டு, அழைப்பில் வாசிக்கப்படும். உங்கள் குறிப்பும் எச்சரிக்கைக்கான காரணமும் அப்படியே இருக்கும்.',
+        deviceNote: 'தொடர்புகள் இந்தச் சாதனத்திலேயே இருக்கும். SafeSignal-க்குச் சர்வர் இல்லை, அவற்றைப் பதிவேற்ற முடியாது.',
+    },
+
+    safetyCodes: {
+        set: 'பாதுகாப்புக் குறியீடுகள் அமைக்கப்பட்டுள்ளன',
+        add: 'கட்டாயக் குறியீட்டைச் சேர் (விருப்பத்தேர்வு)',
+        explain: 'குறியீடுகள் அமைத்திருந்தால், “நான் பாதுகாப்பாக இருக்கிறேன்” ஒரு குறியீட்டைக் கேட்கும். உங்கள் பாதுகாப்புக் குறியீடு செக்-இன்னை ரத்து செய்யும். உங்கள் கட்டாயக் குறியீடு திரையில் அப்படியே தெரியும், ஆனால் உங்கள் தொடர்புகளுக்கு உடனே எச்சரிக்கை போகும். யாராவது உங்களை ரத்து செய்ய வற்புறுத்தினால் இதைப் பயன்படுத்துங்கள்.',
+        remoteOn: 'சர்வர் உங்கள் செக்-இன்னை வைத்திருக்கும்போது மட்டுமே கட்டாயக் குறியீடு வேலை செய்யும். பதிவு தோல்வியடைந்தால், அது பாதுகாப்புக் குறியீட்டைப் போலவே ரத்து செய்யும்.',
+        remoteOff: 'இந்தப் பதிப்பில் சர்வர் இல்லை, எனவே கட்டாயக் குறியீடு இப்போதைக்கு யாருக்கும் எச்சரிக்கை அனுப்ப முடியாது. அது பாதுகாப்புக் குறியீட்டைப் போலவே ரத்து செய்யும்.',
+        remove: 'குறியீடுகளை நீக்கு',
+        safeCode: 'பாதுகாப்புக் குறியீடு',
+        duressCode: 'கட்டாயக் குறியீடு',
+        save: 'குறியீடுகளைச் சேமி',
+        invalid: 'ஒவ்வொரு குறியீட்டுக்கும் 4 முதல் 8 இலக்கங்களைப் பயன்படுத்தவும்.',
+        same: 'இரண்டு குறியீடுகளும் வேறுவேறாக இருக்க வேண்டும்.',
+        notSaved: 'குறியீடுகளை இந்தச் சாதனத்தில் சேமிக்க முடியவில்லை.',
+    },
+
+    dashboard: {
+        contacts: 'தொடர்புகள்',
+        places: 'இடங்கள்',
+        sensitivity: 'உணர்திறன்',
+        protectionOff: 'பாதுகாப்பு அணைந்துள்ளது',
+        dismiss: 'செய்தியை மூடு',
+        confirming: 'எதையும் செய்வதற்கு முன் சில விநாடிகள் உறுதிசெய்கிறது…',
+        fallDetected: 'நீங்கள் விழுந்திருக்கலாம். நலமாக இருந்தால், போனை எடுங்கள்.',
+        protectionOn: 'பாதுகாப்பு இயக்கத்தில் உள்ளது',
+        turnOn: 'பாதுகாப்பை இயக்கு',
+        handSignal: 'கை சைகை',
+        usesCamera: 'கேமராவைப் பயன்படுத்துகிறது',
+        voiceTone: 'குரல் தொனி',
+        usesMicrophone: 'மைக்ரோஃபோனைப் பயன்படுத்துகிறது',
+        movement: 'அசைவு',
+        usesMotion: 'அசைவு சென்சார்களைப் பயன்படுத்துகிறது',
+        motionActive: 'இயக்கத்தில்',
+        motionWaiting: 'தொடங்குகிறது…',
+        motionNoHardware: 'இந்தச் சாதனத்தில் அசைவு சென்சார் இல்லை',
+        motionStalled: 'சென்சார் பதிலளிப்பதை நிறுத்திவிட்டது',
+        motionDenied: 'அனுமதி வழங்கப்படவில்லை',
+        motionUnsupported: 'இந்த உலாவியில் கிடைக்காது',
+        noSensors: 'இன்னும் எந்தச் சென்சாரும் இயங்கவில்லை. SafeSignal கவனிக்க ஏதாவது இருக்க, மேலே ஒன்றை இயக்குங்கள்.',
+        watching: {
+            one: 'இந்தச் சாதனத்தில் உள்ள {count} சென்சாரில் {active} மூலம் கவனிக்கிறது.',
+            other: 'இந்தச் சாதனத்தில் உள்ள {count} சென்சார்களில் {active} மூலம் கவனிக்கிறது.',
+        },
+        getHelp: 'இப்போதே உதவி பெறு',
+        manualHint: {
+            one: 'உங்கள் {count} தொடர்புக்கு ஒரு செய்தியைத் தயார் செய்யும். அதை நிறுத்த உங்களுக்கு {seconds} விநாடிகள் இருக்கும்.',
+            other: 'உங்கள் {count} தொடர்புகளுக்கு ஒரு செய்தியைத் தயார் செய்யும். அதை நிறுத்த உங்களுக்கு {seconds} விநாடிகள் இருக்கும்.',
+        },
+        addContactFirst: 'தொடர்புகொள்ள யாராவது இருக்க, முதலில் ஒரு தொடர்பைச் சேர்க்கவும்.',
+        onDevice: 'அனைத்தும் இந்தச் சாதனத்திலேயே பகுப்பாய்வு செய்யப்படுகின்றன. வீடியோவோ ஒலியோ பதிவேற்றப்படுவதோ சேமிக்கப்படுவதோ இல்லை.',
+        keepOpen: 'இந்தத் திரையைத் திறந்தே வையுங்கள் — தொலைபேசி உறங்கினால் கண்டறிதல் நின்றுவிடும்.',
+        keepAwake: 'இந்தத் திரையைத் திறந்தும் விழித்தும் வையுங்கள் — அது தெரியும்போது மட்டுமே கண்டறிதல் இயங்கும்.',
+        locationProblem: 'இருப்பிடம்: {error} அது இல்லாமலும் எச்சரிக்கை தயார் செய்யப்படும்.',
+        showTechnical: 'தொழில்நுட்ப விவரங்களைக் காட்டு',
+        hideTechnical: 'தொழில்நுட்ப விவரங்களை மறை',
+        riskBreakdown: 'அபாயப் பகுப்பு',
+        noSensorsActive: 'எந்தச் சென்சாரும் இயக்கத்தில் இல்லை.',
+        sensor: 'சென்சார்',
+        reading: 'அளவீடு',
+        weight: 'எடை',
+        adds: 'சேர்ப்பது',
+        total: 'மொத்தம்',
+        threshold: 'வரம்பு {value}',
+        cadence: {
+            one: 'அடி லயம்: நிமிடத்துக்கு {count} அடி',
+            other: 'அடி லயம்: நிமிடத்துக்கு {count} அடிகள்',
+        },
+        weightsNote: 'உண்மையில் இயங்கும் சென்சார்களுக்குள் மட்டுமே எடை பகிரப்படுகிறது, எனவே பகுதி அமைப்பும் வரம்பை எட்ட முடியும்.',
+        audioError: 'ஒலி: {error}',
+        alertStopped: 'எச்சரிக்கை நிறுத்தப்பட்டது. நீங்கள் இன்னும் பாதுகாப்பில் இருக்கிறீர்கள்.',
+        manualAlert: 'நீங்களே அனுப்பிய எச்சரிக்கை',
+        countdownTitle: 'உதவி தயாராகிறது',
+        youAsked: 'நீங்கள் உதவி கேட்டீர்கள்.',
+        countdownSub: {
+            one: 'உங்கள் எச்சரிக்கை {count} விநாடியில் தயாராகும்.',
+            other: 'உங்கள் எச்சரிக்கை {count} விநாடிகளில் தயாராகும்.',
+        },
+        stop: 'நான் நலமாக இருக்கிறேன் — நிறுத்து',
+        nothingSent: 'இதுவரை எதுவும் அனுப்பப்படவில்லை.',
+        riskLevel: 'அபாய நிலை {percent} சதவீதம்',
+        risk: 'அபாயம்',
+        off: 'அணைப்பு',
+    },
+
+    risk: {
+        safe: 'எல்லாம் சரி',
+        elevated: 'கூடுதல் கவனத்துடன் பார்க்கிறது',
+        critical: 'உங்கள் நலனைச் சரிபார்க்கிறது',
+        off: 'பாதுகாப்பு அணைந்துள்ளது. SafeSignal கவனிக்க வேண்டும் என்றால் அதை இயக்குங்கள்.',
+        safeDetail: 'எல்லாம் இயல்பாகத் தெரிகிறது. SafeSignal அமைதியாகக் கவனிக்கிறது.',
+        elevatedDetail: 'ஏதோ சிறிது மாறியுள்ளது. இன்னும் எச்சரிக்கை இல்லை — கவனம் மட்டும் செலுத்துகிறது.',
+        criticalDetail: 'இது அவசர நிலை போலத் தெரிகிறது. நீங்கள் எப்போது வேண்டுமானாலும் நிறுத்தலாம்.',
+        watching: 'SafeSignal கவனிக்கிறது.',
+        heldSignal: 'நீங்கள் ஆபத்துக் கை சைகையைப் பிடித்திருந்தீர்கள்',
+        fallStill: 'ஒரு விழுகை, பிறகு அசைவே இல்லை',
+        severalSigns: 'ஒரே நேரத்தில் பல ஆபத்து அறிகுறிகள்',
+    },
+
+    checkIn: {
+        checking: 'செக்-இன் நடக்கிறது',
+        areYouOkay: 'நீங்கள் நலமா?',
+        missed: 'செக்-இன் தவறியது',
+        countingSub: 'அதற்குள் நீங்கள் செக்-இன் செய்யாவிட்டால், SafeSignal உங்கள் எச்சரிக்கையைத் தயார் செய்யும்.',
+        graceSub: 'உங்கள் நேரம் முடிந்தது. கீழே தட்டினால் எதுவும் நடக்காது.',
+        firedSub: 'நீங்கள் செக்-இன் செய்யாததால் உங்கள் எச்சரிக்கை தயார் செய்யப்பட்டது.',
+        registering: 'சர்வரில் பதிவு செய்கிறது…',
+        yourCode: 'உங்கள் குறியீடு',
+        confirm: 'உறுதிசெய்',
+        safe: 'நான் பாதுகாப்பாக இருக்கிறேன்',
+        addTime: '+{minutes} நிமி',
+        title: 'செக்-இன் டைமர்',
+        intro: 'பேசவோ அசையவோ முடியாத நேரங்களுக்காக. ஒரு நேரத்தைத் தட்டுங்கள் — நீங்கள் செக்-இன் செய்யாவிட்டால், நீங்கள் எதுவும் செய்யாமலே SafeSignal உங்கள் தொடர்புகளுக்கு எச்சரிக்கை அனுப்பும்.',
+        startLabel: 'ஒரு செக்-இன் தொடங்கு',
+        min: 'நிமி',
+        other: 'பிற',
+        minutes: 'நிமிடங்கள்',
+        start: 'தொடங்கு',
+        checksInAt: '{time}-க்குச் செக்-இன்.',
+        range: '1 நிமிடம் முதல் {hours} மணி நேரம் வரை.',
+        addNote: 'குறிப்பு சேர் (விருப்பத்தேர்வு)',
+        notePrompt: 'நீங்கள் என்ன செய்கிறீர்கள்?',
+        notePlaceholder: 'நிலையத்திலிருந்து நடந்து வீட்டுக்கு',
+        noteHelp: 'எங்கே தேட வேண்டும் என்று உங்கள் தொடர்புக்குத் தெரிய, இது எச்சரிக்கையில் சேர்க்கப்படும்.',
+        graceNote: 'நேரம் முடிந்த பிறகு ரத்து செய்ய உங்களுக்கு {seconds} விநாடிகள் இருக்கும், எப்போது வேண்டுமானாலும் கூடுதல் நேரம் சேர்க்கலாம். செயலியை மூடினாலும் இது இயங்கிக்கொண்டிருக்கும்.',
+        enterMinutes: 'எத்தனை நிமிடங்கள் என்று உள்ளிடவும்.',
+        notANumber: 'நிமிடங்களின் எண்ணிக்கையை உள்ளிடவும், எ.கா. 40.',
+        wholeMinutes: 'முழு நிமிடங்களைப் பயன்படுத்தவும், எ.கா. 40.',
+        atLeastOne: 'குறைந்தது 1 நிமிடம் வையுங்கள்.',
+        longest: 'அதிகபட்சம் {hours} மணி நேரம்.',
+        reason: '{time}-க்குள் செக்-இன் இல்லை',
+        reasonWithNote: '{time}-க்குள் செக்-இன் இல்லை — "{note}"',
+        wrongCode: 'இந்தக் குறியீடு சரியில்லை.',
+        serverForgot: 'சர்வரிடம் இப்போது இந்தச் செக்-இன் இல்லை.',
+        alreadyAlerted: 'சர்வர் ஏற்கெனவே உங்கள் தொடர்புகளுக்கு எச்சரிக்கை அனுப்பிவிட்டது.',
+        extendFailed: 'சர்வரில் காலக்கெடுவை நீட்ட முடியவில்லை. உங்கள் தொடர்புகளுக்குப் பழைய நேரத்திலேயே எச்சரிக்கை போகலாம்.',
+        cancelFailed: 'நீங்கள் பாதுகாப்பாக இருப்பதைச் சர்வருக்குத் தெரிவிக்க முடியவில்லை.',
+        endsOnArrival: '{place} சென்றடைந்ததும் இது தானாக முடியும்.',
+        arrived: '{time}-க்கு {place} சென்றடைந்தீர்கள், அதனால் செக்-இன் முடிந்தது.',
+        notArrived: '{time}-க்குள் {place} சென்றடையவில்லை',
+        notArrivedWithNote: '{time}-க்குள் {place} சென்றடையவில்லை — "{note}"',
+    },
+
+    places: {
+        endsWhen: 'இங்கே சென்றடைந்ததும் முடி',
+        nowhere: 'எங்கும் இல்லை, டைமர் மட்டும்',
+        hint: 'டைமர் தொடர்ந்து ஓடும். அதற்குள் நீங்கள் சென்றடையாவிட்டால், வழக்கம்போல் உங்கள் தொடர்புகளுக்கு எச்சரிக்கை போகும்.',
+        savePlace: 'இப்போது இருக்கும் இடத்தைச் சேமி',
+        name: 'பெயர்',
+        namePlaceholder: 'வீடு',
+        radius: 'இந்தத் தூரத்துக்குள் வந்தால் சென்றடைந்ததாகக் கொள்',
+        save: 'இந்த இடத்தைச் சேமி',
+        locating: 'நீங்கள் இருக்கும் இடத்தைக் கண்டறிகிறது…',
+        needName: 'இடத்துக்கு ஒரு பெயர் கொடுங்கள்.',
+        tooRough: 'உங்கள் இடம் {distance} அளவுக்குள் மட்டுமே தெரிகிறது, இந்த அளவு இடத்துக்கு அது போதாது. ஜன்னல் அருகே முயலுங்கள், அல்லது பெரிய தூரத்தைத் தேர்ந்தெடுங்கள்.',
+        remove: 'நீக்கு',
+        manage: 'சேமித்த இடங்களை நிர்வகி',
+        title: 'இடங்கள்',
+        subtitle: 'நீங்கள் அடிக்கடி செல்லும் இடங்களைச் சேமியுங்கள். ஓர் இடத்தைச் சென்றடைந்ததும் செக்-இன் முடியலாம், பாதுகாப்பான பகுதியில் இருக்கும்போது கண்காணிப்பு தளர்கிறது.',
+        savedLabel: 'சேமித்த இடங்கள்',
+        saved: {
+            one: 'சேமித்த இடம் ({count})',
+            other: 'சேமித்த இடங்கள் ({count})',
+        },
+        removeNamed: '{name}-ஐ நீக்கு',
+    },
+
+    zones: {
+        whileHere: 'நான் இங்கே இருக்கும்போது',
+        modeNone: 'வழக்கம்போல் கண்காணி',
+        modePause: 'குரலையும் அசைவையும் நிறுத்து',
+        modeRelax: 'வலுவான அறிகுறிகளுக்கு மட்டும்',
+        pauseNote: 'நிறுத்தினால், அந்த இடத்துக்குள் குரல் தொனியும் அசைவும் கணக்கில் வராது. கை சைகையும் உதவி பொத்தானும் தொடர்ந்து வேலை செய்யும்.',
+        relaxNote: 'வலுவான அறிகுறிகள் மட்டும் என்றால் வரம்பு உயரும்; உரத்த வாக்குவாதமோ உடற்பயிற்சியோ கவுண்ட்டவுனைத் தொடங்காது, ஆனால் நீடிக்கும் போராட்டம் இன்னும் தொடங்கலாம்.',
+        nightNote: 'இரவு 8 மணி முதல் காலை 6 மணி வரை பாதுகாப்பான பகுதியை விட்டு வெளியேறினால் ஒரு சிறு செக்-இன் பரிந்துரைக்கப்படும், ஏனெனில் அங்கிருந்து செல்லும் வழியே ஆபத்தானதாக இருக்கலாம்.',
+        pausedAt: '{name}-இல்: குரலும் அசைவும் நிறுத்தப்பட்டுள்ளன.',
+        relaxedAt: '{name}-இல்: வலுவான அறிகுறிகள் மட்டுமே கணக்கில்.',
+        leftAtNight: 'நீங்கள் {name}-ஐ விட்டு வெளியேறிவிட்டீர்கள். வழிக்கு ஒரு செக்-இன் தொடங்கவா?',
+        leftNote: '{name}-இலிருந்து வெளியேறினேன்',
+        startCheckIn: '{minutes} நிமிட செக்-இன் தொடங்கு',
+        notNow: 'இப்போது வேண்டாம்',
+    },
+
+    inactivity: {
+        title: 'நான் அசைவதை நிறுத்தினால்',
+        label: 'இவ்வளவு நேரம் அசைவு இல்லையென்றால் நான் நலமா என்று கேள்',
+        off: 'ஒருபோதும் வேண்டாம்',
+        minutes: {
+            one: '{count} நிமிடம்',
+            other: '{count} நிமிடங்கள்',
+        },
+        hint: 'பாதுகாப்பு இயக்கத்தில் இருக்கும்போது, பாதுகாப்பான இடத்துக்கு வெளியே, மோஷன் சென்சார் உள்ள போனில் மட்டுமே கணக்கிடப்படும். அசைந்தாலோ, உங்கள் இருப்பிடம் மாறினாலோ மீண்டும் தொடங்கும். மாற்றம் அடுத்த முறை பாதுகாப்பு தொடங்கும்போது பொருந்தும்.',
+        question: 'நீங்கள் நலமா? உங்கள் போன் {minutes} நிமிடமாக அசையவில்லை.',
+        answerBy: 'ஒரு நிமிடத்துக்குள் பதில் இல்லையென்றால், எச்சரிக்கை கவுண்ட்டவுன் தொடங்கும்.',
+        imOk: 'நான் நலமாக இருக்கிறேன்',
+        reason: '{minutes} நிமிடமாக அசைவு இல்லை, "நீங்கள் நலமா?" என்பதற்குப் பதில் இல்லை',
+    },
+
+    vehicle: {
+        jumped: 'நடையிலிருந்து மிக விரைவாக வாகன வேகத்துக்கு மாறினீர்கள். நீங்கள் கேப் அல்லது பேருந்தில் இருந்தால், சொல்லுங்கள்; அது எச்சரிக்கை அறிகுறியாகக் கணக்கிடப்படாது.',
+        inCab: 'நான் கேபில் இருக்கிறேன்',
+        inCabNote: 'வாகனத்தில்: நீங்கள் சில நிமிடங்கள் நடக்கும் வரை அதன் வேகம் எச்சரிக்கை அறிகுறியாகக் கணக்கிடப்படாது.',
+    },
+
+    handSignal: {
+        title: 'கை சைகை',
+        label: 'கவனிக்க வேண்டியது',
+        help: 'உதவிக்கான சைகை: கட்டைவிரலை உள்ளே மடக்கிய உள்ளங்கை, பின் விரல்களை அதன் மேல் மடக்குதல்',
+        palm: '2 விநாடிகள் உயர்த்திப் பிடித்த திறந்த உள்ளங்கை',
+        fist: '2 விநாடிகள் மூடிய முஷ்டி',
+        hint: 'முஷ்டி செய்வது எளிது, ஆனால் பை தூக்குவதும் போனைப் பிடிப்பதும் முஷ்டி போலத் தெரியலாம். உதவிக்கான சைகை பரவலாகக் கற்றுத்தரப்படுகிறது, தவறுதலாகச் செய்வது கடினம்.',
+    },
+
+    sensitivity: {
+        title: 'உணர்திறன்',
+        subtitle: 'SafeSignal எவ்வளவு விரைவாக கவுண்ட்டவுனைத் தொடங்க வேண்டும். வேலையில் அடிக்கடி ஒலித்தால், பாதுகாப்பை அணைப்பதற்குப் பதில் இதைக் குறையுங்கள்.',
+        howReady: 'எவ்வளவு விரைவாக எதிர்வினையாற்ற வேண்டும்?',
+        low: 'குறைவு',
+        lowDetail: 'சத்தமான அல்லது உடலுழைப்பு நிறைந்த நாட்களுக்கு. வலுவான அறிகுறிகள், நீண்ட நேரம் தேவை.',
+        normal: 'இயல்பு',
+        normalDetail: 'இயல்புநிலை சமநிலை.',
+        high: 'அதிகம்',
+        highDetail: 'பலவீனமான அறிகுறிகளுக்கும், விரைவாக எதிர்வினையாற்றும். அதிக கவுண்ட்டவுன்களை நிறுத்த வேண்டியிருக்கலாம்.',
+        customInUse: 'உங்கள் சொந்த மேம்பட்ட அமைப்புகள் பயன்பாட்டில் உள்ளன.',
+        advanced: 'மேம்பட்டவை',
+        riskThreshold: 'தேவையான மொத்த அபாயம்',
+        concernThreshold: 'உடன்படுவதாகக் கொள்ள ஒவ்வொரு சென்சாரின் அளவு',
+        sustain: 'நீடிக்க வேண்டிய நேரம்',
+        seconds: {
+            one: '{count} விநாடி',
+            other: '{count} விநாடிகள்',
+        },
+        weights: 'ஒவ்வொரு சென்சாரும் எவ்வளவு கணக்கில்',
+        weightsHint: 'ஒன்றோடொன்று ஒப்பிட்டு. இயங்கும் சென்சார்கள் மட்டுமே கணக்கில் வரும்.',
+        save: 'இந்த அமைப்புகளைப் பயன்படுத்து',
+        saved: 'சேமிக்கப்பட்டது. அடுத்த முறை பாதுகாப்பு தொடங்கும்போது பொருந்தும்.',
+        note: 'உதவி பொத்தானும் தவறிய செக்-இன்னும் எல்லா அமைப்பிலும் ஒரே மாதிரி எச்சரிக்கை அனுப்பும்.',
+        riskRange: 'தேவையான மொத்த அபாயம் {min} முதல் {max} வரை இருக்க வேண்டும்.',
+        concernRange: 'ஒவ்வொரு சென்சாரின் அளவும் {min} முதல் {max} வரை இருக்க வேண்டும்.',
+        sustainRange: 'நீடிக்கும் நேரம் {min} முதல் {max} விநாடிகள் வரை இருக்க வேண்டும்.',
+        weightRange: 'ஒவ்வொரு சென்சாரின் மதிப்பும் {min} முதல் {max} வரை இருக்க வேண்டும்.',
+        unreachable: 'இந்த அமைப்புகளுடன், மைக்ரோஃபோன் இயங்கும்போது கை சைகையால் ஒருபோதும் கவுண்ட்டவுனைத் தொடங்க முடியாது. தேவையான மொத்த அபாயத்தைக் குறையுங்கள், அல்லது கை சைகைக்கு அதிக மதிப்பு கொடுங்கள்.',
+    },
+
+    plans: {
+        title: 'அட்டவணைப்படி மீண்டும்',
+        titleCount: {
+            one: '{count} திட்டமிட்ட செக்-இன்',
+            other: '{count} திட்டமிட்ட செக்-இன்கள்',
+        },
+        serverNote: 'ஒவ்வொரு நேர இடைவெளியிலும் ஒரு செக்-இன் தானாகத் தொடங்கும்; இடைவெளி முடியும்போது அதை முடிக்க வேண்டும். இந்தச் செயலி மூடியிருந்தாலும் சர்வர் அதைத் தொடங்கும்.',
+        localNote: 'ஒவ்வொரு நேர இடைவெளியிலும் ஒரு செக்-இன் தானாகத் தொடங்கும்; இடைவெளி முடியும்போது அதை முடிக்க வேண்டும். ஆனால் இந்தச் செயலி திறந்திருக்கும்போது மட்டுமே. செயலி மூடியிருக்கும்போது தவறிய இடைவெளிக்கு யாருக்கும் எச்சரிக்கை போகாது.',
+        on: 'இயக்கம்',
+        remove: 'நீக்கு',
+        days: 'நாட்கள்',
+        from: 'தொடக்கம்',
+        until: 'முடிவு',
+        save: 'திட்டத்தைச் சேமி',
+        pickDay: 'குறைந்தது ஒரு நாளைத் தேர்ந்தெடுங்கள்.',
+        enterTimes: 'தொடக்க மற்றும் முடிவு நேரத்தை உள்ளிடுங்கள்.',
+        sameTimes: 'தொடக்க நேரமும் முடிவு நேரமும் வேறுபட வேண்டும்.',
+        tooMany: 'அதிகபட்சம் {count} திட்டங்களை வைத்திருக்கலாம்.',
+        everyDay: 'தினமும்',
+        weekdays: 'வார நாட்கள்',
+        weekends: 'வார இறுதி',
+        summary: '{days} {start}–{end}',
+        startedBy: 'உங்கள் திட்டத்தால் தொடங்கியது: {plan}.',
+        registerFailed: 'இந்தத் திட்டத்தைச் சர்வரில் பதிவு செய்ய முடியவில்லை. செயலி மூடியிருக்கும்போது தவறிய இடைவெளிக்கு யாருக்கும் எச்சரிக்கை போகாது.',
+        stopFailed: 'இந்தத் திட்டத்தைச் சர்வரில் நிறுத்த முடியவில்லை, அதனால் உங்கள் தொடர்புகளுக்கு இன்னும் எச்சரிக்கை போகலாம். மீண்டும் முயலுங்கள்.',
+        notJoined: 'சர்வர் இந்த இடைவெளியைத் தொடங்கவில்லை, அதனால் எச்சரிக்கையை நீங்களே அனுப்ப வேண்டும்.',
+        notRegistered: 'இந்தத் திட்டம் சர்வரில் பதிவு செய்யப்படவில்லை, அதனால் எச்சரிக்கையை நீங்களே அனுப்ப வேண்டும்.',
+    },
+
+    remote: {
+        on: 'இதைத் தவறவிட்டால் உங்கள் தொடர்புகள் தானாக அழைக்கப்பட்டுச் செய்தி அனுப்பப்படும்.',
+        off: 'எச்சரிக்கையை நீங்களே அனுப்ப வேண்டும் — இந்தச் சாதனம் உங்களுக்காக அனுப்ப முடியாது.',
+        failed: 'சர்வரை அடைய முடியவில்லை, எனவே எச்சரிக்கையை நீங்களே அனுப்ப வேண்டும்.',
+        holding: 'சர்வர் உங்கள் டைமரை வைத்திருக்கிறது, {time}-க்கு உங்கள் தொடர்புகளுக்கு எச்சரிக்கை அனுப்பும்.',
+        cancelled: 'சர்வர் இந்தச் செக்-இன்னை ரத்து செய்துவிட்டது.',
+        alertedAt: 'சர்வர் {time}-க்கு உங்கள் தொடர்புகளுக்கு எச்சரிக்கை அனுப்பியது.',
+        alerted: 'சர்வர் உங்கள் தொடர்புகளுக்கு எச்சரிக்கை அனுப்பியது.',
+        reached: 'தொடர்புகொள்ளப்பட்டவர்கள்: {names}.',
+        notReached: 'தொடர்புகொள்ள முடியாதவர்கள்: {names}.',
+        nextRound: 'யாரும் பதிலளிக்காவிட்டால், அடுத்த சுற்று அழைப்புகள் {time}-க்கு.',
+        aContact: 'ஒரு தொடர்பு',
+        acknowledged: '{name} {time}-க்குப் பதிலளித்தார்',
+        delivery: '{name}: {parts}.',
+        call: 'அழைப்பு {status}',
+        text: 'செய்தி {status}',
+        ringing: 'ஒலிக்கிறது',
+        sent: 'அனுப்பப்பட்டது',
+        answered: 'எடுக்கப்பட்டது',
+        noAnswer: 'எடுக்கப்படவில்லை',
+        delivered: 'சென்றடைந்தது',
+        deliveryFailed: 'தோல்வி',
+    },
+
+    emergency: {
+        noAlert: 'காட்ட எச்சரிக்கை இல்லை',
+        noAlertDetail: 'இன்னும் எதுவும் தயார் செய்யப்படவில்லை. திரும்பிச் சென்றால் எல்லாம் நீங்கள் விட்டபடியே இருக்கும்.',
+        cannotOpen: 'உங்கள் செய்திச் செயலியைத் திறக்க முடியவில்லை.',
+        shared: 'பகிரப்பட்டது.',
+        cannotShare: 'இங்கே பகிர முடியாது.',
+        copied: 'செய்தி நகலெடுக்கப்பட்டது.',
+        cannotCopy: 'செய்தியை நகலெடுக்க முடியவில்லை.',
+        triggeredBy: 'காரணம்: {reason}',
+        responding: 'ஒருவர் பதிலளிக்கிறார்',
+        yourLocation: 'உங்கள் இருப்பிடம்',
+        openMaps: 'Google Maps-இல் திற',
+        notAvailable: 'கிடைக்கவில்லை',
+        undetermined: 'உங்கள் இருப்பிடத்தைக் கண்டறிய முடியவில்லை.',
+        stillWorks: 'கீழே உள்ள செய்தி அப்படியும் வேலை செய்யும் — முடிந்தால் நீங்கள் எங்கே இருக்கிறீர்கள் என்று சேர்க்கவும்.',
+        reachContacts: 'உங்கள் தொடர்புகளை அணுகுங்கள்',
+        noContacts: 'எந்தத் தொடர்பும் சேமிக்கப்படவில்லை.',
+        addOne: 'இப்போதே ஒன்றைச் சேர்',
+        call: 'அழை',
+        message: 'செய்தி',
+        again: 'மீண்டும்',
+        shareAnother: 'வேறு வழியில் பகிர்',
+        copy: 'செய்தியை நகலெடு',
+        whatTheyRead: 'அவர்கள் படிப்பது',
+        inDanger: 'நீங்கள் இப்போதே ஆபத்தில் இருந்தால்',
+        inDangerDetail: 'உங்கள் உள்ளூர் அவசர எண்ணை நேரடியாகத் தொடர்புகொள்ளுங்கள். SafeSignal உங்களுக்காக அவசர சேவைகளை அழைக்க முடியாது.',
+        prepared: '{time}-க்குத் தயார் செய்யப்பட்டது. இந்தச் சாதனத்தில் மட்டுமே சேமிக்கப்பட்டது.',
+        whySent: 'இது ஏன் அனுப்பப்பட்டது',
+        held: 'பிடித்திருந்தது',
+        notHeld: 'பிடிக்கவில்லை',
+        highestRisk: 'அதிகபட்ச அபாயம்',
+        readingsOnly: 'சென்சார் அளவீடுகளும் நேரங்களும் மட்டுமே. ஒலி, வீடியோ, படம் எதுவும் பதிவு செய்யப்படவில்லை.',
+        voiceTension: 'குரல் பதற்றம்',
+    },
+
+    alert: {
+        statusReady: 'அனுப்பத் தயார்',
+        statusOpened: 'செய்தி திறக்கப்பட்டது — அனுப்பப்பட்டதா என்று சரிபாருங்கள்',
+        statusShared: 'பகிர்வுத் தாளுக்கு அனுப்பப்பட்டது',
+        statusCopied: 'நகலெடுக்கப்பட்டது — எங்கும் ஒட்டலாம்',
+        statusFailed: 'திறக்க முடியவில்லை — பதிலாகச் செய்தியை நகலெடுங்கள்',
+        noContacts: 'எந்தத் தொடர்பும் சேமிக்கப்படவில்லை',
+        noContactsDetail: 'SafeSignal தொடர்புகொள்ள யாராவது இருக்க, ஓர் அவசரத் தொடர்பைச் சேர்க்கவும்.',
+        ready: 'உங்கள் எச்சரிக்கை தயார் — இன்னும் எதுவும் அனுப்பப்படவில்லை',
+        readyDetail: 'SafeSignal இதைத் தானாக அனுப்ப முடியாது. கீழே ஒரு தொடர்பை அழையுங்கள் அல்லது செய்தி அனுப்புங்கள், அல்லது அருகில் உள்ள ஒருவரிடம் செய்யச் சொல்லுங்கள்.',
+        someOpened: '{total} தொடர்புகளில் {handled} திறக்கப்பட்டன',
+        someOpenedDetail: 'ஒவ்வொரு செய்தியும் உண்மையில் அனுப்பப்பட்டதா என்று சரிபார்த்து, மற்றவர்களை அணுகுங்கள்.',
+        allOpened: 'எல்லாச் செய்திகளும் திறக்கப்பட்டன',
+        allOpenedDetail: 'உங்கள் செய்திச் செயலியில் ஒவ்வொன்றும் அனுப்பப்பட்டதை உறுதிசெய்யுங்கள்.',
+    },
+
+    incident: {
+        handSignal: 'கை சைகை',
+        voiceTension: 'குரல் பதற்றம்',
+        movement: 'அசைவு',
+        manual: 'எச்சரிக்கை நீங்களே எழுப்பியது.',
+        raised: 'எச்சரிக்கை எழுப்பப்பட்டது.',
+        signalHeld: 'ஆபத்துக் கை சைகை பிடிக்கப்பட்டது',
+        detected: 'கண்டறியப்பட்டது: {parts}.',
+        protectionOn: 'பாதுகாப்பு இயக்கப்பட்டது',
+        protectionOff: 'பாதுகாப்பு அணைக்கப்பட்டது',
+        sensorOn: '{sensor} இயக்கப்பட்டது',
+        sensorOff: '{sensor} அணைக்கப்பட்டது',
+        sustainStarted: 'அபாயம் வரம்பைத் தாண்டியது ({risk})',
+        sustainReset: 'அபாயம் மீண்டும் வரம்புக்குக் கீழே வந்தது',
+        countdownReason: 'எண்ணிக்கை தொடங்கியது — {reason}',
+        countdown: 'எண்ணிக்கை தொடங்கியது',
+        cancelled: 'நீங்கள் எச்சரிக்கையை நிறுத்தினீர்கள்',
+        manualAlert: 'நீங்கள் உதவி கேட்டீர்கள்',
+        checkInStarted: 'செக்-இன் டைமர் தொடங்கியது',
+        checkInMissed: 'செக்-இன் தவறியது',
+        alertRaised: 'எச்சரிக்கை தயார் செய்யப்பட்டது',
+        zonePaused: 'பாதுகாப்பான பகுதிக்குள் வந்தது — குரலும் அசைவும் நிறுத்தப்பட்டன',
+        zoneRelaxed: 'பாதுகாப்பான பகுதிக்குள் வந்தது — வலுவான அறிகுறிகள் மட்டுமே கணக்கில்',
+        zoneLeft: 'பாதுகாப்பான பகுதியை விட்டு வெளியேறியது',
+        fallDetected: 'விழுகை கண்டறியப்பட்டது ({impact} g தாக்கம்), பிறகு அசைவின்மை',
+        fallStill: 'ஒரு விழுகை, பிறகு அசைவே இல்லை',
+        fallSeen: 'ஒரு விழுகை',
+        sprintSeen: 'திடீர் ஓட்டம்',
+        vehicleSpeed: 'நடையிலிருந்து திடீரென வாகன வேகம் (மணிக்கு {speed} கி.மீ.)',
+        vehicleSeen: 'திடீர் வாகன வேகம்',
+        inCab: 'நீங்கள் கேபில் இருப்பதாகச் சொன்னீர்கள்',
+        stillPrompted: 'அசைவு இல்லை — நீங்கள் நலமா என்று கேட்கப்பட்டது',
+        stillAnswered: 'நீங்கள் நலமாக இருப்பதாகப் பதில் அளித்தீர்கள்',
+    },
+
+    geo: {
+        noDevice: 'இந்தச் சாதனம் அதன் இருப்பிடத்தைப் பகிர முடியாது.',
+        denied: 'இருப்பிட அனுமதி அணைக்கப்பட்டுள்ளது.',
+        undetermined: 'இப்போது உங்கள் இருப்பிடத்தைக் கண்டறிய முடியவில்லை.',
+        timeout: 'உங்கள் இருப்பிடத்தைக் கண்டறிய அதிக நேரம் ஆனது.',
+        unavailable: 'உங்கள் இருப்பிடம் கிடைக்கவில்லை.',
+        unknown: 'தெரியவில்லை',
+        precise: 'துல்லியம் — சுமார் {distance}-க்குள்',
+        good: 'நன்று — சுமார் {distance}-க்குள்',
+        rough: 'தோராயம் — சுமார் {distance}-க்குள்',
+        tooRough: 'உங்களைக் கண்டுபிடிக்க மிகத் தோராயம் — {distance} சுற்றளவில் எங்கும் இருக்கலாம்',
+        noGps: 'இந்தச் சாதனத்தில் GPS இல்லை, எனவே உங்கள் இருப்பிடம் இணைய இணைப்பிலிருந்து மதிப்பிடப்பட்டது. வெளியே ஒரு தொலைபேசியில் இது பொதுவாகச் சில மீட்டர் வரை துல்லியமாக இருக்கும்.',
+    },
+
+    gesture: {
+        title: 'கை சைகை',
+        hintHelp: 'கேமராவுக்கு உள்ளங்கையைக் காட்டி, கட்டைவிரலை உள்ளே மடக்கி, பின் விரல்களை அதன் மேல் மடக்குங்கள்.',
+        hintPalm: 'திறந்த உள்ளங்கையை 2 விநாடிகள் உயர்த்திப் பிடியுங்கள்.',
+        hintFist: 'கையை மூடி முஷ்டியாக்கி 2 விநாடிகள் பிடியுங்கள்.',
+        starting: 'கேமராவை இயக்குகிறது…',
+        loading: 'தயாராகிறது…',
+        unavailable: 'கேமரா கிடைக்கவில்லை',
+        othersWork: 'மற்ற சென்சார்கள் இது இல்லாமலும் வேலை செய்யும்.',
+        preview: 'கை சைகையைக் கண்டறியப் பயன்படும் நேரடி கேமரா முன்னோட்டம்',
+        confirmed: 'சைகை உறுதியானது',
+        detected: 'கை தெரிகிறது',
+        noHand: 'கை எதுவும் தெரியவில்லை',
+        foldNow: 'இப்போது விரல்களைக் கட்டைவிரலின் மேல் மடக்குங்கள்.',
+        shape: 'கை வடிவம்',
+        progress: 'சைகை',
+        progressOf: 'சைகை {percent}% முடிந்தது',
+        privacy: 'வீடியோ உங்கள் சாதனத்திலேயே பகுப்பாய்வு செய்யப்படுகிறது, ஒருபோதும் பதிவேற்றப்படுவதோ சேமிக்கப்படுவதோ இல்லை.',
+        noCamera: 'இந்த உலாவியால் கேமராவைப் பயன்படுத்த முடியாது.',
+        denied: 'கேமரா அனுமதி அணைக்கப்பட்டுள்ளது.',
+        failed: 'கேமராவைத் தொடங்க முடியவில்லை.',
+    },
+
+    audio: {
+        title: 'குரல்',
+        learning: 'நீங்கள் வழக்கமாக எப்படிப் பேசுகிறீர்கள் என்று கற்கிறது…',
+        calibrating: 'இதற்குச் சுமார் ஐந்து விநாடிகள் ஆகும். நீங்கள் பேசவில்லை என்றால், SafeSignal உங்கள் அடிப்படைக் குரலைப் பின்னர் கற்றுக்கொள்ளும் — பாதுகாப்பு ஏற்கெனவே இயக்கத்தில் உள்ளது.',
+        tension: 'குரல் பதற்றம்',
+        mfcc: 'காலப்போக்கில் MFCC',
+        pitchBaseline: 'அடிப்படைச் சுருதி',
+        energyBaseline: 'அடிப்படை ஆற்றல்',
+        centroidBaseline: 'அடிப்படை சென்ட்ராய்டு',
+        noBaseline: 'இன்னும் தனிப்பட்ட அடிப்படை இல்லை — போதுமான பேச்சு கேட்கும் வரை நிலையான வரம்புகளுடன் மதிப்பிடப்படுகிறது.',
+        privacy: 'ஒலி உங்கள் சாதனத்திலேயே பகுப்பாய்வு செய்யப்படுகிறது, ஒருபோதும் பதிவேற்றப்படுவதோ சேமிக்கப்படுவதோ இல்லை.',
+        steady: 'உங்கள் குரல் நிதானமாக ஒலிக்கிறது',
+        tense: 'உங்கள் குரல் சற்றுப் பதற்றமாக ஒலிக்கிறது',
+        strained: 'உங்கள் குரல் மிகவும் இறுக்கமாக ஒலிக்கிறது',
+        noMicrophone: 'இந்த உலாவியால் மைக்ரோஃபோனை அணுக முடியாது.',
+        denied: 'மைக்ரோஃபோன் அனுமதி மறுக்கப்பட்டது.',
+        notFound: 'இந்தச் சாதனத்தில் மைக்ரோஃபோன் எதுவும் இல்லை.',
+        failed: 'மைக்ரோஃபோனைத் தொடங்க முடியவில்லை.',
+    },
+
+    time: {
+        hoursMinutes: '{hours} ம {minutes} நி',
+        minutesSeconds: '{minutes} நி {seconds} வி',
+        seconds: '{seconds} வி',
+        minutesShort: '{count} நிமி',
+        hours: {
+            one: '{count} மணி நேரம்',
+            other: '{count} மணி நேரம்',
+        },
+    },
+};
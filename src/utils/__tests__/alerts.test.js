@@ -91,6 +91,21 @@ describe('createAlert', () => {
         expect(loadLastAlert().reason).toBe('Manual alert');
     });
 
+    it('writes a separate message for a contact who reads another language', () => {
+        const alert = createAlert({
+            contacts: [...contacts, { id: 'c', name: 'Asha', phone: '+91 90000 00000', language: 'hi' }],
+            location: null,
+            locationError: null,
+            reason: null,
+            userName: 'Priya',
+        });
+
+        expect(alert.message).toContain('Priya may need help.');
+        expect(alert.recipients[0].message).toBeNull();
+        expect(alert.recipients[2].message).toContain('Priya को मदद की ज़रूरत हो सकती है।');
+        expect(alert.recipients[2].message).not.toMatch(/may need help/);
+    });
+
     it('handles having no contacts', () => {
         const alert = createAlert({ contacts: [], location: null, locationError: null, reason: null });
         expect(alert.recipients).toEqual([]);
@@ -203,6 +218,48 @@ describe('contact storage', () => {
         expect(loadContacts()).toHaveLength(1);
     });
 
+    it('keeps the escalation tier and defaults a missing one to the first round', () => {
+        window.localStorage.setItem(
+            'safesignal.contacts',
+            JSON.stringify([
+                { name: 'Later', phone: '123', tier: 2 },
+                { name: 'Unset', phone: '456' },
+                { name: 'Bogus', phone: '789', tier: 'soon' },
+            ]),
+        );
+        expect(loadContacts().map((c) => c.tier)).toEqual([2, 1, 1]);
+    });
+
+    it('keeps a contact\'s channel and falls back to SMS when its address is missing', () => {
+        window.localStorage.setItem(
+            'safesignal.contacts',
+            JSON.stringify([
+                { name: 'Tele', phone: '123', channel: 'telegram', address: ' 12345 ' },
+                { name: 'Mail', phone: '456', channel: 'email' },
+                { name: 'Chat', phone: '789', channel: 'whatsapp', address: 'ignored' },
+                { name: 'Old', phone: '321' },
+            ]),
+        );
+        expect(loadContacts().map(({ channel, address }) => ({ channel, address }))).toEqual([
+            { channel: 'telegram', address: '12345' },
+            { channel: 'sms', address: '' },
+            { channel: 'whatsapp', address: '' },
+            { channel: 'sms', address: '' },
+        ]);
+    });
+
+    it('keeps a contact\'s language and defaults to English', () => {
+        window.localStorage.setItem(
+            'safesignal.contacts',
+            JSON.stringify([
+                { name: 'Asha', phone: '123', language: 'ta' },
+                { name: 'Old', phone: '456' },
+                { name: 'Odd', phone: '789', language: 'klingon' },
+            ]),
+        );
+        expect(loadContacts().map((c) => c.language)).toEqual(['ta', 'en', 'en']);
+    });
+
     it('survives corrupt JSON', () => {
         window.localStorage.setItem('safesignal.contacts', '{not json');
         expect(loadContacts()).toEqual([]);
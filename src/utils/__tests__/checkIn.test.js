@@ -216,3 +216,23 @@ describe('formatting', () => {
         expect(describeCheckInReason({ ...record, note: '' })).toMatch(/No check-in by/);
     });
 });
+
+describe('destination check-ins', () => {
+    const home = { id: 'place-1', name: 'Home', lat: 10.9894, lng: 76.9598, radius: 200 };
+
+    it('keeps the destination across a reload', () => {
+        startCheckIn(30 * MINUTE, '', T0, { destination: home });
+        expect(loadCheckIn().destination).toEqual({ name: 'Home', lat: 10.9894, lng: 76.9598, radius: 200 });
+    });
+
+    it('drops a destination it could not use', () => {
+        const record = startCheckIn(30 * MINUTE, '', T0, { destination: { name: 'Home', lat: 'here' } });
+        expect(record.destination).toBeNull();
+    });
+
+    it('says where the person did not arrive', () => {
+        const record = startCheckIn(30 * MINUTE, '', T0, { destination: home });
+        expect(describeCheckInReason(record)).toMatch(/^Did not reach Home by/);
+        expect(describeCheckInReason({ ...record, note: 'From the library' })).toContain('From the library');
+    });
+});
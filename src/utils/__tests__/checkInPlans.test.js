@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    validatePlan,
+    createPlan,
+    loadPlans,
+    savePlans,
+    windowFor,
+    openWindow,
+    markWindowHandled,
+    describePlan,
+    PLANS_KEY,
+} from '../checkInPlans.js';
+import { startCheckIn, loadCheckIn } from '../checkIn.js';
+
+// Local times throughout, as the app reads them. Monday 19 October 2026.
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes).getTime();
+
+const walkHome = { note: 'Walking home', days: [1, 2, 3, 4, 5], start: '22:00', end: '22:40' };
+
+beforeEach(() => {
+    window.localStorage.clear();
+});
+
+describe('validatePlan', () => {
+    it('accepts a plan and sorts its days', () => {
+        const result = validatePlan({ ...walkHome, days: [5, 1, 3] });
+        expect(result.ok).toBe(true);
+        expect(result.plan.days).toEqual([1, 3, 5]);
+    });
+
+    it('says what is wrong', () => {
+        expect(validatePlan({ ...walkHome, days: [] }).error).toMatch(/day/);
+        expect(validatePlan({ ...walkHome, start: '' }).error).toMatch(/start and an end/);
+        expect(validatePlan({ ...walkHome, end: '22:00' }).error).toMatch(/different/);
+        expect(validatePlan({ ...walkHome, start: '06:00', end: '22:00' }).error).toMatch(/12 hours/);
+    });
+});
+
+describe('stored plans', () => {
+    it('round-trips through storage', () => {
+        const { plan } = createPlan(walkHome, at(19, 12));
+        savePlans([plan]);
+        expect(loadPlans()).toEqual([plan]);
+    });
+
+    it('drops anything malformed', () => {
+        window.localStorage.setItem(PLANS_KEY, JSON.stringify([
+            { id: 'a', days: [1], start: '25:00', end: '22:00' },
+            { days: [1], start: '21:00', end: '22:00' },
+            'nonsense',
+        ]));
+        expect(loadPlans()).toEqual([]);
+    });
+});
+
+describe('windowFor', () => {
+    const plan = createPlan(walkHome).plan;
+
+    it('returns the window open now', () => {
+        expect(windowFor(plan, at(19, 22, 15))).toEqual({ startsAt: at(19, 22), endsAt: at(19, 22, 40) });
+    });
+
+    it('skips to the next day in the plan', () => {
+        // Friday night after the window: the next one is Monday.
+        expect(windowFor(plan, at(23, 23)).startsAt).toBe(at(26, 22));
+    });
+
+    it('keeps an overnight window open past midnight', () => {
+        const late = createPlan({ days: [5], start: '23:30', end: '00:30' }).plan;
+        expect(windowFor(late, at(24, 0, 10))).toEqual({ startsAt: at(23, 23, 30), endsAt: at(24, 0, 30) });
+    });
+});
+
+describe('openWindow', () => {
+    it('finds a plan whose window has started', () => {
+        const { plan } = createPlan(walkHome);
+        expect(openWindow([plan], at(19, 21, 59))).toBeNull();
+        expect(openWindow([plan], at(19, 22, 1))).toMatchObject({ plan, window: { startsAt: at(19, 22) } });
+    });
+
+    it('starts each window once, so "I\'m safe" is not undone', () => {
+        const { plan } = createPlan(walkHome);
+        const handled = markWindowHandled([plan], plan.id, at(19, 22));
+        expect(openWindow(handled, at(19, 22, 5))).toBeNull();
+        expect(openWindow(handled, at(20, 22, 5))).not.toBeNull();
+    });
+
+    it('ignores a plan that is turned off', () => {
+        const { plan } = createPlan(walkHome);
+        expect(openWindow([{ ...plan, enabled: false }], at(19, 22, 5))).toBeNull();
+    });
+});
+
+describe('describePlan', () => {
+    it('names common day sets in words', () => {
+        expect(describePlan(createPlan(walkHome).plan)).toBe('Weekdays 22:00–22:40');
+        expect(describePlan(createPlan({ ...walkHome, days: [0, 6] }).plan)).toMatch(/^Weekends/);
+        expect(describePlan(createPlan({ ...walkHome, days: [0, 1, 2, 3, 4, 5, 6] }).plan)).toMatch(/^Every day/);
+    });
+
+    it('lists other days by name', () => {
+        expect(describePlan(createPlan({ ...walkHome, days: [1, 3] }).plan)).toBe('Mon, Wed 22:00–22:40');
+    });
+});
+
+describe('a check-in started by a plan', () => {
+    it('remembers which plan started it', () => {
+        startCheckIn(40 * 60_000, 'Walking home', at(19, 22), { planId: 'plan-1' });
+        expect(loadCheckIn().planId).toBe('plan-1');
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { GaitAnalyser, SprintDetector, SPRINT_CADENCE_SCORE, SPRINT_CONFIRMED_SCORE } from '../gait.js';
+
+const GRAVITY = 9.81;
+const STEP_MS = 16;
+
+/** Feed `ms` of acceleration from `shape(t)` at about 60 Hz. */
+const feed = (gait, shape, ms, start = 0) => {
+    for (let t = start; t < start + ms; t += STEP_MS) gait.push(shape(t), t);
+    return gait.cadence();
+};
+
+/** One bump per step, as a phone in a pocket sees it. */
+const steps = (perMinute, size = 3) => (t) => GRAVITY + size * Math.sin((2 * Math.PI * t * perMinute) / 60_000);
+
+/** Irregular shaking, from a seeded generator so the test is repeatable. */
+const shaking = () => {
+    let seed = 42;
+    return () => {
+        seed = (seed * 1_103_515_245 + 12_345) % 2_147_483_648;
+        return GRAVITY + 16 * (seed / 2_147_483_648 - 0.5);
+    };
+};
+
+describe('GaitAnalyser', () => {
+    it('measures a walking cadence', () => {
+        expect(feed(new GaitAnalyser(), steps(110), 4000)).toBeGreaterThanOrEqual(105);
+        expect(feed(new GaitAnalyser(), steps(110), 4000)).toBeLessThanOrEqual(115);
+    });
+
+    it('measures a running cadence rather than the stride', () => {
+        const cadence = feed(new GaitAnalyser(), steps(170, 6), 4000);
+        expect(cadence).toBeGreaterThanOrEqual(162);
+        expect(cadence).toBeLessThanOrEqual(178);
+    });
+
+    it('finds no rhythm in a phone at rest or being shaken', () => {
+        expect(feed(new GaitAnalyser(), () => GRAVITY, 4000)).toBe(0);
+        expect(feed(new GaitAnalyser(), shaking(), 4000)).toBe(0);
+    });
+
+    it('waits for enough history', () => {
+        expect(feed(new GaitAnalyser(), steps(110), 1500)).toBe(0);
+    });
+});
+
+describe('SprintDetector', () => {
+    const T0 = 1_800_000_000_000;
+
+    /** Walk for 20 s, then run; returns the reading `runMs` into the run. */
+    const walkThenRun = (detector, runMs, speed = null) => {
+        for (let t = 0; t <= 20_000; t += 1000) detector.update(110, T0 + t);
+        let reading = 0;
+        for (let t = 21_000; t <= 21_000 + runMs; t += 1000) {
+            if (speed !== null) detector.noteSpeed(speed, T0 + t);
+            reading = detector.update(170, T0 + t);
+        }
+        return reading;
+    };
+
+    it('flags walking turning abruptly into running', () => {
+        expect(walkThenRun(new SprintDetector(), 5000)).toBe(SPRINT_CADENCE_SCORE);
+    });
+
+    it('needs GPS speed to count as corroboration', () => {
+        expect(walkThenRun(new SprintDetector(), 5000, 4)).toBe(SPRINT_CONFIRMED_SCORE);
+        expect(walkThenRun(new SprintDetector(), 5000, 1.5)).toBe(SPRINT_CADENCE_SCORE);
+    });
+
+    it('ignores a speed too old to describe the run', () => {
+        const detector = new SprintDetector();
+        detector.noteSpeed(4, T0);
+        expect(walkThenRun(detector, 5000)).toBe(SPRINT_CADENCE_SCORE);
+    });
+
+    it('settles down once the running has gone on', () => {
+        expect(walkThenRun(new SprintDetector(), 61_000, 4)).toBe(0);
+    });
+
+    it('ignores running already under way', () => {
+        const detector = new SprintDetector();
+        expect(detector.update(170, T0)).toBe(0);
+        expect(detector.update(170, T0 + 5000)).toBe(0);
+    });
+
+    it('ignores a rhythm at vehicle speed', () => {
+        expect(walkThenRun(new SprintDetector(), 5000, 12)).toBe(0);
+    });
+});
@@ -6,6 +6,15 @@ import {
     explainPoorAccuracy,
     getGoogleMapsLink,
     formatCoords,
+    distanceBetween,
+    isInside,
+    arrivalAfter,
+    zoneAfter,
+    groundSpeed,
+    bearingBetween,
+    TravelTracker,
+    VEHICLE_SPEED,
+    VEHICLE_JUMP_SCORE,
     UNUSABLE_ACCURACY_M,
 } from '../geo.js';
 
@@ -81,3 +90,213 @@ describe('map helpers', () => {
         expect(formatCoords(null)).toBe('Unknown');
     });
 });
+
+describe('distanceBetween', () => {
+    it('measures along the Earth\'s surface', () => {
+        // One degree of latitude is about 111 km anywhere.
+        expect(distanceBetween({ lat: 10, lng: 76 }, { lat: 11, lng: 76 })).toBeCloseTo(111_195, -2);
+        expect(distanceBetween({ lat: 10.9894, lng: 76.9598 }, { lat: 10.9894, lng: 76.9598 })).toBe(0);
+    });
+
+    it('shrinks a degree of longitude away from the equator', () => {
+        const atEquator = distanceBetween({ lat: 0, lng: 0 }, { lat: 0, lng: 1 });
+        const at60 = distanceBetween({ lat: 60, lng: 0 }, { lat: 60, lng: 1 });
+        expect(at60 / atEquator).toBeCloseTo(0.5, 2);
+    });
+});
+
+describe('isInside', () => {
+    const home = { lat: 10.9894, lng: 76.9598, radius: 200 };
+    // About 100 m north of home.
+    const nearby = { lat: 10.9903, lng: 76.9598 };
+
+    it('counts a precise fix inside the radius', () => {
+        expect(isInside({ ...nearby, accuracy: 20 }, home)).toBe(true);
+    });
+
+    it('waits when the fix might be outside', () => {
+        // Arriving ends the check-in, so "possibly there" is not enough.
+        expect(isInside({ ...nearby, accuracy: 150 }, home)).toBe(false);
+        expect(isInside({ ...home, accuracy: 500000 }, home)).toBe(false);
+    });
+
+    it('is false for a fix outside or missing', () => {
+        expect(isInside({ lat: 11, lng: 77, accuracy: 5 }, home)).toBe(false);
+        expect(isInside(null, home)).toBe(false);
+    });
+});
+
+describe('arrivalAfter', () => {
+    const home = { lat: 10.9894, lng: 76.9598, radius: 200 };
+    const inside = { lat: 10.9903, lng: 76.9598, accuracy: 20 };
+    // About 1 km north.
+    const away = { lat: 10.9984, lng: 76.9598, accuracy: 20 };
+
+    it('does not arrive on a check-in started at the destination', () => {
+        let state = arrivalAfter(inside, home);
+        expect(state).toEqual({ left: false, arrived: false });
+        state = arrivalAfter(inside, home, state.left);
+        expect(state.arrived).toBe(false);
+    });
+
+    it('arrives once the person has left and come back', () => {
+        let state = arrivalAfter(inside, home);
+        state = arrivalAfter(away, home, state.left);
+        expect(state).toEqual({ left: true, arrived: false });
+        expect(arrivalAfter(inside, home, state.left).arrived).toBe(true);
+    });
+
+    it('is not armed by a rough fix that might still be inside', () => {
+        expect(arrivalAfter({ ...away, accuracy: 900 }, home).left).toBe(false);
+        expect(arrivalAfter(null, home).left).toBe(false);
+    });
+});
+
+describe('zoneAfter', () => {
+    const home = { id: 'home', lat: 10.9894, lng: 76.9598, radius: 200 };
+    const gym = { id: 'gym', lat: 11.0168, lng: 76.9558, radius: 100 };
+    const zones = [home, gym];
+    // About 100 m and 250 m north of home.
+    const near = { lat: 10.9903, lng: 76.9598 };
+    const edge = { lat: 10.99165, lng: 76.9598 };
+
+    it('enters a zone only on a fix wholly inside it', () => {
+        expect(zoneAfter({ ...near, accuracy: 20 }, zones)).toBe('home');
+        expect(zoneAfter({ ...near, accuracy: 150 }, zones)).toBeNull();
+    });
+
+    it('leaves only on a fix wholly outside, so the edge does not flicker', () => {
+        expect(zoneAfter({ ...edge, accuracy: 80 }, zones, 'home')).toBe('home');
+        expect(zoneAfter({ ...edge, accuracy: 10 }, zones, 'home')).toBeNull();
+    });
+
+    it('moves straight from one zone to another', () => {
+        expect(zoneAfter({ lat: gym.lat, lng: gym.lng, accuracy: 10 }, zones, 'home')).toBe('gym');
+    });
+
+    it('changes nothing on a fix too rough to tell', () => {
+        expect(zoneAfter({ lat: 11, lng: 77, accuracy: UNUSABLE_ACCURACY_M + 1 }, zones, 'home')).toBe('home');
+        expect(zoneAfter(null, zones, 'home')).toBe('home');
+    });
+
+    it('forgets a zone that is no longer saved', () => {
+        expect(zoneAfter({ ...near, accuracy: 20 }, [gym], 'home')).toBeNull();
+    });
+});
+
+describe('groundSpeed', () => {
+    // About 111 m per 0.001° of latitude.
+    const at = (north, seconds, extra = {}) => ({
+        lat: 12.97 + north * 0.001, lng: 77.59, accuracy: 10, timestamp: seconds * 1000, ...extra,
+    });
+
+    it('prefers the speed the device reports', () => {
+        expect(groundSpeed(null, at(0, 0, { speed: 3.2 }))).toBe(3.2);
+    });
+
+    it('works it out from the previous fix otherwise', () => {
+        expect(groundSpeed(at(0, 0), at(0.27, 10))).toBeCloseTo(3, 1);
+    });
+
+    it('does not guess inside the accuracy circles', () => {
+        expect(groundSpeed(at(0, 0), at(0.1, 5))).toBeNull();
+    });
+
+    it('does not guess from fixes far apart in time, or too rough', () => {
+        expect(groundSpeed(at(0, 0), at(1, 60))).toBeNull();
+        expect(groundSpeed(at(0, 0, { accuracy: UNUSABLE_ACCURACY_M + 1 }), at(1, 20))).toBeNull();
+        expect(groundSpeed(null, at(1, 20))).toBeNull();
+    });
+});
+
+describe('bearingBetween', () => {
+    it('measures clockwise from north', () => {
+        const origin = { lat: 12.97, lng: 77.59 };
+        expect(bearingBetween(origin, { lat: 12.98, lng: 77.59 })).toBeCloseTo(0, 0);
+        expect(bearingBetween(origin, { lat: 12.97, lng: 77.6 })).toBeCloseTo(90, 0);
+        expect(bearingBetween(origin, { lat: 12.96, lng: 77.59 })).toBeCloseTo(180, 0);
+    });
+});
+
+describe('TravelTracker', () => {
+    const T0 = 1_800_000_000_000;
+    const fix = (seconds, speed, heading = 0) => ({
+        lat: 12.97, lng: 77.59, accuracy: 8, timestamp: T0 + seconds * 1000, speed, heading,
+    });
+
+    /** Feed fixes a second apart from `from`; returns the results. */
+    const drive = (tracker, from, speeds, heading = 0) =>
+        speeds.map((speed, i) => tracker.push(fix(from + i, speed, heading)));
+
+    it('flags walking that turns into driving, once, on the second fast fix', () => {
+        const tracker = new TravelTracker();
+        drive(tracker, 0, [1.4, 1.4, 1.3]);
+        const results = drive(tracker, 10, [12, 13, 14, 15]);
+        expect(results.map((r) => r.jumped)).toEqual([false, true, false, false]);
+        expect(tracker.reading(T0 + 20_000)).toBe(VEHICLE_JUMP_SCORE);
+    });
+
+    it('keeps one trip through a stop at the lights', () => {
+        const tracker = new TravelTracker();
+        drive(tracker, 0, [1.4]);
+        drive(tracker, 5, [12, 13]);
+        drive(tracker, 30, [0, 0, 0]);
+        expect(drive(tracker, 60, [10, 12]).some((r) => r.jumped)).toBe(false);
+        expect(tracker.reading(T0 + 61_000)).toBe(VEHICLE_JUMP_SCORE);
+    });
+
+    it('starts a new trip after a couple of minutes on foot', () => {
+        const tracker = new TravelTracker();
+        drive(tracker, 0, [1.4]);
+        drive(tracker, 5, [12, 13]);
+        tracker.push(fix(100, 1.2));
+        tracker.push(fix(230, 1.2));
+        expect(tracker.reading(T0 + 230_000)).toBe(0);
+        expect(drive(tracker, 240, [12, 13])[1].jumped).toBe(true);
+    });
+
+    it('flags standing then driving on a device that reports no speed', () => {
+        // Standing still never moves past the accuracy circles, so there is no
+        // worked-out speed until the car is moving.
+        const at = (seconds, north) => ({
+            lat: 12.97 + north * 0.001, lng: 77.59, accuracy: 8, timestamp: T0 + seconds * 1000,
+        });
+        const tracker = new TravelTracker();
+        for (let s = 0; s <= 20; s += 5) tracker.push(at(s, 0.002 * (s % 2)));
+
+        // About 33 m every two seconds, northwards.
+        const results = [22, 24, 26].map((s, i) => tracker.push(at(s, 0.3 * (i + 1))));
+        expect(results.map((r) => r.jumped)).toEqual([false, true, false]);
+        expect(results[0].speed).toBeGreaterThan(VEHICLE_SPEED);
+    });
+
+    it('ignores a vehicle already moving when tracking began', () => {
+        const tracker = new TravelTracker();
+        expect(drive(tracker, 0, [14, 14, 14]).some((r) => r.jumped)).toBe(false);
+    });
+
+    it('ignores fast fixes pointing different ways', () => {
+        const tracker = new TravelTracker();
+        drive(tracker, 0, [1.4]);
+        tracker.push(fix(5, 20, 10));
+        expect(tracker.push(fix(6, 20, 190)).jumped).toBe(false);
+    });
+
+    it('stays quiet for the rest of a trip in a cab', () => {
+        const tracker = new TravelTracker();
+        drive(tracker, 0, [1.4]);
+        tracker.markInVehicle();
+        const results = drive(tracker, 5, [12, 13]);
+        expect(results.some((r) => r.jumped)).toBe(false);
+        expect(results[1].inCab).toBe(true);
+        expect(tracker.reading(T0 + 7000)).toBe(0);
+    });
+
+    it('withdraws the reading when told it is a cab after all', () => {
+        const tracker = new TravelTracker();
+        drive(tracker, 0, [1.4]);
+        drive(tracker, 5, [12, 13]);
+        tracker.markInVehicle();
+        expect(tracker.reading(T0 + 7000)).toBe(0);
+    });
+});
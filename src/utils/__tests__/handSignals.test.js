@@ -0,0 +1,206 @@
+import { describe, it, expect } from 'vitest';
+import { describeHand, poseOf, HandSignalTracker, HOLD_DURATION_MS } from '../handSignals.js';
+import { SENSITIVITY_LIMITS } from '../riskEngine.js';
+import { loadHandSignal, saveHandSignal } from '../storage.js';
+
+/** Finger bases (5, 9, 13, 17) for a right hand held up, wrist at the bottom. */
+const BASES = [[0.44, 0.62], [0.5, 0.6], [0.56, 0.62], [0.62, 0.65]];
+const THUMB_TIPS = { out: [0.3, 0.65], tucked: [0.424, 0.658], trapped: [0.5, 0.66] };
+
+/**
+ * 21 MediaPipe landmarks in image coordinates (y grows downwards).
+ *
+ * @param {Object} shape
+ * @param {Array<'open'|'folded'>|'open'|'folded'} shape.fingers - index to pinky
+ * @param {'out'|'tucked'|'trapped'} shape.thumb
+ */
+const landmarks = ({ fingers, thumb }) => {
+    const points = [{ x: 0.5, y: 0.8 }];
+    const [tx, ty] = THUMB_TIPS[thumb];
+    points.push({ x: 0.45, y: 0.75 }, { x: 0.42, y: 0.7 }, { x: (0.42 + tx) / 2, y: (0.7 + ty) / 2 }, { x: tx, y: ty });
+    BASES.forEach(([x, y], i) => {
+        const open = (Array.isArray(fingers) ? fingers[i] : fingers) === 'open';
+        points.push(
+            { x, y },
+            { x, y: y - (open ? 0.08 : 0.06) },
+            { x, y: y - (open ? 0.13 : 0.03) },
+            { x, y: y + (open ? -0.18 : 0.04) },
+        );
+    });
+    return points;
+};
+
+const OPEN = describeHand(landmarks({ fingers: 'open', thumb: 'out' }));
+const TUCKED = describeHand(landmarks({ fingers: 'open', thumb: 'tucked' }));
+const TRAPPED = describeHand(landmarks({ fingers: 'folded', thumb: 'trapped' }));
+const FIST = describeHand(landmarks({ fingers: 'folded', thumb: 'out' }));
+
+/** Push the same frame every 50 ms from `from` to `to` inclusive. */
+const feed = (tracker, hand, from, to) => {
+    let state = null;
+    for (let now = from; now <= to; now += 50) state = tracker.push(hand, now);
+    return state;
+};
+
+/** Palm with the thumb tucked for 400 ms, then folded over it: complete at 950 ms. */
+const giveSignal = (tracker) => {
+    feed(tracker, TUCKED, 0, 400);
+    return feed(tracker, TRAPPED, 450, 950);
+};
+
+describe('describeHand and poseOf', () => {
+    it('names the poses the signals are made of', () => {
+        expect(poseOf(OPEN)).toBe('open');
+        expect(poseOf(TUCKED)).toBe('tucked');
+        expect(poseOf(TRAPPED)).toBe('trapped');
+        expect(poseOf(FIST)).toBe('fist');
+    });
+
+    it('reads a half-closed hand as neither open nor folded', () => {
+        const half = describeHand(landmarks({ fingers: ['open', 'open', 'folded', 'folded'], thumb: 'out' }));
+        expect(poseOf(half)).toBe('other');
+    });
+
+    it('does not take a hand hanging down for an open palm', () => {
+        const down = landmarks({ fingers: 'open', thumb: 'out' }).map(({ x, y }) => ({ x, y: 1.6 - y }));
+        expect(describeHand(down).upright).toBe(false);
+        expect(poseOf(describeHand(down))).toBe('other');
+    });
+
+    it('measures in hand sizes, so distance from the camera does not matter', () => {
+        const far = landmarks({ fingers: 'open', thumb: 'tucked' }).map(({ x, y }) => ({ x: 0.3 + x / 3, y: 0.2 + y / 3 }));
+        expect(poseOf(describeHand(far))).toBe('tucked');
+    });
+
+    it('returns null without a whole hand', () => {
+        expect(describeHand(null)).toBeNull();
+        expect(describeHand(landmarks({ fingers: 'open', thumb: 'out' }).slice(0, 10))).toBeNull();
+        expect(poseOf(null)).toBeNull();
+    });
+});
+
+describe('HandSignalTracker — Signal for Help', () => {
+    it('fires once the palm is shown and the fingers folded over the thumb', () => {
+        const tracker = new HandSignalTracker('help');
+        const shown = feed(tracker, TUCKED, 0, 400);
+        expect(shown).toMatchObject({ score: 0, stage: 'palm', progress: 0.5 });
+
+        expect(tracker.push(TRAPPED, 450).stage).toBe('fold');
+        expect(tracker.push(TRAPPED, 900).score).toBe(0);
+        expect(tracker.push(TRAPPED, 950)).toMatchObject({ score: 1, stage: 'signalled', progress: 1 });
+    });
+
+    it('never fires on a plain fist', () => {
+        const tracker = new HandSignalTracker('help');
+        expect(feed(tracker, FIST, 0, 5000)).toMatchObject({ score: 0, stage: 'idle' });
+        expect(feed(tracker, TRAPPED, 5050, 8000)).toMatchObject({ score: 0, stage: 'idle' });
+    });
+
+    it('does not finish on a fist with the thumb outside the fingers', () => {
+        // Closer to a hand gripping a bag than to the signal.
+        const tracker = new HandSignalTracker('help');
+        feed(tracker, TUCKED, 0, 400);
+        expect(feed(tracker, FIST, 450, 2000)).toMatchObject({ score: 0, stage: 'idle' });
+
+        feed(tracker, TUCKED, 2050, 2450);
+        feed(tracker, TRAPPED, 2500, 2600);
+        expect(feed(tracker, FIST, 2650, 4000)).toMatchObject({ score: 0, stage: 'idle' });
+    });
+
+    it('does not start on an open palm with the thumb out', () => {
+        const tracker = new HandSignalTracker('help');
+        feed(tracker, OPEN, 0, 1000);
+        expect(feed(tracker, TRAPPED, 1050, 2000).score).toBe(0);
+    });
+
+    it('needs the palm shown long enough to be deliberate', () => {
+        const tracker = new HandSignalTracker('help');
+        feed(tracker, TUCKED, 0, 200);
+        expect(feed(tracker, TRAPPED, 250, 3000)).toMatchObject({ score: 0, stage: 'idle' });
+    });
+
+    it('lets the fold pass through half-closed frames', () => {
+        const tracker = new HandSignalTracker('help');
+        const half = describeHand(landmarks({ fingers: ['open', 'open', 'folded', 'folded'], thumb: 'tucked' }));
+        feed(tracker, TUCKED, 0, 400);
+        feed(tracker, half, 450, 900);
+        expect(feed(tracker, TRAPPED, 950, 1450).score).toBe(1);
+    });
+
+    it('gives up when the fold never comes', () => {
+        const tracker = new HandSignalTracker('help');
+        feed(tracker, TUCKED, 0, 400);
+        expect(feed(tracker, OPEN, 450, 2000).stage).toBe('idle');
+    });
+
+    it('survives a brief tracking dropout while the fold is held', () => {
+        const tracker = new HandSignalTracker('help');
+        feed(tracker, TUCKED, 0, 400);
+        feed(tracker, TRAPPED, 450, 600);
+        feed(tracker, null, 650, 900);
+        expect(feed(tracker, TRAPPED, 950, 1000).score).toBe(1);
+    });
+
+    it('stands long enough for the slowest sustain, then clears', () => {
+        const tracker = new HandSignalTracker('help');
+        giveSignal(tracker);
+        const latch = SENSITIVITY_LIMITS.sustainMs.max;
+        expect(tracker.push(null, 950 + latch).score).toBe(1);
+        expect(tracker.push(null, 950 + latch + 1000)).toMatchObject({ score: 0, stage: 'idle' });
+    });
+
+    it('clears at once on reset', () => {
+        const tracker = new HandSignalTracker('help');
+        giveSignal(tracker);
+        tracker.reset();
+        expect(tracker.push(null, 1000).score).toBe(0);
+    });
+});
+
+describe('HandSignalTracker — held signals', () => {
+    it('fires on an open palm held for the hold duration', () => {
+        const tracker = new HandSignalTracker('palm');
+        expect(feed(tracker, OPEN, 0, 1000).progress).toBeCloseTo(0.5);
+        expect(tracker.push(OPEN, HOLD_DURATION_MS - 1).score).toBe(0);
+        expect(tracker.push(OPEN, HOLD_DURATION_MS).score).toBe(1);
+    });
+
+    it('ignores a fist when watching for a palm, and a palm when watching for a fist', () => {
+        expect(feed(new HandSignalTracker('palm'), FIST, 0, 3000).score).toBe(0);
+        expect(feed(new HandSignalTracker('fist'), OPEN, 0, 3000).score).toBe(0);
+    });
+
+    it('fires on a fist held for the hold duration, thumb in or out', () => {
+        expect(feed(new HandSignalTracker('fist'), FIST, 0, HOLD_DURATION_MS).score).toBe(1);
+        expect(feed(new HandSignalTracker('fist'), TRAPPED, 0, HOLD_DURATION_MS).score).toBe(1);
+    });
+
+    it('keeps the hold through a short dropout but not a long one', () => {
+        const brief = new HandSignalTracker('palm');
+        feed(brief, OPEN, 0, 800);
+        feed(brief, null, 850, 1150);
+        expect(feed(brief, OPEN, 1200, HOLD_DURATION_MS).score).toBe(1);
+
+        const long = new HandSignalTracker('palm');
+        feed(long, OPEN, 0, 800);
+        feed(long, null, 850, 1500);
+        expect(feed(long, OPEN, 1550, HOLD_DURATION_MS).score).toBe(0);
+    });
+
+    it('counts only while held', () => {
+        const tracker = new HandSignalTracker('fist');
+        feed(tracker, FIST, 0, HOLD_DURATION_MS);
+        expect(feed(tracker, OPEN, HOLD_DURATION_MS + 50, HOLD_DURATION_MS + 1000).score).toBe(0);
+    });
+});
+
+describe('hand signal setting', () => {
+    it('defaults to the Signal for Help and keeps a valid choice', () => {
+        localStorage.clear();
+        expect(loadHandSignal()).toBe('help');
+        saveHandSignal('palm');
+        expect(loadHandSignal()).toBe('palm');
+        saveHandSignal('wave');
+        expect(loadHandSignal()).toBe('help');
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { InactivityWatch, describeStillness, PROMPT_ANSWER_MS } from '../inactivity.js';
+import { loadInactivityMinutes, saveInactivityMinutes, DEFAULT_INACTIVITY_MINUTES } from '../storage.js';
+
+const T0 = 1_800_000_000_000;
+const LIMIT = 10 * 60_000;
+
+/** About 11 m of latitude per 0.0001°. */
+const fix = (north, accuracy = 10) => ({ lat: 12.9716 + north * 0.0001, lng: 77.5946, accuracy });
+
+describe('InactivityWatch', () => {
+    it('asks once the phone has been still for the limit', () => {
+        const watch = new InactivityWatch(LIMIT, T0);
+        expect(watch.check(T0 + LIMIT - 1)).toBe('watching');
+        expect(watch.check(T0 + LIMIT)).toBe('prompt');
+    });
+
+    it('starts the countdown when the question goes unanswered', () => {
+        const watch = new InactivityWatch(LIMIT, T0);
+        watch.check(T0 + LIMIT);
+        expect(watch.check(T0 + LIMIT + PROMPT_ANSWER_MS - 1)).toBe('prompt');
+        expect(watch.check(T0 + LIMIT + PROMPT_ANSWER_MS)).toBe('overdue');
+    });
+
+    it('counts from the last movement', () => {
+        const watch = new InactivityWatch(LIMIT, T0);
+        watch.noteMotion(T0 + 60_000);
+        watch.noteMotion(null);
+        expect(watch.check(T0 + LIMIT)).toBe('watching');
+        expect(watch.check(T0 + 60_000 + LIMIT)).toBe('prompt');
+    });
+
+    it('counts travel but not GPS wandering on the spot', () => {
+        const watch = new InactivityWatch(LIMIT, T0);
+        watch.noteFix(fix(0), T0 + 1000);
+        watch.noteFix(fix(1), T0 + 120_000);
+        expect(watch.check(T0 + LIMIT)).toBe('prompt');
+
+        const walking = new InactivityWatch(LIMIT, T0);
+        walking.noteFix(fix(0), T0 + 1000);
+        walking.noteFix(fix(5), T0 + 120_000);
+        expect(walking.check(T0 + LIMIT)).toBe('watching');
+    });
+
+    it('ignores a fix too rough to show travel', () => {
+        const watch = new InactivityWatch(LIMIT, T0);
+        watch.noteFix(fix(0), T0 + 1000);
+        watch.noteFix(fix(500, 5000), T0 + 120_000);
+        expect(watch.check(T0 + LIMIT)).toBe('prompt');
+    });
+
+    it('withdraws the question when the phone moves again', () => {
+        const watch = new InactivityWatch(LIMIT, T0);
+        watch.check(T0 + LIMIT);
+        watch.noteMotion(T0 + LIMIT + 5000);
+        expect(watch.check(T0 + LIMIT + PROMPT_ANSWER_MS)).toBe('watching');
+    });
+
+    it('starts counting again after "I am OK"', () => {
+        const watch = new InactivityWatch(LIMIT, T0);
+        watch.check(T0 + LIMIT);
+        watch.answer(T0 + LIMIT + 10_000);
+        expect(watch.check(T0 + LIMIT + PROMPT_ANSWER_MS)).toBe('watching');
+        expect(watch.check(T0 + 2 * LIMIT + 10_000)).toBe('prompt');
+    });
+
+    it('does nothing when turned off', () => {
+        expect(new InactivityWatch(0, T0).check(T0 + 24 * 60 * 60_000)).toBe('off');
+    });
+
+    it('gives the stillness as the alert reason', () => {
+        expect(describeStillness(LIMIT)).toContain('10 min');
+    });
+});
+
+describe('inactivity setting', () => {
+    it('defaults, and ignores values it does not offer', () => {
+        localStorage.clear();
+        expect(loadInactivityMinutes()).toBe(DEFAULT_INACTIVITY_MINUTES);
+        saveInactivityMinutes(7);
+        expect(loadInactivityMinutes()).toBe(DEFAULT_INACTIVITY_MINUTES);
+        saveInactivityMinutes(0);
+        expect(loadInactivityMinutes()).toBe(0);
+    });
+});
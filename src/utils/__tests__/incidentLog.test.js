@@ -113,6 +113,14 @@ describe('summariseTrigger', () => {
         expect(summariseTrigger([], 'Manual alert')).toBe('Manual alert');
     });
 
+    it('names a fall by what followed it', () => {
+        const still = [
+            { t: T0, type: EVENT.READING, risk: 1, readings: { motion: 0, fall: 1 }, active: ['motion'] },
+        ];
+        expect(summariseTrigger(still)).toContain('a fall, then no movement');
+        expect(summariseTrigger(still)).not.toContain('%');
+    });
+
     it('omits a hand signal that was never held', () => {
         const entries = [
             { t: T0, type: EVENT.READING, risk: 0.4, readings: { gesture: 0, stress: 0.4 }, active: ['gesture', 'stress'] },
@@ -127,6 +135,8 @@ describe('describeMoment', () => {
         expect(describeMoment({ type: EVENT.COUNTDOWN_CANCELLED })).toBe('You stopped the alert');
         expect(describeMoment({ type: EVENT.SENSOR_ON, sensor: 'gesture' })).toBe('hand signal enabled');
         expect(describeMoment({ type: EVENT.SUSTAIN_STARTED, risk: 0.82 })).toContain('82%');
+        expect(describeMoment({ type: EVENT.FALL_DETECTED, impact: 3.4 })).toContain('3.4 g');
+        expect(describeMoment({ type: EVENT.VEHICLE_SPEED, speedKmh: 43 })).toContain('43 km/h');
     });
 
     it('includes the escalation reason when there is one', () => {
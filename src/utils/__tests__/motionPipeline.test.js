@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { MotionPipelineController } from '../motionPipeline.js';
+import { MotionPipelineController, FallDetector, FALL_SCORE, LONG_LIE_SCORE } from '../motionPipeline.js';
 
 /**
  * @param {{x: number, y: number, z: number}} acc
@@ -107,6 +107,21 @@ describe('MotionPipelineController', () => {
         expect(pipeline.getMotionScore()).toBe(0);
     });
 
+    it('remembers when the phone last moved', async () => {
+        const updates = [];
+        await pipeline.start((u) => updates.push(u));
+        pipeline.handleMotion(motionEvent({ x: 0, y: 0, z: 9.81 }));
+        expect(pipeline.getLastMovedAt()).toBeNull();
+
+        pipeline.handleMotion(motionEvent({ x: 4, y: 0, z: 9.81 }));
+        const movedAt = pipeline.getLastMovedAt();
+        expect(movedAt).toBe(Date.now());
+
+        await vi.advanceTimersByTimeAsync(1000);
+        pipeline.handleMotion(motionEvent({ x: 0, y: 0.1, z: 9.8 }));
+        expect(updates.at(-1).lastMovedAt).toBe(movedAt);
+    });
+
     it('clears the probe timer on stop', async () => {
         const updates = [];
         await pipeline.start((u) => updates.push(u));
@@ -118,3 +133,81 @@ describe('MotionPipelineController', () => {
         expect(updates.length).toBe(countAtStop);
     });
 });
+
+describe('FallDetector', () => {
+    const STEP_MS = 20;
+
+    /** Feed `ms` of one magnitude at 50 Hz, returning the last result. */
+    const hold = (detector, magnitude, ms, clock) => {
+        let result = null;
+        for (let elapsed = 0; elapsed < ms; elapsed += STEP_MS) {
+            clock.now += STEP_MS;
+            result = detector.push(magnitude, clock.now);
+        }
+        return result;
+    };
+
+    /** A dip, a hard landing, then lying still for `stillMs`. */
+    const fall = (detector, clock, stillMs) => {
+        hold(detector, 9.8, 200, clock);
+        hold(detector, 1, 300, clock);
+        hold(detector, 32, 60, clock);
+        return hold(detector, 9.8, stillMs, clock);
+    };
+
+    it('confirms a fall after the stillness that follows it', () => {
+        const detector = new FallDetector();
+        const clock = { now: 0 };
+        const seen = [];
+        hold(detector, 9.8, 200, clock);
+        hold(detector, 1, 300, clock);
+        hold(detector, 32, 60, clock);
+        for (let i = 0; i < 200; i++) {
+            clock.now += STEP_MS;
+            const result = detector.push(9.8, clock.now);
+            if (result.fell) seen.push(result);
+        }
+
+        expect(seen).toHaveLength(1);
+        expect(seen[0].score).toBe(FALL_SCORE);
+        expect(seen[0].impact).toBe(32);
+    });
+
+    it('waits through the settle before counting stillness', () => {
+        const detector = new FallDetector();
+        expect(fall(detector, { now: 0 }, 2500).score).toBe(0);
+    });
+
+    it('raises the reading after a long lie', () => {
+        const detector = new FallDetector();
+        expect(fall(detector, { now: 0 }, 12000).score).toBe(LONG_LIE_SCORE);
+    });
+
+    it('clears once the phone is moved again', () => {
+        const detector = new FallDetector();
+        const clock = { now: 0 };
+        expect(fall(detector, clock, 4000).score).toBe(FALL_SCORE);
+        expect(hold(detector, 16, 40, clock).score).toBe(0);
+        expect(detector.phase).toBe('idle');
+    });
+
+    it('ignores shaking and a jolt with no free fall', () => {
+        const detector = new FallDetector();
+        const clock = { now: 0 };
+        for (let i = 0; i < 100; i++) {
+            clock.now += STEP_MS;
+            detector.push(i % 2 ? 30 : 4, clock.now);
+        }
+        expect(hold(detector, 9.8, 5000, clock).score).toBe(0);
+    });
+
+    it('ignores a landing followed by walking away', () => {
+        const detector = new FallDetector();
+        const clock = { now: 0 };
+        hold(detector, 1, 300, clock);
+        hold(detector, 32, 60, clock);
+        hold(detector, 9.8, 1000, clock);
+        expect(hold(detector, 14, 200, clock).score).toBe(0);
+        expect(hold(detector, 9.8, 5000, clock).score).toBe(0);
+    });
+});
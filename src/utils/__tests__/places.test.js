@@ -0,0 +1,35 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { isNight, safeZones } from '../places.js';
+import { loadPlaces, savePlaces, PLACES_KEY } from '../storage.js';
+
+// Local times, as the app reads them.
+const at = (hours) => new Date(2026, 9, 19, hours, 30).getTime();
+
+beforeEach(() => {
+    window.localStorage.clear();
+});
+
+describe('isNight', () => {
+    it('covers the evening and the small hours', () => {
+        expect(isNight(at(21))).toBe(true);
+        expect(isNight(at(2))).toBe(true);
+        expect(isNight(at(6))).toBe(false);
+        expect(isNight(at(14))).toBe(false);
+    });
+});
+
+describe('safe zones', () => {
+    const home = { id: 'home', name: 'Home', lat: 10.99, lng: 76.96, radius: 200 };
+
+    it('treats a place saved before zones existed as an ordinary place', () => {
+        window.localStorage.setItem(PLACES_KEY, JSON.stringify([home]));
+        expect(loadPlaces()[0].zone).toBe('none');
+        expect(safeZones(loadPlaces())).toEqual([]);
+    });
+
+    it('keeps the zone mode and drops an unknown one', () => {
+        savePlaces([{ ...home, zone: 'pause' }, { ...home, id: 'gym', zone: 'silent' }]);
+        expect(loadPlaces().map((p) => p.zone)).toEqual(['pause', 'none']);
+        expect(safeZones(loadPlaces()).map((p) => p.id)).toEqual(['home']);
+    });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { summariseRemoteStatus } from '../remoteCheckIn.js';
+
+describe('summariseRemoteStatus', () => {
+    const at = new Date(2026, 6, 27, 2, 14).getTime();
+
+    it('says when the server will act while the check-in is running', () => {
+        const [line] = summariseRemoteStatus({ phase: 'active', firesAt: at, results: [] });
+        expect(line).toMatch(/holds your timer/);
+        expect(line).toContain('02:14');
+    });
+
+    it('counts a contact as reached if any round got through', () => {
+        // Sam's call failed in round one and went through in round two; saying
+        // "not reached" would send someone to ring Sam for no reason.
+        const lines = summariseRemoteStatus({
+            phase: 'fired',
+            firedAt: at,
+            nextRoundAt: null,
+            results: [
+                { contact: 'Sam', round: 1, ok: false },
+                { contact: 'Asha', round: 1, ok: true },
+                { contact: 'Sam', round: 2, ok: true },
+                { contact: 'Ravi', round: 2, ok: false },
+            ],
+        });
+
+        expect(lines).toContain('Reached: Asha, Sam.');
+        expect(lines).toContain('Not reached: Ravi.');
+    });
+
+    it('says what became of each contact\'s latest call and text', () => {
+        const lines = summariseRemoteStatus({
+            phase: 'fired',
+            firedAt: at,
+            results: [
+                { contact: 'Sam', round: 1, ok: true, callStatus: 'no-answer', textStatus: 'delivered' },
+                { contact: 'Asha', round: 1, ok: true, callStatus: 'queued', textStatus: 'queued' },
+                { contact: 'Sam', round: 2, ok: true, callStatus: 'answered', textStatus: 'queued' },
+            ],
+        });
+
+        expect(lines).toContain('Sam: call answered.');
+        expect(lines.join(' ')).not.toMatch(/Asha:/);
+    });
+
+    it('mentions the next round only while one is scheduled', () => {
+        const base = { phase: 'fired', firedAt: at, results: [] };
+        expect(summariseRemoteStatus({ ...base, nextRoundAt: at + 600_000 }).join(' ')).toMatch(/Next round/);
+        expect(summariseRemoteStatus({ ...base, nextRoundAt: null }).join(' ')).not.toMatch(/Next round/);
+    });
+
+    it('says nothing without a status', () => {
+        expect(summariseRemoteStatus(null)).toEqual([]);
+    });
+});
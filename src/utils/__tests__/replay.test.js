@@ -0,0 +1,80 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { replay, checkScenario } from '../replay.js';
+import { IncidentLog, EVENT } from '../incidentLog.js';
+import { SENSITIVITY_PRESETS, SUSTAIN_DURATION_MS } from '../riskEngine.js';
+
+const T0 = 1_800_000_000_000;
+const SCENARIOS = fileURLToPath(new URL('../../../scenarios', import.meta.url));
+
+/** A session as the dashboard would log it, one reading a second. */
+const session = (readings, active = ['stress', 'motion']) => {
+    const log = new IncidentLog();
+    log.record(EVENT.PROTECTION_ON, {}, T0 - 1000);
+    readings.forEach((values, i) => {
+        log.record(EVENT.READING, { risk: 0, readings: values, active }, T0 + i * 1000);
+    });
+    return log;
+};
+
+const struggle = Array.from({ length: 10 }, () => ({ stress: 0.9, motion: 0.9 }));
+
+describe('replay', () => {
+    it('reports when escalation would have happened', () => {
+        const result = replay(session(struggle).getEntries());
+        expect(result.readings).toBe(10);
+        expect(result.escalations).toHaveLength(1);
+        expect(result.escalations[0].t).toBe(T0 + SUSTAIN_DURATION_MS);
+        expect(result.escalations[0].offsetMs).toBe(SUSTAIN_DURATION_MS + 1000);
+    });
+
+    it('counts another escalation only after a cancel', () => {
+        const log = session(struggle);
+        log.record(EVENT.COUNTDOWN_CANCELLED, {}, T0 + 6500);
+        const result = replay(log.getEntries());
+        expect(result.escalations.map((e) => e.t)).toEqual([T0 + 5000]);
+
+        const longer = session([...struggle, ...struggle]);
+        longer.record(EVENT.COUNTDOWN_CANCELLED, {}, T0 + 6500);
+        expect(replay(longer.getEntries()).escalations.map((e) => e.t)).toEqual([T0 + 5000, T0 + 12000]);
+    });
+
+    it('applies a safe zone from the log', () => {
+        const log = new IncidentLog();
+        log.record(EVENT.ZONE_ENTERED, { mode: 'pause' }, T0 - 500);
+        for (const entry of session(struggle).getEntries()) log.record(entry.type, entry, entry.t);
+        expect(replay(log.getEntries()).escalations).toEqual([]);
+    });
+
+    it('replays at the sensitivity it is given', () => {
+        const tense = Array.from({ length: 10 }, () => ({ stress: 0.7, motion: 0.65 }));
+        expect(replay(session(tense).getEntries()).escalations).toEqual([]);
+        expect(replay(session(tense).getEntries(), { sensitivity: SENSITIVITY_PRESETS.high }).escalations).toHaveLength(1);
+    });
+
+    it('copes with nothing to replay', () => {
+        expect(replay([])).toEqual({ escalations: [], readings: 0, peakRisk: 0, durationMs: 0 });
+        expect(replay(null).readings).toBe(0);
+    });
+});
+
+describe('checkScenario', () => {
+    it('only reports for an alert with no expectation', () => {
+        const check = checkScenario({ incident: session(struggle).getEntries() });
+        expect(check.passed).toBeNull();
+        expect(check.result.escalations).toHaveLength(1);
+    });
+
+    it('fails a scenario that escalates too late', () => {
+        const scenario = { entries: session(struggle).getEntries(), expect: { escalates: true, byMs: 3000 } };
+        expect(checkScenario(scenario).passed).toBe(false);
+    });
+
+    it.each(readdirSync(SCENARIOS).filter((name) => name.endsWith('.json')))('%s behaves as it expects', (file) => {
+        const scenario = JSON.parse(readFileSync(join(SCENARIOS, file), 'utf8'));
+        expect(checkScenario(scenario).passed).toBe(true);
+    });
+});
@@ -6,7 +6,13 @@ import {
     getRiskLevel,
     RISK_THRESHOLD,
     SUSTAIN_DURATION_MS,
+    ZONE_CONCERN_THRESHOLD,
+    SENSITIVITY_PRESETS,
+    DEFAULT_SENSITIVITY,
+    validateSensitivity,
+    resolveSensitivity,
 } from '../riskEngine.js';
+import { loadSensitivity, saveSensitivity, SENSITIVITY_KEY } from '../storage.js';
 
 const ALL = { gesture: true, stress: true, motion: true };
 
@@ -177,6 +183,201 @@ describe('RiskTracker', () => {
     });
 });
 
+describe('a detected fall', () => {
+    const withFall = { ...ALL, fall: true };
+
+    it('sets a floor under the score without diluting the others', () => {
+        const calm = calculateRisk({ gesture: 0, stress: 0.2, motion: 0.1 }, withFall);
+        expect(calm).toEqual(calculateRisk({ gesture: 0, stress: 0.2, motion: 0.1 }, ALL));
+
+        const fallen = calculateRisk({ gesture: 0, stress: 0.2, motion: 0.1, fall: 0.8 }, withFall);
+        expect(fallen.score).toBe(0.8);
+        expect(fallen.contributions.fall.value).toBe(0.8);
+    });
+
+    it('counts when every other sensor is off', () => {
+        expect(calculateRisk({ fall: 1 }, { fall: true }).score).toBe(1);
+        expect(calculateRisk({ fall: 1 }, { fall: false }).score).toBe(0);
+    });
+
+    it('needs another sensor until the stillness has gone on', () => {
+        expect(evaluateCorroboration({ fall: 0.8 }, withFall).corroborated).toBe(false);
+        expect(evaluateCorroboration({ fall: 0.8, stress: 0.7 }, withFall).concerned).toEqual(['stress', 'fall']);
+
+        const longLie = evaluateCorroboration({ fall: 1 }, withFall);
+        expect(longLie.corroborated).toBe(true);
+        expect(longLie.concerned).toEqual(['fall']);
+    });
+
+    it('escalates through a paused zone', () => {
+        const tracker = new RiskTracker();
+        tracker.setZone('pause');
+        tracker.update({ fall: 1 }, { fall: true, stress: true, motion: true }, 1_000_000);
+        const result = tracker.update({ fall: 1 }, { fall: true, stress: true, motion: true }, 1_000_000 + SUSTAIN_DURATION_MS);
+        expect(result.shouldEscalate).toBe(true);
+    });
+});
+
+describe('a sudden sprint', () => {
+    const onFoot = { gesture: false, stress: true, motion: true, sprint: true };
+
+    it('corroborates a raised voice once GPS confirms it', () => {
+        const result = evaluateCorroboration({ stress: 0.7, motion: 0.3, sprint: 0.9 }, onFoot);
+        expect(result.corroborated).toBe(true);
+        expect(result.concerned).toEqual(['stress', 'sprint']);
+    });
+
+    it('does not agree with the movement score on step rhythm alone', () => {
+        expect(evaluateCorroboration({ stress: 0, motion: 0.9, sprint: 0.5 }, onFoot).corroborated).toBe(false);
+    });
+
+    it('adds nothing to the score itself', () => {
+        expect(calculateRisk({ stress: 0.5, motion: 0.5, sprint: 0.9 }, onFoot).score)
+            .toBeCloseTo(calculateRisk({ stress: 0.5, motion: 0.5 }, onFoot).score);
+    });
+
+    it('is paused with movement in a paused zone', () => {
+        const fallen = { ...onFoot, fall: true };
+        const sustained = (tracker) => {
+            tracker.update({ fall: 0.8, sprint: 0.9 }, fallen, 1_000_000);
+            return tracker.update({ fall: 0.8, sprint: 0.9 }, fallen, 1_000_000 + SUSTAIN_DURATION_MS);
+        };
+        expect(sustained(new RiskTracker()).shouldEscalate).toBe(true);
+
+        const tracker = new RiskTracker();
+        tracker.setZone('pause');
+        expect(sustained(tracker).shouldEscalate).toBe(false);
+    });
+});
+
+describe('a jump to vehicle speed', () => {
+    it('counts as one corroborating sensor', () => {
+        const avail = { ...ALL, vehicle: true };
+        expect(evaluateCorroboration({ vehicle: 0.9 }, avail).corroborated).toBe(false);
+        const result = evaluateCorroboration({ stress: 0.7, vehicle: 0.9 }, avail);
+        expect(result.corroborated).toBe(true);
+        expect(result.concerned).toEqual(['stress', 'vehicle']);
+    });
+
+    it('needs a location fix to count', () => {
+        expect(evaluateCorroboration({ stress: 0.7, vehicle: 0.9 }, { ...ALL, vehicle: false }).corroborated).toBe(false);
+    });
+});
+
+describe('RiskTracker in a safe zone', () => {
+    const noCamera = { gesture: false, stress: true, motion: true };
+    const sustained = (tracker, readings, avail) => {
+        tracker.update(readings, avail, 1_000_000);
+        return tracker.update(readings, avail, 1_000_000 + SUSTAIN_DURATION_MS);
+    };
+
+    it('stops voice and movement counting while paused', () => {
+        const shouting = { stress: 0.9, motion: 0.9 };
+        expect(sustained(new RiskTracker(), shouting, noCamera).shouldEscalate).toBe(true);
+
+        const tracker = new RiskTracker();
+        tracker.setZone('pause');
+        const result = sustained(tracker, shouting, noCamera);
+        expect(result.shouldEscalate).toBe(false);
+        expect(result.activeSensors).toEqual([]);
+        expect(result.zone).toBe('pause');
+    });
+
+    it('still answers the hand signal while paused', () => {
+        const tracker = new RiskTracker();
+        tracker.setZone('pause');
+        expect(sustained(tracker, { gesture: 1, stress: 0, motion: 0 }, ALL).shouldEscalate).toBe(true);
+    });
+
+    it('needs stronger signs while relaxed', () => {
+        const argument = { stress: 0.8, motion: 0.7 };
+        expect(sustained(new RiskTracker(), argument, noCamera).shouldEscalate).toBe(true);
+
+        const tracker = new RiskTracker();
+        tracker.setZone('relax');
+        expect(sustained(tracker, argument, noCamera).shouldEscalate).toBe(false);
+
+        const struggle = { stress: 0.95, motion: ZONE_CONCERN_THRESHOLD + 0.05 };
+        expect(sustained(tracker, struggle, noCamera).shouldEscalate).toBe(true);
+    });
+
+    it('drops a sustain measured under the old rules', () => {
+        const tracker = new RiskTracker();
+        tracker.update({ stress: 0.95, motion: 0.95 }, noCamera, 1_000_000);
+        tracker.setZone('relax');
+        expect(tracker.update({ stress: 0.95, motion: 0.95 }, noCamera, 1_003_000).sustainedMs).toBe(0);
+    });
+});
+
+describe('sensitivity', () => {
+    const custom = {
+        riskThreshold: 0.7,
+        concernThreshold: 0.5,
+        sustainMs: 3000,
+        weights: { gesture: 1, stress: 0.5, motion: 0.5 },
+    };
+
+    it('ships presets that pass its own checks', () => {
+        for (const preset of Object.values(SENSITIVITY_PRESETS)) {
+            expect(validateSensitivity(preset).ok).toBe(true);
+        }
+    });
+
+    it('normalises the weights', () => {
+        const { settings } = validateSensitivity(custom);
+        expect(settings.weights).toEqual({ gesture: 0.5, stress: 0.25, motion: 0.25 });
+    });
+
+    it('rejects values outside their limits', () => {
+        expect(validateSensitivity({ ...custom, riskThreshold: 1.2 }).error).toMatch(/overall risk/);
+        expect(validateSensitivity({ ...custom, concernThreshold: 0 }).error).toMatch(/each sensor/);
+        expect(validateSensitivity({ ...custom, sustainMs: 60_000 }).error).toMatch(/Held for/);
+        expect(validateSensitivity({ ...custom, weights: { ...custom.weights, gesture: 0 } }).error).toMatch(/count between/);
+    });
+
+    it('rejects a mix that would silence the hand signal', () => {
+        const result = validateSensitivity({
+            ...custom,
+            riskThreshold: 0.9,
+            weights: { gesture: 0.2, stress: 0.2, motion: 1 },
+        });
+        expect(result.ok).toBe(false);
+        expect(result.error).toMatch(/never start a countdown/);
+    });
+
+    it('falls back to normal on anything unreadable', () => {
+        window.localStorage.setItem(SENSITIVITY_KEY, '{"preset":"custom","custom":{"riskThreshold":3}}');
+        expect(resolveSensitivity(loadSensitivity())).toBe(DEFAULT_SENSITIVITY);
+        window.localStorage.setItem(SENSITIVITY_KEY, 'nonsense');
+        expect(resolveSensitivity(loadSensitivity())).toBe(DEFAULT_SENSITIVITY);
+    });
+
+    it('round-trips a choice through storage', () => {
+        saveSensitivity({ preset: 'custom', custom: validateSensitivity(custom).settings });
+        expect(resolveSensitivity(loadSensitivity()).riskThreshold).toBe(0.7);
+        saveSensitivity({ preset: 'low', custom: null });
+        expect(resolveSensitivity(loadSensitivity())).toBe(SENSITIVITY_PRESETS.low);
+    });
+
+    it('drives the tracker', () => {
+        const noCamera = { gesture: false, stress: true, motion: true };
+        const tense = { stress: 0.7, motion: 0.7 };
+
+        const normal = RiskTracker.withSensitivity(SENSITIVITY_PRESETS.normal);
+        normal.update(tense, noCamera, 0);
+        expect(normal.update(tense, noCamera, 3000).shouldEscalate).toBe(false);
+
+        const high = RiskTracker.withSensitivity(SENSITIVITY_PRESETS.high);
+        high.update(tense, noCamera, 0);
+        expect(high.update(tense, noCamera, 3000).shouldEscalate).toBe(true);
+    });
+
+    it('scores with the chosen weights', () => {
+        const result = calculateRisk({ gesture: 0, stress: 1, motion: 0 }, ALL, { gesture: 0.25, stress: 0.5, motion: 0.25 });
+        expect(result.score).toBeCloseTo(0.5);
+    });
+});
+
 describe('getRiskLevel', () => {
     it('maps scores to levels at the documented boundaries', () => {
         expect(getRiskLevel(0)).toBe('safe');
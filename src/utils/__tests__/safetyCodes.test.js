@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    SAFETY_CODES_KEY,
+    validateSafetyCodes,
+    saveSafetyCodes,
+    hasSafetyCodes,
+    clearSafetyCodes,
+    classifyCode,
+} from '../safetyCodes.js';
+
+beforeEach(() => {
+    window.localStorage.clear();
+});
+
+describe('validateSafetyCodes', () => {
+    it('accepts two different codes of 4 to 8 digits', () => {
+        expect(validateSafetyCodes('2580', '14703690').ok).toBe(true);
+    });
+
+    it('rejects codes that are too short, too long or not digits', () => {
+        for (const bad of ['123', '123456789', 'abcd', '']) {
+            expect(validateSafetyCodes(bad, '2580').ok).toBe(false);
+        }
+    });
+
+    it('rejects the same code for both', () => {
+        // Then the duress code could never be told apart.
+        const result = validateSafetyCodes('2580', '2580');
+        expect(result.ok).toBe(false);
+        expect(result.error).toMatch(/different/);
+    });
+});
+
+describe('safety codes in storage', () => {
+    it('tells the safe code from the duress code', async () => {
+        expect(await saveSafetyCodes('2580', '1470')).toEqual({ ok: true });
+
+        expect(hasSafetyCodes()).toBe(true);
+        expect(await classifyCode('2580')).toBe('safe');
+        expect(await classifyCode(' 1470 ')).toBe('duress');
+        expect(await classifyCode('0000')).toBe('wrong');
+    });
+
+    it('never stores the codes themselves', async () => {
+        await saveSafetyCodes('2580', '1470');
+        const raw = window.localStorage.getItem(SAFETY_CODES_KEY);
+
+        expect(raw).not.toContain('2580');
+        expect(raw).not.toContain('1470');
+    });
+
+    it('salts each install, so the same code is stored differently', async () => {
+        await saveSafetyCodes('2580', '1470');
+        const first = JSON.parse(window.localStorage.getItem(SAFETY_CODES_KEY));
+        await saveSafetyCodes('2580', '1470');
+        const second = JSON.parse(window.localStorage.getItem(SAFETY_CODES_KEY));
+
+        expect(second.salt).not.toBe(first.salt);
+        expect(second.safe).not.toBe(first.safe);
+        expect(first.iterations).toBeGreaterThanOrEqual(100_000);
+    });
+
+    it('treats every code as wrong once the codes are removed', async () => {
+        await saveSafetyCodes('2580', '1470');
+        clearSafetyCodes();
+
+        expect(hasSafetyCodes()).toBe(false);
+        expect(await classifyCode('2580')).toBe('wrong');
+    });
+});
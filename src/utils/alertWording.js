@@ -0,0 +1,61 @@
+/**
+ * The words of the alert message, in each language a contact can choose.
+ *
+ * Mirrors the server's catalogue in api/_lib/messages.js, so a contact reads
+ * the same language whether the server texts them or the user's own phone
+ * does. The reason and what the sensors measured come from elsewhere in the
+ * app and stay as they are.
+ *
+ * A new language or a change to an existing one should be checked by a
+ * fluent reader before it ships.
+ */
+
+const WORDING = {
+    en: {
+        locale: undefined,
+        someone: 'Someone using SafeSignal',
+        mayNeedHelp: (who) => `${who} may need help.`,
+        reason: (reason) => `Reason: ${reason}.`,
+        location: (link) => `Location: ${link}`,
+        accurate: (distance) => `(accurate to about ${distance})`,
+        rough: (distance) => `(WARNING: this position is only a rough estimate — could be anywhere within ${distance}. Do not rely on the pin.)`,
+        unavailable: (why) => `Location: unavailable — ${why}.`,
+        unknownWhy: 'could not be determined',
+        time: (time) => `Time: ${time}`,
+        footer: 'Sent from SafeSignal.',
+    },
+
+    hi: {
+        locale: 'hi-IN',
+        someone: 'सेफ़ सिग्नल का एक उपयोगकर्ता',
+        mayNeedHelp: (who) => `${who} को मदद की ज़रूरत हो सकती है।`,
+        reason: (reason) => `कारण: ${reason}।`,
+        location: (link) => `लोकेशन: ${link}`,
+        accurate: (distance) => `(लगभग ${distance} तक सटीक)`,
+        rough: (distance) => `(चेतावनी: यह जगह सिर्फ़ मोटा अनुमान है — ${distance} के दायरे में कहीं भी हो सकती है। पिन पर भरोसा न करें।)`,
+        unavailable: (why) => `लोकेशन: उपलब्ध नहीं — ${why}।`,
+        unknownWhy: 'पता नहीं चल सकी',
+        time: (time) => `समय: ${time}`,
+        footer: 'सेफ़ सिग्नल से भेजा गया।',
+    },
+
+    ta: {
+        locale: 'ta-IN',
+        someone: 'சேஃப் சிக்னல் பயனர் ஒருவர்',
+        mayNeedHelp: (who) => `${who} உதவி தேவைப்படும் நிலையில் இருக்கலாம்.`,
+        reason: (reason) => `காரணம்: ${reason}.`,
+        location: (link) => `இருப்பிடம்: ${link}`,
+        accurate: (distance) => `(சுமார் ${distance} துல்லியம்)`,
+        rough: (distance) => `(எச்சரிக்கை: இந்த இருப்பிடம் தோராயமான மதிப்பீடு மட்டுமே — ${distance} சுற்றளவில் எங்கும் இருக்கலாம். பின்னை நம்ப வேண்டாம்.)`,
+        unavailable: (why) => `இருப்பிடம்: கிடைக்கவில்லை — ${why}.`,
+        unknownWhy: 'கண்டறிய முடியவில்லை',
+        time: (time) => `நேரம்: ${time}`,
+        footer: 'சேஃப் சிக்னலிலிருந்து அனுப்பப்பட்டது.',
+    },
+};
+
+/**
+ * @param {string} [language]
+ * @returns {Object} the wording for that language, or English
+ */
+export const wordingFor = (language) => WORDING[language] ?? WORDING.en;
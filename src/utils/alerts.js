@@ -14,6 +14,8 @@
 import { getGoogleMapsLink, formatDistance, isAccuracyUsable } from './geo.js';
 import { saveLastAlert } from './storage.js';
 import { summariseTrigger } from './incidentLog.js';
+import { wordingFor } from './alertWording.js';
+import { t } from '../i18n/index.js';
 
 /**
  * @typedef {'ready'|'opened'|'copied'|'shared'|'failed'} DeliveryStatus
@@ -22,40 +24,39 @@ import { summariseTrigger } from './incidentLog.js';
 /**
  * Compose the message a contact will receive.
  *
- * @param {{ location: Object|null, locationError: string|null, reason: string|null, name?: string, detected?: string|null }} params
+ * @param {{ location: Object|null, locationError: string|null, reason: string|null, name?: string, detected?: string|null, language?: string }} params
  * @returns {string}
  */
-export const buildAlertMessage = ({ location, locationError, reason, name, detected }) => {
-    const who = name?.trim() ? name.trim() : 'Someone using SafeSignal';
-    const lines = [`${who} may need help.`];
+export const buildAlertMessage = ({ location, locationError, reason, name, detected, language }) => {
+    const words = wordingFor(language);
+    const who = name?.trim() ? name.trim() : words.someone;
+    const lines = [words.mayNeedHelp(who)];
 
-    if (reason) lines.push(`Reason: ${reason}.`);
+    if (reason) lines.push(words.reason(reason));
 
     // What the sensors actually measured, so the recipient can judge how much
     // weight to give this rather than trusting a bare "alert" with no basis.
     if (detected) lines.push(detected);
 
     if (location) {
-        lines.push(`Location: ${getGoogleMapsLink(location.lat, location.lng)}`);
+        lines.push(words.location(getGoogleMapsLink(location.lat, location.lng)));
 
         if (location.accuracy != null) {
             if (isAccuracyUsable(location.accuracy)) {
-                lines.push(`(accurate to about ${formatDistance(location.accuracy)})`);
+                lines.push(words.accurate(formatDistance(location.accuracy)));
             } else {
                 // A recipient who trusts a city-centre pin from an IP lookup
                 // could search the wrong place entirely, so the caveat travels
                 // with the link rather than staying in the sender's UI.
-                lines.push(
-                    `(WARNING: this position is only a rough estimate — could be anywhere within ${formatDistance(location.accuracy)}. Do not rely on the pin.)`,
-                );
+                lines.push(words.rough(formatDistance(location.accuracy)));
             }
         }
     } else {
-        lines.push(`Location: unavailable — ${locationError ?? 'could not be determined'}.`);
+        lines.push(words.unavailable(locationError ?? words.unknownWhy));
     }
 
-    lines.push(`Time: ${new Date().toLocaleString()}`);
-    lines.push('Sent from SafeSignal.');
+    lines.push(words.time(new Date().toLocaleString(words.locale)));
+    lines.push(words.footer);
 
     return lines.join('\n');
 };
@@ -68,7 +69,8 @@ export const buildAlertMessage = ({ location, locationError, reason, name, detec
  */
 export const createAlert = ({ contacts, location, locationError, reason, userName, incident }) => {
     const detected = incident?.length ? summariseTrigger(incident, reason) : null;
-    const message = buildAlertMessage({ location, locationError, reason, name: userName, detected });
+    const compose = (language) => buildAlertMessage({ location, locationError, reason, name: userName, detected, language });
+    const message = compose();
 
     const alert = {
         id: `alert-${Date.now()}`,
@@ -83,6 +85,9 @@ export const createAlert = ({ contacts, location, locationError, reason, userNam
             id: contact.id,
             name: contact.name,
             phone: contact.phone,
+            // Only set when it differs, so the shared preview stays the one
+            // most contacts get.
+            message: contact.language && contact.language !== 'en' ? compose(contact.language) : null,
             status: /** @type {DeliveryStatus} */ ('ready'),
             updatedAt: null,
         })),
@@ -231,13 +236,13 @@ export const copyAlert = async (message) => {
  * @param {DeliveryStatus} status
  * @returns {string}
  */
-export const describeStatus = (status) => ({
-    ready: 'Ready to send',
-    opened: 'Message opened — check it was sent',
-    shared: 'Passed to the share sheet',
-    copied: 'Copied — paste it anywhere',
-    failed: "Couldn't open — copy the message instead",
-}[status] ?? 'Ready to send');
+export const describeStatus = (status) => t({
+    ready: 'alert.statusReady',
+    opened: 'alert.statusOpened',
+    shared: 'alert.statusShared',
+    copied: 'alert.statusCopied',
+    failed: 'alert.statusFailed',
+}[status] ?? 'alert.statusReady');
 
 /**
  * Overall, honest summary of an alert's state.
@@ -248,8 +253,8 @@ export const summariseAlert = (alert) => {
     const recipients = alert?.recipients ?? [];
     if (recipients.length === 0) {
         return {
-            headline: 'No contacts saved',
-            detail: 'Add an emergency contact so SafeSignal has someone to reach.',
+            headline: t('alert.noContacts'),
+            detail: t('alert.noContactsDetail'),
             allHandled: false,
         };
     }
@@ -258,24 +263,23 @@ export const summariseAlert = (alert) => {
 
     if (handled.length === 0) {
         return {
-            headline: 'Your alert is ready — nothing has been sent',
-            detail:
-                'SafeSignal cannot send this on its own. Call or message a contact below, or ask someone nearby to do it for you.',
+            headline: t('alert.ready'),
+            detail: t('alert.readyDetail'),
             allHandled: false,
         };
     }
 
     if (handled.length < recipients.length) {
         return {
-            headline: `${handled.length} of ${recipients.length} contacts opened`,
-            detail: 'Check each message actually sent, then reach the rest.',
+            headline: t('alert.someOpened', { handled: handled.length, total: recipients.length }),
+            detail: t('alert.someOpenedDetail'),
             allHandled: false,
         };
     }
 
     return {
-        headline: 'All messages opened',
-        detail: 'Confirm each one was sent from your messaging app.',
+        headline: t('alert.allOpened'),
+        detail: t('alert.allOpenedDetail'),
         allHandled: true,
     };
 };
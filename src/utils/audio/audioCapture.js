@@ -9,6 +9,8 @@
  * buffer to cover at least one full poll interval keeps coverage continuous.
  */
 
+import { t } from '../../i18n/index.js';
+
 /** How often the pipeline polls the analyser (kept in sync with audioPipeline) */
 export const POLL_INTERVAL_MS = 500;
 
@@ -38,7 +40,7 @@ const chooseFftSize = (sampleRate) => {
  */
 export const initAudioCapture = async () => {
     if (!navigator.mediaDevices?.getUserMedia) {
-        throw new Error('This browser cannot access the microphone.');
+        throw new Error(t('audio.noMicrophone'));
     }
 
     try {
@@ -86,12 +88,12 @@ export const initAudioCapture = async () => {
     } catch (error) {
         releaseAudioCapture();
         if (error?.name === 'NotAllowedError') {
-            throw new Error('Microphone permission was denied.');
+            throw new Error(t('audio.denied'));
         }
         if (error?.name === 'NotFoundError') {
-            throw new Error('No microphone was found on this device.');
+            throw new Error(t('audio.notFound'));
         }
-        throw new Error('The microphone could not be started.');
+        throw new Error(t('audio.failed'));
     }
 };
 
@@ -17,6 +17,7 @@ import {
     computePitchVariability,
     computeEnergyVariability,
 } from './featureExtractor.js';
+import { t } from '../../i18n/index.js';
 
 /** Mean RMS below which a window is treated as silence rather than speech. */
 export const VAD_MIN_RMS = 0.01;
@@ -275,7 +276,7 @@ export const getStressLevel = (score) => {
  */
 export const describeStress = (score) => {
     const level = getStressLevel(score);
-    if (level === 'calm') return 'Your voice sounds steady';
-    if (level === 'elevated') return 'Your voice sounds a little tense';
-    return 'Your voice sounds strained';
+    if (level === 'calm') return t('audio.steady');
+    if (level === 'elevated') return t('audio.tense');
+    return t('audio.strained');
 };
@@ -17,6 +17,7 @@
  */
 
 import { readJSON, writeJSON, removeKey } from './storage.js';
+import { t, formatClock } from '../i18n/index.js';
 
 export const CHECK_IN_KEY = 'safesignal.checkIn';
 
@@ -57,22 +58,22 @@ export const validateCustomMinutes = (value) => {
     const trimmed = String(value ?? '').trim();
 
     if (trimmed === '') {
-        return { ok: false, error: 'Enter how many minutes.' };
+        return { ok: false, error: t('checkIn.enterMinutes') };
     }
 
     const minutes = Number(trimmed);
 
     if (!Number.isFinite(minutes)) {
-        return { ok: false, error: 'Enter a number of minutes, like 40.' };
+        return { ok: false, error: t('checkIn.notANumber') };
     }
     if (!Number.isInteger(minutes)) {
-        return { ok: false, error: 'Use whole minutes, like 40.' };
+        return { ok: false, error: t('checkIn.wholeMinutes') };
     }
     if (minutes < 1) {
-        return { ok: false, error: 'Use at least 1 minute.' };
+        return { ok: false, error: t('checkIn.atLeastOne') };
     }
     if (minutes > MAX_DURATION_MINUTES) {
-        return { ok: false, error: `The longest is ${MAX_DURATION_MINUTES / 60} hours.` };
+        return { ok: false, error: t('checkIn.longest', { hours: MAX_DURATION_MINUTES / 60 }) };
     }
 
     return { ok: true, minutes };
@@ -86,6 +87,8 @@ export const validateCustomMinutes = (value) => {
  * @property {string} note - what the user is doing, included in the alert
  * @property {'active'|'fired'} status
  * @property {number|null} firedAt
+ * @property {string|null} planId - the recurring plan whose window started it
+ * @property {import('./storage.js').Place|null} destination - reaching it ends the check-in
  */
 
 /**
@@ -128,15 +131,31 @@ export const evaluateCheckIn = (record, now = Date.now()) => {
     return { phase: 'fire', remainingMs: 0, graceRemainingMs: 0, overdueMs };
 };
 
+/**
+ * Keep only what arrival needs from a place, or null if it is unusable.
+ *
+ * @param {any} place
+ * @returns {{ name: string, lat: number, lng: number, radius: number }|null}
+ */
+const readDestination = (place) => {
+    if (!place || typeof place.name !== 'string') return null;
+    const { lat, lng, radius } = place;
+    if (![lat, lng, radius].every(Number.isFinite) || radius <= 0) return null;
+    return { name: place.name, lat, lng, radius };
+};
+
 /**
  * Begin a check-in.
  *
  * @param {number} durationMs
  * @param {string} note
  * @param {number} now
+ * @param {{ planId?: string|null, destination?: Object|null }} [options]
+ *   `planId` when a recurring plan's window started it; `destination` when
+ *   arriving somewhere should end it
  * @returns {CheckIn|null} null if the duration is not usable
  */
-export const startCheckIn = (durationMs, note = '', now = Date.now()) => {
+export const startCheckIn = (durationMs, note = '', now = Date.now(), { planId = null, destination = null } = {}) => {
     if (!Number.isFinite(durationMs) || durationMs <= 0 || durationMs > MAX_DURATION_MS) {
         return null;
     }
@@ -148,6 +167,8 @@ export const startCheckIn = (durationMs, note = '', now = Date.now()) => {
         note: String(note).trim().slice(0, 200),
         status: 'active',
         firedAt: null,
+        planId,
+        destination: readDestination(destination),
     };
 
     writeJSON(CHECK_IN_KEY, record);
@@ -209,6 +230,8 @@ export const loadCheckIn = () => {
         note: typeof raw.note === 'string' ? raw.note : '',
         status: raw.status === 'fired' ? 'fired' : 'active',
         firedAt: Number.isFinite(raw.firedAt) ? raw.firedAt : null,
+        planId: typeof raw.planId === 'string' ? raw.planId : null,
+        destination: readDestination(raw.destination),
     };
 };
 
@@ -223,9 +246,9 @@ export const formatRemaining = (ms) => {
     const minutes = Math.floor((total % 3600) / 60);
     const seconds = total % 60;
 
-    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
-    if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
-    return `${seconds}s`;
+    if (hours > 0) return t('time.hoursMinutes', { hours, minutes: String(minutes).padStart(2, '0') });
+    if (minutes > 0) return t('time.minutesSeconds', { minutes, seconds: String(seconds).padStart(2, '0') });
+    return t('time.seconds', { seconds });
 };
 
 /**
@@ -234,9 +257,8 @@ export const formatRemaining = (ms) => {
  * @returns {string}
  */
 export const formatDuration = (minutes) => {
-    if (minutes < 60) return `${minutes} min`;
-    const hours = minutes / 60;
-    return hours === 1 ? '1 hour' : `${hours} hours`;
+    if (minutes < 60) return t('time.minutesShort', { count: minutes });
+    return t('time.hours', { count: minutes / 60 });
 };
 
 /**
@@ -245,8 +267,14 @@ export const formatDuration = (minutes) => {
  * @returns {string}
  */
 export const describeCheckInReason = (record) => {
-    const due = new Date(record.expiresAt).toLocaleTimeString();
+    const time = formatClock(record.expiresAt, { seconds: true });
+    if (record.destination) {
+        const place = record.destination.name;
+        return record.note
+            ? t('checkIn.notArrivedWithNote', { place, time, note: record.note })
+            : t('checkIn.notArrived', { place, time });
+    }
     return record.note
-        ? `No check-in by ${due} — "${record.note}"`
-        : `No check-in by ${due}`;
+        ? t('checkIn.reasonWithNote', { time, note: record.note })
+        : t('checkIn.reason', { time });
 };
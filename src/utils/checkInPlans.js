@@ -0,0 +1,240 @@
+/**
+ * Recurring check-in plans, such as "weekdays 22:00–22:40 walking home".
+ *
+ * A plan saves starting the same timer by hand every night. When a window
+ * opens with the app in front of the person, the ordinary check-in starts by
+ * itself, due at the end of the window. With a backend, the server also opens
+ * that check-in on its own, so a window missed with the app closed still
+ * alerts the contacts. Without one, nothing on this device can notice a
+ * window while the app is closed, and the plans list says so.
+ *
+ * Times are wall-clock times on this device. api/_lib/series.js works out
+ * the same windows on the server from the time zone sent with the plan.
+ */
+
+import { readJSON, writeJSON } from './storage.js';
+import { MAX_DURATION_MS } from './checkIn.js';
+import { t, formattingLocale } from '../i18n/index.js';
+
+export const PLANS_KEY = 'safesignal.checkInPlans';
+
+/** Enough for a commute each way and a late shift, and short enough to read. */
+export const MAX_PLANS = 5;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const WEEKENDS = [0, 6];
+
+/**
+ * @typedef {Object} CheckInPlan
+ * @property {string} id
+ * @property {string} note - used as the check-in's note
+ * @property {number[]} days - 0 for Sunday to 6 for Saturday
+ * @property {string} start - "HH:MM"
+ * @property {string} end - "HH:MM"; earlier than start means the next day
+ * @property {boolean} enabled
+ * @property {{ id: string, token: string }|null} series - the server's copy, if registered
+ * @property {number|null} handledWindow - start of the last window this device opened
+ */
+
+/**
+ * @param {string} time - "HH:MM"
+ * @returns {number} minutes after midnight
+ */
+const toMinutes = (time) => {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * @param {{ start: string, end: string }} plan
+ * @returns {number}
+ */
+const windowLength = (plan) =>
+    ((toMinutes(plan.end) - toMinutes(plan.start) + 24 * 60) % (24 * 60)) * 60_000;
+
+/**
+ * Check a plan as typed. The errors are specific, as for a custom duration:
+ * a plan that quietly never runs is the worst way for this to go wrong.
+ *
+ * @param {{ note?: string, days?: number[], start?: string, end?: string }} input
+ * @returns {{ ok: true, plan: Omit<CheckInPlan, 'id'|'enabled'|'series'|'handledWindow'> } | { ok: false, error: string }}
+ */
+export const validatePlan = (input) => {
+    const days = [...new Set(input?.days ?? [])]
+        .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+        .sort((a, b) => a - b);
+    if (days.length === 0) {
+        return { ok: false, error: t('plans.pickDay') };
+    }
+
+    if (!TIME_PATTERN.test(input.start ?? '') || !TIME_PATTERN.test(input.end ?? '')) {
+        return { ok: false, error: t('plans.enterTimes') };
+    }
+
+    const plan = {
+        note: String(input.note ?? '').trim().slice(0, 200),
+        days,
+        start: input.start,
+        end: input.end,
+    };
+    const length = windowLength(plan);
+    if (length === 0) {
+        return { ok: false, error: t('plans.sameTimes') };
+    }
+    if (length > MAX_DURATION_MS) {
+        return { ok: false, error: t('checkIn.longest', { hours: MAX_DURATION_MS / 3_600_000 }) };
+    }
+
+    return { ok: true, plan };
+};
+
+/**
+ * @param {Object} input - as for validatePlan
+ * @param {number} [now]
+ * @returns {{ ok: true, plan: CheckInPlan } | { ok: false, error: string }}
+ */
+export const createPlan = (input, now = Date.now()) => {
+    const result = validatePlan(input);
+    if (!result.ok) return result;
+
+    return {
+        ok: true,
+        plan: { id: `plan-${now}`, ...result.plan, enabled: true, series: null, handledWindow: null },
+    };
+};
+
+/**
+ * Read the stored plans, dropping anything that no longer validates.
+ * @returns {CheckInPlan[]}
+ */
+export const loadPlans = () => {
+    const raw = readJSON(PLANS_KEY, []);
+    if (!Array.isArray(raw)) return [];
+
+    return raw.flatMap((stored) => {
+        const result = validatePlan(stored);
+        if (!result.ok || typeof stored.id !== 'string') return [];
+        return [{
+            id: stored.id,
+            ...result.plan,
+            enabled: stored.enabled !== false,
+            series: stored.series?.id && stored.series?.token
+                ? { id: String(stored.series.id), token: String(stored.series.token) }
+                : null,
+            handledWindow: Number.isFinite(stored.handledWindow) ? stored.handledWindow : null,
+        }];
+    });
+};
+
+/**
+ * @param {CheckInPlan[]} plans
+ * @returns {boolean} whether the write succeeded
+ */
+export const savePlans = (plans) => writeJSON(PLANS_KEY, plans.slice(0, MAX_PLANS));
+
+/**
+ * The plan's window open at `now`, or else the next one to open, in this
+ * device's local time. A window's own end gives the one after it.
+ *
+ * @param {CheckInPlan} plan
+ * @param {number} [now]
+ * @returns {{ startsAt: number, endsAt: number }}
+ */
+export const windowFor = (plan, now = Date.now()) => {
+    const today = new Date(now);
+    const length = windowLength(plan);
+    const start = toMinutes(plan.start);
+
+    // Yesterday's window may still be open after midnight; eight days on
+    // always reaches the next one.
+    for (let offset = -1; offset <= 8; offset += 1) {
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+        if (!plan.days.includes(date.getDay())) continue;
+
+        const startsAt = new Date(
+            date.getFullYear(),
+            date.getMonth(),
+            date.getDate(),
+            Math.floor(start / 60),
+            start % 60,
+        ).getTime();
+        if (startsAt + length > now) return { startsAt, endsAt: startsAt + length };
+    }
+
+    return { startsAt: Infinity, endsAt: Infinity };
+};
+
+/**
+ * The first enabled plan with a window open now that this device has not
+ * already started a check-in for. Once "I'm safe" ends that check-in, the
+ * same window must not start another one.
+ *
+ * @param {CheckInPlan[]} plans
+ * @param {number} [now]
+ * @returns {{ plan: CheckInPlan, window: { startsAt: number, endsAt: number } } | null}
+ */
+export const openWindow = (plans, now = Date.now()) => {
+    for (const plan of plans) {
+        if (!plan.enabled) continue;
+        const window = windowFor(plan, now);
+        if (window.startsAt <= now && plan.handledWindow !== window.startsAt) {
+            return { plan, window };
+        }
+    }
+    return null;
+};
+
+/**
+ * @param {CheckInPlan[]} plans
+ * @param {string} planId
+ * @param {number} startsAt
+ * @returns {CheckInPlan[]}
+ */
+export const markWindowHandled = (plans, planId, startsAt) =>
+    plans.map((plan) => (plan.id === planId ? { ...plan, handledWindow: startsAt } : plan));
+
+/**
+ * Weekday names in the app's language, Sunday first.
+ * @returns {string[]}
+ */
+const weekdayNames = () => {
+    const format = new Intl.DateTimeFormat(formattingLocale(), { weekday: 'short', timeZone: 'UTC' });
+    // 4 January 2026 was a Sunday.
+    return [0, 1, 2, 3, 4, 5, 6].map((d) => format.format(Date.UTC(2026, 0, 4 + d)));
+};
+
+/**
+ * @param {number[]} days
+ * @returns {string}
+ */
+export const describeDays = (days) => {
+    const key = days.join(',');
+    if (days.length === 7) return t('plans.everyDay');
+    if (key === WEEKDAYS.join(',')) return t('plans.weekdays');
+    if (key === WEEKENDS.join(',')) return t('plans.weekends');
+
+    const names = weekdayNames();
+    return days.map((d) => names[d]).join(', ');
+};
+
+/**
+ * "Weekdays 22:00–22:40".
+ *
+ * @param {CheckInPlan} plan
+ * @returns {string}
+ */
+export const describePlan = (plan) =>
+    t('plans.summary', { days: describeDays(plan.days), start: plan.start, end: plan.end });
+
+/** For the day picker, Monday first, as people read a week. */
+export const PICKER_DAYS = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * @returns {Array<{ day: number, label: string }>}
+ */
+export const pickerDays = () => {
+    const names = weekdayNames();
+    return PICKER_DAYS.map((day) => ({ day, label: names[day] }));
+};
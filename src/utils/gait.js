@@ -0,0 +1,177 @@
+/**
+ * Gait — telling a sudden sprint from a walk, a jog, or a shaken phone.
+ *
+ * The movement score reacts to how hard the phone is moving, which running,
+ * a struggle and a bumpy bus ride all do. Running has something the others
+ * lack: a steady step rhythm. The cadence comes from that periodicity in the
+ * accelerometer, and GPS speed confirms the ground is actually being covered.
+ *
+ * What counts as a signal is the change — walking, then abruptly running —
+ * rather than running itself, which is mostly exercise and catching buses.
+ */
+
+import { VEHICLE_SPEED } from './geo.js';
+
+/** Seconds of acceleration the cadence is estimated over. */
+const CADENCE_WINDOW_MS = 4000;
+/** Less than this and the rhythm cannot be measured yet. */
+const CADENCE_MIN_SPAN_MS = 2500;
+const CADENCE_MIN_SAMPLES = 32;
+
+/** Step periods considered: 60 to 240 steps a minute. */
+const MIN_STEP_MS = 250;
+const MAX_STEP_MS = 1000;
+
+/** Variance (m/s²)² below which the phone is too still to be walking at all. */
+const MIN_STEP_VARIANCE = 0.5;
+/**
+ * Autocorrelation needed to call the movement rhythmic. Shaking and
+ * struggling are irregular, so they rarely reach it; walking easily does.
+ */
+const MIN_PERIODICITY = 0.5;
+/** A shorter lag this close to the best one is taken as the step. */
+const HARMONIC_MARGIN = 0.9;
+
+/** Steps a minute. Brisk walking tops out around 130; running starts near 150. */
+const WALK_MAX_CADENCE = 130;
+const RUN_CADENCE = 145;
+
+/** m/s. A fast walk is under 2. */
+const RUN_SPEED = 2.5;
+/** A speed older than this no longer describes what is happening. */
+const SPEED_FRESH_MS = 10_000;
+
+/** Running that starts within this of walking or standing counts as sudden. */
+const SUDDEN_MS = 10_000;
+/** Running longer than this is a run, not someone getting away. */
+const SPRINT_MAX_MS = 60_000;
+
+/** The rhythm alone: the same accelerometer as movement, so not enough to corroborate. */
+export const SPRINT_CADENCE_SCORE = 0.5;
+/** With GPS agreeing: an independent source, enough to count as a second sensor. */
+export const SPRINT_CONFIRMED_SCORE = 0.9;
+
+/**
+ * Estimates step cadence from recent acceleration magnitudes.
+ */
+export class GaitAnalyser {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.samples = [];
+    }
+
+    /**
+     * @param {number} magnitude - acceleration including gravity, m/s²
+     * @param {number} now
+     */
+    push(magnitude, now) {
+        this.samples.push({ value: magnitude, time: now });
+        const cutoff = now - CADENCE_WINDOW_MS;
+        while (this.samples.length > 0 && this.samples[0].time < cutoff) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Steps per minute, from the lag at which the signal best matches itself.
+     *
+     * Samples are treated as evenly spaced at their average interval, which
+     * devicemotion delivers closely enough for a rhythm this slow.
+     *
+     * @returns {number} 0 when there is no clear rhythm
+     */
+    cadence() {
+        const n = this.samples.length;
+        if (n < CADENCE_MIN_SAMPLES) return 0;
+        const span = this.samples[n - 1].time - this.samples[0].time;
+        if (span < CADENCE_MIN_SPAN_MS) return 0;
+
+        const interval = span / (n - 1);
+        const mean = this.samples.reduce((sum, s) => sum + s.value, 0) / n;
+        const centred = this.samples.map((s) => s.value - mean);
+        const energy = centred.reduce((sum, v) => sum + v * v, 0);
+        if (energy / n < MIN_STEP_VARIANCE) return 0;
+
+        const minLag = Math.max(1, Math.round(MIN_STEP_MS / interval));
+        const maxLag = Math.min(n - 1, Math.round(MAX_STEP_MS / interval));
+        const correlations = [];
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let i = 0; i + lag < n; i++) sum += centred[i] * centred[i + lag];
+            // Scaled for the overlap, so long lags are not penalised for it.
+            correlations.push({ lag, r: (sum / (n - lag)) / (energy / n) });
+        }
+
+        // Only a turning point is a rhythm. A lag at either end of the range
+        // that merely scores well is a drift slower or faster than any step.
+        const peaks = correlations.filter((c, i) =>
+            i > 0 && i < correlations.length - 1
+            && correlations[i - 1].r <= c.r && c.r >= correlations[i + 1].r);
+        const best = peaks.reduce((a, b) => (b.r > a.r ? b : a), { lag: 0, r: -Infinity });
+        if (best.r < MIN_PERIODICITY) return 0;
+
+        // A stride (two steps) matches as well as a step does; take the step,
+        // the first peak nearly as good as the best.
+        const step = peaks.find((c) => c.r >= best.r * HARMONIC_MARGIN) ?? best;
+        return Math.round(60_000 / (step.lag * interval));
+    }
+}
+
+/**
+ * Turns cadence and GPS speed into a 0–1 "sudden sprint" reading.
+ */
+export class SprintDetector {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.calmAt = null;
+        this.runningSince = null;
+        this.sudden = false;
+        this.speed = null;
+        this.speedAt = null;
+    }
+
+    /**
+     * @param {number|null} speed - m/s, from geo.groundSpeed
+     * @param {number} [now]
+     */
+    noteSpeed(speed, now = Date.now()) {
+        if (!Number.isFinite(speed)) return;
+        this.speed = speed;
+        this.speedAt = now;
+    }
+
+    /**
+     * @param {number} cadence - steps per minute, 0 for none
+     * @param {number} [now]
+     * @returns {number} 0, SPRINT_CADENCE_SCORE or SPRINT_CONFIRMED_SCORE
+     */
+    update(cadence, now = Date.now()) {
+        const speed = this.speedAt !== null && now - this.speedAt <= SPEED_FRESH_MS ? this.speed : null;
+
+        // Road vibration can look rhythmic, but nobody runs at 30 km/h.
+        if (speed !== null && speed >= VEHICLE_SPEED) {
+            this.runningSince = null;
+            return 0;
+        }
+
+        if (cadence < RUN_CADENCE) {
+            this.runningSince = null;
+            if (cadence < WALK_MAX_CADENCE) this.calmAt = now;
+            return 0;
+        }
+
+        if (this.runningSince === null) {
+            this.runningSince = now;
+            this.sudden = this.calmAt !== null && now - this.calmAt <= SUDDEN_MS;
+        }
+        if (!this.sudden || now - this.runningSince > SPRINT_MAX_MS) return 0;
+
+        return speed !== null && speed >= RUN_SPEED ? SPRINT_CONFIRMED_SCORE : SPRINT_CADENCE_SCORE;
+    }
+}
@@ -7,10 +7,14 @@
  * Failures are returned as failures so the UI can say so plainly.
  */
 
+import { t } from '../i18n/index.js';
+
 /**
  * @typedef {Object} LocationResult
  * @property {boolean} ok
- * @property {{lat: number, lng: number, accuracy: number, timestamp: number}} [coords]
+ * @property {{lat: number, lng: number, accuracy: number, timestamp: number, speed?: number|null, heading?: number|null}} [coords]
+ *   `speed` (m/s) and `heading` (degrees from north) only from watchLocation,
+ *   and only where the device reports them
  * @property {string} [error] - human-readable failure reason
  */
 
@@ -29,7 +33,7 @@ export const getCurrentLocation = (options = {}) => {
 
     return new Promise((resolve) => {
         if (!navigator.geolocation) {
-            resolve({ ok: false, error: 'This device cannot share its location.' });
+            resolve({ ok: false, error: t('geo.noDevice') });
             return;
         }
 
@@ -62,7 +66,7 @@ export const getCurrentLocation = (options = {}) => {
  */
 export const watchLocation = (onUpdate) => {
     if (!navigator.geolocation) {
-        onUpdate({ ok: false, error: 'This device cannot share its location.' });
+        onUpdate({ ok: false, error: t('geo.noDevice') });
         return () => { };
     }
 
@@ -75,6 +79,8 @@ export const watchLocation = (onUpdate) => {
                     lng: position.coords.longitude,
                     accuracy: position.coords.accuracy,
                     timestamp: position.timestamp,
+                    speed: position.coords.speed ?? null,
+                    heading: position.coords.heading ?? null,
                 },
             });
         },
@@ -94,13 +100,13 @@ export const watchLocation = (onUpdate) => {
 export const describeGeoError = (error) => {
     switch (error?.code) {
         case 1:
-            return 'Location permission is turned off.';
+            return t('geo.denied');
         case 2:
-            return 'Your location could not be determined right now.';
+            return t('geo.undetermined');
         case 3:
-            return 'Finding your location took too long.';
+            return t('geo.timeout');
         default:
-            return 'Your location is unavailable.';
+            return t('geo.unavailable');
     }
 };
 
@@ -117,7 +123,7 @@ export const getGoogleMapsLink = (lat, lng) => `https://www.google.com/maps?q=${
  * @returns {string}
  */
 export const formatCoords = (coords) => {
-    if (!coords) return 'Unknown';
+    if (!coords) return t('geo.unknown');
     return `${coords.lat.toFixed(5)}, ${coords.lng.toFixed(5)}`;
 };
 
@@ -154,12 +160,303 @@ export const isAccuracyUsable = (accuracyMeters) =>
  */
 export const describeAccuracy = (accuracyMeters) => {
     if (accuracyMeters == null || !Number.isFinite(accuracyMeters)) return '';
-    if (accuracyMeters <= 50) return `Precise — within about ${formatDistance(accuracyMeters)}`;
-    if (accuracyMeters <= 500) return `Good — within about ${formatDistance(accuracyMeters)}`;
-    if (accuracyMeters <= UNUSABLE_ACCURACY_M) {
-        return `Rough — within about ${formatDistance(accuracyMeters)}`;
+    const distance = formatDistance(accuracyMeters);
+    if (accuracyMeters <= 50) return t('geo.precise', { distance });
+    if (accuracyMeters <= 500) return t('geo.good', { distance });
+    if (accuracyMeters <= UNUSABLE_ACCURACY_M) return t('geo.rough', { distance });
+    return t('geo.tooRough', { distance });
+};
+
+/** Mean radius of the Earth, for the haversine formula. */
+const EARTH_RADIUS_M = 6_371_000;
+
+/**
+ * Distance between two points along the Earth's surface.
+ *
+ * @param {{lat: number, lng: number}} a
+ * @param {{lat: number, lng: number}} b
+ * @returns {number} metres
+ */
+export const distanceBetween = (a, b) => {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/** Fixes further apart than this say too little about how fast someone is going now. */
+const SPEED_MAX_GAP_MS = 30_000;
+
+/**
+ * Ground speed at the latest fix.
+ *
+ * The speed the device reports is preferred: it comes from the Doppler shift
+ * of the satellite signals and is far steadier than differencing positions.
+ * Otherwise it is worked out from the previous fix, but only when the two are
+ * further apart than their accuracy circles together; closer than that, a
+ * standing person and a slow jog look the same, and saying so beats guessing.
+ *
+ * @param {{lat: number, lng: number, accuracy: number, timestamp: number}|null} previous
+ * @param {{lat: number, lng: number, accuracy: number, timestamp: number, speed?: number|null}|null} current
+ * @returns {number|null} metres per second, or null when the fixes cannot say
+ */
+export const groundSpeed = (previous, current) => {
+    if (!current || !isAccuracyUsable(current.accuracy)) return null;
+    if (Number.isFinite(current.speed) && current.speed >= 0) return current.speed;
+    if (!previous || !isAccuracyUsable(previous.accuracy)) return null;
+
+    const elapsedMs = current.timestamp - previous.timestamp;
+    if (!(elapsedMs > 0) || elapsedMs > SPEED_MAX_GAP_MS) return null;
+
+    const metres = distanceBetween(previous, current);
+    if (metres <= previous.accuracy + current.accuracy) return null;
+    return metres / (elapsedMs / 1000);
+};
+
+/**
+ * Direction of travel between two points.
+ *
+ * @param {{lat: number, lng: number}} a
+ * @param {{lat: number, lng: number}} b
+ * @returns {number} degrees clockwise from north, 0–360
+ */
+export const bearingBetween = (a, b) => {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const dLng = toRadians(b.lng - a.lng);
+    const y = Math.sin(dLng) * Math.cos(toRadians(b.lat));
+    const x = Math.cos(toRadians(a.lat)) * Math.sin(toRadians(b.lat))
+        - Math.sin(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.cos(dLng);
+    return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+/**
+ * Heading at the latest fix: the device's own where it reports one, otherwise
+ * the bearing from the previous fix when the two are far enough apart to
+ * have one.
+ *
+ * @param {{lat: number, lng: number, accuracy: number}|null} previous
+ * @param {{lat: number, lng: number, accuracy: number, heading?: number|null}|null} current
+ * @returns {number|null} degrees from north
+ */
+export const groundHeading = (previous, current) => {
+    if (!current) return null;
+    if (Number.isFinite(current.heading)) return current.heading;
+    if (!previous || distanceBetween(previous, current) <= previous.accuracy + current.accuracy) return null;
+    return bearingBetween(previous, current);
+};
+
+/** m/s. Walking, or standing at a kerb; a brisk walk is about 1.8. */
+export const WALKING_MAX_SPEED = 2.5;
+/** m/s, about 29 km/h: faster than anyone runs for long, slow for a car. */
+export const VEHICLE_SPEED = 8;
+
+/**
+ * Whether two fixes show someone on foot when groundSpeed cannot say how fast.
+ * Without a reported speed, a person standing still never moves past the
+ * accuracy circles, so they would never count as walking and a car pulling
+ * away with them would never look abrupt. Standing or a slow jog, they are on
+ * foot either way, as long as the fixes are close enough in time to tell.
+ *
+ * @param {{lat: number, lng: number, accuracy: number, timestamp: number}|null} previous
+ * @param {{lat: number, lng: number, accuracy: number, timestamp: number}} current
+ * @returns {boolean}
+ */
+const onFootBetween = (previous, current) => {
+    if (!previous || !isAccuracyUsable(previous.accuracy)) return false;
+
+    const elapsedMs = current.timestamp - previous.timestamp;
+    if (!(elapsedMs > 0) || elapsedMs > SPEED_MAX_GAP_MS) return false;
+    return distanceBetween(previous, current) / (elapsedMs / 1000) <= WALKING_MAX_SPEED;
+};
+
+/** Walking this recently, then vehicle speed, is an abrupt change. */
+const JUMP_WINDOW_MS = 60_000;
+/** Vehicle-speed fixes heading this far apart are GPS jumping about, not a car. */
+const HEADING_AGREE_DEG = 45;
+/** Walking this long ends a trip, so the next jump is a new one. */
+const TRIP_END_MS = 2 * 60_000;
+/** How long after a jump it keeps counting as a concern. */
+const JUMP_CONCERN_MS = 10 * 60_000;
+
+/** Reading after an abrupt jump to vehicle speed: enough to corroborate. */
+export const VEHICLE_JUMP_SCORE = 0.9;
+
+/**
+ * Follows speed and heading across fixes, and notices an abrupt change from
+ * walking to vehicle speed — what being pushed into a car looks like from the
+ * phone.
+ *
+ * One jump is flagged per trip. Stopping at a light and pulling away again is
+ * the same trip; only a couple of minutes on foot ends it. "I'm in a cab"
+ * suppresses the flag for the rest of the trip.
+ */
+export class TravelTracker {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.last = null;
+        this.speed = null;
+        this.heading = null;
+        this.walkingAt = null;
+        this.walkingSince = null;
+        this.vehicleHeading = undefined;
+        this.trip = 'none'; // 'none' | 'flagged' | 'cab'
+        this.jumpedAt = null;
     }
-    return `Too rough to find you — could be anywhere within ${formatDistance(accuracyMeters)}`;
+
+    /**
+     * Feed one fix.
+     *
+     * @param {{lat: number, lng: number, accuracy: number, timestamp: number, speed?: number|null, heading?: number|null}} coords
+     * @returns {{ speed: number|null, heading: number|null, jumped: boolean, inCab: boolean }}
+     *   `jumped` is true on the fix that confirms a jump, and only then
+     */
+    push(coords) {
+        if (!coords || !isAccuracyUsable(coords.accuracy)) return this.state(false);
+
+        const now = coords.timestamp;
+        const previous = this.last;
+        this.speed = groundSpeed(previous, coords);
+        this.heading = groundHeading(previous, coords);
+        this.last = coords;
+        const onFoot = this.speed === null ? onFootBetween(previous, coords) : this.speed <= WALKING_MAX_SPEED;
+        if (this.speed === null && !onFoot) return this.state(false);
+
+        if (onFoot) {
+            this.walkingAt = now;
+            this.walkingSince ??= now;
+            this.vehicleHeading = undefined;
+            if (this.trip !== 'none' && now - this.walkingSince >= TRIP_END_MS) {
+                this.trip = 'none';
+                this.jumpedAt = null;
+            }
+            return this.state(false);
+        }
+
+        this.walkingSince = null;
+        if (this.speed < VEHICLE_SPEED) {
+            this.vehicleHeading = undefined;
+            return this.state(false);
+        }
+
+        // Two vehicle-speed fixes in a row, going the same way: one alone is
+        // as likely to be a fix landing in the wrong place.
+        const previousHeading = this.vehicleHeading;
+        this.vehicleHeading = this.heading;
+        const confirmed = previousHeading !== undefined
+            && (previousHeading === null || this.heading === null
+                || headingGap(previousHeading, this.heading) <= HEADING_AGREE_DEG);
+        const abrupt = this.walkingAt !== null && now - this.walkingAt <= JUMP_WINDOW_MS;
+
+        if (this.trip === 'none' && confirmed && abrupt) {
+            this.trip = 'flagged';
+            this.jumpedAt = now;
+            return this.state(true);
+        }
+        return this.state(false);
+    }
+
+    /**
+     * "I'm in a cab": vehicle speed is expected until the trip ends on foot.
+     */
+    markInVehicle() {
+        this.trip = 'cab';
+        this.jumpedAt = null;
+    }
+
+    /**
+     * @param {number} [now]
+     * @returns {number} 0, or VEHICLE_JUMP_SCORE for a while after a jump
+     */
+    reading(now = Date.now()) {
+        if (this.trip !== 'flagged' || this.jumpedAt === null) return 0;
+        return now - this.jumpedAt <= JUMP_CONCERN_MS ? VEHICLE_JUMP_SCORE : 0;
+    }
+
+    /**
+     * @param {boolean} jumped
+     * @returns {{ speed: number|null, heading: number|null, jumped: boolean, inCab: boolean }}
+     */
+    state(jumped) {
+        return { speed: this.speed, heading: this.heading, jumped, inCab: this.trip === 'cab' };
+    }
+}
+
+/**
+ * @param {number} a - degrees
+ * @param {number} b - degrees
+ * @returns {number} the smaller angle between them, 0–180
+ */
+const headingGap = (a, b) => {
+    const gap = Math.abs(a - b) % 360;
+    return gap > 180 ? 360 - gap : gap;
+};
+
+/**
+ * Whether a fix puts the person inside a place.
+ *
+ * Only when the whole accuracy circle fits inside the place's radius. Arriving
+ * ends a check-in without anyone being told, so a rough fix that merely might
+ * be there has to wait for a better one.
+ *
+ * @param {{lat: number, lng: number, accuracy: number}} coords
+ * @param {{lat: number, lng: number, radius: number}} place
+ * @returns {boolean}
+ */
+export const isInside = (coords, place) => {
+    if (!coords || !place || !isAccuracyUsable(coords.accuracy)) return false;
+    return distanceBetween(coords, place) + coords.accuracy <= place.radius;
+};
+
+/**
+ * Whether a destination check-in has arrived, given whether the person has been
+ * seen away from the place yet.
+ *
+ * A check-in started at the destination, or just inside its radius, would
+ * otherwise end on its first fix, before the person has gone anywhere. So
+ * arriving only counts once a fix has put them wholly outside, by the same
+ * rule as leaving a zone.
+ *
+ * @param {{lat: number, lng: number, accuracy: number}|null} coords
+ * @param {{lat: number, lng: number, radius: number}} place
+ * @param {boolean} [left] - whether an earlier fix was wholly outside
+ * @returns {{ left: boolean, arrived: boolean }}
+ */
+export const arrivalAfter = (coords, place, left = false) => {
+    const away = left || (
+        Boolean(coords)
+        && isAccuracyUsable(coords.accuracy)
+        && distanceBetween(coords, place) - coords.accuracy > place.radius
+    );
+    return { left: away, arrived: away && isInside(coords, place) };
+};
+
+/**
+ * Which safe zone the person is in, given the zone they were in before.
+ *
+ * Entering needs a fix wholly inside, as for arriving: a zone relaxes
+ * protection, so it must be sure. Leaving needs a fix wholly outside, so GPS
+ * wandering near the edge does not flip monitoring on and off. A fix too rough
+ * to say either way changes nothing.
+ *
+ * @param {{lat: number, lng: number, accuracy: number}|null} coords
+ * @param {Array<{id: string, lat: number, lng: number, radius: number}>} zones
+ * @param {string|null} currentId - the zone they were in, if any
+ * @returns {string|null} the zone they are in now
+ */
+export const zoneAfter = (coords, zones, currentId = null) => {
+    if (!coords || !isAccuracyUsable(coords.accuracy)) return currentId;
+
+    const current = zones.find((zone) => zone.id === currentId);
+    if (current && distanceBetween(coords, current) - coords.accuracy <= current.radius) {
+        return current.id;
+    }
+
+    return zones.find((zone) => isInside(coords, zone))?.id ?? null;
 };
 
 /**
@@ -169,5 +466,5 @@ export const describeAccuracy = (accuracyMeters) => {
  */
 export const explainPoorAccuracy = (accuracyMeters) => {
     if (isAccuracyUsable(accuracyMeters)) return null;
-    return 'This device has no GPS, so your position was estimated from your internet connection. On a phone outdoors it is usually accurate to a few metres.';
+    return t('geo.noGps');
 };
@@ -1,33 +1,16 @@
 /**
- * Gesture Pipeline — MediaPipe Hands, closed-fist distress signal.
+ * Gesture Pipeline — MediaPipe Hands, deliberate distress hand signals.
  * Runs entirely on-device; no frame ever leaves the browser.
  *
- * The hold timer tolerates brief tracking dropouts. Hand tracking flickers
+ * Which signal counts, and how a run of frames becomes one, is decided in
+ * handSignals.js; this owns the camera model and feeds it frames. Every
+ * timer there tolerates brief tracking dropouts. Hand tracking flickers
  * constantly in poor light, and a timer that resets on every lost frame can
- * never complete a two-second hold in the conditions this app is built for.
+ * never complete in the conditions this app is built for.
  */
 
 import { HandLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
-
-/** Normalized distance below which a fingertip counts as curled toward the palm. */
-const FIST_THRESHOLD = 0.12;
-
-/** How long the fist must be held before it counts as a deliberate signal. */
-export const FIST_HOLD_DURATION_MS = 2000;
-
-/** Tracking may drop out for this long without resetting the hold. */
-const TRACKING_GRACE_MS = 400;
-
-/** Fraction of fingers that must be curled for the frame to read as a fist. */
-const FIST_CONFIDENCE_THRESHOLD = 0.6;
-
-/**
- * MediaPipe hand landmark indices.
- * Wrist = 0. Fingertips: index 8, middle 12, ring 16, pinky 20.
- * The thumb is excluded — its curl geometry differs from the fingers.
- */
-const FINGERTIP_INDICES = [8, 12, 16, 20];
-const PALM_INDICES = [0, 5, 9, 13, 17];
+import { HandSignalTracker, describeHand } from './handSignals.js';
 
 const WASM_PATH = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.32/wasm';
 const MODEL_PATH =
@@ -39,10 +22,9 @@ class GesturePipelineController {
         this.isInitialized = false;
         this.initPromise = null;
 
-        this.fistStartTime = null;
-        this.lastFistSeenTime = null;
+        this.signal = 'help';
+        this.tracker = new HandSignalTracker(this.signal);
         this.gestureScore = 0;
-        this.isFist = false;
         this.confidence = 0;
         this.lastVideoTime = -1;
         this.lastResult = null;
@@ -76,19 +58,32 @@ class GesturePipelineController {
         }
     }
 
+    /**
+     * Choose which signal to watch for. Changing it starts over.
+     *
+     * @param {'help'|'palm'|'fist'} signal
+     */
+    setSignal(signal) {
+        if (signal === this.signal) return;
+        this.signal = signal;
+        this.tracker = new HandSignalTracker(signal);
+        this.gestureScore = 0;
+    }
+
     /**
      * Analyse one video frame. Call from a requestAnimationFrame loop.
      *
      * @param {HTMLVideoElement} videoEl
-     * @returns {{landmarks: Array|null, isFist: boolean, gestureScore: number, confidence: number, holdProgress: number, tracking: boolean}}
+     * @returns {{landmarks: Array|null, isSignalled: boolean, gestureScore: number, confidence: number, holdProgress: number, stage: string, tracking: boolean}}
      */
     detectFrame(videoEl) {
         const idle = {
             landmarks: null,
-            isFist: this.isFist,
+            isSignalled: this.gestureScore === 1,
             gestureScore: this.gestureScore,
             confidence: 0,
             holdProgress: this.getHoldProgress(),
+            stage: this.tracker.stage,
             tracking: false,
         };
 
@@ -112,99 +107,37 @@ class GesturePipelineController {
         }
 
         const landmarks = result?.landmarks?.[0] ?? null;
-
-        if (!landmarks) {
-            this.applyTrackingGap(now);
-            this.lastResult = { landmarks: null, confidence: 0, tracking: false };
-            return {
-                landmarks: null,
-                isFist: this.isFist,
-                gestureScore: this.gestureScore,
-                confidence: 0,
-                holdProgress: this.getHoldProgress(),
-                tracking: false,
-            };
-        }
-
-        const fistConfidence = this.computeFistConfidence(landmarks);
-        this.confidence = fistConfidence;
-
-        if (fistConfidence >= FIST_CONFIDENCE_THRESHOLD) {
-            if (this.fistStartTime === null) this.fistStartTime = now;
-            this.lastFistSeenTime = now;
-            if (now - this.fistStartTime >= FIST_HOLD_DURATION_MS) {
-                this.gestureScore = 1;
-                this.isFist = true;
-            }
-        } else {
-            this.applyTrackingGap(now);
-        }
-
-        this.lastResult = { landmarks, confidence: fistConfidence, tracking: true };
+        const state = this.tracker.push(describeHand(landmarks), now);
+        this.gestureScore = state.score;
+        this.confidence = state.match;
+        this.lastResult = { landmarks, confidence: state.match, stage: state.stage, tracking: Boolean(landmarks) };
 
         return {
             landmarks,
-            isFist: this.isFist,
-            gestureScore: this.gestureScore,
-            confidence: fistConfidence,
-            holdProgress: this.getHoldProgress(),
-            tracking: true,
+            isSignalled: state.score === 1,
+            gestureScore: state.score,
+            confidence: state.match,
+            holdProgress: state.progress,
+            stage: state.stage,
+            tracking: Boolean(landmarks),
         };
     }
 
     /**
-     * Handle a frame where the fist was not seen. The hold survives short
-     * dropouts and only resets once the grace period lapses.
-     * @param {number} now
-     */
-    applyTrackingGap(now) {
-        if (this.fistStartTime === null) return;
-        if (this.lastFistSeenTime !== null && now - this.lastFistSeenTime <= TRACKING_GRACE_MS) {
-            return;
-        }
-        this.resetFist();
-    }
-
-    /**
-     * Fraction of the required hold completed so far.
+     * How far through the signal the hand has got.
      * @returns {number} 0–1
      */
     getHoldProgress() {
-        if (this.gestureScore === 1) return 1;
-        if (this.fistStartTime === null) return 0;
-        return Math.min((performance.now() - this.fistStartTime) / FIST_HOLD_DURATION_MS, 1);
+        return this.tracker.progress;
     }
 
     /**
-     * Fraction of tracked fingertips curled toward the palm centre.
-     * @param {Array<{x: number, y: number}>} landmarks
-     * @returns {number} 0–1
+     * Forget a given signal without unloading the model, e.g. when the person
+     * stops the countdown it started: the Signal for Help stands for a while
+     * after it is made, and would otherwise start another straight away.
      */
-    computeFistConfidence(landmarks) {
-        let px = 0;
-        let py = 0;
-        for (const idx of PALM_INDICES) {
-            px += landmarks[idx].x;
-            py += landmarks[idx].y;
-        }
-        px /= PALM_INDICES.length;
-        py /= PALM_INDICES.length;
-
-        let curled = 0;
-        for (const tipIdx of FINGERTIP_INDICES) {
-            const tip = landmarks[tipIdx];
-            const dist = Math.hypot(tip.x - px, tip.y - py);
-            if (dist < FIST_THRESHOLD) curled++;
-        }
-
-        return curled / FINGERTIP_INDICES.length;
-    }
-
-    /** Clear hold state without unloading the model. */
-    resetFist() {
-        this.fistStartTime = null;
-        this.lastFistSeenTime = null;
-        this.isFist = false;
+    clearSignal() {
+        this.tracker.reset();
         this.gestureScore = 0;
     }
 
@@ -225,7 +158,7 @@ class GesturePipelineController {
         this.initPromise = null;
         this.lastVideoTime = -1;
         this.lastResult = null;
-        this.resetFist();
+        this.clearSignal();
     }
 }
 
@@ -0,0 +1,286 @@
+/**
+ * Hand signals — recognising a deliberate gesture from hand landmarks.
+ *
+ * The default is the international Signal for Help: a hand held up with the
+ * thumb tucked in, then the fingers folded down over the thumb. It is what
+ * people have been taught, and as a sequence it does not happen by accident
+ * the way a closed fist does around a bag strap or a phone. The fold must
+ * trap the thumb; an ordinary fist does not finish it. Which way the hand
+ * faces is not checked (see describeHand). An open hand held up, or the
+ * original held fist, can be chosen instead.
+ *
+ * Kept apart from gesturePipeline.js, which owns the camera and the model, so
+ * the geometry and the timing can be tested on plain landmark frames.
+ */
+
+import { SENSITIVITY_LIMITS } from './riskEngine.js';
+
+/** MediaPipe hand landmark indices. Wrist = 0; each finger runs base to tip. */
+const WRIST = 0;
+const THUMB_TIP = 4;
+const MIDDLE_BASE = 9;
+const FINGERS = [
+    { middle: 6, tip: 8 },
+    { middle: 10, tip: 12 },
+    { middle: 14, tip: 16 },
+    { middle: 18, tip: 20 },
+];
+const PALM_INDICES = [0, 5, 9, 13, 17];
+
+/**
+ * Distances are in hand sizes (wrist to the base of the middle finger), so
+ * the same thresholds hold near the camera and at arm's length.
+ *
+ * A straight finger's tip is well beyond its middle joint from the wrist.
+ */
+const EXTENDED_RATIO = 1.15;
+/** A fingertip this close to the palm centre is folded down. */
+const FOLDED_REACH = 0.75;
+/** A thumb tip this close to the palm centre is tucked across the palm. */
+const THUMB_TUCKED_REACH = 0.6;
+/** Closer still, it is under folded fingers rather than resting on them. */
+const THUMB_TRAPPED_REACH = 0.45;
+
+/** Fingers that must agree for the hand to read as open or folded: three of four. */
+const SHAPE_THRESHOLD = 0.6;
+
+/** How long the open palm or the fist must be held. */
+export const HOLD_DURATION_MS = 2000;
+/** Tracking may drop out for this long without losing the gesture. */
+const TRACKING_GRACE_MS = 400;
+
+/** Signal for Help: the tucked-thumb palm must be shown at least this long… */
+const PALM_MIN_MS = 300;
+/** …the fold may take this long, through the half-closed frames in between… */
+const FOLD_WINDOW_MS = 1500;
+/** …and the folded hand must then be held this long. */
+const FOLD_HOLD_MS = 500;
+/**
+ * The signal is made, not held, so once complete it stands for long enough
+ * for the risk engine's sustain to finish at any sensitivity.
+ */
+const SIGNAL_LATCH_MS = SENSITIVITY_LIMITS.sustainMs.max + 1000;
+
+/**
+ * @typedef {Object} HandShape
+ * @property {number} extended - fraction of fingers straight, 0–1
+ * @property {number} folded - fraction of fingers folded into the palm, 0–1
+ * @property {'out'|'tucked'|'trapped'} thumb
+ * @property {boolean} upright - fingers pointing up from the wrist
+ */
+
+/**
+ * Measure one frame of landmarks.
+ *
+ * Which side of the hand faces the camera is not checked: landmarks alone
+ * cannot tell a palm from the back of a hand without knowing which hand it
+ * is, and the sequence is distinctive enough without it.
+ *
+ * @param {Array<{x: number, y: number}>} landmarks - 21 points, image coordinates
+ * @returns {HandShape|null}
+ */
+export const describeHand = (landmarks) => {
+    if (!Array.isArray(landmarks) || landmarks.length < 21) return null;
+
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const wrist = landmarks[WRIST];
+    const size = distance(wrist, landmarks[MIDDLE_BASE]);
+    if (!(size > 0)) return null;
+
+    const centre = {
+        x: PALM_INDICES.reduce((sum, i) => sum + landmarks[i].x, 0) / PALM_INDICES.length,
+        y: PALM_INDICES.reduce((sum, i) => sum + landmarks[i].y, 0) / PALM_INDICES.length,
+    };
+
+    let extended = 0;
+    let folded = 0;
+    let tipsY = 0;
+    for (const finger of FINGERS) {
+        const tip = landmarks[finger.tip];
+        if (distance(tip, wrist) > distance(landmarks[finger.middle], wrist) * EXTENDED_RATIO) extended++;
+        if (distance(tip, centre) < FOLDED_REACH * size) folded++;
+        tipsY += tip.y;
+    }
+
+    const thumbReach = distance(landmarks[THUMB_TIP], centre) / size;
+    let thumb = 'out';
+    if (thumbReach < THUMB_TRAPPED_REACH) thumb = 'trapped';
+    else if (thumbReach < THUMB_TUCKED_REACH) thumb = 'tucked';
+
+    return {
+        extended: extended / FINGERS.length,
+        folded: folded / FINGERS.length,
+        thumb,
+        // Image y grows downwards.
+        upright: tipsY / FINGERS.length < wrist.y - size,
+    };
+};
+
+/**
+ * Name the pose a hand shape is in.
+ *
+ * @param {HandShape|null} hand
+ * @returns {'open'|'tucked'|'trapped'|'fist'|'other'|null} null for no hand
+ */
+export const poseOf = (hand) => {
+    if (!hand) return null;
+    if (hand.folded >= SHAPE_THRESHOLD) return hand.thumb === 'trapped' ? 'trapped' : 'fist';
+    if (hand.extended >= SHAPE_THRESHOLD && hand.upright) return hand.thumb === 'out' ? 'open' : 'tucked';
+    return 'other';
+};
+
+const isFolded = (pose) => pose === 'fist' || pose === 'trapped';
+
+/**
+ * @typedef {Object} SignalState
+ * @property {number} score - 1 once the signal is given, otherwise 0
+ * @property {number} progress - 0–1 through the signal
+ * @property {number} match - 0–1, how closely the hand matches the shape wanted next
+ * @property {'idle'|'palm'|'fold'|'holding'|'signalled'} stage
+ */
+
+/**
+ * Follows landmark frames through one hand signal.
+ *
+ * A small state machine: for the Signal for Help, idle → palm (thumb tucked)
+ * → fold (fingers over the thumb) → signalled. The open palm and the fist are
+ * a single pose held for HOLD_DURATION_MS, and count for as long as they are
+ * held, as the fist always has.
+ */
+export class HandSignalTracker {
+    /**
+     * @param {'help'|'palm'|'fist'} [signal]
+     */
+    constructor(signal = 'help') {
+        this.signal = signal;
+        this.reset();
+    }
+
+    reset() {
+        this.stage = 'idle';
+        this.stageStart = null;
+        this.lastSeen = null;
+        this.signalledAt = null;
+        this.progress = 0;
+        this.match = 0;
+    }
+
+    /**
+     * Feed one frame.
+     *
+     * @param {HandShape|null} hand - null when no hand is tracked
+     * @param {number} now
+     * @returns {SignalState}
+     */
+    push(hand, now) {
+        return this.signal === 'help' ? this.pushSequence(hand, now) : this.pushHold(hand, now);
+    }
+
+    /**
+     * @param {HandShape|null} hand
+     * @param {number} now
+     * @returns {SignalState}
+     */
+    pushHold(hand, now) {
+        const pose = poseOf(hand);
+        const held = this.signal === 'palm' ? pose === 'open' : isFolded(pose);
+        this.match = hand ? (this.signal === 'palm' ? hand.extended : hand.folded) : 0;
+
+        if (held) {
+            if (this.stage === 'idle') {
+                this.stage = 'holding';
+                this.stageStart = now;
+            }
+            this.lastSeen = now;
+            if (now - this.stageStart >= HOLD_DURATION_MS) this.stage = 'signalled';
+        } else if (this.stage !== 'idle' && now - this.lastSeen > TRACKING_GRACE_MS) {
+            this.reset();
+        }
+
+        this.progress = this.stage === 'idle' ? 0 : Math.min((now - this.stageStart) / HOLD_DURATION_MS, 1);
+        return this.state();
+    }
+
+    /**
+     * @param {HandShape|null} hand
+     * @param {number} now
+     * @returns {SignalState}
+     */
+    pushSequence(hand, now) {
+        const pose = poseOf(hand);
+
+        switch (this.stage) {
+            case 'idle':
+                if (pose === 'tucked') this.enter('palm', now);
+                break;
+
+            case 'palm':
+                if (pose === 'tucked') {
+                    this.lastSeen = now;
+                } else if (pose === 'trapped' && this.lastSeen - this.stageStart >= PALM_MIN_MS) {
+                    this.enter('fold', now);
+                } else if (now - this.lastSeen > FOLD_WINDOW_MS) {
+                    this.reset();
+                }
+                break;
+
+            case 'fold':
+                // Only with the thumb under the fingers: a fist with the thumb
+                // outside is a hand closing round a strap, not the signal.
+                if (pose === 'trapped') {
+                    this.lastSeen = now;
+                    if (now - this.stageStart >= FOLD_HOLD_MS) {
+                        this.stage = 'signalled';
+                        this.signalledAt = now;
+                    }
+                } else if (now - this.lastSeen > TRACKING_GRACE_MS) {
+                    this.reset();
+                }
+                break;
+
+            case 'signalled':
+                if (now - this.signalledAt >= SIGNAL_LATCH_MS) this.reset();
+                break;
+
+            default:
+                this.reset();
+        }
+
+        this.match = hand ? (this.stage === 'fold' ? hand.folded : hand.extended) : 0;
+        this.progress = this.sequenceProgress(now);
+        return this.state();
+    }
+
+    /**
+     * Halfway once the palm has been shown, complete once the fold is held.
+     *
+     * @param {number} now
+     * @returns {number}
+     */
+    sequenceProgress(now) {
+        if (this.stage === 'signalled') return 1;
+        if (this.stage === 'palm') return 0.5 * Math.min((this.lastSeen - this.stageStart) / PALM_MIN_MS, 1);
+        if (this.stage === 'fold') return 0.5 + 0.5 * Math.min((now - this.stageStart) / FOLD_HOLD_MS, 1);
+        return 0;
+    }
+
+    /**
+     * @param {'palm'|'fold'} stage
+     * @param {number} now
+     */
+    enter(stage, now) {
+        this.stage = stage;
+        this.stageStart = now;
+        this.lastSeen = now;
+    }
+
+    /** @returns {SignalState} */
+    state() {
+        return {
+            score: this.stage === 'signalled' ? 1 : 0,
+            progress: this.progress,
+            match: this.match,
+            stage: this.stage,
+        };
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * Inactivity watchdog — "are you OK?" after a long stillness.
+ *
+ * The sensor pipeline scores too much movement. The opposite is worrying too:
+ * a phone that has not moved at all, and has not gone anywhere, for a long
+ * stretch of what was meant to be a walk home. Nothing here raises an alert
+ * by itself. It asks first, and only an unanswered question starts the
+ * ordinary countdown, which can still be stopped.
+ *
+ * Pure and clock-driven like RiskTracker: the dashboard feeds it motion and
+ * location and asks it on each tick where things stand.
+ */
+
+import { distanceBetween, isAccuracyUsable } from './geo.js';
+import { t } from '../i18n/index.js';
+
+/** How long the question stays up before the countdown starts. */
+export const PROMPT_ANSWER_MS = 60_000;
+
+/**
+ * Ground covered, beyond the accuracy of both fixes, that counts as having
+ * gone somewhere. Standing still, GPS wanders by about this much.
+ */
+const MIN_TRAVEL_M = 25;
+
+/**
+ * @typedef {'off'|'watching'|'prompt'|'overdue'} StillnessState
+ */
+
+export class InactivityWatch {
+    /**
+     * @param {number} limitMs - stillness before asking; 0 turns the watch off
+     * @param {number} [now]
+     */
+    constructor(limitMs, now = Date.now()) {
+        this.limitMs = limitMs;
+        this.reset(now);
+    }
+
+    /**
+     * Start counting afresh, e.g. when protection comes on or a countdown is
+     * stopped. The last fix is forgotten too, so a stale one cannot make the
+     * next real fix look like a journey.
+     *
+     * @param {number} [now]
+     */
+    reset(now = Date.now()) {
+        this.activeAt = now;
+        this.anchor = null;
+        this.promptedAt = null;
+    }
+
+    /**
+     * @param {number|null} movedAt - when the phone last moved, from the motion pipeline
+     */
+    noteMotion(movedAt) {
+        if (Number.isFinite(movedAt) && movedAt > this.activeAt) this.activeAt = movedAt;
+    }
+
+    /**
+     * Count a fix as travel when it is clearly somewhere else. Both accuracy
+     * circles are allowed for, so a fix that only jumped within its own
+     * uncertainty is not mistaken for progress.
+     *
+     * @param {{lat: number, lng: number, accuracy: number}|null} coords
+     * @param {number} [now]
+     */
+    noteFix(coords, now = Date.now()) {
+        if (!coords || !isAccuracyUsable(coords.accuracy)) return;
+        if (!this.anchor) {
+            this.anchor = coords;
+            return;
+        }
+        const slack = Math.max(MIN_TRAVEL_M, coords.accuracy + this.anchor.accuracy);
+        if (distanceBetween(this.anchor, coords) > slack) {
+            this.anchor = coords;
+            if (now > this.activeAt) this.activeAt = now;
+        }
+    }
+
+    /**
+     * Where the watch stands. Moving again while the question is up withdraws
+     * it: the stillness it asked about is over.
+     *
+     * @param {number} [now]
+     * @returns {StillnessState}
+     */
+    check(now = Date.now()) {
+        if (this.limitMs <= 0) return 'off';
+
+        if (this.promptedAt !== null && this.activeAt > this.promptedAt) {
+            this.promptedAt = null;
+        }
+        if (this.promptedAt === null) {
+            if (now - this.activeAt < this.limitMs) return 'watching';
+            this.promptedAt = now;
+        }
+        return now - this.promptedAt >= PROMPT_ANSWER_MS ? 'overdue' : 'prompt';
+    }
+
+    /**
+     * "I'm OK": the stillness is accounted for, so start counting again.
+     *
+     * @param {number} [now]
+     */
+    answer(now = Date.now()) {
+        this.activeAt = now;
+        this.promptedAt = null;
+    }
+}
+
+/**
+ * Why the countdown started, for the alert and its log.
+ *
+ * @param {number} limitMs
+ * @returns {string}
+ */
+export const describeStillness = (limitMs) =>
+    t('inactivity.reason', { minutes: Math.round(limitMs / 60_000) });
@@ -11,6 +11,8 @@
  * alert is raised, attached to that alert.
  */
 
+import { t, formatClock } from '../i18n/index.js';
+
 /** Entries retained in the ring buffer (~4 minutes at one reading per second). */
 export const MAX_ENTRIES = 240;
 
@@ -34,6 +36,13 @@ export const EVENT = {
     CHECKIN_STARTED: 'checkin-started',
     CHECKIN_MISSED: 'checkin-missed',
     MANUAL_ALERT: 'manual-alert',
+    FALL_DETECTED: 'fall-detected',
+    STILL_PROMPTED: 'still-prompted',
+    STILL_ANSWERED: 'still-answered',
+    VEHICLE_SPEED: 'vehicle-speed',
+    IN_CAB: 'in-cab',
+    ZONE_ENTERED: 'zone-entered',
+    ZONE_LEFT: 'zone-left',
 };
 
 export class IncidentLog {
@@ -120,13 +129,19 @@ export const summariseSnapshot = (entries) => {
     };
 };
 
-/** Plain-language names for the sensors. */
+/** Catalogue keys for the sensors' plain-language names. */
 const SENSOR_LABEL = {
-    gesture: 'hand signal',
-    stress: 'voice tension',
-    motion: 'movement',
+    gesture: 'incident.handSignal',
+    stress: 'incident.voiceTension',
+    motion: 'incident.movement',
 };
 
+/**
+ * @param {string} sensor
+ * @returns {string}
+ */
+const sensorName = (sensor) => (SENSOR_LABEL[sensor] ? t(SENSOR_LABEL[sensor]) : sensor);
+
 /**
  * One sentence naming what actually drove the alert, suitable for an SMS.
  *
@@ -138,21 +153,26 @@ export const summariseTrigger = (entries, reason = null) => {
     const summary = summariseSnapshot(entries);
 
     if (!summary.peakReadings) {
-        return reason ?? 'Alert raised manually.';
+        return reason ?? t('incident.manual');
     }
 
     const parts = [];
     for (const [key, value] of Object.entries(summary.peakReadings)) {
-        const label = SENSOR_LABEL[key] ?? key;
         if (key === 'gesture') {
-            if (value >= 1) parts.push('distress hand signal held');
+            if (value >= 1) parts.push(t('incident.signalHeld'));
+        } else if (key === 'fall') {
+            if (value > 0) parts.push(value >= 1 ? t('incident.fallStill') : t('incident.fallSeen'));
+        } else if (key === 'sprint') {
+            if (value > 0) parts.push(t('incident.sprintSeen'));
+        } else if (key === 'vehicle') {
+            if (value > 0) parts.push(t('incident.vehicleSeen'));
         } else if (value > 0) {
-            parts.push(`${label} ${Math.round(value * 100)}%`);
+            parts.push(`${sensorName(key)} ${Math.round(value * 100)}%`);
         }
     }
 
-    if (parts.length === 0) return reason ?? 'Alert raised.';
-    return `Detected: ${parts.join(', ')}.`;
+    if (parts.length === 0) return reason ?? t('incident.raised');
+    return t('incident.detected', { parts: parts.join(', ') });
 };
 
 /**
@@ -163,31 +183,45 @@ export const summariseTrigger = (entries, reason = null) => {
 export const describeMoment = (entry) => {
     switch (entry.type) {
         case EVENT.PROTECTION_ON:
-            return 'Protection turned on';
+            return t('incident.protectionOn');
         case EVENT.PROTECTION_OFF:
-            return 'Protection turned off';
+            return t('incident.protectionOff');
         case EVENT.SENSOR_ON:
-            return `${SENSOR_LABEL[entry.sensor] ?? entry.sensor} enabled`;
+            return t('incident.sensorOn', { sensor: sensorName(entry.sensor) });
         case EVENT.SENSOR_OFF:
-            return `${SENSOR_LABEL[entry.sensor] ?? entry.sensor} disabled`;
+            return t('incident.sensorOff', { sensor: sensorName(entry.sensor) });
         case EVENT.SUSTAIN_STARTED:
-            return `Risk crossed the threshold (${formatRisk(entry.risk)})`;
+            return t('incident.sustainStarted', { risk: formatRisk(entry.risk) });
         case EVENT.SUSTAIN_RESET:
-            return 'Risk fell back below the threshold';
+            return t('incident.sustainReset');
         case EVENT.COUNTDOWN_STARTED:
             return entry.reason
-                ? `Countdown started — ${entry.reason}`
-                : 'Countdown started';
+                ? t('incident.countdownReason', { reason: entry.reason })
+                : t('incident.countdown');
         case EVENT.COUNTDOWN_CANCELLED:
-            return 'You stopped the alert';
+            return t('incident.cancelled');
         case EVENT.MANUAL_ALERT:
-            return 'You asked for help';
+            return t('incident.manualAlert');
         case EVENT.CHECKIN_STARTED:
-            return 'Check-in timer started';
+            return t('incident.checkInStarted');
         case EVENT.CHECKIN_MISSED:
-            return 'Check-in was missed';
+            return t('incident.checkInMissed');
         case EVENT.ALERT_RAISED:
-            return 'Alert prepared';
+            return t('incident.alertRaised');
+        case EVENT.FALL_DETECTED:
+            return t('incident.fallDetected', { impact: (entry.impact ?? 0).toFixed(1) });
+        case EVENT.STILL_PROMPTED:
+            return t('incident.stillPrompted');
+        case EVENT.STILL_ANSWERED:
+            return t('incident.stillAnswered');
+        case EVENT.VEHICLE_SPEED:
+            return t('incident.vehicleSpeed', { speed: Math.round(entry.speedKmh ?? 0) });
+        case EVENT.IN_CAB:
+            return t('incident.inCab');
+        case EVENT.ZONE_ENTERED:
+            return entry.mode === 'pause' ? t('incident.zonePaused') : t('incident.zoneRelaxed');
+        case EVENT.ZONE_LEFT:
+            return t('incident.zoneLeft');
         default:
             return entry.type;
     }
@@ -203,8 +237,7 @@ export const formatRisk = (risk) => `${Math.round((risk ?? 0) * 100)}%`;
  * @param {number} timestamp
  * @returns {string}
  */
-export const formatTime = (timestamp) =>
-    new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+export const formatTime = (timestamp) => formatClock(timestamp, { seconds: true });
 
 let logInstance = null;
 
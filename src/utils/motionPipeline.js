@@ -10,6 +10,8 @@
  * must be able to tell "calm" apart from "not measuring".
  */
 
+import { GaitAnalyser } from './gait.js';
+
 /** Gravity magnitude used to centre acceleration-including-gravity readings. */
 const GRAVITY = 9.81;
 
@@ -35,11 +37,150 @@ const SENSOR_TIMEOUT_MS = 2500;
  */
 const SENSOR_PROBE_MS = 3000;
 
+/**
+ * Net acceleration that counts as the phone having moved at all. A phone on
+ * a table reads well under this; one in the pocket of someone walking, or
+ * even standing and shifting their weight, reads over it.
+ */
+const MOVING_MS2 = 0.5;
+
+/** How often the step cadence is re-estimated; steps do not change faster. */
+const CADENCE_EVERY_MS = 500;
+
+/**
+ * Fall detection thresholds. Magnitudes include gravity, so a phone at rest
+ * reads about 9.8 m/s² whichever way up it lies.
+ */
+const FREE_FALL_MS2 = 5;
+const FREE_FALL_MIN_MS = 100;
+const IMPACT_MS2 = 25;
+const IMPACT_WINDOW_MS = 1000;
+/** Bounces and the phone settling after the impact are not "movement". */
+const SETTLE_MS = 1000;
+/** Net acceleration below this counts as lying still. */
+const STILL_MS2 = 1.5;
+const FALL_CONFIRM_MS = 2000;
+const LONG_LIE_MS = 10000;
+
+/** Fall reading once confirmed: enough to corroborate another sensor. */
+export const FALL_SCORE = 0.8;
+/** Fall reading after a long stillness: enough on its own. */
+export const LONG_LIE_SCORE = 1;
+
+/**
+ * Recognises a fall: a free-fall dip, an impact within a second, then
+ * stillness.
+ *
+ * Shaking, running and a struggle never produce the dip, and a stumble that
+ * is caught never produces the stillness, which is what separates this from
+ * the general movement score. A dropped phone does look like a fall; picking
+ * it up is movement, which clears the reading before it can escalate.
+ */
+export class FallDetector {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.phase = 'idle'; // 'idle' | 'falling' | 'impact' | 'fallen'
+        this.dipStart = null;
+        this.dipEnd = null;
+        this.impactAt = null;
+        this.impact = 0;
+        this.stillSince = null;
+        this.score = 0;
+    }
+
+    /**
+     * Feed one sample.
+     *
+     * @param {number} magnitude - acceleration including gravity, m/s²
+     * @param {number} now
+     * @returns {{ score: number, fell: boolean, impact: number }} `fell` is
+     *   true on the sample that confirms a fall, and only then
+     */
+    push(magnitude, now) {
+        const still = Math.abs(magnitude - GRAVITY) < STILL_MS2;
+        let fell = false;
+
+        switch (this.phase) {
+            case 'idle':
+                if (magnitude < FREE_FALL_MS2) {
+                    this.phase = 'falling';
+                    this.dipStart = now;
+                    this.dipEnd = null;
+                }
+                break;
+
+            case 'falling':
+                if (magnitude < FREE_FALL_MS2) {
+                    this.dipEnd = null;
+                } else if (magnitude >= IMPACT_MS2 && this.dipLongEnough(this.dipEnd ?? now)) {
+                    this.phase = 'impact';
+                    this.impactAt = now;
+                    this.impact = magnitude;
+                } else {
+                    this.dipEnd ??= now;
+                    if (!this.dipLongEnough(this.dipEnd) || now - this.dipEnd > IMPACT_WINDOW_MS) this.reset();
+                }
+                break;
+
+            case 'impact':
+                this.impact = Math.max(this.impact, magnitude);
+                if (now - this.impactAt < SETTLE_MS) break;
+                if (!still) {
+                    this.reset();
+                    break;
+                }
+                this.stillSince ??= now;
+                if (now - this.stillSince >= FALL_CONFIRM_MS) {
+                    this.phase = 'fallen';
+                    this.score = FALL_SCORE;
+                    fell = true;
+                }
+                break;
+
+            case 'fallen':
+                // Lying on the floor is not perfectly still, so only a clear
+                // movement, like being picked up, counts as getting up.
+                if (Math.abs(magnitude - GRAVITY) >= STILL_MS2 * 2) {
+                    this.reset();
+                    break;
+                }
+                if (now - this.stillSince >= LONG_LIE_MS) this.score = LONG_LIE_SCORE;
+                break;
+
+            default:
+                this.reset();
+        }
+
+        return { score: this.score, fell, impact: this.impact };
+    }
+
+    /**
+     * A genuine fall spends a while weightless; a jolt dips for a sample or two.
+     *
+     * @param {number} end - when the dip ended
+     * @returns {boolean}
+     */
+    dipLongEnough(end) {
+        return end - this.dipStart >= FREE_FALL_MIN_MS;
+    }
+}
+
 class MotionPipelineController {
     constructor() {
         this.isRunning = false;
         this.samples = [];
         this.motionScore = 0;
+        this.fall = new FallDetector();
+        this.fallScore = 0;
+        this.fallDetectedAt = null;
+        this.fallImpactG = 0;
+        this.lastMovedAt = null;
+        this.gait = new GaitAnalyser();
+        this.cadence = 0;
+        this.cadenceAt = 0;
         this.lastEventTime = 0;
         this.available = false;
         this.permissionState = 'unknown'; // 'unknown' | 'granted' | 'denied' | 'unsupported'
@@ -78,7 +219,7 @@ class MotionPipelineController {
 
     /**
      * Begin listening for motion events.
-     * @param {(update: {motionScore: number, available: boolean}) => void} onUpdate
+     * @param {(update: {motionScore: number, fallScore: number, fallDetectedAt: number|null, lastMovedAt: number|null, cadence: number, available: boolean}) => void} onUpdate
      * @returns {Promise<boolean>} whether the sensor started
      */
     async start(onUpdate) {
@@ -138,7 +279,22 @@ class MotionPipelineController {
         const magnitude = Math.sqrt(acc.x * acc.x + acc.y * acc.y + acc.z * acc.z);
         const netAcceleration = Math.abs(magnitude - GRAVITY);
 
+        const fall = this.fall.push(magnitude, now);
+        this.fallScore = fall.score;
+        if (fall.fell) {
+            this.fallDetectedAt = now;
+            // In g, the unit people know an impact by.
+            this.fallImpactG = Math.round((fall.impact / GRAVITY) * 10) / 10;
+        }
+
         this.samples.push({ value: netAcceleration, time: now });
+        if (netAcceleration >= MOVING_MS2) this.lastMovedAt = now;
+
+        this.gait.push(magnitude, now);
+        if (now - this.cadenceAt >= CADENCE_EVERY_MS) {
+            this.cadence = this.gait.cadence();
+            this.cadenceAt = now;
+        }
         const cutoff = now - HISTORY_MS;
         while (this.samples.length > 0 && this.samples[0].time < cutoff) {
             this.samples.shift();
@@ -190,6 +346,11 @@ class MotionPipelineController {
     emit() {
         this.onUpdate?.({
             motionScore: this.motionScore,
+            fallScore: this.isReceivingData() ? this.fallScore : 0,
+            fallDetectedAt: this.fallDetectedAt,
+            fallImpactG: this.fallImpactG,
+            lastMovedAt: this.lastMovedAt,
+            cadence: this.isReceivingData() ? this.cadence : 0,
             available: this.available && this.isReceivingData(),
             permissionState: this.permissionState,
             status: this.getStatus(),
@@ -201,6 +362,26 @@ class MotionPipelineController {
         return this.isReceivingData() ? this.motionScore : 0;
     }
 
+    /** @returns {number} 0, FALL_SCORE or LONG_LIE_SCORE */
+    getFallScore() {
+        return this.isReceivingData() ? this.fallScore : 0;
+    }
+
+    /**
+     * Forget a detected fall, e.g. when the person cancels the countdown it
+     * started: tapping a phone lying on the floor barely moves it, and the
+     * reading would otherwise escalate again straight away.
+     */
+    clearFall() {
+        this.fall.reset();
+        this.fallScore = 0;
+    }
+
+    /** @returns {number|null} when the phone last moved, for the inactivity watch */
+    getLastMovedAt() {
+        return this.lastMovedAt;
+    }
+
     /** @returns {boolean} */
     isAvailable() {
         return this.available && this.isReceivingData();
@@ -218,6 +399,14 @@ class MotionPipelineController {
         this.isRunning = false;
         this.samples = [];
         this.motionScore = 0;
+        this.fall.reset();
+        this.fallScore = 0;
+        this.fallDetectedAt = null;
+        this.fallImpactG = 0;
+        this.lastMovedAt = null;
+        this.gait.reset();
+        this.cadence = 0;
+        this.cadenceAt = 0;
         this.available = false;
         this.lastEventTime = 0;
         this.hasReceivedData = false;
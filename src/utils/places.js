@@ -0,0 +1,67 @@
+/**
+ * Saved places: where a check-in can end, and where monitoring can ease off.
+ *
+ * The list itself lives in storage.js with the other saved settings; this is
+ * what the screens do with it.
+ */
+
+import { getCurrentLocation, formatDistance, isAccuracyUsable } from './geo.js';
+import { loadPlaces, savePlaces, ZONE_MODES } from './storage.js';
+import { t } from '../i18n/index.js';
+
+/** Local hours during which leaving a safe zone offers a check-in. */
+export const NIGHT_START_HOUR = 20;
+export const NIGHT_END_HOUR = 6;
+
+/**
+ * Save where the phone is standing now as a place.
+ *
+ * A centre that is itself less certain than the radius would make arriving,
+ * or being inside a zone, either impossible or meaningless, so such a fix is
+ * turned down with advice instead.
+ *
+ * @param {{ name: string, radius: number, zone?: string }} input
+ * @returns {Promise<{ ok: true, place: import('./storage.js').Place, places: import('./storage.js').Place[] }|{ ok: false, error: string }>}
+ */
+export const savePlaceHere = async ({ name, radius, zone = 'none' }) => {
+    const trimmed = (name ?? '').trim();
+    if (!trimmed) return { ok: false, error: t('places.needName') };
+
+    const result = await getCurrentLocation({ timeout: 15000 });
+    if (!result.ok) return { ok: false, error: result.error };
+
+    if (!isAccuracyUsable(result.coords.accuracy) || result.coords.accuracy > radius) {
+        return { ok: false, error: t('places.tooRough', { distance: formatDistance(result.coords.accuracy) }) };
+    }
+
+    const place = {
+        id: `place-${Date.now()}`,
+        name: trimmed.slice(0, 40),
+        lat: result.coords.lat,
+        lng: result.coords.lng,
+        radius,
+        zone: ZONE_MODES.includes(zone) ? zone : 'none',
+    };
+    const places = [...loadPlaces(), place];
+    savePlaces(places);
+    return { ok: true, place, places };
+};
+
+/**
+ * Saved places that change monitoring while the person is inside them.
+ *
+ * @param {import('./storage.js').Place[]} places
+ * @returns {import('./storage.js').Place[]}
+ */
+export const safeZones = (places) => places.filter((place) => place.zone !== 'none');
+
+/**
+ * Whether it is late enough that leaving a safe place is worth a check-in.
+ *
+ * @param {number} now
+ * @returns {boolean}
+ */
+export const isNight = (now = Date.now()) => {
+    const hour = new Date(now).getHours();
+    return hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR;
+};
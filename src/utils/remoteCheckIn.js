@@ -13,6 +13,7 @@
  */
 
 import { readJSON, writeJSON, removeKey } from './storage.js';
+import { t, formatClock } from '../i18n/index.js';
 
 const REMOTE_KEY = 'safesignal.remoteCheckIn';
 
@@ -25,6 +26,7 @@ export const isRemoteEnabled = () => import.meta.env?.VITE_BACKEND_ENABLED === '
  * @property {string} token
  * @property {number} firesAt
  * @property {number} contacts
+ * @property {string} [checkInId] - the on-device check-in this was registered for
  */
 
 /** @returns {RemoteHandle|null} */
@@ -38,10 +40,26 @@ const saveRemoteHandle = (handle) => writeJSON(REMOTE_KEY, handle);
 
 export const clearRemoteHandle = () => removeKey(REMOTE_KEY);
 
+/**
+ * Only what the server needs to reach each contact.
+ *
+ * @param {Array<Object>} [contacts]
+ * @returns {Array<Object>}
+ */
+const toServerContacts = (contacts = []) =>
+    contacts.map((c) => ({
+        name: c.name,
+        phone: c.phone,
+        tier: c.tier,
+        channel: c.channel,
+        address: c.address,
+        language: c.language,
+    }));
+
 /**
  * Register a check-in with the server.
  *
- * @param {{ durationMs: number, note?: string, userName?: string, contacts: Array, location?: Object|null }} params
+ * @param {{ durationMs: number, note?: string, userName?: string, contacts: Array, location?: Object|null, checkInId?: string }} params
  * @returns {Promise<{ ok: true, handle: RemoteHandle } | { ok: false, error: string }>}
  */
 export const registerRemoteCheckIn = async (params) => {
@@ -57,7 +75,7 @@ export const registerRemoteCheckIn = async (params) => {
                 durationMs: params.durationMs,
                 note: params.note ?? '',
                 userName: params.userName ?? '',
-                contacts: (params.contacts ?? []).map((c) => ({ name: c.name, phone: c.phone })),
+                contacts: toServerContacts(params.contacts),
                 location: params.location ?? null,
             }),
         });
@@ -73,6 +91,7 @@ export const registerRemoteCheckIn = async (params) => {
             token: payload.token,
             firesAt: payload.firesAt,
             contacts: payload.contacts,
+            checkInId: params.checkInId,
         };
         saveRemoteHandle(handle);
         return { ok: true, handle };
@@ -84,9 +103,14 @@ export const registerRemoteCheckIn = async (params) => {
 /**
  * Tell the server the person is safe.
  *
+ * With `duress`, the server sends the alert instead of cancelling it. The
+ * handle is cleared either way, so nothing left on this device shows that the
+ * check-in is still live.
+ *
+ * @param {{ duress?: boolean }} [options]
  * @returns {Promise<{ ok: boolean, error?: string }>}
  */
-export const cancelRemoteCheckIn = async () => {
+export const cancelRemoteCheckIn = async ({ duress = false } = {}) => {
     const handle = loadRemoteHandle();
     if (!handle) return { ok: true };
 
@@ -94,7 +118,11 @@ export const cancelRemoteCheckIn = async () => {
         const response = await fetch('/api/checkin/safe', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ id: handle.id, token: handle.token }),
+            body: JSON.stringify(
+                duress
+                    ? { id: handle.id, token: handle.token, duress: true }
+                    : { id: handle.id, token: handle.token },
+            ),
         });
 
         if (!response.ok) {
@@ -110,14 +138,372 @@ export const cancelRemoteCheckIn = async () => {
     }
 };
 
+/**
+ * Move the server's deadline along with the one on this device.
+ *
+ * @param {number} extraMs
+ * @returns {Promise<{ ok: true, firesAt: number } | { ok: false, tooLate?: boolean, error: string }>}
+ */
+export const extendRemoteCheckIn = async (extraMs) => {
+    const handle = loadRemoteHandle();
+    if (!handle) return { ok: false, error: 'No check-in is registered with the server.' };
+
+    try {
+        const response = await fetch('/api/checkin/extend', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: handle.id, token: handle.token, extraMs }),
+        });
+        const payload = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            return {
+                ok: false,
+                // 409: the server has already alerted the contacts.
+                tooLate: response.status === 409,
+                error: payload.error ?? `Server returned ${response.status}`,
+            };
+        }
+
+        saveRemoteHandle({ ...handle, firesAt: payload.firesAt });
+        return { ok: true, firesAt: payload.firesAt };
+    } catch (error) {
+        return { ok: false, error: error.message ?? 'Could not reach the server.' };
+    }
+};
+
+/**
+ * Register a recurring plan, so the server opens a check-in at each window
+ * whether or not the app is open.
+ *
+ * The plan's times are this device's wall-clock times, so its time zone goes
+ * with them.
+ *
+ * @param {{ plan: { days: number[], start: string, end: string }, note?: string, userName?: string, contacts: Array }} params
+ * @returns {Promise<{ ok: true, series: { id: string, token: string }, nextWindow: { startsAt: number, endsAt: number } } | { ok: false, error: string }>}
+ */
+export const registerRemoteSeries = async (params) => {
+    if (!isRemoteEnabled()) {
+        return { ok: false, error: 'No backend is configured for this build.' };
+    }
+
+    try {
+        const response = await fetch('/api/checkin/series', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                plan: {
+                    days: params.plan.days,
+                    start: params.plan.start,
+                    end: params.plan.end,
+                    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+                },
+                note: params.note ?? '',
+                userName: params.userName ?? '',
+                contacts: toServerContacts(params.contacts),
+            }),
+        });
+        const payload = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            return { ok: false, error: payload.error ?? `Server returned ${response.status}` };
+        }
+
+        return {
+            ok: true,
+            series: { id: payload.id, token: payload.token },
+            nextWindow: payload.nextWindow,
+        };
+    } catch (error) {
+        return { ok: false, error: error.message ?? 'Could not reach the server.' };
+    }
+};
+
+/**
+ * Stop a plan's future windows. A window already open keeps running until
+ * "I'm safe", as any other check-in does.
+ *
+ * @param {{ id: string, token: string }} series
+ * @returns {Promise<{ ok: boolean, error?: string }>}
+ */
+export const stopRemoteSeries = async (series) => {
+    try {
+        const response = await fetch('/api/checkin/series-stop', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: series.id, token: series.token }),
+        });
+
+        // 404: the server has forgotten the plan, which is what was wanted.
+        if (!response.ok && response.status !== 404) {
+            const payload = await response.json().catch(() => ({}));
+            return { ok: false, error: payload.error ?? `Server returned ${response.status}` };
+        }
+
+        return { ok: true };
+    } catch (error) {
+        return { ok: false, error: error.message ?? 'Could not reach the server.' };
+    }
+};
+
+/** How often the app asks whether the server has opened a plan's window. */
+export const JOIN_RETRY_INTERVAL_MS = 15_000;
+
+/**
+ * How long after a window starts the app keeps asking. Schedulers deliver
+ * within seconds; two minutes without a check-in means the server missed it.
+ */
+export const JOIN_GIVE_UP_MS = 2 * 60_000;
+
+/**
+ * Pick up the check-in the server opened for a plan's window, so "I'm safe"
+ * and "+15 min" on this device reach it.
+ *
+ * @param {{ id: string, token: string }} series
+ * @param {{ windowStartsAt: number, checkInId: string }} params
+ *   `checkInId` is the on-device check-in the window started
+ * @returns {Promise<{ ok: true, handle: RemoteHandle } | { ok: false, notYet?: boolean, gone?: boolean, error: string }>}
+ */
+export const joinRemoteOccurrence = async (series, { windowStartsAt, checkInId }) => {
+    try {
+        const response = await fetch(`/api/checkin/series-current?id=${encodeURIComponent(series.id)}`, {
+            headers: { Authorization: `Bearer ${series.token}` },
+        });
+        const payload = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            return {
+                ok: false,
+                gone: response.status === 404,
+                error: payload.error ?? `Server returned ${response.status}`,
+            };
+        }
+
+        // Until the server's callback arrives, `current` is still the last
+        // window's check-in, or nothing.
+        const current = payload.current;
+        if (!current || current.windowStartsAt !== windowStartsAt) {
+            return { ok: false, notYet: payload.phase === 'active', error: 'The server has not opened this window.' };
+        }
+
+        const handle = { id: current.id, token: current.token, firesAt: current.firesAt, checkInId };
+        saveRemoteHandle(handle);
+        return { ok: true, handle };
+    } catch (error) {
+        return { ok: false, error: error.message ?? 'Could not reach the server.' };
+    }
+};
+
+/**
+ * Minimum gap between location pushes. A GPS watch reports every few seconds
+ * while moving; the server only needs enough to draw a breadcrumb, and every
+ * push costs battery and a write.
+ */
+export const LOCATION_PUSH_INTERVAL_MS = 60_000;
+
+/**
+ * Send a fresh position for the registered check-in.
+ *
+ * Failures are reported but never retried here: the next fix is along within a
+ * minute, and a stale position on the server is still better than none.
+ *
+ * @param {{ lat: number, lng: number, accuracy?: number }} coords
+ * @returns {Promise<{ ok: boolean, inactive?: boolean, error?: string }>}
+ */
+export const pushRemoteLocation = async (coords) => {
+    const handle = loadRemoteHandle();
+    if (!handle) return { ok: false, error: 'No check-in is registered with the server.' };
+
+    try {
+        const response = await fetch('/api/checkin/location', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                id: handle.id,
+                token: handle.token,
+                location: { lat: coords.lat, lng: coords.lng, accuracy: coords.accuracy ?? null },
+            }),
+        });
+
+        if (!response.ok) {
+            const payload = await response.json().catch(() => ({}));
+            return {
+                ok: false,
+                // 409: the alert already went out, so there is nothing left to update.
+                inactive: response.status === 409,
+                error: payload.error ?? `Server returned ${response.status}`,
+            };
+        }
+
+        return { ok: true };
+    } catch (error) {
+        return { ok: false, error: error.message ?? 'Could not reach the server.' };
+    }
+};
+
+/** How often the alert screen asks whether anyone has acknowledged. */
+export const ACK_POLL_INTERVAL_MS = 15_000;
+
+/**
+ * Ask which contacts have said they are on it.
+ *
+ * @returns {Promise<{ ok: true, acknowledgements: Array<{ contact: string, at: number }> } | { ok: false, gone?: boolean, error: string }>}
+ */
+export const fetchAcknowledgements = async () => {
+    const handle = loadRemoteHandle();
+    if (!handle) return { ok: false, gone: true, error: 'No check-in is registered with the server.' };
+
+    try {
+        const response = await fetch(`/api/checkin/acknowledgements?id=${encodeURIComponent(handle.id)}`, {
+            headers: { Authorization: `Bearer ${handle.token}` },
+        });
+        const payload = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            return {
+                ok: false,
+                // 404: the record is gone, so nobody can acknowledge any more.
+                gone: response.status === 404,
+                error: payload.error ?? `Server returned ${response.status}`,
+            };
+        }
+
+        return { ok: true, acknowledgements: payload.acknowledgements ?? [] };
+    } catch (error) {
+        return { ok: false, error: error.message ?? 'Could not reach the server.' };
+    }
+};
+
+/**
+ * "Asha acknowledged at 02:14".
+ *
+ * @param {{ contact: string, at: number }} acknowledgement
+ * @returns {string}
+ */
+export const describeAcknowledgement = ({ contact, at }) =>
+    t('remote.acknowledged', { name: contact || t('remote.aContact'), time: formatClock(at) });
+
+/** How often the app checks what the server holds while a check-in runs. */
+export const STATUS_POLL_INTERVAL_MS = 30_000;
+
+/**
+ * @typedef {Object} RemoteStatus
+ * @property {'active'|'fired'|'cancelled'} phase
+ * @property {number} firesAt
+ * @property {number|null} firedAt
+ * @property {number|null} nextRoundAt
+ * @property {Array<{ contact: string, round: number, ok: boolean, call: boolean, text: boolean }>} results
+ */
+
+/**
+ * Ask the server what it holds for the registered check-in.
+ *
+ * @returns {Promise<{ ok: true, status: RemoteStatus } | { ok: false, gone?: boolean, error: string }>}
+ */
+export const fetchRemoteStatus = async () => {
+    const handle = loadRemoteHandle();
+    if (!handle) return { ok: false, gone: true, error: 'No check-in is registered with the server.' };
+
+    try {
+        const response = await fetch(`/api/checkin/status?id=${encodeURIComponent(handle.id)}`, {
+            headers: { Authorization: `Bearer ${handle.token}` },
+        });
+        const payload = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            return {
+                ok: false,
+                gone: response.status === 404,
+                error: payload.error ?? `Server returned ${response.status}`,
+            };
+        }
+
+        const { ok: _ok, ...status } = payload;
+        return { ok: true, status };
+    } catch (error) {
+        return { ok: false, error: error.message ?? 'Could not reach the server.' };
+    }
+};
+
+const DELIVERY_WORDS = {
+    ringing: 'remote.ringing',
+    sent: 'remote.sent',
+    answered: 'remote.answered',
+    'no-answer': 'remote.noAnswer',
+    delivered: 'remote.delivered',
+    failed: 'remote.deliveryFailed',
+};
+
+/**
+ * One line per contact saying what became of their latest call and text,
+ * where the provider has reported back. "Queued" says nothing the "Reached"
+ * line does not, so it is left out.
+ *
+ * @param {Array<Object>} results
+ * @returns {string[]}
+ */
+const describeDelivery = (results) => {
+    const latest = new Map();
+    for (const result of results) latest.set(result.contact || t('remote.aContact'), result);
+
+    const lines = [];
+    for (const [name, result] of latest) {
+        const parts = [];
+        if (DELIVERY_WORDS[result.callStatus]) {
+            parts.push(t('remote.call', { status: t(DELIVERY_WORDS[result.callStatus]) }));
+        }
+        if (DELIVERY_WORDS[result.textStatus]) {
+            parts.push(t('remote.text', { status: t(DELIVERY_WORDS[result.textStatus]) }));
+        }
+        if (parts.length > 0) lines.push(t('remote.delivery', { name, parts: parts.join(', ') }));
+    }
+    return lines;
+};
+
+/**
+ * What the server says, in sentences for the check-in card.
+ *
+ * After firing, a contact counts as reached if any round got through to them
+ * by call or text. "Reached" means the provider accepted it, not that a person
+ * read it. Acknowledgements are the only proof of that.
+ *
+ * @param {RemoteStatus|null} status
+ * @returns {string[]}
+ */
+export const summariseRemoteStatus = (status) => {
+    if (!status) return [];
+    if (status.phase === 'active') {
+        return [t('remote.holding', { time: formatClock(status.firesAt) })];
+    }
+    if (status.phase === 'cancelled') {
+        return [t('remote.cancelled')];
+    }
+
+    const reached = new Set();
+    const missed = new Set();
+    for (const result of status.results ?? []) {
+        const name = result.contact || t('remote.aContact');
+        if (result.ok) reached.add(name);
+        else missed.add(name);
+    }
+    for (const name of reached) missed.delete(name);
+
+    const lines = [
+        status.firedAt
+            ? t('remote.alertedAt', { time: formatClock(status.firedAt) })
+            : t('remote.alerted'),
+    ];
+    if (reached.size > 0) lines.push(t('remote.reached', { names: [...reached].join(', ') }));
+    if (missed.size > 0) lines.push(t('remote.notReached', { names: [...missed].join(', ') }));
+    lines.push(...describeDelivery(status.results ?? []));
+    if (status.nextRoundAt) lines.push(t('remote.nextRound', { time: formatClock(status.nextRoundAt) }));
+    return lines;
+};
+
 /**
  * Plain-language description of what will actually happen, for the UI.
  *
  * @param {'on'|'off'|'failed'} state
  * @returns {string}
  */
-export const describeRemoteState = (state) => ({
-    on: 'Your contacts will be called and texted automatically if you miss this.',
-    off: 'You will need to send the alert yourself — this device cannot send it for you.',
-    failed: 'Could not reach the server, so you will need to send the alert yourself.',
-}[state] ?? '');
+export const describeRemoteState = (state) => (['on', 'off', 'failed'].includes(state) ? t(`remote.${state}`) : '');
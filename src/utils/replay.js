@@ -0,0 +1,135 @@
+/**
+ * Sensor replay — a recorded session, run back through the risk engine.
+ *
+ * Takes entries in the shape IncidentLog stores and feeds each READING to a
+ * fresh RiskTracker at its own timestamp, so a threshold change can be tried
+ * against real sessions (the noisy shift that went off, the struggle that
+ * must still go off) before it ships.
+ *
+ * The moments that change the tracker on the dashboard are honoured too: a
+ * cancelled countdown or protection turned off resets it, and a safe zone
+ * applies its mode. Everything else is skipped.
+ */
+
+import { EVENT } from './incidentLog.js';
+import { RiskTracker, resolveSensitivity, SENSOR_WEIGHTS } from './riskEngine.js';
+
+/**
+ * @typedef {Object} Escalation
+ * @property {number} t - timestamp of the reading that escalated
+ * @property {number} offsetMs - since the first entry
+ * @property {number} score
+ * @property {string|null} reason
+ */
+
+/**
+ * @typedef {Object} ReplayResult
+ * @property {Escalation[]} escalations
+ * @property {number} readings - READING entries replayed
+ * @property {number} peakRisk - as scored on replay, not as recorded
+ * @property {number} durationMs
+ */
+
+/**
+ * Availability as the dashboard saw it, from the sensors a reading lists. A
+ * fall, a sprint or a vehicle jump is not a listed sensor, so each counts
+ * wherever one was recorded.
+ *
+ * @param {Object} entry
+ * @returns {import('./riskEngine.js').SensorAvailability}
+ */
+const availabilityOf = (entry) => ({
+    ...Object.fromEntries(Object.keys(SENSOR_WEIGHTS).map((key) => [key, (entry.active ?? []).includes(key)])),
+    fall: Number.isFinite(entry.readings?.fall),
+    sprint: Number.isFinite(entry.readings?.sprint),
+    vehicle: Number.isFinite(entry.readings?.vehicle),
+});
+
+/**
+ * Replay a timeline.
+ *
+ * Like the dashboard, an escalation is counted once: after it, the tracker
+ * waits for a cancel before it can count another, since on the phone the
+ * countdown would be on screen in between.
+ *
+ * @param {Array} entries - oldest first, as IncidentLog.snapshot returns them
+ * @param {{ sensitivity?: import('./riskEngine.js').Sensitivity }} [options]
+ * @returns {ReplayResult}
+ */
+export const replay = (entries, { sensitivity = resolveSensitivity(null) } = {}) => {
+    const tracker = RiskTracker.withSensitivity(sensitivity);
+    const ordered = [...(entries ?? [])]
+        .filter((entry) => entry && Number.isFinite(entry.t))
+        .sort((a, b) => a.t - b.t);
+
+    const result = { escalations: [], readings: 0, peakRisk: 0, durationMs: 0 };
+    if (ordered.length === 0) return result;
+
+    const start = ordered[0].t;
+    let counting = false;
+
+    for (const entry of ordered) {
+        switch (entry.type) {
+            case EVENT.READING: {
+                const evaluation = tracker.update(entry.readings ?? {}, availabilityOf(entry), entry.t);
+                result.readings += 1;
+                result.peakRisk = Math.max(result.peakRisk, evaluation.score);
+                if (evaluation.shouldEscalate && !counting) {
+                    counting = true;
+                    result.escalations.push({
+                        t: entry.t,
+                        offsetMs: entry.t - start,
+                        score: evaluation.score,
+                        reason: evaluation.escalationReason,
+                    });
+                }
+                break;
+            }
+            case EVENT.COUNTDOWN_CANCELLED:
+            case EVENT.PROTECTION_OFF:
+                counting = false;
+                tracker.reset();
+                break;
+            case EVENT.ZONE_ENTERED:
+                tracker.setZone(entry.mode);
+                break;
+            case EVENT.ZONE_LEFT:
+                tracker.setZone('none');
+                break;
+            default:
+                break;
+        }
+    }
+
+    result.durationMs = ordered[ordered.length - 1].t - start;
+    return result;
+};
+
+/**
+ * Replay one scenario and compare it with what it expects.
+ *
+ * A scenario is `{ name, entries, expect: { escalates, byMs? }, sensitivity? }`
+ * where `sensitivity` names a preset. A bare array of entries, or a saved
+ * alert with its `incident` snapshot, is accepted too and only reports.
+ *
+ * @param {Object|Array} scenario
+ * @param {{ sensitivity?: import('./riskEngine.js').Sensitivity }} [options] - overrides the scenario's own
+ * @returns {{ name: string, result: ReplayResult, expected: Object|null, passed: boolean|null }}
+ */
+export const checkScenario = (scenario, options = {}) => {
+    const entries = Array.isArray(scenario) ? scenario : scenario?.entries ?? scenario?.incident;
+    const sensitivity = options.sensitivity
+        ?? resolveSensitivity(scenario?.sensitivity ? { preset: scenario.sensitivity, custom: null } : null);
+    const result = replay(entries, { sensitivity });
+    const expected = Array.isArray(scenario) ? null : scenario?.expect ?? null;
+
+    let passed = null;
+    if (expected) {
+        const first = result.escalations[0];
+        passed = expected.escalates
+            ? Boolean(first) && (expected.byMs === undefined || first.offsetMs <= expected.byMs)
+            : !first;
+    }
+
+    return { name: scenario?.name ?? '', result, expected, passed };
+};
@@ -15,6 +15,8 @@
  *     sensor should never be able to summon help on its own.
  */
 
+import { t } from '../i18n/index.js';
+
 /** Relative importance of each sensor when all are available. */
 export const SENSOR_WEIGHTS = {
     gesture: 0.5,
@@ -34,11 +36,36 @@ export const SUSTAIN_DURATION_MS = 5000;
 /** Per-sensor level that counts as that sensor "raising a concern". */
 export const CONCERN_THRESHOLD = 0.6;
 
+/**
+ * Thresholds inside a relaxed safe zone. Raised, not removed: a loud argument
+ * at home should not start a countdown, but a sustained struggle still can.
+ */
+export const ZONE_RISK_THRESHOLD = 0.9;
+export const ZONE_CONCERN_THRESHOLD = 0.8;
+
+/**
+ * Sensors a paused safe zone stops scoring. The hand signal is deliberate,
+ * so it keeps working everywhere, and a fall at home is exactly what a paused
+ * home must still notice.
+ */
+export const PAUSED_SENSORS = ['stress', 'motion', 'sprint'];
+
+/**
+ * Sensors whose concern counts towards "two independent sensors agree". A
+ * sprint only reaches the concern level with GPS speed behind it, so it never
+ * agrees with the movement score on the strength of one accelerometer alone.
+ * A jump to vehicle speed is GPS alone.
+ */
+const CORROBORATING_SENSORS = [...Object.keys(SENSOR_WEIGHTS), 'fall', 'sprint', 'vehicle'];
+
 /**
  * @typedef {Object} SensorReadings
  * @property {number} gesture - 0 or 1, the confirmed distress hand signal
  * @property {number} stress  - 0–1 vocal stress
  * @property {number} motion  - 0–1 movement abnormality
+ * @property {number} [fall]  - 0, or a confirmed fall: 0.8, then 1 after a long stillness
+ * @property {number} [sprint] - 0, walking to running in a moment: 0.5, or 0.9 with GPS speed to match
+ * @property {number} [vehicle] - 0, or 0.9 for a while after walking turned abruptly into vehicle speed
  */
 
 /**
@@ -46,38 +73,50 @@ export const CONCERN_THRESHOLD = 0.6;
  * @property {boolean} gesture
  * @property {boolean} stress
  * @property {boolean} motion
+ * @property {boolean} [fall] - follows the motion sensor it is read from
+ * @property {boolean} [sprint] - likewise
+ * @property {boolean} [vehicle] - whether there is a location fix to judge speed by
  */
 
 /**
  * Combine sensor readings into a single risk score.
  *
+ * A confirmed fall sets a floor under the score rather than taking a weight:
+ * weighted, it would dilute the other sensors every moment nobody is falling,
+ * which is nearly always.
+ *
  * @param {SensorReadings} readings
  * @param {SensorAvailability} availability
+ * @param {Object<string, number>} [weights] - relative, renormalised here
  * @returns {{ score: number, contributions: Object, activeSensors: string[], coverage: number }}
  */
-export const calculateRisk = (readings, availability) => {
+export const calculateRisk = (readings, availability, weights = SENSOR_WEIGHTS) => {
     const active = Object.keys(SENSOR_WEIGHTS).filter((key) => availability?.[key]);
+    const fall = availability?.fall ? clamp01(readings?.fall ?? 0) : 0;
 
     if (active.length === 0) {
-        return { score: 0, contributions: {}, activeSensors: [], coverage: 0 };
+        return fall > 0
+            ? { score: fall, contributions: { fall: fallContribution(fall) }, activeSensors: [], coverage: 0 }
+            : { score: 0, contributions: {}, activeSensors: [], coverage: 0 };
     }
 
-    const totalWeight = active.reduce((sum, key) => sum + SENSOR_WEIGHTS[key], 0);
-    const allWeight = Object.values(SENSOR_WEIGHTS).reduce((a, b) => a + b, 0);
+    const totalWeight = active.reduce((sum, key) => sum + weights[key], 0);
+    const allWeight = Object.keys(SENSOR_WEIGHTS).reduce((sum, key) => sum + weights[key], 0);
 
     const contributions = {};
     let score = 0;
 
     for (const key of active) {
         const value = clamp01(readings?.[key] ?? 0);
-        const normalisedWeight = SENSOR_WEIGHTS[key] / totalWeight;
+        const normalisedWeight = weights[key] / totalWeight;
         const contribution = value * normalisedWeight;
         contributions[key] = { value, weight: normalisedWeight, contribution };
         score += contribution;
     }
+    if (fall > 0) contributions.fall = fallContribution(fall);
 
     return {
-        score: clamp01(score),
+        score: Math.max(clamp01(score), fall),
         contributions,
         activeSensors: active,
         // How much of the full sensor suite is running — shown to the user so
@@ -91,25 +130,37 @@ export const calculateRisk = (readings, availability) => {
  *
  * @param {SensorReadings} readings
  * @param {SensorAvailability} availability
+ * @param {number} [concernThreshold]
  * @returns {{ corroborated: boolean, reason: string|null, concerned: string[] }}
  */
-export const evaluateCorroboration = (readings, availability) => {
+export const evaluateCorroboration = (readings, availability, concernThreshold = CONCERN_THRESHOLD) => {
     if (availability?.gesture && readings?.gesture >= 1) {
         return {
             corroborated: true,
-            reason: 'You held the distress hand signal',
+            reason: t('risk.heldSignal'),
             concerned: ['gesture'],
         };
     }
 
-    const concerned = Object.keys(SENSOR_WEIGHTS).filter(
-        (key) => availability?.[key] && (readings?.[key] ?? 0) >= CONCERN_THRESHOLD,
+    // A fall and then a long stillness is already three separate phases in
+    // agreement; waiting for a second sensor would mean waiting for someone
+    // who may be unconscious to make a sound.
+    if (availability?.fall && readings?.fall >= 1) {
+        return {
+            corroborated: true,
+            reason: t('risk.fallStill'),
+            concerned: ['fall'],
+        };
+    }
+
+    const concerned = CORROBORATING_SENSORS.filter(
+        (key) => availability?.[key] && (readings?.[key] ?? 0) >= concernThreshold,
     );
 
     if (concerned.length >= 2) {
         return {
             corroborated: true,
-            reason: 'Several signs of distress at once',
+            reason: t('risk.severalSigns'),
             concerned,
         };
     }
@@ -117,6 +168,108 @@ export const evaluateCorroboration = (readings, availability) => {
     return { corroborated: false, reason: null, concerned };
 };
 
+/**
+ * @typedef {Object} Sensitivity
+ * @property {Object<string, number>} weights - per sensor, summing to 1
+ * @property {number} riskThreshold
+ * @property {number} concernThreshold
+ * @property {number} sustainMs
+ */
+
+/** @type {Sensitivity} */
+export const DEFAULT_SENSITIVITY = {
+    weights: SENSOR_WEIGHTS,
+    riskThreshold: RISK_THRESHOLD,
+    concernThreshold: CONCERN_THRESHOLD,
+    sustainMs: SUSTAIN_DURATION_MS,
+};
+
+/**
+ * One-tap settings. "Low" is for people whose day is loud or physical — a
+ * kitchen, a building site, a school playground — and who otherwise turn
+ * protection off altogether, which is worse than any threshold.
+ *
+ * @type {Object<string, Sensitivity>}
+ */
+export const SENSITIVITY_PRESETS = {
+    low: { ...DEFAULT_SENSITIVITY, riskThreshold: 0.8, concernThreshold: 0.75, sustainMs: 8000 },
+    normal: DEFAULT_SENSITIVITY,
+    high: { ...DEFAULT_SENSITIVITY, riskThreshold: 0.65, concernThreshold: 0.5, sustainMs: 3000 },
+};
+
+/** Limits on the advanced settings. */
+export const SENSITIVITY_LIMITS = {
+    riskThreshold: { min: 0.5, max: 0.95 },
+    concernThreshold: { min: 0.3, max: 0.95 },
+    sustainMs: { min: 2000, max: 15000 },
+    weight: { min: 0.05, max: 1 },
+};
+
+const inRange = (value, { min, max }) => Number.isFinite(value) && value >= min && value <= max;
+
+const percentRange = ({ min, max }) => ({ min: `${Math.round(min * 100)}%`, max: `${Math.round(max * 100)}%` });
+
+/**
+ * Check advanced settings, and normalise the weights to sum to 1.
+ *
+ * Every range here is reachable on its own. The last check is the one a
+ * person can trip by combining them: with every sensor running, a held hand
+ * signal backed by a tense voice must still be able to cross the threshold,
+ * or the deliberate signal quietly stops working whenever the microphone is on.
+ *
+ * @param {Object} input
+ * @returns {{ ok: true, settings: Sensitivity }|{ ok: false, error: string }}
+ */
+export const validateSensitivity = (input) => {
+    const riskThreshold = Number(input?.riskThreshold);
+    const concernThreshold = Number(input?.concernThreshold);
+    const sustainMs = Number(input?.sustainMs);
+    const raw = Object.fromEntries(Object.keys(SENSOR_WEIGHTS).map((key) => [key, Number(input?.weights?.[key])]));
+
+    if (!inRange(riskThreshold, SENSITIVITY_LIMITS.riskThreshold)) {
+        return { ok: false, error: t('sensitivity.riskRange', percentRange(SENSITIVITY_LIMITS.riskThreshold)) };
+    }
+    if (!inRange(concernThreshold, SENSITIVITY_LIMITS.concernThreshold)) {
+        return { ok: false, error: t('sensitivity.concernRange', percentRange(SENSITIVITY_LIMITS.concernThreshold)) };
+    }
+    if (!inRange(sustainMs, SENSITIVITY_LIMITS.sustainMs)) {
+        return { ok: false, error: t('sensitivity.sustainRange', {
+            min: SENSITIVITY_LIMITS.sustainMs.min / 1000,
+            max: SENSITIVITY_LIMITS.sustainMs.max / 1000,
+        }) };
+    }
+    if (!Object.values(raw).every((weight) => inRange(weight, SENSITIVITY_LIMITS.weight))) {
+        return { ok: false, error: t('sensitivity.weightRange', SENSITIVITY_LIMITS.weight) };
+    }
+
+    const total = Object.values(raw).reduce((sum, weight) => sum + weight, 0);
+    const weights = Object.fromEntries(Object.entries(raw).map(([key, weight]) => [key, weight / total]));
+
+    // A hair of tolerance, so 0.5 + 0.3 against 0.8 is not lost to rounding.
+    if (weights.gesture + weights.stress < riskThreshold - 1e-9) {
+        return { ok: false, error: t('sensitivity.unreachable') };
+    }
+
+    return { ok: true, settings: { weights, riskThreshold, concernThreshold, sustainMs } };
+};
+
+/**
+ * The settings to run with, from what storage holds.
+ *
+ * Anything unreadable falls back to normal rather than failing: a stored
+ * setting must never be the reason protection cannot start.
+ *
+ * @param {{ preset: string, custom: Object|null }|null} stored
+ * @returns {Sensitivity}
+ */
+export const resolveSensitivity = (stored) => {
+    if (stored?.preset === 'custom') {
+        const result = validateSensitivity(stored.custom);
+        return result.ok ? result.settings : DEFAULT_SENSITIVITY;
+    }
+    return SENSITIVITY_PRESETS[stored?.preset] ?? DEFAULT_SENSITIVITY;
+};
+
 /**
  * Tracks how long risk has been continuously critical.
  *
@@ -128,12 +281,43 @@ export class RiskTracker {
     /**
      * @param {number} sustainMs
      * @param {number} threshold
+     * @param {{ weights?: Object<string, number>, concernThreshold?: number }} [options]
      */
-    constructor(sustainMs = SUSTAIN_DURATION_MS, threshold = RISK_THRESHOLD) {
+    constructor(
+        sustainMs = SUSTAIN_DURATION_MS,
+        threshold = RISK_THRESHOLD,
+        { weights = SENSOR_WEIGHTS, concernThreshold = CONCERN_THRESHOLD } = {},
+    ) {
         this.sustainMs = sustainMs;
         this.threshold = threshold;
+        this.weights = weights;
+        this.concernThreshold = concernThreshold;
         this.criticalSince = null;
         this.hasEscalated = false;
+        this.zone = 'none';
+    }
+
+    /**
+     * @param {Sensitivity} settings
+     * @returns {RiskTracker}
+     */
+    static withSensitivity(settings) {
+        return new RiskTracker(settings.sustainMs, settings.riskThreshold, settings);
+    }
+
+    /**
+     * Apply a safe zone's mode: 'none', 'pause' or 'relax'.
+     *
+     * Any sustain in progress is dropped, because it was measured against
+     * the old rules.
+     *
+     * @param {'none'|'pause'|'relax'} mode
+     */
+    setZone(mode) {
+        const next = ['pause', 'relax'].includes(mode) ? mode : 'none';
+        if (next === this.zone) return;
+        this.zone = next;
+        this.reset();
     }
 
     /**
@@ -145,10 +329,22 @@ export class RiskTracker {
      * @returns {Object} full evaluation, including whether to escalate now
      */
     update(readings, availability, now = Date.now()) {
-        const risk = calculateRisk(readings, availability);
-        const corroboration = evaluateCorroboration(readings, availability);
+        // Unavailable rather than zero, so the weights renormalise and a held
+        // hand signal alone can still escalate.
+        const scored = this.zone === 'pause'
+            ? { ...availability, ...Object.fromEntries(PAUSED_SENSORS.map((key) => [key, false])) }
+            : availability;
+        const relaxed = this.zone === 'relax';
 
-        const qualifies = risk.score >= this.threshold && corroboration.corroborated;
+        const risk = calculateRisk(readings, scored, this.weights);
+        const corroboration = evaluateCorroboration(
+            readings,
+            scored,
+            relaxed ? Math.max(this.concernThreshold, ZONE_CONCERN_THRESHOLD) : this.concernThreshold,
+        );
+        const threshold = relaxed ? Math.max(this.threshold, ZONE_RISK_THRESHOLD) : this.threshold;
+
+        const qualifies = risk.score >= threshold && corroboration.corroborated;
 
         if (qualifies) {
             if (this.criticalSince === null) this.criticalSince = now;
@@ -168,13 +364,14 @@ export class RiskTracker {
 
         return {
             ...risk,
-            level: getRiskLevel(risk.score),
+            level: getRiskLevel(risk.score, this.threshold),
             corroborated: corroboration.corroborated,
             escalationReason: corroboration.reason,
             concernedSensors: corroboration.concerned,
             sustainedMs,
             sustainProgress,
             shouldEscalate,
+            zone: this.zone,
         };
     }
 
@@ -187,11 +384,12 @@ export class RiskTracker {
 
 /**
  * @param {number} riskScore
+ * @param {number} [threshold] - the person's critical threshold
  * @returns {'safe'|'elevated'|'critical'}
  */
-export const getRiskLevel = (riskScore) => {
+export const getRiskLevel = (riskScore, threshold = RISK_THRESHOLD) => {
     if (riskScore < ELEVATED_THRESHOLD) return 'safe';
-    if (riskScore < RISK_THRESHOLD) return 'elevated';
+    if (riskScore < threshold) return 'elevated';
     return 'critical';
 };
 
@@ -201,11 +399,7 @@ export const getRiskLevel = (riskScore) => {
  * @param {'safe'|'elevated'|'critical'} level
  * @returns {string}
  */
-export const getRiskLabel = (level) => ({
-    safe: 'All clear',
-    elevated: 'Keeping a closer eye',
-    critical: 'Checking on you',
-}[level] ?? 'All clear');
+export const getRiskLabel = (level) => t(['elevated', 'critical'].includes(level) ? `risk.${level}` : 'risk.safe');
 
 /**
  * Reassuring, plain-language explanation of the current state.
@@ -214,12 +408,8 @@ export const getRiskLabel = (level) => ({
  * @returns {string}
  */
 export const getRiskDescription = (level, isWatching) => {
-    if (!isWatching) return 'Protection is off. Turn it on when you want SafeSignal watching.';
-    return {
-        safe: 'Everything looks normal. SafeSignal is quietly watching.',
-        elevated: 'Something changed slightly. No alert yet — just paying attention.',
-        critical: 'This looks like it could be an emergency. You can stop it at any time.',
-    }[level] ?? 'SafeSignal is watching.';
+    if (!isWatching) return t('risk.off');
+    return ['safe', 'elevated', 'critical'].includes(level) ? t(`risk.${level}Detail`) : t('risk.watching');
 };
 
 /**
@@ -232,6 +422,12 @@ export const getRiskColor = (level) => ({
     critical: 'var(--risk-critical)',
 }[level] ?? 'var(--risk-safe)');
 
+/**
+ * @param {number} value
+ * @returns {{ value: number, weight: number, contribution: number }}
+ */
+const fallContribution = (value) => ({ value, weight: 1, contribution: value });
+
 /**
  * @param {number} value
  * @returns {number}
@@ -0,0 +1,124 @@
+/**
+ * Safe and duress codes for cancelling a check-in.
+ *
+ * If someone is forcing you to cancel your check-in, a plain "I'm safe" button
+ * is their tool, not yours. With codes set, cancelling asks for one. The safe
+ * code cancels. The duress code looks exactly the same on screen, but the
+ * server sends the alert straight away. Someone watching the screen cannot
+ * tell the two apart.
+ *
+ * The duress code only works when the server holds the check-in. On its own, this
+ * device cannot send anything without the screen showing it, and the setup
+ * screen says so.
+ *
+ * The codes themselves are never stored. Each is run through PBKDF2 with a
+ * random salt saved alongside, so a glance at the browser's developer tools
+ * shows nothing usable and a table built for one install is no use on another.
+ * That slows guessing down, but it cannot make a code of four to eight digits
+ * unguessable: someone who copies the storage off an unlocked device can still
+ * try every code, it just takes them hours instead of a moment. The phone's own
+ * lock is what keeps them out.
+ */
+
+import { readJSON, writeJSON, removeKey } from './storage.js';
+import { t } from '../i18n/index.js';
+
+export const SAFETY_CODES_KEY = 'safesignal.safetyCodes';
+
+/** Short enough to type with shaking hands, long enough not to be guessed. */
+const CODE_PATTERN = /^\d{4,8}$/;
+
+/**
+ * High enough that trying every code costs real time, low enough that checking
+ * one on an old phone does not keep a frightened person waiting.
+ */
+const ITERATIONS = 600_000;
+
+const toHex = (bytes) => [...bytes].map((b) => b.toString(16).padStart(2, '0')).join('');
+const fromHex = (hex) => new Uint8Array(hex.match(/../g).map((pair) => parseInt(pair, 16)));
+
+/**
+ * @param {string} code
+ * @param {{ salt: string, iterations: number }} params - salt in hex
+ * @returns {Promise<string>} hex PBKDF2-SHA-256
+ */
+const hashCode = async (code, { salt, iterations }) => {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(code),
+        'PBKDF2',
+        false,
+        ['deriveBits'],
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(salt), iterations },
+        key,
+        256,
+    );
+    return toHex(new Uint8Array(bits));
+};
+
+/**
+ * Check a pair of codes before saving them.
+ *
+ * @param {string} safe
+ * @param {string} duress
+ * @returns {{ ok: true } | { ok: false, error: string }}
+ */
+export const validateSafetyCodes = (safe, duress) => {
+    const safeCode = String(safe ?? '').trim();
+    const duressCode = String(duress ?? '').trim();
+
+    if (!CODE_PATTERN.test(safeCode) || !CODE_PATTERN.test(duressCode)) {
+        return { ok: false, error: t('safetyCodes.invalid') };
+    }
+    if (safeCode === duressCode) {
+        return { ok: false, error: t('safetyCodes.same') };
+    }
+    return { ok: true };
+};
+
+/**
+ * @param {string} safe
+ * @param {string} duress
+ * @returns {Promise<{ ok: true } | { ok: false, error: string }>}
+ */
+export const saveSafetyCodes = async (safe, duress) => {
+    const check = validateSafetyCodes(safe, duress);
+    if (!check.ok) return check;
+
+    const params = { salt: toHex(crypto.getRandomValues(new Uint8Array(16))), iterations: ITERATIONS };
+    const stored = writeJSON(SAFETY_CODES_KEY, {
+        ...params,
+        safe: await hashCode(String(safe).trim(), params),
+        duress: await hashCode(String(duress).trim(), params),
+    });
+    return stored ? { ok: true } : { ok: false, error: t('safetyCodes.notSaved') };
+};
+
+/** @returns {boolean} whether cancelling should ask for a code */
+export const hasSafetyCodes = () => {
+    const stored = readJSON(SAFETY_CODES_KEY, null);
+    return typeof stored?.safe === 'string'
+        && typeof stored?.duress === 'string'
+        && typeof stored?.salt === 'string'
+        && Number.isInteger(stored?.iterations);
+};
+
+export const clearSafetyCodes = () => removeKey(SAFETY_CODES_KEY);
+
+/**
+ * Work out which code was typed.
+ *
+ * @param {string} code
+ * @returns {Promise<'safe'|'duress'|'wrong'>}
+ */
+export const classifyCode = async (code) => {
+    if (!hasSafetyCodes()) return 'wrong';
+    const stored = readJSON(SAFETY_CODES_KEY, null);
+
+    const hashed = await hashCode(String(code ?? '').trim(), stored);
+    if (hashed === stored.duress) return 'duress';
+    if (hashed === stored.safe) return 'safe';
+    return 'wrong';
+};
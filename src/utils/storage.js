@@ -10,6 +10,11 @@
 export const CONTACTS_KEY = 'safesignal.contacts';
 export const PERMISSIONS_KEY = 'safesignal.permissions';
 export const LAST_ALERT_KEY = 'safesignal.lastAlert';
+export const LOCALE_KEY = 'safesignal.locale';
+export const PLACES_KEY = 'safesignal.places';
+export const SENSITIVITY_KEY = 'safesignal.sensitivity';
+export const INACTIVITY_KEY = 'safesignal.inactivity';
+export const HAND_SIGNAL_KEY = 'safesignal.handSignal';
 
 /** Legacy keys from earlier builds, migrated on first read. */
 const LEGACY_CONTACTS_KEY = 'emergencyContacts';
@@ -71,9 +76,41 @@ export const removeKey = (key) => {
 
 /**
  * A contact record.
- * @typedef {{ id: string, name: string, phone: string }} Contact
+ *
+ * `tier` is the escalation round that first reaches them when the server sends
+ * the alert: 1 straight away, 2 and 3 only if nobody earlier has acknowledged.
+ * `channel` is how the server sends them the text, and `address` is their
+ * Telegram chat id or email address when that channel needs one. `language`
+ * is the one their alert is written and spoken in.
+ *
+ * @typedef {{ id: string, name: string, phone: string, tier: number, channel: string, address: string, language: string }} Contact
  */
 
+/** Escalation tiers a contact may be placed in, mirrored from the server. */
+export const CONTACT_TIERS = [1, 2, 3];
+
+/** Ways the server can send a contact the text, mirrored from the server. */
+export const CONTACT_CHANNELS = ['sms', 'whatsapp', 'telegram', 'email'];
+
+/** Languages an alert can be written in, mirrored from the server. */
+export const CONTACT_LANGUAGES = ['en', 'hi', 'ta'];
+
+/** Channels addressed by something other than the phone number. */
+export const CHANNELS_WITH_ADDRESS = ['telegram', 'email'];
+
+/**
+ * A channel that needs an address and has none falls back to SMS.
+ *
+ * @param {Object} c
+ * @returns {{ channel: string, address: string }}
+ */
+const readChannel = (c) => {
+    const channel = CONTACT_CHANNELS.includes(c.channel) ? c.channel : 'sms';
+    const address = typeof c.address === 'string' ? c.address.trim() : '';
+    if (CHANNELS_WITH_ADDRESS.includes(channel) && !address) return { channel: 'sms', address: '' };
+    return { channel, address: CHANNELS_WITH_ADDRESS.includes(channel) ? address : '' };
+};
+
 /**
  * Read contacts, discarding malformed entries rather than crashing on them.
  * @returns {Contact[]}
@@ -98,6 +135,9 @@ export const loadContacts = () => {
             id: String(c.id ?? crypto.randomUUID?.() ?? Date.now() + Math.random()),
             name: typeof c.name === 'string' ? c.name : '',
             phone: typeof c.phone === 'string' ? c.phone : '',
+            tier: CONTACT_TIERS.includes(c.tier) ? c.tier : 1,
+            ...readChannel(c),
+            language: CONTACT_LANGUAGES.includes(c.language) ? c.language : 'en',
         }))
         .filter((c) => c.name.trim() !== '' && c.phone.trim() !== '');
 };
@@ -108,6 +148,123 @@ export const loadContacts = () => {
  */
 export const saveContacts = (contacts) => writeJSON(CONTACTS_KEY, contacts);
 
+/**
+ * A saved place, such as home or a hostel, that a check-in can end at.
+ *
+ * `zone` makes it a safe zone too: inside it the dashboard pauses voice and
+ * movement scoring, or relaxes the thresholds, so an argument at home or a
+ * session at the gym does not start a countdown.
+ *
+ * @typedef {{ id: string, name: string, lat: number, lng: number, radius: number, zone: 'none'|'pause'|'relax' }} Place
+ */
+
+/**
+ * Radii a place may have, in metres. Smaller than a street and a phone indoors
+ * rarely gets a fix precise enough to count as inside.
+ */
+export const PLACE_RADII = [100, 200, 500];
+
+/** What a place does to monitoring while the person is inside it. */
+export const ZONE_MODES = ['none', 'pause', 'relax'];
+
+/**
+ * Read saved places, discarding malformed entries.
+ * @returns {Place[]}
+ */
+export const loadPlaces = () => {
+    const raw = readJSON(PLACES_KEY, []);
+    if (!Array.isArray(raw)) return [];
+
+    return raw
+        .filter((p) => p && typeof p === 'object')
+        .map((p) => ({
+            id: String(p.id ?? ''),
+            name: typeof p.name === 'string' ? p.name.trim().slice(0, 40) : '',
+            lat: Number(p.lat),
+            lng: Number(p.lng),
+            radius: PLACE_RADII.includes(p.radius) ? p.radius : PLACE_RADII[0],
+            zone: ZONE_MODES.includes(p.zone) ? p.zone : 'none',
+        }))
+        .filter((p) => p.id !== '' && p.name !== ''
+            && Number.isFinite(p.lat) && Math.abs(p.lat) <= 90
+            && Number.isFinite(p.lng) && Math.abs(p.lng) <= 180);
+};
+
+/**
+ * @param {Place[]} places
+ * @returns {boolean} whether the save succeeded
+ */
+export const savePlaces = (places) => writeJSON(PLACES_KEY, places);
+
+/** Sensitivity choices: a preset, or the advanced values in `custom`. */
+export const SENSITIVITY_CHOICES = ['low', 'normal', 'high', 'custom'];
+
+/**
+ * Read the saved sensitivity choice. Only the shape is checked here; the
+ * values are validated by the risk engine, which knows what they mean.
+ *
+ * @returns {{ preset: string, custom: Object|null }}
+ */
+export const loadSensitivity = () => {
+    const raw = readJSON(SENSITIVITY_KEY, null);
+    if (!raw || typeof raw !== 'object' || !SENSITIVITY_CHOICES.includes(raw.preset)) {
+        return { preset: 'normal', custom: null };
+    }
+    return {
+        preset: raw.preset,
+        custom: raw.custom && typeof raw.custom === 'object' ? raw.custom : null,
+    };
+};
+
+/**
+ * @param {{ preset: string, custom: Object|null }} choice
+ * @returns {boolean} whether the save succeeded
+ */
+export const saveSensitivity = (choice) => writeJSON(SENSITIVITY_KEY, choice);
+
+/**
+ * Minutes without movement before protection asks "are you OK?"; 0 is off.
+ * Long enough that waiting at a bus stop or a crossing never trips it.
+ */
+export const INACTIVITY_MINUTES = [0, 5, 10, 20];
+
+/** Used until the person picks otherwise. */
+export const DEFAULT_INACTIVITY_MINUTES = 10;
+
+/**
+ * @returns {number} one of INACTIVITY_MINUTES
+ */
+export const loadInactivityMinutes = () => {
+    const stored = readJSON(INACTIVITY_KEY, null);
+    return INACTIVITY_MINUTES.includes(stored) ? stored : DEFAULT_INACTIVITY_MINUTES;
+};
+
+/**
+ * @param {number} minutes
+ * @returns {boolean} whether the save succeeded
+ */
+export const saveInactivityMinutes = (minutes) => writeJSON(INACTIVITY_KEY, minutes);
+
+/**
+ * Which hand signal the camera watches for: the international Signal for
+ * Help, an open palm held up, or the original closed fist.
+ */
+export const HAND_SIGNALS = ['help', 'palm', 'fist'];
+
+/**
+ * @returns {string} one of HAND_SIGNALS, the Signal for Help unless chosen otherwise
+ */
+export const loadHandSignal = () => {
+    const stored = readJSON(HAND_SIGNAL_KEY, null);
+    return HAND_SIGNALS.includes(stored) ? stored : 'help';
+};
+
+/**
+ * @param {string} signal
+ * @returns {boolean} whether the save succeeded
+ */
+export const saveHandSignal = (signal) => writeJSON(HAND_SIGNAL_KEY, signal);
+
 /**
  * @returns {Object|null}
  */
@@ -137,3 +294,17 @@ export const loadPermissions = () => {
  * @returns {boolean}
  */
 export const savePermissions = (permissions) => writeJSON(PERMISSIONS_KEY, permissions);
+
+/**
+ * @returns {string|null} the language the user picked, if they did
+ */
+export const loadLocale = () => {
+    const stored = readJSON(LOCALE_KEY, null);
+    return typeof stored === 'string' ? stored : null;
+};
+
+/**
+ * @param {string} locale
+ * @returns {boolean}
+ */
+export const saveLocale = (locale) => writeJSON(LOCALE_KEY, locale);
@@ -6,6 +6,6 @@ export default defineConfig({
   plugins: [react()],
   test: {
     environment: 'jsdom',
-    include: ['src/**/*.test.{js,jsx}', 'api/**/*.test.js'],
+    include: ['src/**/*.test.{js,jsx}', 'api/**/*.test.js', 'server/**/*.test.js'],
   },
 })